@@ -1,11 +1,14 @@
 require('dotenv').config();
 
+// SQLite leaves foreign key enforcement off unless each connection opts in
+const enableForeignKeys = (conn, done) => conn.run('PRAGMA foreign_keys = ON', done);
+
 module.exports = {
   // Development environment configuration
   development: {
     client: 'sqlite3',
     connection: {
-      filename: './data/app.db'
+      filename: process.env.DATABASE_PATH || './data/app.db'
     },
     useNullAsDefault: true,
     migrations: {
@@ -13,6 +16,9 @@ module.exports = {
     },
     seeds: {
       directory: './src/database/seeds'
+    },
+    pool: {
+      afterCreate: enableForeignKeys
     }
   },
 
@@ -28,6 +34,9 @@ module.exports = {
     },
     seeds: {
       directory: './src/database/seeds'
+    },
+    pool: {
+      afterCreate: enableForeignKeys
     }
   },
 
@@ -46,7 +55,8 @@ module.exports = {
     },
     pool: {
       min: 2,
-      max: 10
+      max: 10,
+      afterCreate: enableForeignKeys
     }
   }
 };
\ No newline at end of file
@@ -7,9 +7,36 @@ const cors = require('cors');
 // Import helmet framework for basic security helpers
 const helmet = require('helmet'); 
 
+// Import handlebars view engine for the dashboard
+const { engine } = require('express-handlebars');
+
+// Resolve view and static asset directories
+const path = require('path');
+
 // Load env variables
 require('dotenv').config(); 
 
+// Validated environment configuration
+const { ConfigError, loadConfig } = require('./config/environment');
+
+// Dependency container for repositories, services and routers
+const { createContainer, initializeServices } = require('./container');
+
+// Authentication
+const { authenticate, requireUser, requireAdmin } = require('./middleware/auth');
+
+// Request IDs, access logs and the correlation context
+const { assignRequestId, accessLog, requestContext } = require('./middleware/requestContext');
+
+// Errors
+const { HttpError, errorDetails } = require('./utils/errors');
+
+// Feed tokens masked in logged URLs
+const { redactUrl } = require('./utils/redact');
+
+// Dashboard view helpers
+const viewHelpers = require('./utils/viewHelpers');
+
 
 
 /**
@@ -18,87 +45,194 @@ require('dotenv').config();
  * 
  */
 
-// Initialize express
-const app = express(); 
+/**
+ * Mount point for a router registered in the container
+ * The router is resolved per request from the request's scope, so registrations
+ * made on that scope reach it.
+ * @param {string} name - Registration name
+ * @returns {import('express').RequestHandler} Middleware
+ */
+function scoped(name) {
+    return (req, res, next) => req.scope.resolve(name)(req, res, next);
+}
 
-// Set prcoess port
-const PORT = process.env.PORT || 3000; 
+/**
+ * Build the Express app around a container
+ * @param {import('awilix').AwilixContainer} container - Container from createContainer
+ * @returns {import('express').Express} App
+ */
+function createApp(container) {
+    const { config, logger, authService, apiKeyService, rateLimits } = container.cradle;
 
+    // Build the services and connect matching, notifications and the live event stream
+    initializeServices(container);
 
+    // Initialize express
+    const app = express();
 
-/**
- * Middleware Setup
- * 
- * 
- */
+    // Read client IPs from X-Forwarded-For only behind the configured proxies
+    app.set('trust proxy', config.trustProxy);
 
-// Initialize basic security middleware to set HTTP headers
-app.use(helmet());
+    /**
+     * View Engine Setup
+     */
 
-// Enable CORS
-app.use(cors()); 
+    // Server-rendered dashboard pages
+    app.engine('handlebars', engine({
+        defaultLayout: 'main',
+        layoutsDir: path.join(__dirname, 'views', 'layouts'),
+        partialsDir: path.join(__dirname, 'views', 'partials'),
+        helpers: viewHelpers
+    }));
+    app.set('view engine', 'handlebars');
+    app.set('views', path.join(__dirname, 'views'));
 
-// JSON parsing
-app.use(express.json()); 
+    /**
+     * Middleware Setup
+     */
 
-// Allow URL encoding of objects and arrays
-app.use(express.urlencoded({ extended: true }));
+    // Tag each request with an ID and log it once answered
+    app.use(assignRequestId);
+    app.use(accessLog({ logger }));
 
+    // Initialize basic security middleware to set HTTP headers
+    app.use(helmet());
 
+    // Enable CORS
+    app.use(cors());
 
-/**
- * Route Handlers
- * 
- * 
- */
+    // JSON parsing
+    app.use(express.json());
 
-// Home Route
-app.get('/', (req, res) => {
-    res.json({
-        message: "Deal Monitor API",
-        version: '1.0.0',
-        endpoints: {
-            api: '/api/'
-        }
-    })
-});
-
-// Health Check Route
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'OK',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        environment: process.env.NODE_ENV || 'development'
+    // Allow URL encoding of objects and arrays
+    app.use(express.urlencoded({ extended: true }));
+
+    // Dashboard stylesheet
+    app.use('/static', express.static(path.join(__dirname, 'public')));
+
+    // A container scope per request, which repositories and routers are resolved from
+    app.use((req, res, next) => {
+        req.scope = container.createScope();
+        next();
     });
-});
 
-// 404 Route
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Route not found',
-    path: req.originalUrl
-  });
-});
+    // Identify the user from an API key, a bearer token or the dashboard's session cookie
+    app.use(authenticate({ authService, apiKeyService }));
 
+    // Logs and audit entries from here on carry the request ID and user
+    app.use(requestContext);
 
+    /**
+     * Route Handlers
+     */
 
-/**
- * Error Handling
- * 
- * 
- */
-app.use((err, req, res, next) => {
-  // Log error details to console for debugging
-  console.error(err.stack);
-  
-  // Send error response to client
-  res.status(500).json({
-    error: 'Something went wrong!',
-    // Only show detailed error messages in development for security
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
-  });
-});
+    // Home Route
+    app.get('/', (req, res) => {
+        res.json({
+            message: "Deal Monitor API",
+            version: '1.0.0',
+            endpoints: {
+                api: '/api/',
+                apiKeys: '/api/api-keys',
+                audit: '/api/audit',
+                auth: '/api/auth',
+                dashboard: '/dashboard',
+                emailRecipients: '/api/email-recipients',
+                feeds: '/feeds',
+                keywords: '/api/keywords',
+                notifications: '/api/notifications',
+                posts: '/api/posts',
+                products: '/api/products',
+                retention: '/api/retention',
+                stream: '/api/stream',
+                subreddits: '/api/subreddits',
+                users: '/api/users',
+                watchlist: '/api/watchlist',
+                webhooks: '/api/webhooks'
+            }
+        })
+    });
+
+    // Every API request counts against its caller's rate limit
+    app.use('/api', rateLimits.api);
+
+    // Login and account routes, reachable without a token
+    app.use('/api/auth', scoped('authRouter'));
+
+    // API Routes; every other API route needs a login
+    app.use('/api', requireUser);
+    app.use('/api/api-keys', requireAdmin, scoped('apiKeysRouter'));
+    app.use('/api/audit', scoped('auditRouter'));
+    app.use('/api/email-recipients', scoped('emailRecipientsRouter'));
+    app.use('/api/keywords', scoped('keywordsRouter'));
+    app.use('/api/notifications', scoped('notificationsRouter'));
+    app.use('/api/posts', scoped('postsRouter'));
+    app.use('/api/products', scoped('productsRouter'));
+    app.use('/api/stream', scoped('streamRouter'));
+    app.use('/api/retention', requireAdmin, scoped('retentionRouter'));
+    app.use('/api/subreddits', scoped('subredditsRouter'));
+    app.use('/api/users', requireAdmin, scoped('usersRouter'));
+    app.use('/api/watchlist', scoped('watchlistRouter'));
+    app.use('/api/webhooks', scoped('webhooksRouter'));
+
+    // Dashboard
+    app.use('/dashboard', scoped('dashboardRouter'));
+
+    // Atom and RSS feeds; readers may log in with a feed token in the URL
+    app.use('/feeds', scoped('feedsRouter'));
+
+    // Health Check Route
+    app.get('/health', (req, res) => {
+        res.json({
+            status: 'OK',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            environment: config.env
+        });
+    });
+
+    // 404 Route
+    app.use((req, res) => {
+        res.status(404).json({
+            error: 'Route not found',
+            path: req.originalUrl
+        });
+    });
+
+    /**
+     * Error Handling
+     */
+    app.use((err, req, res, next) => {
+        // Expected errors (validation, not found, conflicts) carry their own status
+        if (err instanceof HttpError) {
+            return res.status(err.status).json(err.toJSON());
+        }
+
+        // Malformed request bodies rejected by the body parsers
+        if (err.type === 'entity.parse.failed') {
+            return res.status(400).json({ error: 'Malformed request body' });
+        }
+
+        // Log the error with its cause chain, under the request's ID
+        logger.error('Unhandled request error', {
+            requestId: req.id,
+            method: req.method,
+            path: redactUrl(req.originalUrl),
+            error: errorDetails(err)
+        });
+
+        // Send error response to client
+        res.status(500).json({
+            error: 'Something went wrong!',
+            // Only show detailed error messages in development for security
+            message: config.env === 'development' ? err.message : 'Internal server error',
+            // Matches the logged error, for bug reports
+            requestId: req.id
+        });
+    });
+
+    return app;
+}
 
 
 
@@ -107,11 +241,44 @@ app.use((err, req, res, next) => {
  * 
  * 
  */
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+
+/**
+ * Listen for requests and start the background work
+ * @param {import('awilix').AwilixContainer} container - Container from createContainer
+ * @returns {import('http').Server} Server
+ */
+function startServer(container) {
+    const app = createApp(container);
+    const { config, logger, poller, emailNotifier, webhookNotifier, retentionService } = container.cradle;
+
+    return app.listen(config.port, () => {
+        logger.info(`Server running on http://localhost:${config.port}`, {
+            healthCheck: `http://localhost:${config.port}/health`,
+            environment: config.env
+        });
+
+        // Begin ingesting posts from watched subreddits, sending due digests and webhook retries, and pruning old posts
+        if (config.env !== 'test') {
+            poller.start();
+            emailNotifier.start();
+            webhookNotifier.start();
+            if (config.retention.enabled) {
+                retentionService.start();
+            }
+        }
+    });
+}
+
+// Run the server when started directly; a bad environment stops it before anything starts
+if (require.main === module) {
+    try {
+        startServer(createContainer(loadConfig()));
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        console.error(error.message);
+        process.exit(1);
+    }
+}
 
 
 
@@ -120,4 +287,7 @@ app.listen(PORT, () => {
  * 
  * 
  */
-module.exports = app; 
\ No newline at end of file
+module.exports = {
+    createApp,
+    startServer
+};
@@ -0,0 +1,54 @@
+const { readOverrideTable } = require('./overrides');
+
+/**
+ * Default category alias table
+ * Maps each normalized category to the bracket tags deal posts use for it.
+ * Extend or override it with a JSON file of the same shape at
+ * CATEGORY_ALIASES_PATH, e.g. { "gpu": ["gfx"], "vr": ["vr headset"] }.
+ */
+const DEFAULT_ALIASES = {
+    gpu: ['gpu', 'video card', 'graphics card', 'graphics', 'vga'],
+    cpu: ['cpu', 'processor', 'apu'],
+    motherboard: ['motherboard', 'mobo', 'mb'],
+    ram: ['ram', 'memory', 'ddr4', 'ddr5'],
+    ssd: ['ssd', 'nvme', 'm.2', 'solid state drive'],
+    hdd: ['hdd', 'hard drive', 'nas drive'],
+    psu: ['psu', 'power supply'],
+    case: ['case', 'chassis'],
+    cooler: ['cooler', 'cpu cooler', 'aio', 'cooling', 'fan', 'fans'],
+    monitor: ['monitor', 'display', 'screen'],
+    keyboard: ['keyboard', 'keyboards'],
+    mouse: ['mouse', 'mice'],
+    headphones: ['headphones', 'headset', 'headphone', 'earbuds', 'audio'],
+    laptop: ['laptop', 'notebook'],
+    prebuilt: ['prebuilt', 'pre-built', 'desktop', 'prebuilt pc'],
+    controller: ['controller', 'gamepad'],
+    networking: ['networking', 'router', 'wifi', 'switch', 'nic'],
+    game: ['game', 'games', 'pc game', 'steam'],
+    bundle: ['bundle', 'combo'],
+    other: ['other', 'misc', 'meta']
+};
+
+/**
+ * Load the alias table, merging any overrides
+ * @param {string|null} overridePath - Override file, config.categories.aliasesPath
+ * @returns {Object<string, string[]>} Category to alias list
+ * @throws {import('./environment').ConfigError} When the override file is missing or malformed
+ */
+function loadCategoryAliases(overridePath = null) {
+    const aliases = { ...DEFAULT_ALIASES };
+
+    if (overridePath) {
+        const overrides = readOverrideTable('CATEGORY_ALIASES_PATH', overridePath);
+        for (const [category, list] of Object.entries(overrides)) {
+            aliases[category] = [...new Set([...(aliases[category] || []), ...list])];
+        }
+    }
+
+    return aliases;
+}
+
+module.exports = {
+    DEFAULT_ALIASES,
+    loadCategoryAliases
+};
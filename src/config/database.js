@@ -1,7 +1,21 @@
 const knex = require('knex');
 const knexConfig = require('../../knexfile');
 
-const environment = process.env.NODE_ENV || 'development';
-const db = knex(knexConfig[environment]);
+/**
+ * Open the database connection
+ * Uses the knexfile settings for the environment, pointed at config.database.path.
+ * @param {Object} config - Application config from config/environment
+ * @returns {import('knex').Knex} Database connection
+ */
+function createDatabase(config) {
+    const settings = knexConfig[config.env];
 
-module.exports = db;
\ No newline at end of file
+    return knex({
+        ...settings,
+        connection: { ...settings.connection, filename: config.database.path }
+    });
+}
+
+module.exports = {
+    createDatabase
+};
@@ -0,0 +1,213 @@
+const path = require('path');
+const Joi = require('joi');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Whole numbers of at least 1, and of at least 0 where 0 means "forever"
+const positive = () => Joi.number().integer().min(1);
+const nonNegative = () => Joi.number().integer().min(0);
+
+/**
+ * Schema for the environment variables DealMonitor reads
+ * Every variable is optional; defaults match .env.example.
+ */
+const environmentSchema = Joi.object({
+    // Server
+    NODE_ENV: Joi.string().valid('development', 'test', 'production').default('development'),
+    PORT: Joi.number().port().default(3000),
+    LOG_LEVEL: Joi.string().valid('error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly').default('info'),
+    // Proxies in front of the app: true, false or how many hops to trust for the client IP
+    TRUST_PROXY: Joi.alternatives(Joi.boolean(), Joi.number().integer().min(0)).default(false),
+
+    // Database; tests default to an in-memory database
+    DATABASE_PATH: Joi.string().when('NODE_ENV', {
+        is: 'test',
+        then: Joi.string().default(':memory:'),
+        otherwise: Joi.string().default('./data/app.db')
+    }),
+
+    // Accounts
+    AUTH_TOKEN_TTL_HOURS: positive().default(720),
+    ALLOW_REGISTRATION: Joi.boolean().default(false),
+
+    // Rate limits, per API key, logged-in user or anonymous IP address
+    RATE_LIMIT_WINDOW_MS: positive().default(60000),
+    RATE_LIMIT_MAX: positive().default(120),
+    RATE_LIMIT_ANONYMOUS_MAX: positive().default(20),
+    RATE_LIMIT_SEARCH_MAX: positive().default(30),
+    RATE_LIMIT_STATS_MAX: positive().default(10),
+
+    // Reddit ingestion
+    REDDIT_BASE_URL: Joi.string().uri({ scheme: ['http', 'https'] }).default('https://www.reddit.com'),
+    REDDIT_USER_AGENT: Joi.string().default('DealMonitor/1.0.0'),
+    POLL_INTERVAL_MS: positive().default(60000),
+    DUPLICATE_WINDOW_HOURS: positive().default(48),
+
+    // Links; a JSON file of extra retailer domains, see config/retailers
+    LINK_RESOLVE_SHORTENERS: Joi.boolean().default(false),
+    LINK_SHORTENERS: Joi.string().pattern(/^[\w.-]+(\s*,\s*[\w.-]+)*$/).messages({
+        'string.pattern.base': 'must be a comma-separated list of hosts'
+    }),
+    LINK_RESOLVE_TIMEOUT_MS: positive().default(5000),
+    RETAILER_DOMAINS_PATH: Joi.string(),
+
+    // Price history; a drop from the last sighting of at least this many percent flags a post
+    PRICE_DROP_PERCENT: Joi.number().greater(0).max(100).default(10),
+
+    // Retention
+    RETENTION_ENABLED: Joi.boolean().default(false),
+    RETENTION_DAYS: nonNegative().default(30),
+    RETENTION_MATCHED_DAYS: nonNegative().default(180),
+    RETENTION_STARRED_DAYS: nonNegative().default(0),
+    RETENTION_MODE: Joi.string().valid('archive', 'export', 'delete').default('archive'),
+    RETENTION_EXPORT_DIR: Joi.string().default('./data/archive'),
+    RETENTION_INTERVAL_HOURS: positive().default(24),
+
+    // Categories; a JSON file of extra aliases, see config/categories
+    CATEGORY_ALIASES_PATH: Joi.string(),
+
+    // Webhook notifications
+    WEBHOOK_MAX_ATTEMPTS: positive().default(5),
+    WEBHOOK_RETRY_BASE_MS: positive().default(1000),
+    WEBHOOK_TIMEOUT_MS: positive().default(10000),
+    WEBHOOK_RETRY_INTERVAL_MS: positive().default(5000),
+    WEBHOOK_ALLOW_PRIVATE_TARGETS: Joi.boolean().default(false),
+
+    // Email notifications
+    SMTP_HOST: Joi.string().hostname().default('localhost'),
+    SMTP_PORT: Joi.number().port().default(587),
+    SMTP_SECURE: Joi.boolean().default(false),
+    SMTP_USER: Joi.string(),
+    SMTP_PASS: Joi.string(),
+    EMAIL_FROM: Joi.string().default('DealMonitor <dealmonitor@localhost>'),
+    EMAIL_DIGEST_INTERVAL_MS: positive().default(60000),
+    EMAIL_MAX_ATTEMPTS: positive().default(5),
+
+    // Atom and RSS feeds
+    FEED_ENTRY_LIMIT: positive().max(500).default(50),
+
+    // Live event stream
+    STREAM_BUFFER_SIZE: positive().default(1000),
+    STREAM_HEARTBEAT_MS: positive().default(15000)
+}).unknown(true);
+
+/**
+ * Thrown when environment variables are invalid; lists every bad variable
+ */
+class ConfigError extends Error {
+    /**
+     * @param {{variable: string, message: string}[]} problems - Invalid variables
+     */
+    constructor(problems) {
+        super([
+            'Invalid environment configuration:',
+            ...problems.map(problem => `  - ${problem.variable}: ${problem.message}`)
+        ].join('\n'));
+        this.name = this.constructor.name;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Validate the environment and build the application config
+ * Empty variables count as unset, so blank lines copied from .env.example take their defaults.
+ * @param {Object} env - Environment variables
+ * @returns {Object} Config, grouped by the part of the app that uses it
+ * @throws {ConfigError} When any variable is invalid
+ */
+function loadConfig(env = process.env) {
+    const values = Object.fromEntries(
+        Object.entries(env).filter(([, value]) => value !== undefined && value !== '')
+    );
+
+    const { value: vars, error } = environmentSchema.validate(values, { abortEarly: false });
+    if (error) {
+        throw new ConfigError(error.details.map(detail => ({
+            variable: detail.path.join('.'),
+            message: detail.message.replace(/^"[^"]*" /, '')
+        })));
+    }
+
+    return {
+        env: vars.NODE_ENV,
+        port: vars.PORT,
+        logLevel: vars.LOG_LEVEL,
+        trustProxy: vars.TRUST_PROXY,
+        database: {
+            path: vars.DATABASE_PATH
+        },
+        auth: {
+            tokenTtlMs: vars.AUTH_TOKEN_TTL_HOURS * HOUR_MS,
+            allowRegistration: vars.ALLOW_REGISTRATION
+        },
+        rateLimit: {
+            windowMs: vars.RATE_LIMIT_WINDOW_MS,
+            max: vars.RATE_LIMIT_MAX,
+            anonymousMax: vars.RATE_LIMIT_ANONYMOUS_MAX,
+            searchMax: vars.RATE_LIMIT_SEARCH_MAX,
+            statsMax: vars.RATE_LIMIT_STATS_MAX
+        },
+        reddit: {
+            baseUrl: vars.REDDIT_BASE_URL,
+            userAgent: vars.REDDIT_USER_AGENT
+        },
+        poll: {
+            intervalMs: vars.POLL_INTERVAL_MS,
+            duplicateWindowMs: vars.DUPLICATE_WINDOW_HOURS * HOUR_MS
+        },
+        links: {
+            resolveShorteners: vars.LINK_RESOLVE_SHORTENERS,
+            shorteners: vars.LINK_SHORTENERS ? vars.LINK_SHORTENERS.split(',').map(host => host.trim()) : [],
+            timeoutMs: vars.LINK_RESOLVE_TIMEOUT_MS,
+            retailerDomainsPath: vars.RETAILER_DOMAINS_PATH || null
+        },
+        categories: {
+            aliasesPath: vars.CATEGORY_ALIASES_PATH || null
+        },
+        prices: {
+            dropPercent: vars.PRICE_DROP_PERCENT
+        },
+        retention: {
+            enabled: vars.RETENTION_ENABLED,
+            intervalMs: vars.RETENTION_INTERVAL_HOURS * HOUR_MS,
+            policy: {
+                days: vars.RETENTION_DAYS,
+                matchedDays: vars.RETENTION_MATCHED_DAYS,
+                starredDays: vars.RETENTION_STARRED_DAYS,
+                mode: vars.RETENTION_MODE,
+                exportDir: path.resolve(vars.RETENTION_EXPORT_DIR)
+            }
+        },
+        webhooks: {
+            maxAttempts: vars.WEBHOOK_MAX_ATTEMPTS,
+            baseDelayMs: vars.WEBHOOK_RETRY_BASE_MS,
+            timeoutMs: vars.WEBHOOK_TIMEOUT_MS,
+            intervalMs: vars.WEBHOOK_RETRY_INTERVAL_MS,
+            allowPrivateTargets: vars.WEBHOOK_ALLOW_PRIVATE_TARGETS
+        },
+        email: {
+            from: vars.EMAIL_FROM,
+            intervalMs: vars.EMAIL_DIGEST_INTERVAL_MS,
+            maxAttempts: vars.EMAIL_MAX_ATTEMPTS,
+            smtp: {
+                host: vars.SMTP_HOST,
+                port: vars.SMTP_PORT,
+                secure: vars.SMTP_SECURE,
+                user: vars.SMTP_USER || null,
+                pass: vars.SMTP_PASS || null
+            }
+        },
+        feeds: {
+            entryLimit: vars.FEED_ENTRY_LIMIT
+        },
+        stream: {
+            bufferSize: vars.STREAM_BUFFER_SIZE,
+            heartbeatMs: vars.STREAM_HEARTBEAT_MS
+        }
+    };
+}
+
+module.exports = {
+    ConfigError,
+    loadConfig
+};
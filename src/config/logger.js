@@ -0,0 +1,29 @@
+const winston = require('winston');
+const { currentContext } = require('../utils/context');
+
+/**
+ * Add the current request or poll cycle's correlation fields to each entry
+ */
+const correlation = winston.format(info => Object.assign(info, { ...currentContext(), ...info }));
+
+/**
+ * Create the application logger
+ * Writes one JSON object per line to stdout, at config.logLevel and above.
+ * @param {Object} config - Application config from config/environment
+ * @returns {import('winston').Logger} Logger
+ */
+function createLogger(config) {
+    return winston.createLogger({
+        level: config.logLevel,
+        format: winston.format.combine(
+            correlation(),
+            winston.format.timestamp(),
+            winston.format.json()
+        ),
+        transports: [new winston.transports.Console()]
+    });
+}
+
+module.exports = {
+    createLogger
+};
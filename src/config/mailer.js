@@ -0,0 +1,20 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Create the SMTP transport used for email notifications
+ * Point SMTP_HOST and SMTP_PORT at a local SMTP sink to capture mail in development and tests.
+ * @param {Object} smtp - SMTP settings, config.email.smtp
+ * @returns {import('nodemailer').Transporter} Transport
+ */
+function createMailTransport(smtp) {
+    return nodemailer.createTransport({
+        host: smtp.host,
+        port: smtp.port,
+        secure: smtp.secure,
+        auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+    });
+}
+
+module.exports = {
+    createMailTransport
+};
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const Joi = require('joi');
+const { ConfigError } = require('./environment');
+
+/**
+ * Shape of an override file: an object of names to lists of strings
+ */
+const tableSchema = Joi.object().pattern(Joi.string(), Joi.array().items(Joi.string().trim().min(1)));
+
+/**
+ * Read a JSON table of overrides, such as the category aliases or retailer domains
+ * @param {string} variable - Environment variable the path came from, named in errors
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Object<string, string[]>} Name to list
+ * @throws {ConfigError} When the file can't be read, isn't JSON or isn't a table of string lists
+ */
+function readOverrideTable(variable, filePath) {
+    let table;
+    try {
+        table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([{ variable, message: `cannot read ${filePath}: ${error.message}` }]);
+    }
+
+    const { value, error } = tableSchema.validate(table);
+    if (error) {
+        throw new ConfigError([{ variable, message: `${filePath} must map names to lists of strings: ${error.message}` }]);
+    }
+    return value;
+}
+
+module.exports = {
+    readOverrideTable
+};
@@ -0,0 +1,69 @@
+const { readOverrideTable } = require('./overrides');
+
+/**
+ * Default retailer domain table
+ * Maps each retailer to the domains its links use; subdomains such as
+ * smile.amazon.com count as the domain. Extend or override it with a JSON
+ * file of the same shape at RETAILER_DOMAINS_PATH, e.g.
+ * { "amazon": ["amazon.com.mx"], "framework": ["frame.work"] }.
+ */
+const DEFAULT_DOMAINS = {
+    amazon: [
+        'amazon.com', 'amazon.ca', 'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.it', 'amazon.es',
+        'amazon.nl', 'amazon.se', 'amazon.pl', 'amazon.com.au', 'amazon.co.jp', 'amazon.in'
+    ],
+    newegg: ['newegg.com', 'newegg.ca'],
+    bestbuy: ['bestbuy.com', 'bestbuy.ca'],
+    walmart: ['walmart.com', 'walmart.ca'],
+    target: ['target.com'],
+    costco: ['costco.com', 'costco.ca'],
+    microcenter: ['microcenter.com'],
+    bhphotovideo: ['bhphotovideo.com'],
+    adorama: ['adorama.com'],
+    ebay: ['ebay.com', 'ebay.ca', 'ebay.co.uk', 'ebay.de'],
+    aliexpress: ['aliexpress.com', 'aliexpress.us'],
+    dell: ['dell.com'],
+    lenovo: ['lenovo.com'],
+    hp: ['hp.com'],
+    apple: ['apple.com'],
+    samsung: ['samsung.com'],
+    woot: ['woot.com'],
+    gamestop: ['gamestop.com'],
+    staples: ['staples.com', 'staples.ca'],
+    officedepot: ['officedepot.com'],
+    homedepot: ['homedepot.com'],
+    canadacomputers: ['canadacomputers.com'],
+    memoryexpress: ['memoryexpress.com'],
+    scan: ['scan.co.uk'],
+    overclockers: ['overclockers.co.uk'],
+    steam: ['store.steampowered.com'],
+    gog: ['gog.com'],
+    humble: ['humblebundle.com'],
+    fanatical: ['fanatical.com'],
+    epicgames: ['store.epicgames.com', 'epicgames.com'],
+    greenmangaming: ['greenmangaming.com']
+};
+
+/**
+ * Load the domain table, merging any overrides
+ * @param {string|null} overridePath - Override file, config.links.retailerDomainsPath
+ * @returns {Object<string, string[]>} Retailer to domain list
+ * @throws {import('./environment').ConfigError} When the override file is missing or malformed
+ */
+function loadRetailerDomains(overridePath = null) {
+    const domains = { ...DEFAULT_DOMAINS };
+
+    if (overridePath) {
+        const overrides = readOverrideTable('RETAILER_DOMAINS_PATH', overridePath);
+        for (const [retailer, list] of Object.entries(overrides)) {
+            domains[retailer] = [...new Set([...(domains[retailer] || []), ...list])];
+        }
+    }
+
+    return domains;
+}
+
+module.exports = {
+    DEFAULT_DOMAINS,
+    loadRetailerDomains
+};
@@ -0,0 +1,336 @@
+const { createContainer: createAwilixContainer, asFunction, asValue, InjectionMode, Lifetime } = require('awilix');
+const { createDatabase } = require('./config/database');
+const { createLogger } = require('./config/logger');
+const { errorDetails } = require('./utils/errors');
+const { createMailTransport } = require('./config/mailer');
+const { createRateLimits } = require('./middleware/rateLimit');
+const { loadCategoryAliases } = require('./config/categories');
+const { loadRetailerDomains } = require('./config/retailers');
+const { CategoryParser } = require('./utils/categoryParser');
+const { RetailerParser } = require('./utils/retailerParser');
+
+// Repositories
+const ApiKeyRepository = require('./repositories/ApiKeyRepository');
+const ArchivedPostRepository = require('./repositories/ArchivedPostRepository');
+const AuditLogRepository = require('./repositories/AuditLogRepository');
+const AuthTokenRepository = require('./repositories/AuthTokenRepository');
+const EmailDigestRepository = require('./repositories/EmailDigestRepository');
+const EmailRecipientRepository = require('./repositories/EmailRecipientRepository');
+const FeedTokenRepository = require('./repositories/FeedTokenRepository');
+const KeywordRepository = require('./repositories/KeywordRepository');
+const KeywordSubredditRepository = require('./repositories/KeywordSubredditRepository');
+const NotificationDeliveryRepository = require('./repositories/NotificationDeliveryRepository');
+const PostRepository = require('./repositories/PostRepository');
+const PostKeywordMatchRepository = require('./repositories/PostKeywordMatchRepository');
+const PostStarRepository = require('./repositories/PostStarRepository');
+const PriceHistoryRepository = require('./repositories/PriceHistoryRepository');
+const ProductRepository = require('./repositories/ProductRepository');
+const SubredditRepository = require('./repositories/SubredditRepository');
+const SubredditCheckpointRepository = require('./repositories/SubredditCheckpointRepository');
+const SubredditSubscriptionRepository = require('./repositories/SubredditSubscriptionRepository');
+const UserRepository = require('./repositories/UserRepository');
+const WebhookRepository = require('./repositories/WebhookRepository');
+
+// Services
+const ApiKeyService = require('./services/ApiKeyService');
+const AuditTrail = require('./services/AuditTrail');
+const AuthService = require('./services/AuthService');
+const DuplicateDetector = require('./services/DuplicateDetector');
+const EmailNotifier = require('./services/EmailNotifier');
+const EventStream = require('./services/EventStream');
+const FeedService = require('./services/FeedService');
+const KeywordMatcher = require('./services/KeywordMatcher');
+const KeywordService = require('./services/KeywordService');
+const LinkResolver = require('./services/LinkResolver');
+const PriceTracker = require('./services/PriceTracker');
+const RedditClient = require('./services/RedditClient');
+const RedditPoller = require('./services/RedditPoller');
+const RetentionService = require('./services/RetentionService');
+const SubredditService = require('./services/SubredditService');
+const WatchlistService = require('./services/WatchlistService');
+const WebhookNotifier = require('./services/WebhookNotifier');
+
+// Routers
+const createApiKeysRouter = require('./routes/apiKeys');
+const createAuditRouter = require('./routes/audit');
+const createAuthRouter = require('./routes/auth');
+const createDashboardRouter = require('./routes/dashboard');
+const createEmailRecipientsRouter = require('./routes/emailRecipients');
+const createFeedsRouter = require('./routes/feeds');
+const createKeywordsRouter = require('./routes/keywords');
+const createNotificationsRouter = require('./routes/notifications');
+const createPostsRouter = require('./routes/posts');
+const createProductsRouter = require('./routes/products');
+const createRetentionRouter = require('./routes/retention');
+const createStreamRouter = require('./routes/stream');
+const createSubredditsRouter = require('./routes/subreddits');
+const createUsersRouter = require('./routes/users');
+const createWatchlistRouter = require('./routes/watchlist');
+const createWebhooksRouter = require('./routes/webhooks');
+
+/**
+ * Register a repository, built per scope on the scope's database
+ * @param {Function} Repository - Repository class taking the database connection
+ * @returns {import('awilix').Resolver} Resolver
+ */
+function repository(Repository) {
+    return asFunction(({ db }) => new Repository(db)).scoped();
+}
+
+/**
+ * Build the dependency container for the whole app
+ *
+ * Everything is registered under the name the code that uses it expects, so
+ * routers are resolved with the container as their deps object. Services,
+ * the logger, the database and the Reddit and SMTP clients are singletons; repositories
+ * and routers are built per request scope. Tests can register replacements,
+ * such as an in-memory database or a fake redditClient, before the app is
+ * created, or on a request's scope (`req.scope`) to change that request's
+ * repositories and routers only.
+ * @param {Object} config - Application config from config/environment
+ * @returns {import('awilix').AwilixContainer} Container
+ */
+function createContainer(config) {
+    const container = createAwilixContainer({ injectionMode: InjectionMode.PROXY });
+
+    container.register({
+        config: asValue(config),
+
+        // Infrastructure
+        logger: asFunction(({ config }) => createLogger(config)).singleton(),
+        db: asFunction(({ config }) => createDatabase(config))
+            .singleton()
+            .disposer(db => db.destroy()),
+        redditClient: asFunction(({ config }) => new RedditClient(config.reddit)).singleton(),
+        mailTransport: asFunction(({ config }) => createMailTransport(config.email.smtp)).singleton(),
+
+        // Each container has its own category and retailer parser, over the tables from its config
+        categoryParser: asFunction(({ config }) => new CategoryParser(loadCategoryAliases(config.categories.aliasesPath)))
+            .singleton(),
+        retailerParser: asFunction(({ config }) => new RetailerParser(loadRetailerDomains(config.links.retailerDomainsPath)))
+            .singleton(),
+
+        // Rate limiters keep their counts in memory, so there is one set for the app
+        rateLimits: asFunction(({ config }) => createRateLimits(config.rateLimit)).singleton(),
+
+        // Repositories
+        apiKeyRepository: repository(ApiKeyRepository),
+        archivedPostRepository: repository(ArchivedPostRepository),
+        auditLogRepository: repository(AuditLogRepository),
+        checkpointRepository: repository(SubredditCheckpointRepository),
+        deliveryRepository: repository(NotificationDeliveryRepository),
+        digestRepository: repository(EmailDigestRepository),
+        feedTokenRepository: repository(FeedTokenRepository),
+        keywordRepository: repository(KeywordRepository),
+        keywordSubredditRepository: repository(KeywordSubredditRepository),
+        matchRepository: repository(PostKeywordMatchRepository),
+        // Posts are stored with the container's parsers
+        postRepository: asFunction(({ db, categoryParser, retailerParser }) => new PostRepository(db, {
+            categoryParser,
+            retailerParser
+        })).scoped(),
+        postStarRepository: repository(PostStarRepository),
+        priceHistoryRepository: repository(PriceHistoryRepository),
+        productRepository: repository(ProductRepository),
+        recipientRepository: repository(EmailRecipientRepository),
+        subredditRepository: repository(SubredditRepository),
+        subscriptionRepository: repository(SubredditSubscriptionRepository),
+        tokenRepository: repository(AuthTokenRepository),
+        userRepository: repository(UserRepository),
+        webhookRepository: repository(WebhookRepository),
+
+        // Services
+        apiKeyService: asFunction(({ apiKeyRepository, userRepository }) => new ApiKeyService({
+            apiKeyRepository,
+            userRepository
+        })).singleton(),
+
+        auditTrail: asFunction(({ auditLogRepository }) => new AuditTrail({ auditLogRepository })).singleton(),
+
+        authService: asFunction(({ config, db, userRepository, tokenRepository }) => new AuthService({
+            db,
+            userRepository,
+            tokenRepository,
+            tokenTtlMs: config.auth.tokenTtlMs,
+            allowRegistration: config.auth.allowRegistration
+        })).singleton(),
+
+        // Crossposts and reposts within the window are grouped with the first post of the deal
+        duplicateDetector: asFunction(({ config, postRepository }) => new DuplicateDetector({
+            postRepository,
+            windowMs: config.poll.duplicateWindowMs
+        })).singleton(),
+
+        emailNotifier: asFunction(({ config, logger, recipientRepository, digestRepository, mailTransport }) => new EmailNotifier({
+            recipientRepository,
+            digestRepository,
+            transport: mailTransport,
+            from: config.email.from,
+            intervalMs: config.email.intervalMs,
+            maxAttempts: config.email.maxAttempts,
+            logger
+        })).singleton(),
+
+        eventStream: asFunction(({ config }) => new EventStream(config.stream)).singleton(),
+
+        feedService: asFunction(({ config, feedTokenRepository, userRepository, keywordRepository, subredditRepository, postRepository }) => new FeedService({
+            feedTokenRepository,
+            userRepository,
+            keywordRepository,
+            subredditRepository,
+            postRepository,
+            redditBaseUrl: config.reddit.baseUrl,
+            entryLimit: config.feeds.entryLimit
+        })).singleton(),
+
+        keywordMatcher: asFunction(({ keywordRepository, postRepository, matchRepository }) => new KeywordMatcher({
+            keywordRepository,
+            postRepository,
+            matchRepository
+        })).singleton(),
+
+        keywordService: asFunction(({ keywordRepository, keywordSubredditRepository, keywordMatcher, auditTrail }) => new KeywordService({
+            keywordRepository,
+            keywordSubredditRepository,
+            keywordMatcher,
+            auditTrail
+        })).singleton(),
+
+        linkResolver: asFunction(({ config, logger }) => new LinkResolver({
+            enabled: config.links.resolveShorteners,
+            shorteners: config.links.shorteners,
+            userAgent: config.reddit.userAgent,
+            timeoutMs: config.links.timeoutMs,
+            logger
+        })).singleton(),
+
+        poller: asFunction(({ config, logger, db, subredditRepository, checkpointRepository, redditClient, linkResolver, duplicateDetector, priceTracker, categoryParser, retailerParser }) => new RedditPoller({
+            db,
+            subredditRepository,
+            checkpointRepository,
+            redditClient,
+            linkResolver,
+            duplicateDetector,
+            priceTracker,
+            categoryParser,
+            retailerParser,
+            intervalMs: config.poll.intervalMs,
+            logger
+        })).singleton(),
+
+        priceTracker: asFunction(({ config, db }) => new PriceTracker({
+            db,
+            dropPercent: config.prices.dropPercent
+        })).singleton(),
+
+        retentionService: asFunction(({ config, logger, db, postRepository }) => new RetentionService({
+            db,
+            postRepository,
+            policy: config.retention.policy,
+            intervalMs: config.retention.intervalMs,
+            logger
+        })).singleton(),
+
+        subredditService: asFunction(({ subredditRepository, subscriptionRepository, keywordSubredditRepository, auditTrail }) => new SubredditService({
+            subredditRepository,
+            subscriptionRepository,
+            keywordSubredditRepository,
+            auditTrail
+        })).singleton(),
+
+        watchlistService: asFunction(({ db, keywordRepository, subredditRepository, keywordMatcher, categoryParser }) => new WatchlistService({
+            db,
+            keywordRepository,
+            subredditRepository,
+            keywordMatcher,
+            categoryParser
+        })).singleton(),
+
+        webhookNotifier: asFunction(({ config, logger, webhookRepository, deliveryRepository }) => new WebhookNotifier({
+            webhookRepository,
+            deliveryRepository,
+            ...config.webhooks,
+            logger
+        })).singleton(),
+
+        // Routers
+        apiKeysRouter: asFunction(createApiKeysRouter).scoped(),
+        auditRouter: asFunction(createAuditRouter).scoped(),
+        authRouter: asFunction(createAuthRouter).scoped(),
+        dashboardRouter: asFunction(createDashboardRouter).scoped(),
+        emailRecipientsRouter: asFunction(createEmailRecipientsRouter).scoped(),
+        feedsRouter: asFunction(createFeedsRouter).scoped(),
+        keywordsRouter: asFunction(createKeywordsRouter).scoped(),
+        notificationsRouter: asFunction(createNotificationsRouter).scoped(),
+        postsRouter: asFunction(createPostsRouter).scoped(),
+        productsRouter: asFunction(createProductsRouter).scoped(),
+        retentionRouter: asFunction(({ config, retentionService, archivedPostRepository }) => createRetentionRouter({
+            retentionService,
+            archivedPostRepository,
+            scheduled: config.retention.enabled
+        })).scoped(),
+        streamRouter: asFunction(createStreamRouter).scoped(),
+        subredditsRouter: asFunction(createSubredditsRouter).scoped(),
+        usersRouter: asFunction(createUsersRouter).scoped(),
+        watchlistRouter: asFunction(createWatchlistRouter).scoped(),
+        webhooksRouter: asFunction(createWebhooksRouter).scoped()
+    });
+
+    return container;
+}
+
+/**
+ * Build every singleton and connect the services that react to each other's events
+ * Singletons are built here, from the root container, so none is first built
+ * inside a request scope and keeps that request's registrations. New posts
+ * are matched against keywords, and matches are sent to webhooks, email and
+ * the live event stream.
+ * @param {import('awilix').AwilixContainer} container - Container from createContainer
+ */
+function initializeServices(container) {
+    for (const [name, registration] of Object.entries(container.registrations)) {
+        if (registration.lifetime === Lifetime.SINGLETON) {
+            container.resolve(name);
+        }
+    }
+
+    const { logger, poller, keywordMatcher, webhookNotifier, emailNotifier, eventStream } = container.cradle;
+
+    poller.on('post', (post, context) => {
+        keywordMatcher.matchPost(post, context).catch(error => {
+            logger.error('Failed to match post', { postId: post.id, error: errorDetails(error) });
+        });
+    });
+
+    keywordMatcher.on('match', event => {
+        webhookNotifier.notify(event).catch(error => {
+            logger.error('Failed to notify webhooks', { postId: event.post.id, error: errorDetails(error) });
+        });
+    });
+
+    keywordMatcher.on('match', event => {
+        emailNotifier.notify(event).catch(error => {
+            logger.error('Failed to queue email', { postId: event.post.id, error: errorDetails(error) });
+        });
+    });
+
+    // Live events for Server-Sent Events clients
+    poller.on('post', (post, { subreddit }) => {
+        eventStream.publish('post', { post: post.toJSON(), subreddit }, { subreddit });
+    });
+
+    keywordMatcher.on('match', ({ post, keyword, matches, context }) => {
+        const subreddit = context.subreddit || null;
+        eventStream.publish('match', {
+            post: post.toJSON(),
+            keyword: keyword.toJSON(),
+            matches,
+            subreddit
+        }, { keywordId: keyword.id, subreddit, ownerId: keyword.userId });
+    });
+}
+
+module.exports = {
+    createContainer,
+    initializeServices
+};
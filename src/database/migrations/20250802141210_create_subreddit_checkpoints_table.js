@@ -0,0 +1,35 @@
+/**
+ * Per-subreddit polling checkpoint migration
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+    return knex.schema.createTable('subreddit_checkpoints', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // One checkpoint per subreddit, removed along with the subreddit
+        table.integer('subreddit_id').unsigned().notNullable()
+            .references('id').inTable('subreddits').onDelete('CASCADE');
+
+        // Fullname (e.g. t3_abc123) of the newest post ingested so far
+        table.string('last_fullname', 20).notNullable();
+
+        // Reddit creation time of that post, in seconds since the epoch
+        table.integer('last_created_utc').notNullable();
+
+        // Timestamps for tracking when records are created/updated
+        table.timestamps(true, true);
+
+        // Unique constraint to keep a single checkpoint per subreddit
+        table.unique(['subreddit_id']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+    return knex.schema.dropTable('subreddit_checkpoints');
+};
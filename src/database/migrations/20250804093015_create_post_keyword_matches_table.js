@@ -0,0 +1,44 @@
+/**
+ * Post/keyword match migration
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+    return knex.schema.createTable('post_keyword_matches', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // Matched post and keyword, removed along with either side
+        table.integer('post_id').unsigned().notNullable()
+            .references('id').inTable('posts').onDelete('CASCADE');
+        table.integer('keyword_id').unsigned().notNullable()
+            .references('id').inTable('keywords').onDelete('CASCADE');
+
+        // Which part of the post matched: title, description or link
+        table.string('field', 20).notNullable();
+
+        // Character offset of the match within the field
+        table.integer('position').notNullable();
+
+        // Index into the post's links when field is link
+        table.integer('link_index').nullable();
+
+        // Text that matched, as it appears in the post
+        table.string('matched_text', 500).notNullable();
+
+        // Timestamps for tracking when records are created/updated
+        table.timestamps(true, true);
+
+        // Indexes for lookups from either side of the relationship
+        table.index(['post_id']);
+        table.index(['keyword_id']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+    return knex.schema.dropTable('post_keyword_matches');
+};
@@ -0,0 +1,36 @@
+const { parseKeywordQuery } = require('./frozen/keywordQuery');
+
+/**
+ * Stores each keyword's parsed query so matching doesn't re-parse it per post
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('keywords', function(table) {
+        // Parsed query tree as JSON
+        table.text('parsed_query').nullable();
+    });
+
+    // Backfill existing keywords; ones that aren't valid queries keep their
+    // old behaviour as a single literal phrase
+    const keywords = await knex('keywords').select('id', 'keyword');
+    for (const { id, keyword } of keywords) {
+        let tree;
+        try {
+            tree = parseKeywordQuery(keyword);
+        } catch (error) {
+            tree = { type: 'phrase', value: keyword.trim().toLowerCase(), field: null };
+        }
+        await knex('keywords').where({ id }).update({ parsed_query: JSON.stringify(tree) });
+    }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+    return knex.schema.alterTable('keywords', function(table) {
+        table.dropColumn('parsed_query');
+    });
+};
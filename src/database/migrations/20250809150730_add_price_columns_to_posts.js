@@ -0,0 +1,56 @@
+const { parsePrice } = require('./frozen/priceParser');
+
+/**
+ * Price and discount details extracted from post titles
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('posts', function(table) {
+        // Current deal price
+        table.decimal('price', 12, 2).nullable();
+
+        // Regular price before the deal
+        table.decimal('original_price', 12, 2).nullable();
+
+        // Discount as an amount and as a percentage of the original price
+        table.decimal('discount_amount', 12, 2).nullable();
+        table.decimal('discount_percent', 5, 2).nullable();
+
+        // ISO 4217 currency code, e.g. USD
+        table.string('currency', 3).nullable();
+
+        // Indexes for price filters and sorting
+        table.index(['price']);
+        table.index(['discount_percent']);
+    });
+
+    // Backfill posts ingested before prices were extracted
+    const posts = await knex('posts').select('id', 'title');
+    for (const { id, title } of posts) {
+        const { price, originalPrice, discountAmount, discountPercent, currency } = parsePrice(title);
+        await knex('posts').where({ id }).update({
+            price,
+            original_price: originalPrice,
+            discount_amount: discountAmount,
+            discount_percent: discountPercent,
+            currency
+        });
+    }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+    return knex.schema.alterTable('posts', function(table) {
+        table.dropIndex(['price']);
+        table.dropIndex(['discount_percent']);
+        table.dropColumn('price');
+        table.dropColumn('original_price');
+        table.dropColumn('discount_amount');
+        table.dropColumn('discount_percent');
+        table.dropColumn('currency');
+    });
+};
@@ -0,0 +1,42 @@
+const { parseCategory } = require('./frozen/categories');
+
+/**
+ * Post categories from bracket tags, and keyword category restrictions
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('posts', function(table) {
+        // Normalized category, e.g. gpu for [GPU] or [Video Card]
+        table.string('category', 50).nullable();
+
+        // Index for category filters and counts
+        table.index(['category']);
+    });
+
+    await knex.schema.alterTable('keywords', function(table) {
+        // JSON array of categories the keyword is limited to; null means all
+        table.text('categories').nullable();
+    });
+
+    // Backfill categories for existing posts
+    const posts = await knex('posts').select('id', 'title');
+    for (const { id, title } of posts) {
+        await knex('posts').where({ id }).update({ category: parseCategory(title) });
+    }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.alterTable('keywords', function(table) {
+        table.dropColumn('categories');
+    });
+
+    await knex.schema.alterTable('posts', function(table) {
+        table.dropIndex(['category']);
+        table.dropColumn('category');
+    });
+};
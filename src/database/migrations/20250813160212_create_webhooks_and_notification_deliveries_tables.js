@@ -0,0 +1,77 @@
+/**
+ * Webhook notification channel and delivery log migration
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.createTable('webhooks', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // Display name
+        table.string('name', 100).notNullable();
+
+        // Receiver URL
+        table.string('url', 2000).notNullable();
+
+        // Payload format: json, discord or slack
+        table.string('format', 20).notNullable().defaultTo('json');
+
+        // Shared secret for the HMAC signature header
+        table.string('secret', 255).nullable();
+
+        // Disabled webhooks are kept but not called
+        table.boolean('enabled').notNullable().defaultTo(true);
+
+        // Timestamps for tracking when records are created/updated
+        table.timestamps(true, true);
+    });
+
+    await knex.schema.createTable('notification_deliveries', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // Webhook called; its log goes with it
+        table.integer('webhook_id').unsigned().notNullable()
+            .references('id').inTable('webhooks').onDelete('CASCADE');
+
+        // Post and keyword that triggered the notification; kept if they are deleted
+        table.integer('post_id').unsigned().nullable()
+            .references('id').inTable('posts').onDelete('SET NULL');
+        table.integer('keyword_id').unsigned().nullable()
+            .references('id').inTable('keywords').onDelete('SET NULL');
+
+        // Attempt number, starting at 1
+        table.integer('attempt').notNullable();
+
+        // success, retrying or failed
+        table.string('status', 20).notNullable();
+
+        // HTTP status from the receiver, if it answered
+        table.integer('response_code').nullable();
+
+        // Round-trip time in milliseconds
+        table.integer('latency_ms').nullable();
+
+        // Network error or response excerpt for unsuccessful attempts
+        table.text('error').nullable();
+
+        // Timestamps for tracking when records are created/updated
+        table.timestamps(true, true);
+
+        // Indexes for the delivery log filters
+        table.index(['webhook_id']);
+        table.index(['status']);
+        table.index(['post_id']);
+        table.index(['created_at']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.dropTable('notification_deliveries');
+    await knex.schema.dropTable('webhooks');
+};
@@ -0,0 +1,92 @@
+/**
+ * Email notification channel migration: recipients, digest windows and their queued matches
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.createTable('email_recipients', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // Address, stored lowercase
+        table.string('email', 254).notNullable().unique();
+
+        // Optional display name for the To header
+        table.string('name', 100).nullable();
+
+        // immediate, hourly or daily
+        table.string('mode', 20).notNullable().defaultTo('immediate');
+
+        // Disabled recipients are kept but not mailed
+        table.boolean('enabled').notNullable().defaultTo(true);
+
+        // Timestamps for tracking when records are created/updated
+        table.timestamps(true, true);
+    });
+
+    await knex.schema.createTable('email_digests', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // Recipient the digest goes to; removed along with the recipient
+        table.integer('recipient_id').unsigned().notNullable()
+            .references('id').inTable('email_recipients').onDelete('CASCADE');
+
+        // End of the batching window in milliseconds since the epoch; due once it has passed
+        table.bigInteger('window_end').notNullable();
+
+        // pending, sending, sent or failed
+        table.string('status', 20).notNullable().defaultTo('pending');
+
+        // Send attempts so far
+        table.integer('attempts').notNullable().defaultTo(0);
+
+        // SMTP message ID and send time once delivered
+        table.string('message_id', 255).nullable();
+        table.datetime('sent_at').nullable();
+
+        // Error from the last failed attempt
+        table.text('error').nullable();
+
+        // Timestamps for tracking when records are created/updated
+        table.timestamps(true, true);
+
+        // Indexes for finding the open digest of a window and the due ones
+        table.index(['recipient_id', 'window_end']);
+        table.index(['status', 'window_end']);
+    });
+
+    await knex.schema.createTable('email_digest_items', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // Digest the match is batched into
+        table.integer('digest_id').unsigned().notNullable()
+            .references('id').inTable('email_digests').onDelete('CASCADE');
+
+        // Matched post and keyword; a deleted post or keyword drops out of the digest
+        table.integer('post_id').unsigned().notNullable()
+            .references('id').inTable('posts').onDelete('CASCADE');
+        table.integer('keyword_id').unsigned().notNullable()
+            .references('id').inTable('keywords').onDelete('CASCADE');
+
+        // Subreddit the post was ingested from, if known
+        table.string('subreddit', 21).nullable();
+
+        // When the match was queued
+        table.timestamp('created_at').defaultTo(knex.fn.now());
+
+        // A match is queued once per digest
+        table.unique(['digest_id', 'post_id', 'keyword_id']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.dropTable('email_digest_items');
+    await knex.schema.dropTable('email_digests');
+    await knex.schema.dropTable('email_recipients');
+};
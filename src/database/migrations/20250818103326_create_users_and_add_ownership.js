@@ -0,0 +1,130 @@
+/**
+ * User accounts, login tokens and per-user ownership migration
+ *
+ * Keywords, webhooks and email recipients get an owner; subreddits stay
+ * shared and users subscribe to them. Existing rows are left without an owner
+ * until the first account is created, which adopts them.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.createTable('users', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // Login address, stored lowercase
+        table.string('email', 254).notNullable().unique();
+
+        // Display name
+        table.string('name', 100).nullable();
+
+        // scrypt hash, see utils/passwords
+        table.string('password_hash', 255).notNullable();
+
+        // user or admin
+        table.string('role', 20).notNullable().defaultTo('user');
+
+        // Timestamps for tracking when records are created/updated
+        table.timestamps(true, true);
+    });
+
+    await knex.schema.createTable('auth_tokens', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // Token owner; logging a user out everywhere is deleting their rows
+        table.integer('user_id').unsigned().notNullable()
+            .references('id').inTable('users').onDelete('CASCADE');
+
+        // SHA-256 of the token; the token itself is only shown once, at login
+        table.string('token_hash', 64).notNullable().unique();
+
+        // Expiry in milliseconds since the epoch
+        table.bigInteger('expires_at').notNullable();
+
+        // When the token was issued
+        table.timestamp('created_at').defaultTo(knex.fn.now());
+
+        // Index for listing a user's tokens
+        table.index(['user_id']);
+    });
+
+    await knex.schema.createTable('subreddit_subscriptions', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // Subscriber and subreddit; either being deleted removes the subscription
+        table.integer('user_id').unsigned().notNullable()
+            .references('id').inTable('users').onDelete('CASCADE');
+        table.integer('subreddit_id').unsigned().notNullable()
+            .references('id').inTable('subreddits').onDelete('CASCADE');
+
+        // When the user subscribed
+        table.timestamp('created_at').defaultTo(knex.fn.now());
+
+        // A user subscribes to a subreddit once
+        table.unique(['user_id', 'subreddit_id']);
+    });
+
+    await knex.schema.alterTable('keywords', function(table) {
+        // Owner; a user's keywords go with their account
+        table.integer('user_id').unsigned().nullable()
+            .references('id').inTable('users').onDelete('CASCADE');
+
+        // Keywords are unique per owner rather than globally
+        table.dropUnique(['keyword']);
+        table.unique(['user_id', 'keyword']);
+    });
+
+    await knex.schema.alterTable('webhooks', function(table) {
+        // Owner; only their keywords' matches are sent to the webhook
+        table.integer('user_id').unsigned().nullable()
+            .references('id').inTable('users').onDelete('CASCADE');
+        table.index(['user_id']);
+    });
+
+    await knex.schema.alterTable('email_recipients', function(table) {
+        // Owner; only their keywords' matches are mailed to the recipient
+        table.integer('user_id').unsigned().nullable()
+            .references('id').inTable('users').onDelete('CASCADE');
+
+        // Addresses are unique per owner rather than globally
+        table.dropUnique(['email']);
+        table.unique(['user_id', 'email']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.alterTable('email_recipients', function(table) {
+        table.dropUnique(['user_id', 'email']);
+        table.dropForeign(['user_id']);
+        table.dropColumn('user_id');
+        table.unique(['email']);
+    });
+
+    await knex.schema.alterTable('webhooks', function(table) {
+        table.dropIndex(['user_id']);
+        table.dropForeign(['user_id']);
+        table.dropColumn('user_id');
+    });
+
+    await knex.schema.alterTable('keywords', function(table) {
+        table.dropUnique(['user_id', 'keyword']);
+        table.dropForeign(['user_id']);
+        table.dropColumn('user_id');
+        table.unique(['keyword']);
+    });
+
+    await knex.schema.dropTable('subreddit_subscriptions');
+    await knex.schema.dropTable('auth_tokens');
+    await knex.schema.dropTable('users');
+};
+
+// Adding a foreign key column rebuilds the table on SQLite. knex switches
+// foreign key checks off around the rebuild, which SQLite ignores inside a
+// transaction, and dropping the old table would then cascade to every match.
+exports.config = { transaction: false };
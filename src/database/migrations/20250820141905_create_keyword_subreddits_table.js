@@ -0,0 +1,35 @@
+/**
+ * Keyword/subreddit link migration
+ *
+ * A keyword without links matches posts from every subreddit; links limit it
+ * to those subreddits.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+    return knex.schema.createTable('keyword_subreddits', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // Linked keyword and subreddit, removed along with either side
+        table.integer('keyword_id').unsigned().notNullable()
+            .references('id').inTable('keywords').onDelete('CASCADE');
+        table.integer('subreddit_id').unsigned().notNullable()
+            .references('id').inTable('subreddits').onDelete('CASCADE');
+
+        // When the link was made
+        table.timestamp('created_at').defaultTo(knex.fn.now());
+
+        // A keyword links to a subreddit once; the unique index also serves keyword lookups
+        table.unique(['keyword_id', 'subreddit_id']);
+        table.index(['subreddit_id']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+    return knex.schema.dropTable('keyword_subreddits');
+};
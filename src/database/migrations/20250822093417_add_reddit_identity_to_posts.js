@@ -0,0 +1,76 @@
+const { linkKey } = require('./frozen/duplicates');
+
+/**
+ * Reddit identity for ingested posts, and grouping of duplicate posts
+ *
+ * Posts from Reddit keep their fullname, which is unique, along with where
+ * and when they were posted. Crossposts and reposts of a deal point at the
+ * first post of it through duplicate_of.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('posts', function(table) {
+        // Fullname (e.g. t3_abc123); null for posts added by hand
+        table.string('reddit_id', 20).nullable().unique();
+
+        // Lowercase subreddit name, author and path of the Reddit thread
+        table.string('subreddit', 21).nullable();
+        table.string('author', 30).nullable();
+        table.string('permalink', 500).nullable();
+
+        // Reddit creation time, in seconds since the epoch
+        table.integer('created_utc').nullable();
+
+        // First outside link, normalized; see utils/duplicates
+        table.string('link_key', 2048).nullable();
+
+        // First post of the same deal; left standalone if that post is deleted
+        table.integer('duplicate_of').unsigned().nullable()
+            .references('id').inTable('posts').onDelete('SET NULL');
+
+        // Indexes for subreddit filters, duplicate lookups and duplicate groups
+        table.index(['subreddit']);
+        table.index(['link_key']);
+        table.index(['created_utc']);
+        table.index(['duplicate_of']);
+    });
+
+    // Backfill link keys for existing posts
+    const posts = await knex('posts').select('id', 'links');
+    for (const { id, links } of posts) {
+        let parsed = [];
+        try {
+            parsed = JSON.parse(links || '[]');
+        } catch (error) {
+            // Leave posts with unreadable links without a key
+        }
+        await knex('posts').where({ id }).update({ link_key: linkKey(parsed) });
+    }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.alterTable('posts', function(table) {
+        table.dropIndex(['subreddit']);
+        table.dropIndex(['link_key']);
+        table.dropIndex(['created_utc']);
+        table.dropIndex(['duplicate_of']);
+        table.dropForeign(['duplicate_of']);
+        table.dropUnique(['reddit_id']);
+        table.dropColumn('duplicate_of');
+        table.dropColumn('link_key');
+        table.dropColumn('created_utc');
+        table.dropColumn('permalink');
+        table.dropColumn('author');
+        table.dropColumn('subreddit');
+        table.dropColumn('reddit_id');
+    });
+};
+
+// Adding a foreign key column rebuilds the posts table on SQLite, which must
+// happen with foreign key checks off so its matches aren't cascaded away.
+exports.config = { transaction: false };
@@ -0,0 +1,54 @@
+/**
+ * Full-text index over post titles and descriptions
+ *
+ * posts_fts is an external-content FTS5 table: it stores only the index and
+ * reads text from posts, and triggers keep it in step with every write. A
+ * migration that rebuilds the posts table drops these triggers and must
+ * create them again.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    // Prefix indexes make two- and three-character prefix searches fast
+    await knex.raw(`
+        CREATE VIRTUAL TABLE posts_fts USING fts5(
+            title,
+            description,
+            content = 'posts',
+            content_rowid = 'id',
+            tokenize = 'unicode61 remove_diacritics 2',
+            prefix = '2 3'
+        )
+    `);
+
+    await knex.raw(`
+        CREATE TRIGGER posts_fts_insert AFTER INSERT ON posts BEGIN
+            INSERT INTO posts_fts (rowid, title, description) VALUES (new.id, new.title, new.description);
+        END
+    `);
+    await knex.raw(`
+        CREATE TRIGGER posts_fts_delete AFTER DELETE ON posts BEGIN
+            INSERT INTO posts_fts (posts_fts, rowid, title, description) VALUES ('delete', old.id, old.title, old.description);
+        END
+    `);
+    await knex.raw(`
+        CREATE TRIGGER posts_fts_update AFTER UPDATE OF title, description ON posts BEGIN
+            INSERT INTO posts_fts (posts_fts, rowid, title, description) VALUES ('delete', old.id, old.title, old.description);
+            INSERT INTO posts_fts (rowid, title, description) VALUES (new.id, new.title, new.description);
+        END
+    `);
+
+    // Index existing posts
+    await knex.raw(`INSERT INTO posts_fts (posts_fts) VALUES ('rebuild')`);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.raw('DROP TRIGGER IF EXISTS posts_fts_update');
+    await knex.raw('DROP TRIGGER IF EXISTS posts_fts_delete');
+    await knex.raw('DROP TRIGGER IF EXISTS posts_fts_insert');
+    await knex.raw('DROP TABLE IF EXISTS posts_fts');
+};
@@ -0,0 +1,58 @@
+/**
+ * Starred posts, and the archive retention moves old posts into
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.createTable('post_stars', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // User who starred the post, and the post; removed along with either
+        table.integer('user_id').unsigned().notNullable()
+            .references('id').inTable('users').onDelete('CASCADE');
+        table.integer('post_id').unsigned().notNullable()
+            .references('id').inTable('posts').onDelete('CASCADE');
+
+        table.timestamp('created_at').defaultTo(knex.fn.now());
+
+        // A user stars a post once; retention looks stars up by post
+        table.unique(['user_id', 'post_id']);
+        table.index(['post_id']);
+    });
+
+    await knex.schema.createTable('archived_posts', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // ID the post had in posts; not a foreign key, since that row is gone
+        table.integer('post_id').unsigned().notNullable().unique();
+
+        // Columns worth querying without parsing data
+        table.string('reddit_id', 20).nullable();
+        table.string('subreddit', 21).nullable();
+        table.string('title', 500).notNullable();
+
+        // unmatched, matched or starred: which retention period the post outlived
+        table.string('reason', 20).notNullable();
+
+        // The post as the API returned it, as JSON
+        table.text('data').notNullable();
+
+        // When the post was stored, and when it was archived
+        table.timestamp('posted_at').nullable();
+        table.timestamp('archived_at').defaultTo(knex.fn.now());
+
+        // Index for lookups by Reddit fullname
+        table.index(['reddit_id']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.dropTable('archived_posts');
+    await knex.schema.dropTable('post_stars');
+};
@@ -0,0 +1,47 @@
+/**
+ * Audit log migration
+ *
+ * One row per create, update or delete of a keyword, subreddit or post made
+ * through the API or dashboard, with the values before and after.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+    return knex.schema.createTable('audit_log', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // User who made the change; kept as null once the account is deleted
+        table.integer('user_id').unsigned().nullable()
+            .references('id').inTable('users').onDelete('SET NULL');
+
+        // create, update or delete
+        table.string('action', 10).notNullable();
+
+        // keyword, subreddit or post, and its ID; not a foreign key, so entries outlive the row
+        table.string('entity_type', 20).notNullable();
+        table.integer('entity_id').unsigned().notNullable();
+
+        // The entity as the API returned it, as JSON; null before a create and after a delete
+        table.text('before').nullable();
+        table.text('after').nullable();
+
+        // Request the change was made in, matching the X-Request-Id header and request logs
+        table.string('request_id', 128).nullable();
+
+        // When the change was made
+        table.timestamp('created_at').defaultTo(knex.fn.now());
+
+        // Indexes for the history of an entity and of a user
+        table.index(['entity_type', 'entity_id']);
+        table.index(['user_id']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+    return knex.schema.dropTable('audit_log');
+};
@@ -0,0 +1,44 @@
+/**
+ * API key migration
+ *
+ * API keys act as the user they belong to, sent in `X-API-Key`. Only a
+ * SHA-256 of each key is stored, with its first characters to tell keys apart.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+    return knex.schema.createTable('api_keys', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // User the key acts as; keys go when the account does
+        table.integer('user_id').unsigned().notNullable()
+            .references('id').inTable('users').onDelete('CASCADE');
+
+        // What the key is for, and its first characters as shown in listings
+        table.string('name', 100).notNullable();
+        table.string('key_prefix', 16).notNullable();
+
+        // SHA-256 of the key (hex)
+        table.string('key_hash', 64).notNullable().unique();
+
+        // Requests allowed per rate limit window; null uses the default
+        table.integer('rate_limit').unsigned().nullable();
+
+        // Usage and revocation; revoked keys stay listed but stop working
+        table.timestamp('last_used_at').nullable();
+        table.timestamp('revoked_at').nullable();
+        table.timestamp('created_at').defaultTo(knex.fn.now());
+
+        // Index for listing a user's keys
+        table.index(['user_id']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+    return knex.schema.dropTable('api_keys');
+};
@@ -0,0 +1,161 @@
+const { productKey } = require('./frozen/products');
+
+/**
+ * Products, the price seen at each sighting of one, and price flags on posts
+ *
+ * A product gathers every post about one item, keyed by link or, failing
+ * that, by title; see utils/duplicates. Each priced post that isn't a
+ * crosspost or repost adds a row to price_history. History rows outlive
+ * their posts, so retention doesn't erase what a product used to cost.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.createTable('products', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // link:<normalized link> or title:<title key>
+        table.string('product_key', 2048).notNullable().unique();
+
+        // Title of the latest post, and the link key the product was found by
+        table.string('title', 500).notNullable();
+        table.string('link_key', 2048).nullable();
+
+        // Prices in the currency of the first priced sighting
+        table.string('currency', 3).nullable();
+        table.decimal('lowest_price', 10, 2).nullable();
+        table.decimal('last_price', 10, 2).nullable();
+        table.integer('sightings').unsigned().notNullable().defaultTo(0);
+
+        // First and latest priced sighting, in UTC
+        table.timestamp('first_seen_at').nullable();
+        table.timestamp('last_seen_at').nullable();
+
+        table.timestamps(true, true);
+
+        // Index for listing recently seen products
+        table.index(['last_seen_at']);
+    });
+
+    await knex.schema.createTable('price_history', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // Product sighted; history goes with it
+        table.integer('product_id').unsigned().notNullable()
+            .references('id').inTable('products').onDelete('CASCADE');
+
+        // Post the price came from; kept as history once the post is pruned
+        table.integer('post_id').unsigned().nullable().unique()
+            .references('id').inTable('posts').onDelete('SET NULL');
+
+        table.decimal('price', 10, 2).notNullable();
+        table.string('currency', 3).nullable();
+
+        // When the deal was posted, in UTC
+        table.timestamp('seen_at').notNullable();
+
+        table.timestamp('created_at').defaultTo(knex.fn.now());
+
+        // Index for a product's time series
+        table.index(['product_id', 'seen_at']);
+    });
+
+    // Plain ALTER TABLE, so the posts table and its full-text triggers aren't rebuilt
+    await knex.raw('ALTER TABLE posts ADD COLUMN product_id integer REFERENCES products (id) ON DELETE SET NULL');
+    await knex.schema.alterTable('posts', function(table) {
+        // Price was below every earlier sighting of the product
+        table.boolean('all_time_low').notNullable().defaultTo(false);
+
+        // How far the price fell from the last sighting, when it fell by the drop threshold or more
+        table.decimal('price_drop_percent', 5, 2).nullable();
+
+        // Index for a product's posts
+        table.index(['product_id']);
+    });
+
+    await backfill(knex);
+};
+
+/**
+ * Group existing posts into products and record their prices, oldest first
+ * Flags are left unset; they only mark posts as they arrive.
+ * @param { import("knex").Knex } knex
+ */
+async function backfill(knex) {
+    const posts = await knex('posts')
+        .select('id', 'title', 'links', 'price', 'currency', 'duplicate_of', 'created_utc', 'created_at')
+        .orderByRaw("COALESCE(created_utc, CAST(strftime('%s', created_at) AS integer)) ASC")
+        .orderBy('id', 'asc');
+    const productIds = new Map();
+
+    for (const post of posts) {
+        let productId = post.duplicate_of ? productIds.get(post.duplicate_of) : undefined;
+
+        if (productId === undefined) {
+            let links = [];
+            try {
+                links = JSON.parse(post.links || '[]');
+            } catch (error) {
+                // Posts with unreadable links are keyed by title
+            }
+            const key = productKey(links, post.title);
+            if (!key) continue;
+
+            const existing = await knex('products').where({ product_key: key }).first();
+            productId = existing
+                ? existing.id
+                : (await knex('products').insert({
+                    product_key: key,
+                    title: post.title,
+                    link_key: key.startsWith('link:') ? key.slice(5) : null
+                }))[0];
+        }
+        productIds.set(post.id, productId);
+        await knex('posts').where({ id: post.id }).update({ product_id: productId });
+
+        // Crossposts and reposts are the same sighting as their original
+        if (post.duplicate_of || post.price === null) continue;
+
+        const seenAt = post.created_utc !== null
+            ? new Date(post.created_utc * 1000).toISOString().slice(0, 19).replace('T', ' ')
+            : post.created_at;
+        await knex('price_history').insert({
+            product_id: productId,
+            post_id: post.id,
+            price: post.price,
+            currency: post.currency,
+            seen_at: seenAt
+        });
+
+        const product = await knex('products').where({ id: productId }).first();
+        if (product.sightings > 0 && product.currency !== post.currency) continue;
+        await knex('products').where({ id: productId }).update({
+            title: post.title,
+            currency: post.currency,
+            lowest_price: product.lowest_price === null ? post.price : Math.min(product.lowest_price, post.price),
+            last_price: post.price,
+            sightings: product.sightings + 1,
+            first_seen_at: product.first_seen_at || seenAt,
+            last_seen_at: seenAt
+        });
+    }
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.alterTable('posts', function(table) {
+        table.dropIndex(['product_id']);
+    });
+    // Plain DROP COLUMN for the same reason as above
+    await knex.raw('ALTER TABLE posts DROP COLUMN price_drop_percent');
+    await knex.raw('ALTER TABLE posts DROP COLUMN all_time_low');
+    await knex.raw('ALTER TABLE posts DROP COLUMN product_id');
+
+    await knex.schema.dropTable('price_history');
+    await knex.schema.dropTable('products');
+};
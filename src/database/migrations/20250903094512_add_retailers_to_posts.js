@@ -0,0 +1,57 @@
+const { cleanLink, normalizeLink, linkKey, retailerOf } = require('./frozen/links');
+
+/**
+ * Retailer tags for post links, and clean-up of links already stored
+ *
+ * Existing links lose their tracking and affiliate parameters like new ones,
+ * and link keys are worked out again from the cleaned links; the parameters
+ * are not restored on rollback.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('posts', function(table) {
+        // JSON array with the retailer of each link, in link order; null for other sites
+        table.text('retailers').nullable();
+    });
+
+    // Backfill cleaned links, retailers and link keys for existing posts
+    const posts = await knex('posts').select('id', 'links');
+    for (const { id, links } of posts) {
+        let parsed = [];
+        try {
+            parsed = JSON.parse(links || '[]');
+        } catch (error) {
+            // Leave posts with unreadable links untouched
+            continue;
+        }
+
+        const cleaned = [...new Set(parsed.map(link => cleanLink(link)))];
+        await knex('posts').where({ id }).update({
+            links: JSON.stringify(cleaned),
+            retailers: JSON.stringify(cleaned.map(link => retailerOf(link))),
+            link_key: linkKey(cleaned)
+        });
+    }
+
+    // Keep products found by link under the new link keys, unless one already has it
+    const products = await knex('products').whereNotNull('link_key').select('id', 'link_key');
+    for (const { id, link_key: oldKey } of products) {
+        const newKey = normalizeLink(`https://${oldKey}`);
+        if (!newKey || newKey === oldKey) continue;
+
+        const taken = await knex('products').where({ product_key: `link:${newKey}` }).first();
+        if (!taken) {
+            await knex('products').where({ id }).update({ product_key: `link:${newKey}`, link_key: newKey });
+        }
+    }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    // Plain DROP COLUMN, so the posts table and its full-text triggers aren't rebuilt
+    await knex.raw('ALTER TABLE posts DROP COLUMN retailers');
+};
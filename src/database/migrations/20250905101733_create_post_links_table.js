@@ -0,0 +1,132 @@
+const { cleanLink, linkHost, normalizeLink } = require('./frozen/links');
+
+/**
+ * Read a stored links column like Post.parseLinks did: a JSON array, or else
+ * a single link or comma-separated links
+ * @param {string|null} value - Stored value
+ * @returns {string[]} Links
+ */
+function readLinks(value) {
+    if (!value) return [];
+
+    let parsed;
+    try {
+        parsed = JSON.parse(value);
+    } catch (error) {
+        return value.split(',').map(link => link.trim()).filter(Boolean);
+    }
+
+    if (typeof parsed === 'string') parsed = [parsed];
+    if (!Array.isArray(parsed)) return [];
+    return parsed.filter(link => typeof link === 'string' && link.trim() !== '').map(link => link.trim());
+}
+
+/**
+ * Read the stored retailers column, a JSON array; anything else gives no retailers
+ * @param {string|null} value - Stored value
+ * @returns {Array<string|null>} Retailer of each link
+ */
+function readRetailers(value) {
+    try {
+        const parsed = JSON.parse(value || '[]');
+        return Array.isArray(parsed) ? parsed.map(retailer => (typeof retailer === 'string' ? retailer : null)) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Post links move from the JSON `links` and `retailers` columns into their own table
+ *
+ * One row per link keeps its position, host and retailer queryable, and its
+ * normalized form lets posts be joined on the pages they share.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.createTable('post_links', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // Post the link belongs to, removed along with it
+        table.integer('post_id').unsigned().notNullable()
+            .references('id').inTable('posts').onDelete('CASCADE');
+
+        // Order of the link within the post, from 0
+        table.integer('position').unsigned().notNullable();
+
+        // Cleaned link as stored, see utils/links
+        table.text('url').notNullable();
+
+        // Lowercase host without www. or m.; null when the link isn't http(s)
+        table.string('host', 255).nullable();
+
+        // Retailer the link points at; null for other sites
+        table.string('retailer', 50).nullable();
+
+        // Normalized link for comparing pages, see utils/duplicates
+        table.text('link_key').nullable();
+
+        // Each position once per post; the unique index also serves post lookups
+        table.unique(['post_id', 'position']);
+        table.index('host');
+        table.index('retailer');
+        table.index('link_key');
+    });
+
+    // Backfill from the old columns, keeping each retailer next to its link. Links
+    // the previous migration couldn't read as JSON are cleaned here; they have no
+    // retailers stored, so theirs stay null.
+    const posts = await knex('posts').select('id', 'links', 'retailers');
+    for (const { id, links, retailers } of posts) {
+        const stored = readLinks(links);
+        const parsedRetailers = readRetailers(retailers);
+        const urls = [...new Set(stored.map(link => cleanLink(link)))];
+
+        const rows = urls.map((url, position) => ({
+            post_id: id,
+            position,
+            url,
+            host: linkHost(url),
+            retailer: urls.length === stored.length ? parsedRetailers[position] ?? null : null,
+            link_key: normalizeLink(url)
+        }));
+        if (rows.length > 0) {
+            await knex('post_links').insert(rows);
+        }
+    }
+
+    // Plain DROP COLUMN, so the posts table and its full-text triggers aren't rebuilt
+    await knex.raw('ALTER TABLE posts DROP COLUMN links');
+    await knex.raw('ALTER TABLE posts DROP COLUMN retailers');
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.raw('ALTER TABLE posts ADD COLUMN links text');
+    await knex.raw('ALTER TABLE posts ADD COLUMN retailers text');
+
+    // Refill the JSON columns, including empty arrays for posts without links
+    const rows = await knex('post_links').orderBy(['post_id', 'position']);
+    const byPost = new Map();
+    for (const row of rows) {
+        if (!byPost.has(row.post_id)) {
+            byPost.set(row.post_id, { links: [], retailers: [] });
+        }
+        byPost.get(row.post_id).links.push(row.url);
+        byPost.get(row.post_id).retailers.push(row.retailer);
+    }
+
+    await knex('posts').update({ links: '[]', retailers: '[]' });
+    for (const [id, { links, retailers }] of byPost) {
+        await knex('posts').where({ id }).update({
+            links: JSON.stringify(links),
+            retailers: JSON.stringify(retailers)
+        });
+    }
+
+    await knex.schema.dropTable('post_links');
+};
@@ -0,0 +1,34 @@
+/**
+ * Feed token migration
+ *
+ * Feed readers can't log in or send headers, so each user may hold one token
+ * that goes in their feed URLs. It only opens feeds, and only a SHA-256 of it
+ * is stored.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+    return knex.schema.createTable('feed_tokens', function(table) {
+        // Primary key
+        table.increments('id').primary();
+
+        // User whose feeds the token opens; one token per user, gone with the account
+        table.integer('user_id').unsigned().notNullable().unique()
+            .references('id').inTable('users').onDelete('CASCADE');
+
+        // SHA-256 of the token (hex)
+        table.string('token_hash', 64).notNullable().unique();
+
+        // Timestamps
+        table.timestamp('last_used_at').nullable();
+        table.timestamp('created_at').defaultTo(knex.fn.now());
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+    return knex.schema.dropTable('feed_tokens');
+};
@@ -0,0 +1,38 @@
+/**
+ * Tables whose rows the repositories used to stamp with a JS Date on update
+ */
+const TABLES = [
+    'keywords',
+    'subreddits',
+    'subreddit_checkpoints',
+    'posts',
+    'users',
+    'webhooks',
+    'email_recipients',
+    'email_digests',
+    'products'
+];
+
+/**
+ * Timestamp normalization migration
+ *
+ * Updates used to store `updated_at` as epoch milliseconds, while inserts
+ * store SQLite's CURRENT_TIMESTAMP text. Updates now use CURRENT_TIMESTAMP
+ * too, so rewrite the old numeric values in the same UTC text format.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    for (const table of TABLES) {
+        await knex(table)
+            .whereRaw("typeof(updated_at) = 'integer'")
+            .update({ updated_at: knex.raw("datetime(updated_at / 1000, 'unixepoch')") });
+    }
+};
+
+/**
+ * The rewritten values can't be told apart from ones stored as text, so they stay as they are
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {};
@@ -0,0 +1,41 @@
+/**
+ * Persisted webhook retry migration
+ *
+ * A failed attempt that will be retried keeps the request body and when to
+ * try again, so pending retries survive a restart. The notifier's timer picks
+ * them up, claiming each one first so it is only sent once.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('notification_deliveries', function(table) {
+        // UUID sent as X-DealMonitor-Delivery, the same on every attempt of one notification
+        table.string('delivery_id', 36).nullable();
+
+        // Request body to send again; only kept while a retry is pending
+        table.text('payload').nullable();
+
+        // When to retry (epoch milliseconds); null once the retry was made or none is due
+        table.bigInteger('next_attempt_at').nullable();
+
+        // Set while a sender is making the retry
+        table.boolean('claimed').notNullable().defaultTo(false);
+
+        // Index for the retry timer
+        table.index(['next_attempt_at']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.alterTable('notification_deliveries', function(table) {
+        table.dropIndex(['next_attempt_at']);
+        table.dropColumn('claimed');
+        table.dropColumn('next_attempt_at');
+        table.dropColumn('payload');
+        table.dropColumn('delivery_id');
+    });
+};
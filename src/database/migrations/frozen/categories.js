@@ -0,0 +1,84 @@
+/*
+ * Frozen copy of the category parser (utils/categoryParser) over the default
+ * alias table (config/categories) as the categories migration, 20250811101544,
+ * first ran it; see ./links for why migrations keep their own copies.
+ */
+
+// Category alias table
+const ALIASES = {
+    gpu: ['gpu', 'video card', 'graphics card', 'graphics', 'vga'],
+    cpu: ['cpu', 'processor', 'apu'],
+    motherboard: ['motherboard', 'mobo', 'mb'],
+    ram: ['ram', 'memory', 'ddr4', 'ddr5'],
+    ssd: ['ssd', 'nvme', 'm.2', 'solid state drive'],
+    hdd: ['hdd', 'hard drive', 'nas drive'],
+    psu: ['psu', 'power supply'],
+    case: ['case', 'chassis'],
+    cooler: ['cooler', 'cpu cooler', 'aio', 'cooling', 'fan', 'fans'],
+    monitor: ['monitor', 'display', 'screen'],
+    keyboard: ['keyboard', 'keyboards'],
+    mouse: ['mouse', 'mice'],
+    headphones: ['headphones', 'headset', 'headphone', 'earbuds', 'audio'],
+    laptop: ['laptop', 'notebook'],
+    prebuilt: ['prebuilt', 'pre-built', 'desktop', 'prebuilt pc'],
+    controller: ['controller', 'gamepad'],
+    networking: ['networking', 'router', 'wifi', 'switch', 'nic'],
+    game: ['game', 'games', 'pc game', 'steam'],
+    bundle: ['bundle', 'combo'],
+    other: ['other', 'misc', 'meta']
+};
+
+// Leading bracket tag, e.g. "[GPU] RTX 4070"
+const TAG_PATTERN = /^\s*\[([^\]]{1,40})\]/;
+
+/**
+ * Turn a tag into a category slug: "Video Card" -> "video-card"
+ * @param {string} tag - Raw tag text
+ * @returns {string} Slug
+ */
+function slugify(tag) {
+    return String(tag || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9.]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Slug of every category and alias to its category
+const LOOKUP = new Map();
+for (const [category, list] of Object.entries(ALIASES)) {
+    LOOKUP.set(slugify(category), category);
+    for (const alias of list) {
+        LOOKUP.set(slugify(alias), category);
+    }
+}
+
+/**
+ * Normalize a tag or category name; unknown tags become their own slug
+ * @param {string} tag - Tag such as "Video Card" or "gpu"
+ * @returns {string|null} Category or null for an empty tag
+ */
+function normalizeCategory(tag) {
+    const slug = slugify(tag);
+    if (!slug) return null;
+    return LOOKUP.get(slug) || slug;
+}
+
+/**
+ * Extract the category from a post title's leading bracket tag
+ * Combined tags like "[GPU/Video Card]" use the first part that is a known alias.
+ * @param {string} title - Post title
+ * @returns {string|null} Category or null when the title has no tag
+ */
+function parseCategory(title) {
+    const match = TAG_PATTERN.exec(String(title || ''));
+    if (!match) return null;
+
+    const parts = match[1].split(/[/,|]/).map(part => part.trim()).filter(Boolean);
+    const known = parts.find(part => LOOKUP.has(slugify(part)));
+
+    return normalizeCategory(known || match[1]);
+}
+
+module.exports = {
+    parseCategory
+};
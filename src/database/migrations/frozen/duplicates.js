@@ -0,0 +1,59 @@
+/*
+ * Frozen copy of the link keys (utils/duplicates) as the Reddit identity
+ * migration, 20250822093417, first ran it; see ./links for why migrations keep
+ * their own copies. Later link keys also drop site-specific tracking; see
+ * ./links for those.
+ */
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|ref|ref_|tag|fbclid|gclid|dclid|msclkid|igshid|mc_cid|mc_eid|spm|_ga)$/i;
+
+// Hosts that point back at Reddit itself rather than at the deal
+const REDDIT_HOSTS = /(^|\.)(reddit\.com|redd\.it)$/i;
+
+/**
+ * Reduce a URL to the parts that identify the page it points at
+ * Drops the scheme, `www.`/`m.` prefixes, tracking parameters, fragments and
+ * trailing slashes, and sorts the remaining parameters.
+ * @param {string} link - Absolute http(s) URL
+ * @returns {string|null} Normalized link, or null when it isn't an http(s) URL
+ */
+function normalizeLink(link) {
+    let url;
+    try {
+        url = new URL(link);
+    } catch (error) {
+        return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return null;
+    }
+
+    const host = url.hostname.toLowerCase().replace(/^(www|m)\./, '');
+    const path = url.pathname.replace(/\/+$/, '');
+    const params = [...url.searchParams]
+        .filter(([name]) => !TRACKING_PARAMS.test(name))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+    return `${host}${path}${query}`;
+}
+
+/**
+ * Key identifying the deal a post links to: its first link off Reddit, normalized
+ * @param {string[]} links - Post links in order
+ * @returns {string|null} Link key, or null when the post has no outside link
+ */
+function linkKey(links = []) {
+    for (const link of links) {
+        const normalized = normalizeLink(link);
+        if (normalized && !REDDIT_HOSTS.test(normalized.split(/[/?]/)[0])) {
+            return normalized;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    linkKey
+};
@@ -0,0 +1,318 @@
+/*
+ * Frozen copy of the keyword query parser (utils/keywordQuery) as the
+ * parsed_query migration, 20250806112402, first ran it; see ./links for why
+ * migrations keep their own copies.
+ */
+
+const FIELDS = ['title', 'description', 'link'];
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Error raised for an invalid query, pointing at the offending token
+ */
+class KeywordQueryError extends Error {
+    /**
+     * @param {string} reason - What is wrong
+     * @param {number} position - Character offset of the bad token
+     * @param {string|null} token - The bad token, or null at end of input
+     */
+    constructor(reason, position, token = null) {
+        const where = token === null
+            ? `at end of query (position ${position})`
+            : `at "${token}" (position ${position})`;
+        super(`${reason} ${where}`);
+        this.name = 'KeywordQueryError';
+        this.reason = reason;
+        this.position = position;
+        this.token = token;
+    }
+}
+
+/**
+ * Split a query into tokens, each carrying its source position
+ * @param {string} source - Query text
+ * @returns {Array<{type: string, value: string, position: number, text: string}>} Tokens
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'lparen' : 'rparen', value: char, position: i, text: char });
+            i++;
+            continue;
+        }
+
+        if (char === '"') {
+            const end = source.indexOf('"', i + 1);
+            if (end === -1) {
+                throw new KeywordQueryError('Unterminated phrase', i, source.slice(i));
+            }
+            const value = source.slice(i + 1, end).trim().replace(/\s+/g, ' ');
+            if (!value) {
+                throw new KeywordQueryError('Empty phrase', i, source.slice(i, end + 1));
+            }
+            tokens.push({ type: 'phrase', value, position: i, text: source.slice(i, end + 1) });
+            i = end + 1;
+            continue;
+        }
+
+        // A "-" directly in front of a term, phrase or group excludes it
+        if (char === '-') {
+            if (i + 1 >= source.length || /[\s)]/.test(source[i + 1])) {
+                throw new KeywordQueryError('Expected a term directly after "-"', i, '-');
+            }
+            tokens.push({ type: 'not', value: '-', position: i, text: '-' });
+            i++;
+            continue;
+        }
+
+        const match = /^[^\s()"]+/.exec(source.slice(i));
+        const word = match[0];
+        const field = /^([a-z]+):/i.exec(word);
+
+        if (field && FIELDS.includes(field[1].toLowerCase())) {
+            const text = field[0];
+            tokens.push({ type: 'field', value: field[1].toLowerCase(), position: i, text });
+            i += text.length;
+            if (i >= source.length || /\s/.test(source[i])) {
+                throw new KeywordQueryError(`Expected a term after "${text}"`, i, null);
+            }
+            continue;
+        }
+
+        if (OPERATORS.includes(word)) {
+            tokens.push({ type: word.toLowerCase(), value: word, position: i, text: word });
+        } else {
+            tokens.push({ type: 'term', value: word, position: i, text: word });
+        }
+        i += word.length;
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser over the token list
+ */
+class Parser {
+    /**
+     * @param {string} source - Query text
+     */
+    constructor(source) {
+        this.source = source;
+        this.tokens = tokenize(source);
+        this.index = 0;
+    }
+
+    /**
+     * Token at the cursor, without consuming it
+     * @returns {Object|null} Token, or null at end of input
+     */
+    peek() {
+        return this.tokens[this.index] || null;
+    }
+
+    /**
+     * Consume the token at the cursor
+     * @returns {Object|null} Token, or null at end of input
+     */
+    next() {
+        return this.tokens[this.index++] || null;
+    }
+
+    /**
+     * Throw a KeywordQueryError pointing at a token
+     * @param {string} reason - What is wrong
+     * @param {Object|null} token - Offending token, or null at end of input
+     */
+    fail(reason, token = this.peek()) {
+        if (!token) {
+            throw new KeywordQueryError(reason, this.source.length, null);
+        }
+        throw new KeywordQueryError(reason, token.position, token.text);
+    }
+
+    /**
+     * Parse the whole query
+     * @returns {Object} Query tree
+     */
+    parse() {
+        if (this.tokens.length === 0) {
+            this.fail('Query is empty');
+        }
+
+        const node = this.parseOr(null);
+        if (this.peek()) {
+            this.fail(this.peek().type === 'rparen' ? 'Unmatched ")"' : 'Unexpected token');
+        }
+        return node;
+    }
+
+    /**
+     * Parse alternatives joined by OR
+     * @param {string|null} field - Field prefix of the enclosing group
+     * @returns {Object} Query node
+     */
+    parseOr(field) {
+        const children = [this.parseAnd(field)];
+
+        while (this.peek() && this.peek().type === 'or') {
+            const operator = this.next();
+            if (!this.startsOperand(this.peek())) {
+                this.fail(`Expected a term after "${operator.text}"`);
+            }
+            children.push(this.parseAnd(field));
+        }
+
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    /**
+     * Parse operands joined by AND or written next to each other
+     * @param {string|null} field - Field prefix of the enclosing group
+     * @returns {Object} Query node
+     */
+    parseAnd(field) {
+        const children = [this.parseUnary(field)];
+
+        for (;;) {
+            const token = this.peek();
+            if (token && token.type === 'and') {
+                this.next();
+                if (!this.startsOperand(this.peek())) {
+                    this.fail(`Expected a term after "${token.text}"`);
+                }
+                children.push(this.parseUnary(field));
+            } else if (this.startsOperand(token)) {
+                // Adjacent terms are implicitly ANDed
+                children.push(this.parseUnary(field));
+            } else {
+                break;
+            }
+        }
+
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    /**
+     * Parse an operand, with any NOT or "-" in front of it
+     * @param {string|null} field - Field prefix of the enclosing group
+     * @returns {Object} Query node
+     */
+    parseUnary(field) {
+        const token = this.peek();
+        if (token && token.type === 'not') {
+            this.next();
+            if (!this.startsOperand(this.peek()) || this.peek().type === 'not') {
+                this.fail(`Expected a term after "${token.text}"`);
+            }
+            return { type: 'not', child: this.parseUnary(field) };
+        }
+        return this.parsePrimary(field);
+    }
+
+    /**
+     * Parse a term, phrase or group, with any field prefix
+     * @param {string|null} field - Field prefix of the enclosing group
+     * @returns {Object} Query node
+     */
+    parsePrimary(field) {
+        let token = this.next();
+
+        if (token && token.type === 'field') {
+            if (field) {
+                this.fail('Field prefixes cannot be nested', token);
+            }
+            field = token.value;
+            token = this.next();
+            if (!token || !['term', 'phrase', 'lparen'].includes(token.type)) {
+                this.fail(`Expected a term after "${field}:"`, token);
+            }
+        }
+
+        if (!token) {
+            this.fail('Expected a term');
+        }
+
+        switch (token.type) {
+            case 'term':
+            case 'phrase':
+                return { type: token.type, value: token.value.toLowerCase(), field };
+            case 'lparen': {
+                if (this.peek() && this.peek().type === 'rparen') {
+                    this.fail('Empty group');
+                }
+                const node = this.parseOr(field);
+                const close = this.next();
+                if (!close || close.type !== 'rparen') {
+                    this.fail('Missing ")" to close group opened', token);
+                }
+                return node;
+            }
+            case 'rparen':
+                return this.fail('Unmatched ")"', token);
+            default:
+                return this.fail(`Expected a term before "${token.text}"`, token);
+        }
+    }
+
+    /**
+     * Whether a token can start an operand
+     * @param {Object|null} token - Token
+     * @returns {boolean} True for terms, phrases, groups, field prefixes and exclusions
+     */
+    startsOperand(token) {
+        return Boolean(token) && ['term', 'phrase', 'lparen', 'field', 'not'].includes(token.type);
+    }
+}
+
+/**
+ * Whether a node can match on its own, i.e. isn't made only of exclusions
+ * @param {Object} node - Query node
+ * @returns {boolean} True when every alternative has a positive term
+ */
+function hasPositiveTerm(node) {
+    switch (node.type) {
+        case 'term':
+        case 'phrase':
+            return true;
+        case 'not':
+            return false;
+        case 'and':
+            return node.children.some(hasPositiveTerm);
+        case 'or':
+            return node.children.every(hasPositiveTerm);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Parse and validate a keyword query
+ * @param {string} source - Query text
+ * @returns {Object} Query tree, safe to store as JSON
+ * @throws {KeywordQueryError} When the query is invalid
+ */
+function parseKeywordQuery(source) {
+    const text = String(source || '');
+    const tree = new Parser(text).parse();
+
+    if (!hasPositiveTerm(tree)) {
+        throw new KeywordQueryError('Query needs at least one term that is not excluded', 0, text);
+    }
+
+    return tree;
+}
+
+module.exports = {
+    parseKeywordQuery
+};
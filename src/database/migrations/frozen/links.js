@@ -0,0 +1,205 @@
+/*
+ * Frozen copies of app code that migrations run
+ *
+ * A migration that backfills data must keep doing exactly what it did when it
+ * first shipped, however the app's own modules change later, so migrations
+ * never require anything outside this directory. Each module here is a copy
+ * of app code as one or more migrations used it, and is never changed once a
+ * migration depends on it; a migration that needs newer behaviour gets a new
+ * copy. knex only loads the .js files directly in the migrations directory,
+ * so nothing in here is taken for a migration.
+ *
+ * This module is the link clean-up (utils/links), link keys (utils/duplicates)
+ * and default retailer domains (config/retailers) as of the retailers
+ * migration, 20250903094512; the post_links migration uses it too.
+ */
+
+/**
+ * Pattern matching any of the given parameter names, case-insensitively
+ * @param {string[]} names - Names, or regex fragments such as utm_\w+
+ * @returns {RegExp} Pattern for a whole name
+ */
+const paramPattern = names => new RegExp(`^(${names.join('|')})$`, 'i');
+
+// Tracking parameters dropped from every link
+const TRACKING_PARAMS = paramPattern([
+    'utm_\\w+', 'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'ttclid', 'twclid', 'yclid', 'igshid',
+    'mc_cid', 'mc_eid', 'mkt_tok', '_hsenc', '_hsmi', '_ga', '_gl',
+    'cjevent', 'cjdata', 'irclickid', 'irgwc', 'sharedid', 'ranmid', 'raneaid', 'ransiteid'
+]);
+
+// Tracking parameters dropped only on the sites that use them
+const SITE_TRACKING_PARAMS = [
+    {
+        host: /(^|\.)amazon\.[a-z.]+$/,
+        params: paramPattern([
+            'ref', 'ref_', 'tag', 'ascsubtag', 'linkcode', 'linkid', 'creative', 'creativeasin', 'camp',
+            'pd_rd_\\w+', 'pf_rd_\\w+', 'qid', 'sr', 'crid', 'sprefix', 'content-id', 'sp_csd', 'spla', 'dib', 'dib_tag'
+        ]),
+        refSegment: true
+    },
+    { host: /(^|\.)newegg\.(com|ca)$/, params: paramPattern(['cm_mmc', 'cm_sp', 'cm_re', 'icid', 'nm_mc']) },
+    { host: /(^|\.)bestbuy\.(com|ca)$/, params: paramPattern(['ref', 'loc', 'acampid', 'cmp']) },
+    { host: /(^|\.)walmart\.(com|ca)$/, params: paramPattern(['wmlspartner', 'veh', 'u1', 'sourceid', 'affiliates_ad_id', 'campaign_id']) },
+    { host: /(^|\.)target\.com$/, params: paramPattern(['afid', 'lnk', 'clkid', 'cpng', 'ref', 'afsrc']) },
+    { host: /(^|\.)ebay\.[a-z.]+$/, params: paramPattern(['mkcid', 'mkrid', 'mkevt', 'campid', 'toolid', 'customid', '_trksid', '_trkparms']) },
+    {
+        host: /(^|\.)aliexpress\.(com|us)$/,
+        params: paramPattern(['spm', 'scm', 'aff_fcid', 'aff_fsk', 'aff_platform', 'aff_trace_key', 'algo_pvid', 'algo_expid', 'sk', 'terminal_id', 'afsrc'])
+    },
+    { host: /(^|\.)(youtube\.com|youtu\.be|open\.spotify\.com)$/, params: paramPattern(['si', 'feature']) }
+];
+
+// Amazon's /ref=… path segment
+const REF_SEGMENT = /\/ref=[^/]*$/i;
+
+// Hosts that point back at Reddit itself rather than at the deal
+const REDDIT_HOSTS = /(^|\.)(reddit\.com|redd\.it)$/i;
+
+// Default retailer domains
+const RETAILER_DOMAINS = {
+    amazon: [
+        'amazon.com', 'amazon.ca', 'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.it', 'amazon.es',
+        'amazon.nl', 'amazon.se', 'amazon.pl', 'amazon.com.au', 'amazon.co.jp', 'amazon.in'
+    ],
+    newegg: ['newegg.com', 'newegg.ca'],
+    bestbuy: ['bestbuy.com', 'bestbuy.ca'],
+    walmart: ['walmart.com', 'walmart.ca'],
+    target: ['target.com'],
+    costco: ['costco.com', 'costco.ca'],
+    microcenter: ['microcenter.com'],
+    bhphotovideo: ['bhphotovideo.com'],
+    adorama: ['adorama.com'],
+    ebay: ['ebay.com', 'ebay.ca', 'ebay.co.uk', 'ebay.de'],
+    aliexpress: ['aliexpress.com', 'aliexpress.us'],
+    dell: ['dell.com'],
+    lenovo: ['lenovo.com'],
+    hp: ['hp.com'],
+    apple: ['apple.com'],
+    samsung: ['samsung.com'],
+    woot: ['woot.com'],
+    gamestop: ['gamestop.com'],
+    staples: ['staples.com', 'staples.ca'],
+    officedepot: ['officedepot.com'],
+    homedepot: ['homedepot.com'],
+    canadacomputers: ['canadacomputers.com'],
+    memoryexpress: ['memoryexpress.com'],
+    scan: ['scan.co.uk'],
+    overclockers: ['overclockers.co.uk'],
+    steam: ['store.steampowered.com'],
+    gog: ['gog.com'],
+    humble: ['humblebundle.com'],
+    fanatical: ['fanatical.com'],
+    epicgames: ['store.epicgames.com', 'epicgames.com'],
+    greenmangaming: ['greenmangaming.com']
+};
+
+// Domain to retailer
+const RETAILER_LOOKUP = new Map(Object.entries(RETAILER_DOMAINS)
+    .flatMap(([retailer, domains]) => domains.map(domain => [domain, retailer])));
+
+/**
+ * Parse an absolute http(s) link
+ * @param {string} link - Link
+ * @returns {URL|null} Parsed URL, or null for anything else
+ */
+function parseLink(link) {
+    let url;
+    try {
+        url = new URL(link);
+    } catch (error) {
+        return null;
+    }
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+}
+
+/**
+ * Drop tracking and affiliate parameters from a link
+ * @param {string} link - Link
+ * @returns {string} Cleaned link; anything that isn't http(s) is returned as is
+ */
+function cleanLink(link) {
+    const url = parseLink(link);
+    if (!url) {
+        return link;
+    }
+
+    const site = SITE_TRACKING_PARAMS.find(rules => rules.host.test(url.hostname));
+    if (site && site.refSegment) {
+        url.pathname = url.pathname.replace(REF_SEGMENT, '') || '/';
+    }
+    for (const name of [...url.searchParams.keys()]) {
+        if (TRACKING_PARAMS.test(name) || (site && site.params.test(name))) {
+            url.searchParams.delete(name);
+        }
+    }
+    return url.toString();
+}
+
+/**
+ * Host of a link without a leading www. or m.
+ * @param {string} link - Link
+ * @returns {string|null} Host, or null when the link isn't http(s)
+ */
+function linkHost(link) {
+    const url = parseLink(link);
+    return url ? url.hostname.replace(/^(www|m)\./, '') : null;
+}
+
+/**
+ * Reduce a link to the parts that identify the page it points at
+ * @param {string} link - Link
+ * @returns {string|null} Host, path and sorted parameters, or null when the link isn't http(s)
+ */
+function normalizeLink(link) {
+    const url = parseLink(cleanLink(link));
+    if (!url) {
+        return null;
+    }
+
+    const host = url.hostname.replace(/^(www|m)\./, '');
+    const path = url.pathname.replace(/\/+$/, '');
+    const params = [...url.searchParams].sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+    return `${host}${path}${query}`;
+}
+
+/**
+ * Key of the deal a post links to: its first link off Reddit, normalized
+ * @param {string[]} links - Post links in order
+ * @returns {string|null} Link key, or null when the post has no outside link
+ */
+function linkKey(links) {
+    for (const link of links) {
+        const normalized = normalizeLink(link);
+        if (normalized && !REDDIT_HOSTS.test(normalized.split(/[/?]/)[0])) {
+            return normalized;
+        }
+    }
+    return null;
+}
+
+/**
+ * Retailer a link points at, trying the host and then each parent domain
+ * @param {string} link - Link
+ * @returns {string|null} Retailer, or null for links to other sites
+ */
+function retailerOf(link) {
+    const host = linkHost(link);
+    if (!host) return null;
+
+    const labels = host.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+        const retailer = RETAILER_LOOKUP.get(labels.slice(i).join('.'));
+        if (retailer) return retailer;
+    }
+    return null;
+}
+
+module.exports = {
+    cleanLink,
+    linkHost,
+    normalizeLink,
+    linkKey,
+    retailerOf
+};
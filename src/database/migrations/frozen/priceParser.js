@@ -0,0 +1,216 @@
+/*
+ * Frozen copy of the price parser (utils/priceParser) as the price columns
+ * migration, 20250809150730, first ran it; see ./links for why migrations keep
+ * their own copies.
+ */
+
+// Symbols and codes mapped to ISO currency codes
+const SYMBOLS = {
+    '$': 'USD',
+    'US$': 'USD',
+    'C$': 'CAD',
+    'CA$': 'CAD',
+    'CDN$': 'CAD',
+    'A$': 'AUD',
+    'AU$': 'AUD',
+    'NZ$': 'NZD',
+    '€': 'EUR',
+    '£': 'GBP',
+    '¥': 'JPY',
+    '₹': 'INR'
+};
+const CODES = ['USD', 'CAD', 'AUD', 'NZD', 'EUR', 'GBP', 'JPY', 'INR'];
+
+const NUMBER = '(\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.(\\d{1,2}))?';
+const MONEY_PATTERN = new RegExp(
+    // Prefixed: $549, C$ 1,299.99, €89
+    `(US\\$|C\\$|CA\\$|CDN\\$|A\\$|AU\\$|NZ\\$|\\$|€|£|¥|₹)\\s?${NUMBER}` +
+    // Suffixed: 89€, 549 USD
+    `|${NUMBER}\\s?(€|£|(?:${CODES.join('|')})\\b)`,
+    'gi'
+);
+const PERCENT_PATTERN = /(\d{1,2}(?:\.\d+)?)\s?%/g;
+
+// Words around an amount that tell us what it is
+const DISCOUNT_AFTER = /^\s*(off|coupon|discount|promo|rebate|instant|savings?|clip|code|mir)\b/i;
+const DISCOUNT_BEFORE = /\b(save|minus|less|extra)\s*$/i;
+const ORIGINAL_BEFORE = /\b(reg(?:ular)?|was|msrp|list|orig(?:inal)?|retail|normally|usually)\.?\s*:?\s*$/i;
+const ORIGINAL_AFTER = /^\s*(->|→|=>|=|to\b)/i;
+const PERCENT_IGNORED_AFTER = /^\s*(back|cash\s?back|apr|rewards?)\b/i;
+const FREE_PATTERN = /(?:^|[-–(:|]\s*)free\b(?!\s+(shipping|delivery|ship|s&h|returns?|gift|game|with))/i;
+
+/**
+ * Round to cents
+ * @param {number} value - Amount
+ * @returns {number} Amount to two decimal places
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Find every money amount in a title, with its position and currency
+ * @param {string} title - Deal title
+ * @returns {Array<{amount: number, currency: string, start: number, end: number}>} Amounts in order
+ */
+function findAmounts(title) {
+    const amounts = [];
+    MONEY_PATTERN.lastIndex = 0;
+
+    let match;
+    while ((match = MONEY_PATTERN.exec(title)) !== null) {
+        const prefixed = match[1] !== undefined;
+        const whole = prefixed ? match[2] : match[4];
+        const cents = prefixed ? match[3] : match[5];
+        const marker = prefixed ? match[1] : match[6];
+
+        amounts.push({
+            amount: parseFloat(`${whole.replace(/,/g, '')}.${cents || '0'}`),
+            currency: SYMBOLS[marker.toUpperCase()] || marker.toUpperCase(),
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+
+    return amounts;
+}
+
+/**
+ * Find the discount percentage, skipping cashback and APR figures
+ * @param {string} title - Deal title
+ * @returns {number|null} Percentage or null
+ */
+function findPercent(title) {
+    PERCENT_PATTERN.lastIndex = 0;
+
+    let match;
+    while ((match = PERCENT_PATTERN.exec(title)) !== null) {
+        const after = title.slice(match.index + match[0].length);
+        if (!PERCENT_IGNORED_AFTER.test(after)) {
+            const percent = parseFloat(match[1]);
+            if (percent > 0 && percent < 100) return percent;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Decide whether each amount is the current price, the original price or a discount
+ * @param {string} title - Deal title
+ * @param {Object[]} amounts - Amounts from findAmounts
+ * @returns {Object[]} Amounts with a `role`
+ */
+function classify(title, amounts) {
+    const roles = [];
+
+    amounts.forEach((entry, index) => {
+        const before = title.slice(Math.max(0, entry.start - 12), entry.start);
+        const after = title.slice(entry.end, entry.end + 15);
+        const next = amounts[index + 1];
+
+        // "$599 - $50": the second amount's role was settled with the first
+        if (roles[index]) return;
+
+        if (DISCOUNT_AFTER.test(after) || DISCOUNT_BEFORE.test(before)) {
+            roles[index] = 'discount';
+        } else if (ORIGINAL_BEFORE.test(before) || ORIGINAL_AFTER.test(after)) {
+            roles[index] = 'original';
+        } else if (/~~\s*$/.test(before) && /^\s*~~/.test(after)) {
+            // Struck-through price
+            roles[index] = 'original';
+        } else if (next && /^\s*-\s*$/.test(title.slice(entry.end, next.start))) {
+            // "$599 - $50 coupon" reduces by a discount; "$449 - $379" is old and new price
+            const nextAfter = title.slice(next.end, next.end + 15);
+            if (DISCOUNT_AFTER.test(nextAfter) || next.amount < entry.amount / 2) {
+                roles[index] = 'original';
+                roles[index + 1] = 'discount';
+            } else if (next.amount < entry.amount) {
+                roles[index] = 'original';
+                roles[index + 1] = 'price';
+            } else {
+                roles[index] = 'price';
+            }
+        } else {
+            roles[index] = 'price';
+        }
+    });
+
+    return amounts.map((entry, index) => ({ ...entry, role: roles[index] }));
+}
+
+/**
+ * Extract price information from a deal title
+ * @param {string} title - Deal title
+ * @returns {{price: number|null, originalPrice: number|null, discountAmount: number|null, discountPercent: number|null, currency: string|null}}
+ */
+function parsePrice(title) {
+    const text = String(title || '');
+    const amounts = classify(text, findAmounts(text));
+
+    const first = role => {
+        const entry = amounts.find(candidate => candidate.role === role);
+        return entry ? entry.amount : null;
+    };
+
+    let price = first('price');
+    let originalPrice = first('original');
+    let discountAmount = first('discount');
+    let discountPercent = findPercent(text);
+
+    // "$549 ($599)": a larger second price in parentheses is the regular price
+    const prices = amounts.filter(entry => entry.role === 'price');
+    if (originalPrice === null && prices.length > 1) {
+        const second = prices[1];
+        if (second.amount > prices[0].amount && /\(\s*$/.test(text.slice(0, second.start))) {
+            originalPrice = second.amount;
+        }
+    }
+
+    // Free games and the like
+    if (price === null && amounts.length === 0 && FREE_PATTERN.test(text)) {
+        price = 0;
+    }
+
+    // Fill in whatever the title implies but doesn't state
+    if (price === null && originalPrice !== null && discountAmount !== null) {
+        price = round(originalPrice - discountAmount);
+    }
+    if (price === null && originalPrice !== null && discountPercent !== null) {
+        price = round(originalPrice * (1 - discountPercent / 100));
+    }
+    if (originalPrice === null && price !== null && discountAmount !== null) {
+        originalPrice = round(price + discountAmount);
+    }
+    if (originalPrice === null && price !== null && discountPercent !== null && price > 0) {
+        originalPrice = round(price / (1 - discountPercent / 100));
+    }
+    if (originalPrice !== null && price !== null && originalPrice > price) {
+        if (discountAmount === null) {
+            discountAmount = round(originalPrice - price);
+        }
+        if (discountPercent === null) {
+            discountPercent = round((originalPrice - price) / originalPrice * 100);
+        }
+    }
+
+    // An "original" that isn't higher than the price is noise
+    if (originalPrice !== null && price !== null && originalPrice <= price) {
+        originalPrice = null;
+        discountAmount = null;
+    }
+
+    const currencyEntry = amounts.find(entry => entry.role === 'price') || amounts[0];
+
+    return {
+        price,
+        originalPrice,
+        discountAmount,
+        discountPercent: discountPercent === null ? null : round(discountPercent),
+        currency: currencyEntry ? currencyEntry.currency : null
+    };
+}
+
+module.exports = {
+    parsePrice
+};
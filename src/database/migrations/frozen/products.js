@@ -0,0 +1,71 @@
+/*
+ * Frozen copy of the product keys (utils/duplicates) as the products
+ * migration, 20250901143020, first ran them; see ./links for why migrations
+ * keep their own copies. Link keys are the ones in ./duplicates.
+ */
+
+const { linkKey } = require('./duplicates');
+
+// Words too common in deal titles to tell two posts apart
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Prices and percentages, which change between posts of the same product
+const PRICE_TOKENS = /(?:us|c|ca|cdn|a|au|nz)?[$€£¥₹]\s?\d[\d,]*(?:\.\d+)?|\d[\d,]*(?:\.\d+)?\s?(?:[€£%]|(?:usd|cad|aud|nzd|eur|gbp|jpy|inr)\b)/gi;
+
+// Words deal titles wrap around the product name
+const DEAL_WORDS = new Set([
+    'after', 'atl', 'code', 'coupon', 'deal', 'ever', 'free', 'lowest', 'msrp', 'now', 'off', 'price',
+    'promo', 'reg', 'regular', 'rebate', 'sale', 'save', 'shipped', 'shipping', 'was', 'ymmv'
+]);
+
+/**
+ * Split a title into the words worth comparing, without bracket tags like [GPU]
+ * @param {string} title - Post title
+ * @returns {Set<string>} Lowercase words
+ */
+function titleWords(title = '') {
+    const words = title
+        .toLowerCase()
+        .replace(/\[[^\]]*\]/g, ' ')
+        .split(/[^a-z0-9.]+/)
+        .map(word => word.replace(/^\.+|\.+$/g, ''))
+        .filter(word => word && !STOP_WORDS.has(word));
+
+    return new Set(words);
+}
+
+/**
+ * Title reduced to the words naming the product: no prices, percentages or deal wording, sorted
+ * @param {string} title - Post title
+ * @returns {string|null} Title key, or null when too little is left to go on: a
+ *   single word only counts when it is a model number such as 7800x3d
+ */
+function titleKey(title = '') {
+    const words = [...titleWords(title.replace(PRICE_TOKENS, ' '))]
+        .filter(word => !DEAL_WORDS.has(word));
+
+    if (words.length === 1 && !(/[a-z]/.test(words[0]) && /\d/.test(words[0]))) {
+        return null;
+    }
+    return words.length > 0 ? words.sort().join(' ') : null;
+}
+
+/**
+ * Key identifying the product a post is about: its link key, or failing that its title key
+ * @param {string[]} links - Post links in order
+ * @param {string} title - Post title
+ * @returns {string|null} `link:…` or `title:…`, or null when neither says enough
+ */
+function productKey(links, title) {
+    const link = linkKey(links);
+    if (link) {
+        return `link:${link}`;
+    }
+
+    const key = titleKey(title);
+    return key ? `title:${key}` : null;
+}
+
+module.exports = {
+    productKey
+};
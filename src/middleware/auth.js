@@ -0,0 +1,129 @@
+const { ForbiddenError, UnauthorizedError } = require('../utils/errors');
+
+/**
+ * Cookie the dashboard keeps its login token in
+ */
+const SESSION_COOKIE = 'dealmonitor_session';
+
+/**
+ * Header API keys are sent in
+ */
+const API_KEY_HEADER = 'X-API-Key';
+
+/**
+ * Read the login token from `Authorization: Bearer` or the session cookie
+ * @param {import('express').Request} req - Request
+ * @returns {string|null} Token, or null when the request carries none
+ */
+function readToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    if (match) {
+        return match[1];
+    }
+
+    for (const pair of (req.get('Cookie') || '').split(';')) {
+        const index = pair.indexOf('=');
+        if (index > 0 && pair.slice(0, index).trim() === SESSION_COOKIE) {
+            return decodeURIComponent(pair.slice(index + 1).trim()) || null;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Identify the user behind the request's API key or token, if any
+ *
+ * Sets `req.user` and `req.ownerId`, the scope passed to repositories: the
+ * user's ID, or null for admins, who see everyone's data. A request with an
+ * `X-API-Key` header is identified by that key alone and also gets
+ * `req.apiKey`. Requests without valid credentials carry on anonymously;
+ * requireUser turns them away.
+ *
+ * @param {Object} deps - Middleware dependencies
+ * @param {import('../services/AuthService')} deps.authService - Token lookup
+ * @param {import('../services/ApiKeyService')} deps.apiKeyService - API key lookup
+ * @returns {import('express').RequestHandler} Middleware
+ */
+function authenticate({ authService, apiKeyService }) {
+    return async (req, res, next) => {
+        const key = req.get(API_KEY_HEADER);
+        req.token = null;
+        req.apiKey = null;
+        req.user = null;
+
+        if (key) {
+            const found = await apiKeyService.authenticate(key);
+            if (found) {
+                req.user = found.user;
+                req.apiKey = found.apiKey;
+            }
+        } else {
+            req.token = readToken(req);
+            req.user = req.token ? await authService.authenticate(req.token) : null;
+        }
+
+        req.ownerId = req.user && !req.user.isAdmin() ? req.user.id : null;
+        next();
+    };
+}
+
+/**
+ * Reject requests without a valid login
+ * @type {import('express').RequestHandler}
+ */
+function requireUser(req, res, next) {
+    if (!req.user) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return next(new UnauthorizedError());
+    }
+    next();
+}
+
+/**
+ * Reject requests from anyone but an admin
+ * @type {import('express').RequestHandler}
+ */
+function requireAdmin(req, res, next) {
+    if (!req.user) {
+        return requireUser(req, res, next);
+    }
+    if (!req.user.isAdmin()) {
+        return next(new ForbiddenError('Admin role required'));
+    }
+    next();
+}
+
+/**
+ * Keep a login token in the session cookie, for the dashboard and EventSource
+ * @param {import('express').Response} res - Response
+ * @param {string} token - Login token
+ * @param {Date} expiresAt - When the token expires
+ * @param {string} env - App environment from config; the cookie is only sent over HTTPS in production
+ */
+function setSessionCookie(res, token, expiresAt, env) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: env === 'production',
+        expires: expiresAt,
+        path: '/'
+    });
+}
+
+/**
+ * Remove the session cookie
+ * @param {import('express').Response} res - Response
+ */
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+module.exports = {
+    authenticate,
+    requireUser,
+    requireAdmin,
+    setSessionCookie,
+    clearSessionCookie
+};
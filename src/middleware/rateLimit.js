@@ -0,0 +1,65 @@
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const { TooManyRequestsError } = require('../utils/errors');
+
+/**
+ * Who a request counts against: its API key, its logged-in user, or its IP address
+ * @param {import('express').Request} req - Authenticated request
+ * @returns {string} Bucket key
+ */
+function clientKey(req) {
+    if (req.apiKey) return `key:${req.apiKey.id}`;
+    if (req.user) return `user:${req.user.id}`;
+    return `ip:${ipKeyGenerator(req.ip)}`;
+}
+
+/**
+ * Create a rate limiter with its own bucket per client
+ * Mount it after authentication, so keys and users are known. Responses carry
+ * `RateLimit-Limit`, `RateLimit-Remaining` and `RateLimit-Reset`; rejected
+ * requests get `Retry-After` and a 429 in the usual error format.
+ * @param {Object} options - Limiter options
+ * @param {number} options.windowMs - Length of a window
+ * @param {number} options.limit - Requests per window for API keys and logged-in users
+ * @param {number} options.anonymousLimit - Requests per window for callers without credentials
+ * @param {boolean} options.keyLimits - Let an API key's own rateLimit replace `limit`
+ * @returns {import('express').RequestHandler} Middleware
+ */
+function createRateLimiter({ windowMs, limit, anonymousLimit = limit, keyLimits = false }) {
+    return rateLimit({
+        windowMs,
+        limit: req => {
+            if (!req.user) return anonymousLimit;
+            if (keyLimits && req.apiKey && req.apiKey.rateLimit !== null) return req.apiKey.rateLimit;
+            return limit;
+        },
+        keyGenerator: clientKey,
+        standardHeaders: 'draft-6',
+        legacyHeaders: false,
+        handler: (req, res, next) => {
+            const retryAfter = Math.max(0, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+            next(new TooManyRequestsError('Too many requests, slow down', { retryAfter }));
+        }
+    });
+}
+
+/**
+ * Create the app's rate limiters
+ * `api` covers every API request; `search` and `stats` are extra buckets for
+ * the expensive post search and statistics routes.
+ * @param {Object} settings - Rate limit settings, config.rateLimit
+ * @returns {{api: import('express').RequestHandler, search: import('express').RequestHandler, stats: import('express').RequestHandler}} Limiters
+ */
+function createRateLimits(settings) {
+    const { windowMs, anonymousMax } = settings;
+
+    return {
+        api: createRateLimiter({ windowMs, limit: settings.max, anonymousLimit: anonymousMax, keyLimits: true }),
+        search: createRateLimiter({ windowMs, limit: settings.searchMax, anonymousLimit: anonymousMax }),
+        stats: createRateLimiter({ windowMs, limit: settings.statsMax, anonymousLimit: anonymousMax })
+    };
+}
+
+module.exports = {
+    createRateLimiter,
+    createRateLimits
+};
@@ -0,0 +1,64 @@
+const { randomUUID } = require('crypto');
+const { runWithContext } = require('../utils/context');
+const { redactUrl } = require('../utils/redact');
+
+/**
+ * Request IDs callers may pass in `X-Request-Id`; anything else is replaced
+ */
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give each request an ID, taken from `X-Request-Id` when the caller sent a
+ * usable one, and echo it in the response's `X-Request-Id` header
+ * @type {import('express').RequestHandler}
+ */
+function assignRequestId(req, res, next) {
+    const header = req.get('X-Request-Id');
+    req.id = header && REQUEST_ID_PATTERN.test(header) ? header : randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+}
+
+/**
+ * Log each request once its response has been sent
+ * Feed tokens in the query string are masked in the logged path.
+ * @param {Object} deps - Middleware dependencies
+ * @param {import('winston').Logger} deps.logger - Logger
+ * @returns {import('express').RequestHandler} Middleware
+ */
+function accessLog({ logger }) {
+    return (req, res, next) => {
+        const started = process.hrtime.bigint();
+
+        res.on('finish', () => {
+            logger.info('Request completed', {
+                requestId: req.id,
+                userId: req.user ? req.user.id : null,
+                method: req.method,
+                path: redactUrl(req.originalUrl),
+                status: res.statusCode,
+                durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+                contentLength: res.get('Content-Length') ? parseInt(res.get('Content-Length')) : null,
+                ip: req.ip,
+                userAgent: req.get('User-Agent') || null
+            });
+        });
+
+        next();
+    };
+}
+
+/**
+ * Run the rest of the request in a correlation context with its ID and user
+ * Mounted after authentication, so log lines and audit entries name the user.
+ * @type {import('express').RequestHandler}
+ */
+function requestContext(req, res, next) {
+    runWithContext({ requestId: req.id, userId: req.user ? req.user.id : null }, next);
+}
+
+module.exports = {
+    assignRequestId,
+    accessLog,
+    requestContext
+};
@@ -0,0 +1,53 @@
+const Joi = require('joi');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Schema for routes addressed by a numeric `:id`
+ */
+const idParams = Joi.object({
+    id: Joi.number().integer().min(1).required()
+});
+
+/**
+ * Validate part of the request against a Joi schema
+ *
+ * Express 5 exposes `req.query` as a read-only getter, so validated (and
+ * defaulted) values are stored on `req.validated[source]` instead.
+ *
+ * @param {import('joi').ObjectSchema} schema - Schema to validate against
+ * @param {'body'|'query'|'params'} source - Request property to validate
+ * @param {Object} [context] - Joi validation context, such as the categoryParser category fields need
+ * @returns {import('express').RequestHandler} Validation middleware
+ */
+function validate(schema, source = 'body', context = {}) {
+    return (req, res, next) => {
+        const { value, error } = schema.validate(req[source] || {}, {
+            abortEarly: false,
+            convert: true,
+            context
+        });
+
+        if (error) {
+            return next(ValidationError.fromJoi(error));
+        }
+
+        req.validated = { ...req.validated, [source]: value };
+        next();
+    };
+}
+
+/**
+ * Copy the `:id` route parameter into the body, for update schemas that
+ * validate the ID alongside the fields being changed
+ * @type {import('express').RequestHandler}
+ */
+function idIntoBody(req, res, next) {
+    req.body = { ...req.body, id: req.params.id };
+    next();
+}
+
+module.exports = {
+    validate,
+    idParams,
+    idIntoBody
+};
@@ -0,0 +1,93 @@
+const Joi = require('joi');
+
+/**
+ * ApiKey model class - a credential that acts as its user without logging in
+ */
+class ApiKey {
+    constructor(data) {
+        this.id = data.id || null;
+        this.userId = data.user_id || data.userId || null;
+        this.name = data.name || '';
+        this.keyPrefix = data.key_prefix || data.keyPrefix || null;
+        this.keyHash = data.key_hash || data.keyHash || null;
+        this.rateLimit = data.rate_limit ?? data.rateLimit ?? null;
+        this.lastUsedAt = data.last_used_at || data.lastUsedAt || null;
+        this.revokedAt = data.revoked_at || data.revokedAt || null;
+        this.createdAt = data.created_at || data.createdAt || null;
+    }
+
+    /**
+     * Whether the key has been revoked
+     * @returns {boolean} True once revoked
+     */
+    isRevoked() {
+        return this.revokedAt !== null;
+    }
+
+    /**
+     * Convert model to database format (snake_case)
+     */
+    toDatabase() {
+        return {
+            id: this.id,
+            user_id: this.userId,
+            name: this.name,
+            key_prefix: this.keyPrefix,
+            key_hash: this.keyHash,
+            rate_limit: this.rateLimit,
+            last_used_at: this.lastUsedAt,
+            revoked_at: this.revokedAt,
+            created_at: this.createdAt
+        };
+    }
+
+    /**
+     * Convert model to API format (camelCase); the hash is never returned
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            userId: this.userId,
+            name: this.name,
+            keyPrefix: this.keyPrefix,
+            rateLimit: this.rateLimit,
+            revoked: this.isRevoked(),
+            lastUsedAt: this.lastUsedAt,
+            revokedAt: this.revokedAt,
+            createdAt: this.createdAt
+        };
+    }
+
+    /**
+     * Create from database row
+     */
+    static fromDatabase(row) {
+        if (!row) return null;
+        return new ApiKey(row);
+    }
+}
+
+/**
+ * Validation schemas for API keys
+ */
+const ApiKeyValidation = {
+    // Schema for issuing a key
+    create: Joi.object({
+        userId: Joi.number().integer().min(1).required(),
+        name: Joi.string().trim().min(1).max(100).required(),
+        rateLimit: Joi.number().integer().min(1).max(100000).allow(null).optional()
+    }),
+
+    // Schema for query parameters
+    query: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        userId: Joi.number().integer().min(1).optional(),
+        revoked: Joi.boolean().optional()
+    })
+};
+
+module.exports = {
+    ApiKey,
+    ApiKeyValidation
+};
@@ -0,0 +1,99 @@
+const Joi = require('joi');
+
+/**
+ * AuditEntry model class - one recorded change to a keyword, subreddit or post
+ */
+class AuditEntry {
+    constructor(data) {
+        this.id = data.id || null;
+        this.userId = data.user_id ?? data.userId ?? null;
+        this.action = data.action || null;
+        this.entityType = data.entity_type || data.entityType || null;
+        this.entityId = data.entity_id ?? data.entityId ?? null;
+        this.before = AuditEntry.parseValues(data.before);
+        this.after = AuditEntry.parseValues(data.after);
+        this.requestId = data.request_id || data.requestId || null;
+        this.createdAt = data.created_at || data.createdAt || null;
+    }
+
+    /**
+     * Read stored entity values, which are kept as JSON text
+     * @param {string|Object|null} values - Stored or in-memory values
+     * @returns {Object|null} Values
+     */
+    static parseValues(values) {
+        if (values === null || values === undefined) return null;
+        return typeof values === 'string' ? JSON.parse(values) : values;
+    }
+
+    /**
+     * Convert model to database format (snake_case)
+     */
+    toDatabase() {
+        return {
+            id: this.id,
+            user_id: this.userId,
+            action: this.action,
+            entity_type: this.entityType,
+            entity_id: this.entityId,
+            before: this.before === null ? null : JSON.stringify(this.before),
+            after: this.after === null ? null : JSON.stringify(this.after),
+            request_id: this.requestId,
+            created_at: this.createdAt
+        };
+    }
+
+    /**
+     * Convert model to API format (camelCase)
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            userId: this.userId,
+            action: this.action,
+            entityType: this.entityType,
+            entityId: this.entityId,
+            before: this.before,
+            after: this.after,
+            requestId: this.requestId,
+            createdAt: this.createdAt
+        };
+    }
+
+    /**
+     * Create from database row
+     */
+    static fromDatabase(row) {
+        if (!row) return null;
+        return new AuditEntry(row);
+    }
+}
+
+/**
+ * Recorded changes, and the kinds of entity they are recorded for
+ */
+AuditEntry.ACTIONS = ['create', 'update', 'delete'];
+AuditEntry.ENTITY_TYPES = ['keyword', 'subreddit', 'post'];
+
+/**
+ * Validation schemas for audit entries
+ */
+const AuditEntryValidation = {
+    // Schema for query parameters
+    query: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        userId: Joi.number().integer().min(1).optional(),
+        action: Joi.string().valid(...AuditEntry.ACTIONS).optional(),
+        entityType: Joi.string().valid(...AuditEntry.ENTITY_TYPES).optional(),
+        entityId: Joi.number().integer().min(1).optional(),
+        requestId: Joi.string().max(128).optional(),
+        since: Joi.date().iso().optional(),
+        until: Joi.date().iso().min(Joi.ref('since')).optional()
+    })
+};
+
+module.exports = {
+    AuditEntry,
+    AuditEntryValidation
+};
@@ -0,0 +1,96 @@
+const Joi = require('joi');
+
+/**
+ * EmailDigest model class - the matches queued for one recipient and window
+ * Immediate recipients get a digest per match whose window ends when it is queued.
+ */
+class EmailDigest {
+    constructor(data) {
+        this.id = data.id || null;
+        this.recipientId = data.recipient_id || data.recipientId || null;
+        this.windowEnd = EmailDigest.toDate(data.window_end ?? data.windowEnd);
+        this.status = data.status || 'pending';
+        this.attempts = data.attempts || 0;
+        this.messageId = data.message_id || data.messageId || null;
+        this.sentAt = data.sent_at || data.sentAt || null;
+        this.error = data.error || null;
+        this.itemCount = data.item_count ?? data.itemCount ?? null;
+        this.createdAt = data.created_at || data.createdAt || null;
+        this.updatedAt = data.updated_at || data.updatedAt || null;
+    }
+
+    /**
+     * Convert model to database format (snake_case)
+     */
+    toDatabase() {
+        return {
+            id: this.id,
+            recipient_id: this.recipientId,
+            window_end: this.windowEnd ? this.windowEnd.getTime() : null,
+            status: this.status,
+            attempts: this.attempts,
+            message_id: this.messageId,
+            sent_at: this.sentAt,
+            error: this.error,
+            created_at: this.createdAt,
+            updated_at: this.updatedAt
+        };
+    }
+
+    /**
+     * Convert model to API format (camelCase)
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            recipientId: this.recipientId,
+            windowEnd: this.windowEnd ? this.windowEnd.toISOString() : null,
+            status: this.status,
+            attempts: this.attempts,
+            itemCount: this.itemCount,
+            messageId: this.messageId,
+            sentAt: this.sentAt,
+            error: this.error,
+            createdAt: this.createdAt
+        };
+    }
+
+    /**
+     * Create from database row
+     */
+    static fromDatabase(row) {
+        if (!row) return null;
+        return new EmailDigest(row);
+    }
+
+    /**
+     * Read a stored epoch-millisecond value as a Date
+     */
+    static toDate(value) {
+        if (value === null || value === undefined) return null;
+        return value instanceof Date ? value : new Date(Number(value));
+    }
+}
+
+/**
+ * Digest states: waiting for its window or a retry, claimed by a sender, delivered, given up
+ */
+EmailDigest.STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+/**
+ * Validation schemas for email digests
+ */
+const EmailDigestValidation = {
+    // Schema for query parameters
+    query: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        recipientId: Joi.number().integer().min(1).optional(),
+        status: Joi.string().valid(...EmailDigest.STATUSES).optional()
+    })
+};
+
+module.exports = {
+    EmailDigest,
+    EmailDigestValidation
+};
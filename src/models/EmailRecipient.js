@@ -0,0 +1,117 @@
+const Joi = require('joi');
+
+/**
+ * EmailRecipient model class - an address that receives match emails
+ */
+class EmailRecipient {
+    constructor(data) {
+        this.id = data.id || null;
+        this.email = data.email || '';
+        this.name = data.name || null;
+        this.mode = data.mode || 'immediate';
+        this.enabled = data.enabled === undefined ? true : Boolean(data.enabled);
+        this.userId = data.user_id || data.userId || null;
+        this.createdAt = data.created_at || data.createdAt || null;
+        this.updatedAt = data.updated_at || data.updatedAt || null;
+    }
+
+    /**
+     * Whether matches are batched rather than mailed one by one
+     */
+    isDigest() {
+        return this.mode !== 'immediate';
+    }
+
+    /**
+     * Address for the To header, e.g. "Jane <jane@example.com>"
+     */
+    toAddress() {
+        return this.name ? { name: this.name, address: this.email } : this.email;
+    }
+
+    /**
+     * Convert model to database format (snake_case)
+     */
+    toDatabase() {
+        return {
+            id: this.id,
+            email: this.email,
+            name: this.name,
+            mode: this.mode,
+            enabled: this.enabled,
+            user_id: this.userId,
+            created_at: this.createdAt,
+            updated_at: this.updatedAt
+        };
+    }
+
+    /**
+     * Convert model to API format (camelCase)
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            email: this.email,
+            name: this.name,
+            mode: this.mode,
+            enabled: this.enabled,
+            userId: this.userId,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Create from database row
+     */
+    static fromDatabase(row) {
+        if (!row) return null;
+        return new EmailRecipient(row);
+    }
+}
+
+/**
+ * Delivery modes: one email per match, or a digest per hour or day (UTC)
+ */
+EmailRecipient.MODES = ['immediate', 'hourly', 'daily'];
+
+/**
+ * Addresses are compared and stored lowercase
+ */
+const email = Joi.string().trim().lowercase().email().max(254)
+    .messages({
+        'string.email': 'Email must be a valid email address'
+    });
+
+/**
+ * Validation schemas for email recipients
+ */
+const EmailRecipientValidation = {
+    // Schema for creating new recipients
+    create: Joi.object({
+        email: email.required(),
+        name: Joi.string().trim().max(100).allow(null).optional(),
+        mode: Joi.string().valid(...EmailRecipient.MODES).default('immediate'),
+        enabled: Joi.boolean().default(true)
+    }),
+
+    // Schema for updating recipients
+    update: Joi.object({
+        id: Joi.number().integer().required(),
+        email: email.optional(),
+        name: Joi.string().trim().max(100).allow(null).optional(),
+        mode: Joi.string().valid(...EmailRecipient.MODES).optional(),
+        enabled: Joi.boolean().optional()
+    }),
+
+    // Schema for query parameters
+    query: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20)
+    })
+};
+
+module.exports = {
+    EmailRecipient,
+    EmailRecipientValidation
+};
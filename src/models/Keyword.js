@@ -1,9 +1,16 @@
 const Joi = require('joi'); 
+const { KeywordQueryError, parseKeywordQuery } = require('../utils/keywordQuery');
+const { normalizeCategory } = require('../utils/categoryParser');
 
 class Keyword {
     constructor(data) {
         this.id = data.id || null; 
         this.keyword = data.keyword || ''; 
+        this.parsedQuery = Keyword.parseStoredQuery(data.parsed_query || data.parsedQuery);
+        this.categories = Keyword.parseCategories(data.categories);
+        this.userId = data.user_id || data.userId || null;
+        // Subreddits the keyword is limited to, as {id, name}; loaded by the repository
+        this.subreddits = data.subreddits || [];
         this.createdAt = data.created_at || data.createdAt || null;
         this.updatedAt = data.updated_at || data.updatedAt || null;
     }
@@ -15,6 +22,11 @@ class Keyword {
         return {
             id: this.id,
             keyword: this.keyword,
+            // The stored tree, or the text parsed when there is none; keywords
+            // backfilled as a literal phrase don't parse, so keep their tree
+            parsed_query: JSON.stringify(this.getQuery()),
+            categories: this.categories.length > 0 ? JSON.stringify(this.categories) : null,
+            user_id: this.userId,
             created_at: this.createdAt,
             updated_at: this.updatedAt
         };
@@ -27,6 +39,9 @@ class Keyword {
         return {
             id: this.id,
             keyword: this.keyword,
+            categories: this.categories,
+            subreddits: this.subreddits,
+            userId: this.userId,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt,
         };
@@ -40,6 +55,60 @@ class Keyword {
         return new Keyword(row); 
     }
 
+    /**
+     * Get the parsed query, using the stored tree when there is one
+     */
+    getQuery() {
+        if (!this.parsedQuery) {
+            this.parsedQuery = parseKeywordQuery(this.keyword);
+        }
+        return this.parsedQuery;
+    }
+
+    /**
+     * Whether the keyword applies to posts in a category
+     * Keywords without categories apply to every post.
+     */
+    appliesToCategory(category) {
+        return this.categories.length === 0 || this.categories.includes(category);
+    }
+
+    /**
+     * Whether the keyword applies to posts from a subreddit
+     * Keywords without subreddits apply everywhere; limited keywords never
+     * apply to posts whose subreddit isn't known.
+     */
+    appliesToSubreddit(subreddit) {
+        return this.subreddits.length === 0 || this.subreddits.some(linked => linked.name === subreddit);
+    }
+
+    /**
+     * Read categories, which arrive as JSON text from the database
+     */
+    static parseCategories(value) {
+        if (!value) return [];
+        if (Array.isArray(value)) return value;
+        try {
+            const categories = JSON.parse(value);
+            return Array.isArray(categories) ? categories : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Read a stored query tree, which arrives as JSON text from the database
+     */
+    static parseStoredQuery(value) {
+        if (!value) return null;
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Validate if the keyword is acceptable
      */
@@ -50,23 +119,53 @@ class Keyword {
     } 
 }
 
+/**
+ * Keyword text schema; the text must parse as a keyword query
+ */
+const keywordQuery = Joi.string().trim().min(1).max(500)
+    .custom((value, helpers) => {
+        try {
+            parseKeywordQuery(value);
+            return value;
+        } catch (error) {
+            if (!(error instanceof KeywordQueryError)) throw error;
+            return helpers.error('keyword.syntax', {
+                reason: error.message,
+                position: error.position,
+                token: error.token
+            });
+        }
+    })
+    .messages({
+        'string.empty': 'Keyword cannot be empty',
+        'string.max': 'Keyword must be less than 500 characters',
+        'keyword.syntax': 'Invalid keyword query: {{#reason}}'
+    });
+
+/**
+ * Categories a keyword is limited to; tags and aliases are normalized by the
+ * categoryParser in the validation context
+ */
+const categories = Joi.array()
+    .items(Joi.string().trim().min(1).max(50).custom(normalizeCategory))
+    .unique()
+    .max(50);
+
 /**
  * Validation schemas for keywords
  */
 const KeywordValidation = {
     // Schema for creating new keywords
     create: Joi.object({
-        keyword: Joi.string().min(1).max(500).required()
-        .messages({
-            'string.empty': 'Keyword cannot be empty',
-            'string.max': 'Keyword must be less than 500 characters'
-        }),
+        keyword: keywordQuery.required(),
+        categories: categories.optional().default([])
     }),
 
     // Schema for updating keywords
     update: Joi.object({
         id: Joi.number().integer().required(),
-        keyword: Joi.string().min(1).max(500).optional()
+        keyword: keywordQuery.optional(),
+        categories: categories.optional()
     }),
 
     // Schema for query parameters
@@ -0,0 +1,108 @@
+const Joi = require('joi');
+
+/**
+ * NotificationDelivery model class - one attempt to deliver a notification
+ */
+class NotificationDelivery {
+    constructor(data) {
+        this.id = data.id || null;
+        this.webhookId = data.webhook_id || data.webhookId || null;
+        this.postId = data.post_id || data.postId || null;
+        this.keywordId = data.keyword_id || data.keywordId || null;
+        this.attempt = data.attempt || 1;
+        this.status = data.status || null;
+        this.responseCode = data.response_code ?? data.responseCode ?? null;
+        this.latencyMs = data.latency_ms ?? data.latencyMs ?? null;
+        this.error = data.error || null;
+        this.deliveryId = data.delivery_id || data.deliveryId || null;
+        this.payload = data.payload || null;
+        this.nextAttemptAt = NotificationDelivery.toDate(data.next_attempt_at ?? data.nextAttemptAt);
+        this.claimed = Boolean(data.claimed);
+        this.createdAt = data.created_at || data.createdAt || null;
+        this.updatedAt = data.updated_at || data.updatedAt || null;
+    }
+
+    /**
+     * Convert model to database format (snake_case)
+     */
+    toDatabase() {
+        return {
+            id: this.id,
+            webhook_id: this.webhookId,
+            post_id: this.postId,
+            keyword_id: this.keywordId,
+            attempt: this.attempt,
+            status: this.status,
+            response_code: this.responseCode,
+            latency_ms: this.latencyMs,
+            error: this.error,
+            delivery_id: this.deliveryId,
+            payload: this.payload,
+            next_attempt_at: this.nextAttemptAt ? this.nextAttemptAt.getTime() : null,
+            claimed: this.claimed,
+            created_at: this.createdAt,
+            updated_at: this.updatedAt
+        };
+    }
+
+    /**
+     * Convert model to API format (camelCase); the stored request body is not returned
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            webhookId: this.webhookId,
+            postId: this.postId,
+            keywordId: this.keywordId,
+            attempt: this.attempt,
+            status: this.status,
+            responseCode: this.responseCode,
+            latencyMs: this.latencyMs,
+            error: this.error,
+            deliveryId: this.deliveryId,
+            nextAttemptAt: this.nextAttemptAt ? this.nextAttemptAt.toISOString() : null,
+            createdAt: this.createdAt
+        };
+    }
+
+    /**
+     * Create from database row
+     */
+    static fromDatabase(row) {
+        if (!row) return null;
+        return new NotificationDelivery(row);
+    }
+
+    /**
+     * Read a stored epoch-millisecond value as a Date
+     */
+    static toDate(value) {
+        if (value === null || value === undefined) return null;
+        return value instanceof Date ? value : new Date(Number(value));
+    }
+}
+
+/**
+ * Attempt outcomes: delivered, failed but will be retried, failed for good
+ */
+NotificationDelivery.STATUSES = ['success', 'retrying', 'failed'];
+
+/**
+ * Validation schemas for notification deliveries
+ */
+const NotificationDeliveryValidation = {
+    // Schema for query parameters
+    query: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        webhookId: Joi.number().integer().min(1).optional(),
+        postId: Joi.number().integer().min(1).optional(),
+        keywordId: Joi.number().integer().min(1).optional(),
+        status: Joi.string().valid(...NotificationDelivery.STATUSES).optional()
+    })
+};
+
+module.exports = {
+    NotificationDelivery,
+    NotificationDeliveryValidation
+};
@@ -1,4 +1,8 @@
 const Joi = require('joi');
+const { parsePrice } = require('../utils/priceParser');
+const { normalizeCategory } = require('../utils/categoryParser');
+const { cleanLink } = require('../utils/links');
+const { subredditName } = require('./Subreddit');
 
 /**
  * Post model class - handles only post-specific data
@@ -8,20 +12,61 @@ class Post {
     this.id = data.id || null;
     this.title = data.title || '';
     this.description = data.description || null;
-    this.links = Array.isArray(data.links) ? data.links : this.parseLinks(data.links);
+    // Links live in post_links; PostRepository fills them in
+    this.links = Array.isArray(data.links) ? data.links : [];
+    // Retailer of each link, in the same order; null for links to other sites
+    this.retailers = Array.isArray(data.retailers) ? data.retailers : [];
+    this.price = Post.toAmount(data.price);
+    this.originalPrice = Post.toAmount(data.original_price ?? data.originalPrice);
+    this.discountAmount = Post.toAmount(data.discount_amount ?? data.discountAmount);
+    this.discountPercent = Post.toAmount(data.discount_percent ?? data.discountPercent);
+    this.currency = data.currency || null;
+    this.category = data.category || null;
+    // Reddit identity; null for posts added by hand
+    this.redditId = data.reddit_id || data.redditId || null;
+    this.subreddit = data.subreddit || null;
+    this.author = data.author || null;
+    this.permalink = data.permalink || null;
+    this.createdUtc = data.created_utc ?? data.createdUtc ?? null;
+    // Normalized first outside link, used to spot duplicates; see utils/duplicates
+    this.linkKey = data.link_key ?? data.linkKey ?? null;
+    // First post of the same deal when this is a crosspost or repost
+    this.duplicateOf = data.duplicate_of ?? data.duplicateOf ?? null;
+    // Product the post is about, and how its price compared with earlier sightings
+    this.productId = data.product_id ?? data.productId ?? null;
+    this.allTimeLow = Boolean(data.all_time_low ?? data.allTimeLow ?? false);
+    this.priceDropPercent = Post.toAmount(data.price_drop_percent ?? data.priceDropPercent);
+    // HTML snippet with the search terms in <mark>, set on search results
+    this.snippet = null;
     this.createdAt = data.created_at || data.createdAt || null;
     this.updatedAt = data.updated_at || data.updatedAt || null;
   }
 
   /**
    * Convert model to database format (snake_case)
+   * Links and retailers are stored separately, see PostLinkRepository.
    */
   toDatabase() {
     return {
       id: this.id,
       title: this.title,
       description: this.description,
-      links: JSON.stringify(this.links),
+      price: this.price,
+      original_price: this.originalPrice,
+      discount_amount: this.discountAmount,
+      discount_percent: this.discountPercent,
+      currency: this.currency,
+      category: this.category,
+      reddit_id: this.redditId,
+      subreddit: this.subreddit,
+      author: this.author,
+      permalink: this.permalink,
+      created_utc: this.createdUtc,
+      link_key: this.linkKey,
+      duplicate_of: this.duplicateOf,
+      product_id: this.productId,
+      all_time_low: this.allTimeLow,
+      price_drop_percent: this.priceDropPercent,
       created_at: this.createdAt,
       updated_at: this.updatedAt
     };
@@ -36,12 +81,30 @@ class Post {
       title: this.title,
       description: this.description,
       links: this.links,
+      retailers: this.retailers,
+      price: this.price,
+      originalPrice: this.originalPrice,
+      discountAmount: this.discountAmount,
+      discountPercent: this.discountPercent,
+      currency: this.currency,
+      category: this.category,
+      redditId: this.redditId,
+      subreddit: this.subreddit,
+      author: this.author,
+      permalink: this.permalink,
+      createdUtc: this.createdUtc,
+      duplicateOf: this.duplicateOf,
+      productId: this.productId,
+      allTimeLow: this.allTimeLow,
+      priceDropPercent: this.priceDropPercent,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       // Computed properties
+      redditUrl: this.getRedditUrl(),
       hasLinks: this.links.length > 0,
       linkCount: this.links.length,
-      previewText: this.getPreviewText()
+      previewText: this.snippet ?? this.getPreviewText(),
+      highlighted: this.snippet !== null
     };
   }
 
@@ -53,6 +116,68 @@ class Post {
     return new Post(row);
   }
 
+  /**
+   * Fill the price fields from the title
+   */
+  extractPrice() {
+    const { price, originalPrice, discountAmount, discountPercent, currency } = parsePrice(this.title);
+    this.price = price;
+    this.originalPrice = originalPrice;
+    this.discountAmount = discountAmount;
+    this.discountPercent = discountPercent;
+    this.currency = currency;
+  }
+
+  /**
+   * Set the category from the title's bracket tag
+   * @param {import('../utils/categoryParser').CategoryParser} categoryParser - Parser with the configured aliases
+   */
+  extractCategory(categoryParser) {
+    this.category = categoryParser.parse(this.title);
+  }
+
+  /**
+   * Clean the links for storage, dropping repeats, and tag each with its retailer
+   * @param {import('../utils/retailerParser').RetailerParser} retailerParser - Parser with the configured domains
+   */
+  normalizeLinks(retailerParser) {
+    this.links = [...new Set(this.links.map(link => cleanLink(link)))];
+    this.retailers = this.links.map(link => retailerParser.parse(link));
+  }
+
+  /**
+   * Whether any price field has been set
+   */
+  hasPriceInfo() {
+    return this.price !== null ||
+           this.originalPrice !== null ||
+           this.discountAmount !== null ||
+           this.discountPercent !== null;
+  }
+
+  /**
+   * Read a stored amount, which may come back from the database as a string
+   */
+  static toAmount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const amount = parseFloat(value);
+    return Number.isNaN(amount) ? null : amount;
+  }
+
+  /**
+   * ID of the first post of this deal, which is this post unless it is a duplicate
+   */
+  getOriginalId() {
+    return this.duplicateOf ?? this.id;
+  }
+
+  /**
+   * Full URL of the Reddit thread, if the post came from Reddit
+   */
+  getRedditUrl() {
+    return this.permalink ? `https://www.reddit.com${this.permalink}` : null;
+  }
+
   /**
    * Get preview text for display
    */
@@ -63,22 +188,6 @@ class Post {
     return text.substring(0, maxLength).trim() + '...';
   }
 
-    /**
-   * Parse links from database string format to array
-   */
-  parseLinks(linksData) {
-    if (!linksData) return [];
-    if (typeof linksData === 'string') {
-      try {
-        return JSON.parse(linksData);
-      } catch (error) {
-        // If not JSON, treat as single link or comma-separated
-        return linksData.split(',').map(link => link.trim()).filter(link => link);
-      }
-    }
-    return [];
-  }
-
   /**
    * Validate if title is acceptable
    */
@@ -118,6 +227,23 @@ class Post {
   }
 }
 
+/**
+ * Optional price fields accepted when creating or editing posts by hand
+ */
+const priceFields = {
+  price: Joi.number().min(0).allow(null).optional(),
+  originalPrice: Joi.number().min(0).allow(null).optional(),
+  discountAmount: Joi.number().min(0).allow(null).optional(),
+  discountPercent: Joi.number().min(0).max(100).allow(null).optional(),
+  currency: Joi.string().length(3).uppercase().allow(null).optional()
+};
+
+/**
+ * Category schema; tags and aliases are normalized to the category name by
+ * the categoryParser in the validation context
+ */
+const category = Joi.string().trim().min(1).max(50).custom(normalizeCategory);
+
 /**
  * Validation schemas for posts
  */
@@ -137,7 +263,11 @@ const PostValidation = {
     ).optional().default([])
       .messages({
         'string.uri': 'Invalid URL format for link'
-      })
+      }),
+
+    // Price fields and category are extracted from the title unless given
+    ...priceFields,
+    category: category.allow(null).optional()
   }),
 
   // Schema for updating posts
@@ -147,7 +277,9 @@ const PostValidation = {
     description: Joi.string().max(10000).optional().allow(null, ''),
     links: Joi.array().items(
       Joi.string().uri()
-    ).optional()
+    ).optional(),
+    ...priceFields,
+    category: category.allow(null).optional()
   }),
 
   // Schema for query parameters
@@ -155,7 +287,32 @@ const PostValidation = {
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(20),
     search: Joi.string().max(255).optional(),
-    hasLinks: Joi.boolean().optional()
+    hasLinks: Joi.boolean().optional(),
+    minPrice: Joi.number().min(0).optional(),
+    maxPrice: Joi.number().min(0).when('minPrice', {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref('minPrice'))
+    }).optional(),
+    minDiscountPercent: Joi.number().min(0).max(100).optional(),
+    category: category.optional(),
+    subreddit: subredditName.optional(),
+    // Only posts with a link to this retailer, or to this domain or its subdomains
+    retailer: Joi.string().trim().lowercase().max(50).optional(),
+    domain: Joi.string().trim().lowercase().hostname().max(255)
+      .custom(value => value.replace(/^(www|m)\./, '')).optional(),
+    // Only other posts linking to a page this post links to
+    sharesLinkWith: Joi.number().integer().min(1).optional(),
+    // Leave out crossposts and reposts, listing each deal once
+    hideDuplicates: Joi.boolean().default(false),
+    // Posts of one product, or only posts flagged as an all-time low or a price drop
+    productId: Joi.number().integer().min(1).optional(),
+    allTimeLow: Joi.boolean().optional(),
+    priceDrop: Joi.boolean().optional(),
+    // Only posts the current user starred
+    starred: Joi.boolean().default(false),
+    // Searches default to relevance, everything else to created_at
+    sortBy: Joi.string().valid('relevance', 'created_at', 'price', 'discount_percent').optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').default('desc')
   })
 };
 
@@ -0,0 +1,66 @@
+/**
+ * PostKeywordMatch model class - a single place where a keyword hit a post
+ */
+class PostKeywordMatch {
+    constructor(data) {
+        this.id = data.id || null;
+        this.postId = data.post_id || data.postId || null;
+        this.keywordId = data.keyword_id || data.keywordId || null;
+        this.field = data.field || null;
+        this.position = data.position ?? null;
+        this.linkIndex = data.link_index ?? data.linkIndex ?? null;
+        this.matchedText = data.matched_text || data.matchedText || '';
+        this.createdAt = data.created_at || data.createdAt || null;
+        this.updatedAt = data.updated_at || data.updatedAt || null;
+    }
+
+    /**
+     * Convert model to database format (snake_case)
+     */
+    toDatabase() {
+        return {
+            id: this.id,
+            post_id: this.postId,
+            keyword_id: this.keywordId,
+            field: this.field,
+            position: this.position,
+            link_index: this.linkIndex,
+            matched_text: this.matchedText,
+            created_at: this.createdAt,
+            updated_at: this.updatedAt
+        };
+    }
+
+    /**
+     * Convert model to API format (camelCase)
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            postId: this.postId,
+            keywordId: this.keywordId,
+            field: this.field,
+            position: this.position,
+            linkIndex: this.linkIndex,
+            matchedText: this.matchedText,
+            createdAt: this.createdAt
+        };
+    }
+
+    /**
+     * Create from database row
+     */
+    static fromDatabase(row) {
+        if (!row) return null;
+        return new PostKeywordMatch(row);
+    }
+}
+
+/**
+ * Post fields a keyword can match against
+ */
+PostKeywordMatch.FIELDS = ['title', 'description', 'link'];
+
+module.exports = {
+    PostKeywordMatch
+};
@@ -0,0 +1,71 @@
+/**
+ * PricePoint model class - the price a product was posted at, at one sighting
+ */
+class PricePoint {
+    constructor(data) {
+        this.id = data.id || null;
+        this.productId = data.product_id || data.productId || null;
+        // Null once retention has pruned the post
+        this.postId = data.post_id ?? data.postId ?? null;
+        this.price = PricePoint.toAmount(data.price);
+        this.currency = data.currency || null;
+        this.seenAt = data.seen_at || data.seenAt || null;
+        this.createdAt = data.created_at || data.createdAt || null;
+    }
+
+    /**
+     * Convert model to database format (snake_case)
+     */
+    toDatabase() {
+        return {
+            id: this.id,
+            product_id: this.productId,
+            post_id: this.postId,
+            price: this.price,
+            currency: this.currency,
+            seen_at: this.seenAt,
+            created_at: this.createdAt
+        };
+    }
+
+    /**
+     * Convert model to API format: a chart point with an ISO 8601 time
+     */
+    toJSON() {
+        return {
+            time: this.seenAt ? new Date(`${this.seenAt.replace(' ', 'T')}Z`).toISOString() : null,
+            price: this.price,
+            postId: this.postId
+        };
+    }
+
+    /**
+     * Create from database row
+     */
+    static fromDatabase(row) {
+        if (!row) return null;
+        return new PricePoint(row);
+    }
+
+    /**
+     * Read a stored amount, which may come back from the database as a string
+     */
+    static toAmount(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const amount = parseFloat(value);
+        return Number.isNaN(amount) ? null : amount;
+    }
+
+    /**
+     * Format a time the way seen_at stores it, as UTC
+     * @param {Date} date - Time
+     * @returns {string} 'YYYY-MM-DD HH:MM:SS'
+     */
+    static toTimestamp(date) {
+        return date.toISOString().slice(0, 19).replace('T', ' ');
+    }
+}
+
+module.exports = {
+    PricePoint
+};
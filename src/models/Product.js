@@ -0,0 +1,105 @@
+const Joi = require('joi');
+
+/**
+ * Product model class - one item, gathered from every post about it
+ */
+class Product {
+    constructor(data) {
+        this.id = data.id || null;
+        // link:<normalized link> or title:<title key>; see utils/duplicates
+        this.productKey = data.product_key || data.productKey || null;
+        this.title = data.title || '';
+        this.linkKey = data.link_key ?? data.linkKey ?? null;
+        // Prices are in the currency of the first priced sighting
+        this.currency = data.currency || null;
+        this.lowestPrice = Product.toAmount(data.lowest_price ?? data.lowestPrice);
+        this.lastPrice = Product.toAmount(data.last_price ?? data.lastPrice);
+        this.sightings = data.sightings ?? 0;
+        this.firstSeenAt = data.first_seen_at || data.firstSeenAt || null;
+        this.lastSeenAt = data.last_seen_at || data.lastSeenAt || null;
+        this.createdAt = data.created_at || data.createdAt || null;
+        this.updatedAt = data.updated_at || data.updatedAt || null;
+    }
+
+    /**
+     * Convert model to database format (snake_case)
+     */
+    toDatabase() {
+        return {
+            id: this.id,
+            product_key: this.productKey,
+            title: this.title,
+            link_key: this.linkKey,
+            currency: this.currency,
+            lowest_price: this.lowestPrice,
+            last_price: this.lastPrice,
+            sightings: this.sightings,
+            first_seen_at: this.firstSeenAt,
+            last_seen_at: this.lastSeenAt,
+            created_at: this.createdAt,
+            updated_at: this.updatedAt
+        };
+    }
+
+    /**
+     * Convert model to API format (camelCase)
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            title: this.title,
+            linkKey: this.linkKey,
+            currency: this.currency,
+            lowestPrice: this.lowestPrice,
+            lastPrice: this.lastPrice,
+            sightings: this.sightings,
+            firstSeenAt: this.firstSeenAt,
+            lastSeenAt: this.lastSeenAt,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Create from database row
+     */
+    static fromDatabase(row) {
+        if (!row) return null;
+        return new Product(row);
+    }
+
+    /**
+     * Read a stored amount, which may come back from the database as a string
+     */
+    static toAmount(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const amount = parseFloat(value);
+        return Number.isNaN(amount) ? null : amount;
+    }
+}
+
+/**
+ * Validation schemas for products
+ */
+const ProductValidation = {
+    // Schema for query parameters
+    query: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        search: Joi.string().trim().max(255).optional(),
+        sortBy: Joi.string().valid('last_seen_at', 'sightings', 'lowest_price').default('last_seen_at'),
+        sortOrder: Joi.string().valid('asc', 'desc').default('desc')
+    }),
+
+    // Schema for price history query parameters
+    history: Joi.object({
+        currency: Joi.string().length(3).uppercase().optional(),
+        since: Joi.date().iso().optional(),
+        until: Joi.date().iso().min(Joi.ref('since')).optional()
+    })
+};
+
+module.exports = {
+    Product,
+    ProductValidation
+};
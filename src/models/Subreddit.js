@@ -4,6 +4,8 @@ class Subreddit {
     constructor(data) {
         this.id = data.id || null; 
         this.name = data.name || null; 
+        // Keywords limited to this subreddit, as {id, keyword}; loaded by the repository
+        this.keywords = data.keywords || [];
         this.createdAt = data.created_at || data.createdAt || null;
         this.updatedAt = data.updated_at || data.updatedAt || null;
     }
@@ -27,6 +29,7 @@ class Subreddit {
         return {
             id: this.id,
             name: this.name,
+            keywords: this.keywords,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt,
         };
@@ -41,32 +44,67 @@ class Subreddit {
     }
 
     /**
-     * Validate if the name is acceptable
+     * Validate a name against Reddit's rules: 3-21 letters, digits or underscores
      */
-    static isValidTitle(name) {
-        return name && typeof name === 'string' && 
-        name.trim().length > 0 && 
-        name.length < 500;
-    } 
+    static isValidName(name) {
+        return typeof name === 'string' && /^[A-Za-z0-9_]{3,21}$/.test(name);
+    }
+
+    /**
+     * Reduce user input to a canonical subreddit name
+     * Accepts "buildapcsales", "r/BuildAPCSales", "/r/buildapcsales/" or a full
+     * reddit.com URL, and returns the lowercase bare name.
+     */
+    static normalizeName(input) {
+        let name = String(input || '').trim();
+
+        // Full URLs: keep whatever follows /r/
+        if (/^(https?:\/\/)?([a-z0-9-]+\.)*reddit\.com\//i.test(name)) {
+            const match = /\/r\/([^/?#\s]+)/i.exec(name);
+            name = match ? match[1] : '';
+        }
+
+        return name
+            .replace(/^\/?r\//i, '')
+            .replace(/\/+$/, '')
+            .toLowerCase();
+    }
 }
 
+/**
+ * Subreddit name schema; normalizes input to the canonical name before checking it
+ */
+const subredditName = Joi.string().trim().max(200)
+    .custom((value, helpers) => {
+        const name = Subreddit.normalizeName(value);
+        if (!Subreddit.isValidName(name)) {
+            return helpers.error('subreddit.name', { name });
+        }
+        return name;
+    })
+    .messages({
+        'string.empty': 'Name cannot be empty',
+        'subreddit.name': 'Subreddit name must be 3-21 letters, digits or underscores'
+    });
+
 /**
  * Validation schemas for Subreddits
  */
 const SubredditValidation = {
     // Schema for creating new subreddits
     create: Joi.object({
-        title: Joi.string().min(1).max(500).required()
-        .messages({
-            'string.empty': 'Title cannot be empty',
-            'string.max': 'Title must be less than 500 characters'
-        }),
+        name: subredditName.required()
     }),
 
     // Schema for updating subreddits
     update: Joi.object({
         id: Joi.number().integer().required(),
-        title: Joi.string().min(1).max(500).optional()
+        name: subredditName.optional()
+    }),
+
+    // Schema for looking a subreddit up by name
+    lookup: Joi.object({
+        name: subredditName.required()
     }),
 
     // Schema for query parameters
@@ -81,5 +119,6 @@ const SubredditValidation = {
 
 module.exports = {
     Subreddit,
-    SubredditValidation
+    SubredditValidation,
+    subredditName
 }
\ No newline at end of file
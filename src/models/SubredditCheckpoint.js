@@ -0,0 +1,71 @@
+/**
+ * SubredditCheckpoint model class - tracks the newest post ingested per subreddit
+ */
+class SubredditCheckpoint {
+    constructor(data) {
+        this.id = data.id || null;
+        this.subredditId = data.subreddit_id || data.subredditId || null;
+        this.lastFullname = data.last_fullname || data.lastFullname || null;
+        this.lastCreatedUtc = data.last_created_utc || data.lastCreatedUtc || null;
+        this.createdAt = data.created_at || data.createdAt || null;
+        this.updatedAt = data.updated_at || data.updatedAt || null;
+    }
+
+    /**
+     * Convert model to database format (snake_case)
+     */
+    toDatabase() {
+        return {
+            id: this.id,
+            subreddit_id: this.subredditId,
+            last_fullname: this.lastFullname,
+            last_created_utc: this.lastCreatedUtc,
+            created_at: this.createdAt,
+            updated_at: this.updatedAt
+        };
+    }
+
+    /**
+     * Convert model to API format (camelCase)
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            subredditId: this.subredditId,
+            lastFullname: this.lastFullname,
+            lastCreatedUtc: this.lastCreatedUtc,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Create from database row
+     */
+    static fromDatabase(row) {
+        if (!row) return null;
+        return new SubredditCheckpoint(row);
+    }
+
+    /**
+     * Whether a Reddit fullname is newer than this checkpoint.
+     * Reddit ids are sequential base36 numbers, so they order posts exactly
+     * even when several share the same created_utc second.
+     */
+    isBefore(fullname) {
+        return SubredditCheckpoint.toSequence(fullname) > SubredditCheckpoint.toSequence(this.lastFullname);
+    }
+
+    /**
+     * Convert a fullname such as t3_abc123 into its numeric sequence
+     */
+    static toSequence(fullname) {
+        const id = String(fullname || '').replace(/^t\d_/, '');
+        const sequence = parseInt(id, 36);
+        return Number.isNaN(sequence) ? 0 : sequence;
+    }
+}
+
+module.exports = {
+    SubredditCheckpoint
+};
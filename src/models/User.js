@@ -0,0 +1,140 @@
+const Joi = require('joi');
+
+/**
+ * User model class - an account that owns keywords, subscriptions and notification settings
+ */
+class User {
+    constructor(data) {
+        this.id = data.id || null;
+        this.email = data.email || '';
+        this.name = data.name || null;
+        this.passwordHash = data.password_hash || data.passwordHash || null;
+        this.role = data.role || 'user';
+        this.createdAt = data.created_at || data.createdAt || null;
+        this.updatedAt = data.updated_at || data.updatedAt || null;
+    }
+
+    /**
+     * Whether the user sees and manages everyone's data
+     */
+    isAdmin() {
+        return this.role === 'admin';
+    }
+
+    /**
+     * Convert model to database format (snake_case)
+     */
+    toDatabase() {
+        return {
+            id: this.id,
+            email: this.email,
+            name: this.name,
+            password_hash: this.passwordHash,
+            role: this.role,
+            created_at: this.createdAt,
+            updated_at: this.updatedAt
+        };
+    }
+
+    /**
+     * Convert model to API format (camelCase); the password hash is never exposed
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            email: this.email,
+            name: this.name,
+            role: this.role,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Create from database row
+     */
+    static fromDatabase(row) {
+        if (!row) return null;
+        return new User(row);
+    }
+}
+
+/**
+ * Roles: admins see and manage every user's data
+ */
+User.ROLES = ['user', 'admin'];
+
+/**
+ * Login addresses are compared and stored lowercase
+ */
+const email = Joi.string().trim().lowercase().email().max(254)
+    .messages({
+        'string.email': 'Email must be a valid email address'
+    });
+
+/**
+ * Passwords are hashed, so only their length is limited
+ */
+const password = Joi.string().min(8).max(200)
+    .messages({
+        'string.min': 'Password must be at least 8 characters'
+    });
+
+/**
+ * Validation schemas for users and logins
+ */
+const UserValidation = {
+    // Schema for signing up
+    register: Joi.object({
+        email: email.required(),
+        password: password.required(),
+        name: Joi.string().trim().max(100).allow(null).optional()
+    }),
+
+    // Schema for admins creating accounts
+    create: Joi.object({
+        email: email.required(),
+        password: password.required(),
+        name: Joi.string().trim().max(100).allow(null).optional(),
+        role: Joi.string().valid(...User.ROLES).default('user')
+    }),
+
+    // Schema for admins updating accounts
+    update: Joi.object({
+        id: Joi.number().integer().required(),
+        email: email.optional(),
+        password: password.optional(),
+        name: Joi.string().trim().max(100).allow(null).optional(),
+        role: Joi.string().valid(...User.ROLES).optional()
+    }),
+
+    // Schema for users updating their own account; a new password needs the current one
+    updateSelf: Joi.object({
+        name: Joi.string().trim().max(100).allow(null).optional(),
+        password: password.optional(),
+        currentPassword: Joi.string().max(200).when('password', {
+            is: Joi.exist(),
+            then: Joi.required()
+        })
+    }),
+
+    // Schema for logging in
+    login: Joi.object({
+        email: email.required(),
+        password: Joi.string().max(200).required(),
+        // Also set the token as an HttpOnly session cookie, for browsers
+        cookie: Joi.boolean().default(false)
+    }),
+
+    // Schema for query parameters
+    query: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        role: Joi.string().valid(...User.ROLES).optional()
+    })
+};
+
+module.exports = {
+    User,
+    UserValidation
+};
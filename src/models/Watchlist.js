@@ -0,0 +1,50 @@
+const Joi = require('joi');
+const { KeywordValidation } = require('./Keyword');
+const { subredditName } = require('./Subreddit');
+
+/**
+ * Version of the watchlist format written by exports; imports must name it
+ */
+const WATCHLIST_VERSION = 1;
+
+/**
+ * Validation schemas for watchlist exports and imports
+ *
+ * A watchlist is a user's subreddits, by name, and their keywords, each with
+ * its categories and the names of the subreddits it is limited to. The bundle
+ * schema only checks its shape; each entry is checked on its own with the
+ * item schemas, so an import can report every bad entry by position.
+ */
+const WatchlistValidation = {
+    // Schema for an imported watchlist; both lists are required, so an empty body can't replace a watchlist
+    bundle: Joi.object({
+        version: Joi.number().integer().valid(WATCHLIST_VERSION).required(),
+        exportedAt: Joi.date().iso().optional(),
+        subreddits: Joi.array().max(1000).required(),
+        keywords: Joi.array().max(1000).required()
+    }),
+
+    // Schema for one entry of `subreddits`
+    subreddit: subredditName.required(),
+
+    // Schema for one entry of `keywords`
+    keyword: KeywordValidation.create.keys({
+        subreddits: Joi.array().items(subredditName).unique().max(100).default([])
+    }).required(),
+
+    // Schema for export query parameters
+    exportQuery: Joi.object({
+        format: Joi.string().valid('json', 'yaml').default('json')
+    }),
+
+    // Schema for import query parameters
+    importQuery: Joi.object({
+        mode: Joi.string().valid('merge', 'replace').default('merge'),
+        dryRun: Joi.boolean().default(false)
+    })
+};
+
+module.exports = {
+    WATCHLIST_VERSION,
+    WatchlistValidation
+};
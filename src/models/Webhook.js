@@ -0,0 +1,106 @@
+const Joi = require('joi');
+
+/**
+ * Webhook model class - a user-configured receiver for match notifications
+ */
+class Webhook {
+    constructor(data) {
+        this.id = data.id || null;
+        this.name = data.name || '';
+        this.url = data.url || '';
+        this.format = data.format || 'json';
+        this.secret = data.secret || null;
+        this.enabled = data.enabled === undefined ? true : Boolean(data.enabled);
+        this.userId = data.user_id || data.userId || null;
+        this.createdAt = data.created_at || data.createdAt || null;
+        this.updatedAt = data.updated_at || data.updatedAt || null;
+    }
+
+    /**
+     * Convert model to database format (snake_case)
+     */
+    toDatabase() {
+        return {
+            id: this.id,
+            name: this.name,
+            url: this.url,
+            format: this.format,
+            secret: this.secret,
+            enabled: this.enabled,
+            user_id: this.userId,
+            created_at: this.createdAt,
+            updated_at: this.updatedAt
+        };
+    }
+
+    /**
+     * Convert model to API format (camelCase); the secret is never returned
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            url: this.url,
+            format: this.format,
+            hasSecret: Boolean(this.secret),
+            enabled: this.enabled,
+            userId: this.userId,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Create from database row
+     */
+    static fromDatabase(row) {
+        if (!row) return null;
+        return new Webhook(row);
+    }
+}
+
+/**
+ * Supported payload formats
+ */
+Webhook.FORMATS = ['json', 'discord', 'slack'];
+
+/**
+ * Validation schemas for webhooks
+ */
+const WebhookValidation = {
+    // Schema for creating new webhooks
+    create: Joi.object({
+        name: Joi.string().trim().min(1).max(100).required(),
+        url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).required()
+            .messages({
+                'string.uriCustomScheme': 'Webhook URL must be an http or https URL'
+            }),
+        format: Joi.string().valid(...Webhook.FORMATS).default('json'),
+        secret: Joi.string().min(16).max(255).allow(null).optional()
+            .messages({
+                'string.min': 'Secret must be at least 16 characters'
+            }),
+        enabled: Joi.boolean().default(true)
+    }),
+
+    // Schema for updating webhooks
+    update: Joi.object({
+        id: Joi.number().integer().required(),
+        name: Joi.string().trim().min(1).max(100).optional(),
+        url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).optional(),
+        format: Joi.string().valid(...Webhook.FORMATS).optional(),
+        secret: Joi.string().min(16).max(255).allow(null).optional(),
+        enabled: Joi.boolean().optional()
+    }),
+
+    // Schema for query parameters
+    query: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20)
+    })
+};
+
+module.exports = {
+    Webhook,
+    WebhookValidation
+};
@@ -0,0 +1,150 @@
+const { ApiKey } = require('../models/ApiKey');
+
+/**
+ * ApiKeyRepository - handles database operations for API keys
+ * Only SHA-256 hashes of keys are stored, so a leaked database does not
+ * leak working credentials.
+ */
+class ApiKeyRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'api_keys';
+    }
+
+    /**
+     * Store a newly issued key
+     * @param {Object} keyData - Owner, name, prefix, hash and optional rate limit
+     * @returns {Promise<ApiKey>} Stored key with ID
+     */
+    async create(keyData) {
+        try {
+            const apiKey = new ApiKey(keyData);
+            const dataToInsert = apiKey.toDatabase();
+
+            // Remove id and timestamps for insert
+            delete dataToInsert.id;
+            delete dataToInsert.last_used_at;
+            delete dataToInsert.revoked_at;
+            delete dataToInsert.created_at;
+
+            const [id] = await this.db(this.tableName).insert(dataToInsert);
+            return this.findById(id);
+        } catch (error) {
+            throw new Error(`Failed to create API key: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find an API key by ID
+     * @param {number} id - API key ID
+     * @returns {Promise<ApiKey|null>} Found key or null
+     */
+    async findById(id) {
+        try {
+            const row = await this.db(this.tableName).where({ id }).first();
+            return ApiKey.fromDatabase(row);
+        } catch (error) {
+            throw new Error(`Failed to find API key by ID: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find the unrevoked key with a hash
+     * @param {string} keyHash - SHA-256 of the key (hex)
+     * @returns {Promise<ApiKey|null>} Key, or null if unknown or revoked
+     */
+    async findActiveByHash(keyHash) {
+        try {
+            const row = await this.db(this.tableName)
+                .where({ key_hash: keyHash })
+                .whereNull('revoked_at')
+                .first();
+
+            return ApiKey.fromDatabase(row);
+        } catch (error) {
+            throw new Error(`Failed to find API key: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find API keys with pagination and filtering, newest first
+     * @param {Object} options - Query options
+     * @param {number} options.page - Page number (1-based)
+     * @param {number} options.limit - Items per page
+     * @param {number} options.userId - Only keys of this user
+     * @param {boolean} options.revoked - Only revoked (true) or working (false) keys
+     * @returns {Promise<{apiKeys: ApiKey[], total: number, page: number, limit: number}>}
+     */
+    async findAll(options = {}) {
+        try {
+            const { page = 1, limit = 20, userId = null, revoked } = options;
+
+            const filtered = () => {
+                const query = this.db(this.tableName);
+                if (userId) query.where({ user_id: userId });
+                if (revoked === true) query.whereNotNull('revoked_at');
+                if (revoked === false) query.whereNull('revoked_at');
+                return query;
+            };
+
+            const [{ count }] = await filtered().count('id as count');
+            const total = parseInt(count);
+
+            const offset = (page - 1) * limit;
+            const rows = await filtered()
+                .orderBy('id', 'desc')
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                apiKeys: rows.map(row => ApiKey.fromDatabase(row)),
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                pages: Math.ceil(total / limit)
+            };
+        } catch (error) {
+            throw new Error(`Failed to find API keys: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Revoke a key; it stays listed but stops working
+     * @param {number} id - API key ID
+     * @returns {Promise<boolean>} True if revoked, false if not found or already revoked
+     */
+    async revoke(id) {
+        try {
+            const updatedCount = await this.db(this.tableName)
+                .where({ id })
+                .whereNull('revoked_at')
+                .update({ revoked_at: this.db.fn.now() });
+
+            return updatedCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to revoke API key: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Record that a key was used, at most once a minute per key
+     * @param {number} id - API key ID
+     */
+    async touch(id) {
+        try {
+            await this.db(this.tableName)
+                .where({ id })
+                .where(query => query
+                    .whereNull('last_used_at')
+                    .orWhere('last_used_at', '<', this.db.raw("datetime('now', '-1 minute')")))
+                .update({ last_used_at: this.db.fn.now() });
+        } catch (error) {
+            throw new Error(`Failed to record API key use: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+module.exports = ApiKeyRepository;
@@ -0,0 +1,60 @@
+/**
+ * ArchivedPostRepository - handles database operations for archived posts
+ * Retention moves old posts here before deleting them from posts.
+ */
+class ArchivedPostRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'archived_posts';
+    }
+
+    /**
+     * Archive posts that are about to be deleted
+     * @param {import('../models/Post').Post[]} posts - Posts to archive
+     * @param {string} reason - Retention period they outlived: unmatched, matched or starred
+     * @returns {Promise<number>} Number of posts archived
+     */
+    async insertMany(posts, reason) {
+        try {
+            const rows = posts.map(post => ({
+                post_id: post.id,
+                reddit_id: post.redditId,
+                subreddit: post.subreddit,
+                title: post.title,
+                reason,
+                data: JSON.stringify(post),
+                posted_at: post.createdAt
+            }));
+
+            if (rows.length > 0) {
+                // Archiving is idempotent, so a run interrupted before its delete can repeat
+                await this.db(this.tableName)
+                    .insert(rows)
+                    .onConflict('post_id')
+                    .merge();
+            }
+
+            return rows.length;
+        } catch (error) {
+            throw new Error(`Failed to archive posts: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Count archived posts
+     * @returns {Promise<number>} Archived post count
+     */
+    async count() {
+        try {
+            const [{ count }] = await this.db(this.tableName).count('id as count');
+            return parseInt(count);
+        } catch (error) {
+            throw new Error(`Failed to count archived posts: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+module.exports = ArchivedPostRepository;
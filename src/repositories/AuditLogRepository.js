@@ -0,0 +1,114 @@
+const { AuditEntry } = require('../models/AuditEntry');
+
+/**
+ * AuditLogRepository - handles database operations for the audit log
+ * Entries are only ever added; nothing updates or deletes them.
+ */
+class AuditLogRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'audit_log';
+    }
+
+    /**
+     * Record a change
+     * @param {Object} entryData - Who changed which entity, how, and its values before and after
+     * @returns {Promise<AuditEntry>} Recorded entry with ID
+     */
+    async create(entryData) {
+        try {
+            const entry = new AuditEntry(entryData);
+            const dataToInsert = entry.toDatabase();
+
+            // Remove id and timestamp for insert
+            delete dataToInsert.id;
+            delete dataToInsert.created_at;
+
+            const [id] = await this.db(this.tableName).insert(dataToInsert);
+
+            // Return the recorded entry
+            const row = await this.db(this.tableName).where({ id }).first();
+            return AuditEntry.fromDatabase(row);
+        } catch (error) {
+            throw new Error(`Failed to record audit entry: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find audit entries with pagination and filtering, newest first
+     * @param {Object} options - Query options
+     * @param {number} options.page - Page number (1-based)
+     * @param {number} options.limit - Items per page
+     * @param {number} options.userId - Only changes made by this user
+     * @param {string} options.action - create, update or delete
+     * @param {string} options.entityType - keyword, subreddit or post
+     * @param {number} options.entityId - Only changes to this entity
+     * @param {string} options.requestId - Only changes made in this request
+     * @param {Date} options.since - Only changes made at or after this time
+     * @param {Date} options.until - Only changes made at or before this time
+     * @returns {Promise<{entries: AuditEntry[], total: number, page: number, limit: number}>}
+     */
+    async findAll(options = {}) {
+        try {
+            const {
+                page = 1,
+                limit = 20,
+                userId = null,
+                action = null,
+                entityType = null,
+                entityId = null,
+                requestId = null,
+                since = null,
+                until = null
+            } = options;
+
+            // Only filters that were given
+            const filters = {};
+            if (userId) filters.user_id = userId;
+            if (action) filters.action = action;
+            if (entityType) filters.entity_type = entityType;
+            if (entityId) filters.entity_id = entityId;
+            if (requestId) filters.request_id = requestId;
+
+            const filtered = () => {
+                const query = this.db(this.tableName).where(filters);
+                if (since) query.where('created_at', '>=', AuditLogRepository.toTimestamp(since));
+                if (until) query.where('created_at', '<=', AuditLogRepository.toTimestamp(until));
+                return query;
+            };
+
+            const [{ count }] = await filtered().count('id as count');
+            const total = parseInt(count);
+
+            const offset = (page - 1) * limit;
+            const rows = await filtered()
+                .orderBy('id', 'desc')
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                entries: rows.map(row => AuditEntry.fromDatabase(row)),
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                pages: Math.ceil(total / limit)
+            };
+        } catch (error) {
+            throw new Error(`Failed to find audit entries: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Format a time the way created_at stores it, as UTC
+     * @param {Date} date - Time
+     * @returns {string} 'YYYY-MM-DD HH:MM:SS'
+     */
+    static toTimestamp(date) {
+        return date.toISOString().slice(0, 19).replace('T', ' ');
+    }
+}
+
+module.exports = AuditLogRepository;
@@ -0,0 +1,108 @@
+/**
+ * AuthTokenRepository - handles database operations for login tokens
+ * Only SHA-256 hashes of tokens are stored, so a leaked database does not
+ * leak working credentials.
+ */
+class AuthTokenRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'auth_tokens';
+    }
+
+    /**
+     * Store a newly issued token
+     * @param {number} userId - Token owner
+     * @param {string} tokenHash - SHA-256 of the token (hex)
+     * @param {Date} expiresAt - When the token stops working
+     * @returns {Promise<number>} Token row ID
+     */
+    async create(userId, tokenHash, expiresAt) {
+        try {
+            const [id] = await this.db(this.tableName).insert({
+                user_id: userId,
+                token_hash: tokenHash,
+                expires_at: expiresAt.getTime()
+            });
+
+            return id;
+        } catch (error) {
+            throw new Error(`Failed to create auth token: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find the user ID behind an unexpired token
+     * @param {string} tokenHash - SHA-256 of the token (hex)
+     * @param {Date} now - Current time
+     * @returns {Promise<number|null>} User ID, or null if the token is unknown or expired
+     */
+    async findUserId(tokenHash, now = new Date()) {
+        try {
+            const row = await this.db(this.tableName)
+                .select('user_id')
+                .where({ token_hash: tokenHash })
+                .where('expires_at', '>', now.getTime())
+                .first();
+
+            return row ? row.user_id : null;
+        } catch (error) {
+            throw new Error(`Failed to find auth token: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Revoke one token
+     * @param {string} tokenHash - SHA-256 of the token (hex)
+     * @returns {Promise<boolean>} True if a token was revoked
+     */
+    async delete(tokenHash) {
+        try {
+            const deletedCount = await this.db(this.tableName)
+                .where({ token_hash: tokenHash })
+                .del();
+
+            return deletedCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to delete auth token: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Revoke every token a user holds, e.g. after a password change
+     * @param {number} userId - User ID
+     * @param {string|null} exceptHash - Token to keep, such as the one making the change
+     * @returns {Promise<number>} Tokens revoked
+     */
+    async deleteForUser(userId, exceptHash = null) {
+        try {
+            let query = this.db(this.tableName).where({ user_id: userId });
+            if (exceptHash) {
+                query = query.whereNot({ token_hash: exceptHash });
+            }
+
+            return await query.del();
+        } catch (error) {
+            throw new Error(`Failed to delete auth tokens: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Remove expired tokens
+     * @param {Date} now - Current time
+     * @returns {Promise<number>} Tokens removed
+     */
+    async deleteExpired(now = new Date()) {
+        try {
+            return await this.db(this.tableName)
+                .where('expires_at', '<=', now.getTime())
+                .del();
+        } catch (error) {
+            throw new Error(`Failed to delete expired auth tokens: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+module.exports = AuthTokenRepository;
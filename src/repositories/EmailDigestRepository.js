@@ -0,0 +1,271 @@
+const { EmailDigest } = require('../models/EmailDigest');
+const { Keyword } = require('../models/Keyword');
+const PostRepository = require('./PostRepository');
+
+/**
+ * EmailDigestRepository - handles database operations for digest windows and their queued matches
+ * Focused only on digest-related data operations
+ */
+class EmailDigestRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'email_digests';
+        this.itemsTableName = 'email_digest_items';
+    }
+
+    /**
+     * Queue a match in the recipient's pending digest for a window, opening one if needed
+     * A digest that is already being sent is never added to; the match opens a new one.
+     * @param {number} recipientId - Recipient ID
+     * @param {Date} windowEnd - End of the batching window
+     * @param {Object} item - Match to queue
+     * @param {number} item.postId - Matched post ID
+     * @param {number} item.keywordId - Matching keyword ID
+     * @param {string|null} item.subreddit - Subreddit the post came from
+     * @returns {Promise<EmailDigest>} Digest the match was queued in
+     */
+    async queue(recipientId, windowEnd, { postId, keywordId, subreddit = null }) {
+        try {
+            return await this.db.transaction(async trx => {
+                const key = { recipient_id: recipientId, window_end: windowEnd.getTime(), status: 'pending' };
+
+                let row = await trx(this.tableName).where(key).first();
+                if (!row) {
+                    const [id] = await trx(this.tableName).insert(key);
+                    row = await trx(this.tableName).where({ id }).first();
+                }
+
+                // Queuing the same match twice is a no-op
+                await trx(this.itemsTableName)
+                    .insert({ digest_id: row.id, post_id: postId, keyword_id: keywordId, subreddit })
+                    .onConflict(['digest_id', 'post_id', 'keyword_id'])
+                    .ignore();
+
+                return EmailDigest.fromDatabase(row);
+            });
+        } catch (error) {
+            throw new Error(`Failed to queue email digest item: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Claim a pending digest for sending, so no more matches are queued in it
+     * @param {number} id - Digest ID
+     * @returns {Promise<boolean>} True if this caller claimed it
+     */
+    async claim(id) {
+        try {
+            const updatedCount = await this.db(this.tableName)
+                .where({ id, status: 'pending' })
+                .update({ status: 'sending', updated_at: this.db.fn.now() });
+
+            return updatedCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to claim email digest: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Return digests left claimed by a process that stopped mid-send to pending
+     * @returns {Promise<number>} Digests released
+     */
+    async releaseClaims() {
+        try {
+            return await this.db(this.tableName)
+                .where({ status: 'sending' })
+                .update({ status: 'pending', updated_at: this.db.fn.now() });
+        } catch (error) {
+            throw new Error(`Failed to release email digest claims: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find digest by ID
+     * @param {number} id - Digest ID
+     * @returns {Promise<EmailDigest|null>} Found digest or null
+     */
+    async findById(id) {
+        try {
+            const row = await this.withItemCount(this.db(this.tableName))
+                .where(`${this.tableName}.id`, id)
+                .first();
+
+            return EmailDigest.fromDatabase(row);
+        } catch (error) {
+            throw new Error(`Failed to find email digest by ID: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find pending digests whose window has ended, oldest first
+     * @param {Date} now - Current time
+     * @returns {Promise<EmailDigest[]>} Digests ready to send
+     */
+    async findDue(now = new Date()) {
+        try {
+            const rows = await this.db(this.tableName)
+                .where({ status: 'pending' })
+                .where('window_end', '<=', now.getTime())
+                .orderBy('window_end', 'asc')
+                .orderBy('id', 'asc');
+
+            return rows.map(row => EmailDigest.fromDatabase(row));
+        } catch (error) {
+            throw new Error(`Failed to find due email digests: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Load the matches queued in a digest with their stored post and keyword
+     * @param {number} digestId - Digest ID
+     * @returns {Promise<Array<{post: Post, keyword: Keyword, subreddit: string|null}>>} Queued matches in order
+     */
+    async findItems(digestId) {
+        try {
+            const items = await this.db(this.itemsTableName)
+                .where({ digest_id: digestId })
+                .orderBy('id', 'asc');
+
+            if (items.length === 0) {
+                return [];
+            }
+
+            const [postList, keywordRows] = await Promise.all([
+                new PostRepository(this.db).findByIds([...new Set(items.map(item => item.post_id))]),
+                this.db('keywords').whereIn('id', [...new Set(items.map(item => item.keyword_id))])
+            ]);
+            const posts = new Map(postList.map(post => [post.id, post]));
+            const keywords = new Map(keywordRows.map(row => [row.id, Keyword.fromDatabase(row)]));
+
+            return items.map(item => ({
+                post: posts.get(item.post_id),
+                keyword: keywords.get(item.keyword_id),
+                subreddit: item.subreddit
+            }));
+        } catch (error) {
+            throw new Error(`Failed to find digest items: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Record a successful send
+     * @param {number} id - Digest ID
+     * @param {string|null} messageId - SMTP message ID
+     * @returns {Promise<void>}
+     */
+    async markSent(id, messageId) {
+        try {
+            await this.db(this.tableName)
+                .where({ id })
+                .update({
+                    status: 'sent',
+                    attempts: this.db.raw('attempts + 1'),
+                    message_id: messageId,
+                    sent_at: this.db.fn.now(),
+                    error: null,
+                    updated_at: this.db.fn.now()
+                });
+        } catch (error) {
+            throw new Error(`Failed to mark email digest sent: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Record a failed send; the digest stays pending unless it has given up
+     * @param {number} id - Digest ID
+     * @param {string} message - Error message
+     * @param {boolean} giveUp - Mark the digest failed instead of retrying
+     * @returns {Promise<void>}
+     */
+    async markFailed(id, message, giveUp = false) {
+        try {
+            await this.db(this.tableName)
+                .where({ id })
+                .update({
+                    status: giveUp ? 'failed' : 'pending',
+                    attempts: this.db.raw('attempts + 1'),
+                    error: message,
+                    updated_at: this.db.fn.now()
+                });
+        } catch (error) {
+            throw new Error(`Failed to mark email digest failed: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find digests with pagination and filtering, newest window first
+     * @param {Object} options - Query options
+     * @param {number} options.page - Page number (1-based)
+     * @param {number} options.limit - Items per page
+     * @param {number} options.recipientId - Only digests for this recipient
+     * @param {string} options.status - pending, sent or failed
+     * @param {number|null} options.userId - Only digests for this user's recipients
+     * @returns {Promise<{digests: EmailDigest[], total: number, page: number, limit: number}>}
+     */
+    async findAll(options = {}) {
+        try {
+            const { page = 1, limit = 20, recipientId = null, status = null, userId = null } = options;
+
+            // Only filters that were given
+            const filters = {};
+            if (recipientId) filters[`${this.tableName}.recipient_id`] = recipientId;
+            if (status) filters[`${this.tableName}.status`] = status;
+
+            const [{ count }] = await this.scope(this.db(this.tableName), userId)
+                .where(filters)
+                .count('id as count');
+            const total = parseInt(count);
+
+            const offset = (page - 1) * limit;
+            const rows = await this.withItemCount(this.scope(this.db(this.tableName), userId))
+                .where(filters)
+                .orderBy(`${this.tableName}.window_end`, 'desc')
+                .orderBy(`${this.tableName}.id`, 'desc')
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                digests: rows.map(row => EmailDigest.fromDatabase(row)),
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                pages: Math.ceil(total / limit)
+            };
+        } catch (error) {
+            throw new Error(`Failed to find email digests: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Limit a query to digests for one owner's recipients
+     * @param {import('knex').Knex.QueryBuilder} query - Query on the digests table
+     * @param {number|null} ownerId - Recipient owner, or null for every digest
+     * @returns {import('knex').Knex.QueryBuilder} Scoped query
+     */
+    scope(query, ownerId) {
+        if (ownerId === null) return query;
+        return query.whereIn(`${this.tableName}.recipient_id`, this.db('email_recipients')
+            .select('id')
+            .where({ user_id: ownerId }));
+    }
+
+    /**
+     * Select digest columns plus the number of queued matches
+     * @param {import('knex').Knex.QueryBuilder} query - Query on the digests table
+     * @returns {import('knex').Knex.QueryBuilder} Query
+     */
+    withItemCount(query) {
+        return query.select(
+            `${this.tableName}.*`,
+            this.db(this.itemsTableName)
+                .count('*')
+                .whereRaw('?? = ??', [`${this.itemsTableName}.digest_id`, `${this.tableName}.id`])
+                .as('item_count')
+        );
+    }
+}
+
+module.exports = EmailDigestRepository;
@@ -0,0 +1,210 @@
+const { EmailRecipient } = require('../models/EmailRecipient');
+
+/**
+ * EmailRecipientRepository - handles database operations for email recipients
+ * Focused only on recipient-related data operations
+ */
+class EmailRecipientRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'email_recipients';
+    }
+
+    /**
+     * Limit a query to one owner's email recipients
+     * @param {import('knex').Knex.QueryBuilder} query - Query on the email_recipients table
+     * @param {number|null} ownerId - Owner to scope to, or null for every email recipient
+     * @returns {import('knex').Knex.QueryBuilder} Scoped query
+     */
+    scope(query, ownerId) {
+        return ownerId === null ? query : query.where({ user_id: ownerId });
+    }
+
+    /**
+     * Create a new recipient
+     * @param {Object} recipientData - Recipient data to insert, including its owner's userId
+     * @returns {Promise<EmailRecipient>} Created recipient with ID
+     */
+    async create(recipientData) {
+        try {
+            const recipient = new EmailRecipient(recipientData);
+            const dataToInsert = recipient.toDatabase();
+
+            // Remove id and timestamps for insert
+            delete dataToInsert.id;
+            delete dataToInsert.created_at;
+            delete dataToInsert.updated_at;
+
+            const [id] = await this.db(this.tableName).insert(dataToInsert);
+
+            // Return the created recipient
+            return await this.findById(id);
+        } catch (error) {
+            throw new Error(`Failed to create email recipient: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find recipient by ID
+     * @param {number} id - Recipient ID
+     * @param {number|null} ownerId - Only find the email recipient if this user owns it
+     * @returns {Promise<EmailRecipient|null>} Found recipient or null
+     */
+    async findById(id, ownerId = null) {
+        try {
+            const row = await this.scope(this.db(this.tableName), ownerId)
+                .where({ id })
+                .first();
+
+            return EmailRecipient.fromDatabase(row);
+        } catch (error) {
+            throw new Error(`Failed to find email recipient by ID: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find recipient by address (case-insensitive)
+     * @param {string} email - Email address
+     * @param {number|null} ownerId - Only look among this user's recipients
+     * @returns {Promise<EmailRecipient|null>} Found recipient or null
+     */
+    async findByEmail(email, ownerId = null) {
+        try {
+            const row = await this.scope(this.db(this.tableName), ownerId)
+                .whereRaw('LOWER(email) = ?', [String(email).toLowerCase()])
+                .first();
+
+            return EmailRecipient.fromDatabase(row);
+        } catch (error) {
+            throw new Error(`Failed to find email recipient by address: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find all recipients with pagination
+     * @param {Object} options - Query options
+     * @param {number} options.page - Page number (1-based)
+     * @param {number} options.limit - Items per page
+     * @param {number|null} options.userId - Only list this user's email recipients
+     * @returns {Promise<{recipients: EmailRecipient[], total: number, page: number, limit: number}>}
+     */
+    async findAll(options = {}) {
+        try {
+            const { page = 1, limit = 20, userId = null } = options;
+
+            const [{ count }] = await this.scope(this.db(this.tableName), userId).count('id as count');
+            const total = parseInt(count);
+
+            const offset = (page - 1) * limit;
+            const rows = await this.scope(this.db(this.tableName), userId)
+                .orderBy('email', 'asc')
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                recipients: rows.map(row => EmailRecipient.fromDatabase(row)),
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                pages: Math.ceil(total / limit)
+            };
+        } catch (error) {
+            throw new Error(`Failed to find email recipients: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find the recipients that should receive notifications for a user's keywords
+     * @param {number|null} userId - Keyword owner; null only finds email recipients without an owner
+     * @returns {Promise<EmailRecipient[]>} Enabled email recipients
+     */
+    async findEnabled(userId) {
+        try {
+            const rows = await this.db(this.tableName)
+                .where({ enabled: true, user_id: userId })
+                .orderBy('id', 'asc');
+
+            return rows.map(row => EmailRecipient.fromDatabase(row));
+        } catch (error) {
+            throw new Error(`Failed to find enabled email recipients: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Update recipient by ID
+     * @param {number} id - Recipient ID
+     * @param {Object} updateData - Data to update
+     * @param {number|null} ownerId - Only update the email recipient if this user owns it
+     * @returns {Promise<EmailRecipient|null>} Updated recipient or null if not found
+     */
+    async update(id, updateData, ownerId = null) {
+        try {
+            const existingRecipient = await this.findById(id, ownerId);
+            if (!existingRecipient) {
+                return null;
+            }
+
+            // Create updated recipient instance
+            const updatedRecipient = new EmailRecipient({ ...existingRecipient, ...updateData, userId: existingRecipient.userId });
+            const dataToUpdate = updatedRecipient.toDatabase();
+
+            // Remove fields that shouldn't be updated
+            delete dataToUpdate.id;
+            delete dataToUpdate.created_at;
+
+            // Update timestamp
+            dataToUpdate.updated_at = this.db.fn.now();
+
+            const updatedCount = await this.db(this.tableName)
+                .where({ id })
+                .update(dataToUpdate);
+
+            if (updatedCount === 0) {
+                return null;
+            }
+
+            // Return updated recipient
+            return await this.findById(id);
+        } catch (error) {
+            throw new Error(`Failed to update email recipient: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Delete recipient by ID; queued digests go with it
+     * @param {number} id - Recipient ID
+     * @param {number|null} ownerId - Only delete the email recipient if this user owns it
+     * @returns {Promise<boolean>} True if deleted, false if not found
+     */
+    async delete(id, ownerId = null) {
+        try {
+            const deletedCount = await this.scope(this.db(this.tableName), ownerId)
+                .where({ id })
+                .del();
+
+            return deletedCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to delete email recipient: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Give email recipients created before accounts existed to a user
+     * @param {number} userId - New owner
+     * @returns {Promise<number>} Email recipients adopted
+     */
+    async adoptUnowned(userId) {
+        try {
+            return await this.db(this.tableName)
+                .whereNull('user_id')
+                .update({ user_id: userId });
+        } catch (error) {
+            throw new Error(`Failed to adopt email recipients: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+module.exports = EmailRecipientRepository;
@@ -0,0 +1,85 @@
+/**
+ * FeedTokenRepository - handles database operations for feed tokens
+ * Only SHA-256 hashes of tokens are stored; each user holds at most one.
+ */
+class FeedTokenRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'feed_tokens';
+    }
+
+    /**
+     * Store a user's token, replacing the one they had
+     * @param {number} userId - Token owner
+     * @param {string} tokenHash - SHA-256 of the token (hex)
+     * @returns {Promise<void>}
+     */
+    async replace(userId, tokenHash) {
+        try {
+            await this.db(this.tableName)
+                .insert({ user_id: userId, token_hash: tokenHash, last_used_at: null, created_at: this.db.fn.now() })
+                .onConflict('user_id')
+                .merge();
+        } catch (error) {
+            throw new Error(`Failed to store feed token: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find the user ID behind a token
+     * @param {string} tokenHash - SHA-256 of the token (hex)
+     * @returns {Promise<number|null>} User ID, or null if the token is unknown
+     */
+    async findUserId(tokenHash) {
+        try {
+            const row = await this.db(this.tableName)
+                .select('user_id')
+                .where({ token_hash: tokenHash })
+                .first();
+
+            return row ? row.user_id : null;
+        } catch (error) {
+            throw new Error(`Failed to find feed token: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Record that a token was used, at most once a minute
+     * @param {string} tokenHash - SHA-256 of the token (hex)
+     * @returns {Promise<void>}
+     */
+    async touch(tokenHash) {
+        try {
+            await this.db(this.tableName)
+                .where({ token_hash: tokenHash })
+                .where(query => query
+                    .whereNull('last_used_at')
+                    .orWhere('last_used_at', '<', this.db.raw("datetime('now', '-1 minute')")))
+                .update({ last_used_at: this.db.fn.now() });
+        } catch (error) {
+            throw new Error(`Failed to record feed token use: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Revoke a user's token
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} True if the user had a token
+     */
+    async deleteForUser(userId) {
+        try {
+            const deletedCount = await this.db(this.tableName)
+                .where({ user_id: userId })
+                .del();
+
+            return deletedCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to delete feed token: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+module.exports = FeedTokenRepository;
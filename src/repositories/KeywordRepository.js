@@ -1,4 +1,5 @@
 const { Keyword } = require('../models/Keyword');
+const KeywordSubredditRepository = require('./KeywordSubredditRepository');
 
 /**
  * KeywordRepository - handles database operations for keywords
@@ -11,11 +12,35 @@ class KeywordRepository {
     constructor(db) {
         this.db = db;
         this.tableName = 'keywords';
+        this.subredditLinks = new KeywordSubredditRepository(db);
+    }
+
+    /**
+     * Fill in the subreddits each keyword is limited to
+     * @param {Keyword[]} keywords - Keywords to complete
+     * @returns {Promise<Keyword[]>} The same keywords
+     */
+    async withSubreddits(keywords) {
+        const byKeyword = await this.subredditLinks.findSubredditsByKeywords(keywords.map(keyword => keyword.id));
+        keywords.forEach(keyword => {
+            keyword.subreddits = byKeyword.get(keyword.id);
+        });
+        return keywords;
+    }
+
+    /**
+     * Limit a query to one owner's keywords
+     * @param {import('knex').Knex.QueryBuilder} query - Query on the keywords table
+     * @param {number|null} ownerId - Owner to scope to, or null for every keyword
+     * @returns {import('knex').Knex.QueryBuilder} Scoped query
+     */
+    scope(query, ownerId) {
+        return ownerId === null ? query : query.where(`${this.tableName}.user_id`, ownerId);
     }
 
     /**
      * Create a new keyword
-     * @param {Object} keywordData - the data to insert
+     * @param {Object} keywordData - the data to insert, including its owner's userId
      * @returns {Promise<Keyword>} Created keyword
      */
     async create(keywordData) {
@@ -33,24 +58,169 @@ class KeywordRepository {
             // Return the created keyword
             return await this.findById(id); 
         } catch(error) {
-            throw new Error(`Failed to create keyword: ${error.message}`);
+            throw new Error(`Failed to create keyword: ${error.message}`, { cause: error });
         }
     }    
 
     /**
      * Find keyword by ID
      * @param {number} id - keyword ID
+     * @param {number|null} ownerId - Only find the keyword if this user owns it
      * @returns {Promise<Keyword|null>} Found keyword or null
      */
-    async findById(id) {
+    async findById(id, ownerId = null) {
         try {
-            const row = await this.db(this.tableName)
+            const row = await this.scope(this.db(this.tableName), ownerId)
             .where({id})
             .first(); 
 
-            return Keyword.fromDatabase(row); 
+            if (!row) return null;
+            const [keyword] = await this.withSubreddits([Keyword.fromDatabase(row)]);
+            return keyword;
+        } catch(error) {
+            throw new Error(`Failed to find keyword by ID: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find keyword by its text, ignoring case
+     * @param {string} keyword - Keyword text
+     * @param {number|null} ownerId - Only look among this user's keywords
+     * @returns {Promise<Keyword|null>} Found keyword or null
+     */
+    async findByKeyword(keyword, ownerId = null) {
+        try {
+            const row = await this.scope(this.db(this.tableName), ownerId)
+                .whereRaw('LOWER(keyword) = ?', [keyword.trim().toLowerCase()])
+                .first();
+
+            if (!row) return null;
+            const [found] = await this.withSubreddits([Keyword.fromDatabase(row)]);
+            return found;
+        } catch(error) {
+            throw new Error(`Failed to find keyword by text: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find all keywords with pagination, search and sorting
+     * @param {Object} options - Query options
+     * @param {number} options.page - Page number (1-based)
+     * @param {number} options.limit - Items per page
+     * @param {string} options.search - Search term for keyword text
+     * @param {string} options.sortBy - Column to sort by
+     * @param {string} options.sortOrder - asc or desc
+     * @param {number|null} options.userId - Only list this user's keywords
+     * @returns {Promise<{keywords: Keyword[], total: number, page: number, limit: number}>}
+     */
+    async findAll(options = {}) {
+        try {
+            const {
+                page = 1,
+                limit = 20,
+                search = null,
+                sortBy = 'created_at',
+                sortOrder = 'desc',
+                userId = null
+            } = options;
+
+            // Build base query
+            let query = this.scope(this.db(this.tableName), userId);
+            let countQuery = this.scope(this.db(this.tableName), userId);
+
+            // Apply search filter
+            if (search) {
+                const searchPattern = `%${search}%`;
+                query = query.where('keyword', 'like', searchPattern);
+                countQuery = countQuery.where('keyword', 'like', searchPattern);
+            }
+
+            // Get total count for pagination
+            const [{ count }] = await countQuery.count('id as count');
+            const total = parseInt(count);
+
+            // Apply pagination and sorting, with ID as a stable tie-breaker
+            const offset = (page - 1) * limit;
+            const rows = await query
+                .orderBy([
+                    { column: sortBy, order: sortOrder },
+                    { column: 'id', order: sortOrder }
+                ])
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                keywords: await this.withSubreddits(rows.map(row => Keyword.fromDatabase(row))),
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                pages: Math.ceil(total / limit)
+            };
         } catch(error) {
-            throw new Error(`Failed to find keyword by ID: ${error.message}`);
+            throw new Error(`Failed to find keywords: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Get every keyword, for matching posts against
+     * @param {number|null} ownerId - Only get this user's keywords
+     * @returns {Promise<Keyword[]>} All keywords ordered by ID
+     */
+    async getAll(ownerId = null) {
+        try {
+            const rows = await this.scope(this.db(this.tableName), ownerId)
+                .orderBy('id', 'asc');
+
+            return await this.withSubreddits(rows.map(row => Keyword.fromDatabase(row)));
+        } catch(error) {
+            throw new Error(`Failed to get keywords: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find keywords matched by a post
+     * @param {number} postId - Post ID
+     * @param {number|null} ownerId - Only include this user's keywords
+     * @returns {Promise<Keyword[]>} Matched keywords ordered by ID
+     */
+    async findByPost(postId, ownerId = null) {
+        try {
+            const rows = await this.scope(this.db(this.tableName), ownerId)
+                .whereIn('id', this.db('post_keyword_matches')
+                    .distinct('keyword_id')
+                    .where({ post_id: postId }))
+                .orderBy('id', 'asc');
+
+            return await this.withSubreddits(rows.map(row => Keyword.fromDatabase(row)));
+        } catch(error) {
+            throw new Error(`Failed to find keywords by post: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find the keywords matched by each of several posts
+     * @param {number[]} postIds - Post IDs
+     * @param {number|null} ownerId - Only include this user's keywords
+     * @returns {Promise<Map<number, Keyword[]>>} Keywords keyed by post ID
+     */
+    async findByPosts(postIds, ownerId = null) {
+        try {
+            const byPost = new Map(postIds.map(postId => [postId, []]));
+            if (postIds.length === 0) {
+                return byPost;
+            }
+
+            const rows = await this.scope(this.db(this.tableName), ownerId)
+                .distinct(`${this.tableName}.*`, 'post_keyword_matches.post_id as matched_post_id')
+                .join('post_keyword_matches', 'post_keyword_matches.keyword_id', `${this.tableName}.id`)
+                .whereIn('post_keyword_matches.post_id', postIds)
+                .orderBy(`${this.tableName}.id`, 'asc');
+
+            rows.forEach(row => byPost.get(row.matched_post_id).push(Keyword.fromDatabase(row)));
+            await this.withSubreddits([...byPost.values()].flat());
+            return byPost;
+        } catch(error) {
+            throw new Error(`Failed to find keywords by posts: ${error.message}`, { cause: error });
         }
     }
 
@@ -58,22 +228,31 @@ class KeywordRepository {
      * Update keyword by ID
      * @param {number} id - Keyword ID
      * @param {Object} updateData - Data to update
+     * @param {number|null} ownerId - Only update the keyword if this user owns it
      * @returns {Promise<Keyword|null>} UPdated keyword or null if not found
      */
-    async update(id, updateData) {
+    async update(id, updateData, ownerId = null) {
         try {
-            const existingKeyword = await this.findById(id); 
+            const existingKeyword = await this.findById(id, ownerId); 
             if(!existingKeyword) {
                 return null; 
             }
 
-            const updatedKeyword = new Keyword({...existingKeyword, ...updateData});
+            // The owner never changes through an update, and the stored query
+            // tree is only dropped, to be parsed again, when the text changes
+            const textChanged = updateData.keyword !== undefined && updateData.keyword !== existingKeyword.keyword;
+            const updatedKeyword = new Keyword({
+                ...existingKeyword,
+                ...updateData,
+                userId: existingKeyword.userId,
+                parsedQuery: textChanged ? null : existingKeyword.parsedQuery
+            });
             const dataToUpdate = updatedKeyword.toDatabase(); 
 
             delete dataToUpdate.id;
             delete dataToUpdate.created_at;
 
-            dataToUpdate.updated_at = new Date();
+            dataToUpdate.updated_at = this.db.fn.now();
 
             const updatedCount = await this.db(this.tableName)
                 .where({id})
@@ -85,25 +264,41 @@ class KeywordRepository {
 
             return await this.findById(id); 
         } catch(error) {
-            throw new Error(`Failed to update keyword: ${error.message}`);
+            throw new Error(`Failed to update keyword: ${error.message}`, { cause: error });
         }
     }
 
     /**
      * Delete keyword by ID
      * @param {number} id - Keyword ID
+     * @param {number|null} ownerId - Only delete the keyword if this user owns it
      * @returns {Promise<boolean>} True if deleted, false if not found
      */
-    async delete(id) {
+    async delete(id, ownerId = null) {
         try {
-            const deletedCount = await this.db(this.tableName)
+            const deletedCount = await this.scope(this.db(this.tableName), ownerId)
                 .where({id})
                 .del(); 
 
             return deletedCount > 0;
 
         } catch(error) {
-            throw new Error(`Failed to delete keyword: ${error.message}`); 
+            throw new Error(`Failed to delete keyword: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Give keywords created before accounts existed to a user
+     * @param {number} userId - New owner
+     * @returns {Promise<number>} Keywords adopted
+     */
+    async adoptUnowned(userId) {
+        try {
+            return await this.db(this.tableName)
+                .whereNull('user_id')
+                .update({ user_id: userId });
+        } catch(error) {
+            throw new Error(`Failed to adopt keywords: ${error.message}`, { cause: error });
         }
     }
 }
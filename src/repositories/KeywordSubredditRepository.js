@@ -0,0 +1,144 @@
+/**
+ * KeywordSubredditRepository - handles database operations for keyword/subreddit links
+ * A keyword with no links applies to every subreddit.
+ */
+class KeywordSubredditRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'keyword_subreddits';
+    }
+
+    /**
+     * Limit a keyword to a subreddit
+     * @param {number} keywordId - Keyword ID
+     * @param {number} subredditId - Subreddit ID
+     * @returns {Promise<boolean>} True if linked, false if the link already existed
+     */
+    async attach(keywordId, subredditId) {
+        try {
+            const inserted = await this.db(this.tableName)
+                .insert({ keyword_id: keywordId, subreddit_id: subredditId })
+                .onConflict(['keyword_id', 'subreddit_id'])
+                .ignore()
+                .returning('id');
+
+            return inserted.length > 0;
+        } catch (error) {
+            throw new Error(`Failed to link keyword to subreddit: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Remove a keyword's link to a subreddit
+     * @param {number} keywordId - Keyword ID
+     * @param {number} subredditId - Subreddit ID
+     * @returns {Promise<boolean>} True if unlinked, false if there was no link
+     */
+    async detach(keywordId, subredditId) {
+        try {
+            const deletedCount = await this.db(this.tableName)
+                .where({ keyword_id: keywordId, subreddit_id: subredditId })
+                .del();
+
+            return deletedCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to unlink keyword from subreddit: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find the subreddits each of several keywords is limited to
+     * @param {number[]} keywordIds - Keyword IDs
+     * @returns {Promise<Map<number, Array<{id: number, name: string}>>>} Subreddits keyed by keyword ID, by name
+     */
+    async findSubredditsByKeywords(keywordIds) {
+        try {
+            const byKeyword = new Map(keywordIds.map(keywordId => [keywordId, []]));
+            if (keywordIds.length === 0) {
+                return byKeyword;
+            }
+
+            const rows = await this.db(this.tableName)
+                .select(`${this.tableName}.keyword_id`, 'subreddits.id', 'subreddits.name')
+                .join('subreddits', 'subreddits.id', `${this.tableName}.subreddit_id`)
+                .whereIn(`${this.tableName}.keyword_id`, keywordIds)
+                .orderBy('subreddits.name', 'asc');
+
+            rows.forEach(row => byKeyword.get(row.keyword_id).push({ id: row.id, name: row.name }));
+            return byKeyword;
+        } catch (error) {
+            throw new Error(`Failed to find keyword subreddits: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find the keywords limited to each of several subreddits
+     * @param {number[]} subredditIds - Subreddit IDs
+     * @param {number|null} ownerId - Only include this user's keywords
+     * @returns {Promise<Map<number, Array<{id: number, keyword: string}>>>} Keywords keyed by subreddit ID, by ID
+     */
+    async findKeywordsBySubreddits(subredditIds, ownerId = null) {
+        try {
+            const bySubreddit = new Map(subredditIds.map(subredditId => [subredditId, []]));
+            if (subredditIds.length === 0) {
+                return bySubreddit;
+            }
+
+            let query = this.db(this.tableName)
+                .select(`${this.tableName}.subreddit_id`, 'keywords.id', 'keywords.keyword')
+                .join('keywords', 'keywords.id', `${this.tableName}.keyword_id`)
+                .whereIn(`${this.tableName}.subreddit_id`, subredditIds)
+                .orderBy('keywords.id', 'asc');
+            if (ownerId !== null) {
+                query = query.where('keywords.user_id', ownerId);
+            }
+
+            const rows = await query;
+            rows.forEach(row => bySubreddit.get(row.subreddit_id).push({ id: row.id, keyword: row.keyword }));
+            return bySubreddit;
+        } catch (error) {
+            throw new Error(`Failed to find subreddit keywords: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Move a user's keyword links from one subreddit to another, e.g. when they rename their subscription
+     * @param {number} fromId - Subreddit the links point at now
+     * @param {number} toId - Subreddit to point them at
+     * @param {number} userId - Owner of the keywords to move
+     * @returns {Promise<number>} Links moved
+     */
+    async moveForOwner(fromId, toId, userId) {
+        try {
+            return await this.db.transaction(async trx => {
+                const ownKeywordIds = trx('keywords').select('id').where({ user_id: userId });
+                const rows = await trx(this.tableName)
+                    .select('keyword_id')
+                    .where({ subreddit_id: fromId })
+                    .whereIn('keyword_id', ownKeywordIds);
+
+                if (rows.length === 0) {
+                    return 0;
+                }
+
+                await trx(this.tableName)
+                    .insert(rows.map(row => ({ keyword_id: row.keyword_id, subreddit_id: toId })))
+                    .onConflict(['keyword_id', 'subreddit_id'])
+                    .ignore();
+                await trx(this.tableName)
+                    .where({ subreddit_id: fromId })
+                    .whereIn('keyword_id', rows.map(row => row.keyword_id))
+                    .del();
+
+                return rows.length;
+            });
+        } catch (error) {
+            throw new Error(`Failed to move keyword subreddit links: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+module.exports = KeywordSubredditRepository;
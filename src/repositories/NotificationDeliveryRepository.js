@@ -0,0 +1,179 @@
+const { NotificationDelivery } = require('../models/NotificationDelivery');
+
+/**
+ * NotificationDeliveryRepository - handles database operations for the delivery log
+ * Focused only on delivery-related data operations
+ */
+class NotificationDeliveryRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'notification_deliveries';
+    }
+
+    /**
+     * Record a delivery attempt
+     * @param {Object} deliveryData - Attempt details
+     * @returns {Promise<NotificationDelivery>} Recorded attempt with ID
+     */
+    async create(deliveryData) {
+        try {
+            const delivery = new NotificationDelivery(deliveryData);
+            const dataToInsert = delivery.toDatabase();
+
+            // Remove id and timestamps for insert
+            delete dataToInsert.id;
+            delete dataToInsert.created_at;
+            delete dataToInsert.updated_at;
+
+            const [id] = await this.db(this.tableName).insert(dataToInsert);
+
+            // Return the recorded attempt
+            const row = await this.db(this.tableName).where({ id }).first();
+            return NotificationDelivery.fromDatabase(row);
+        } catch (error) {
+            throw new Error(`Failed to record delivery: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find attempts whose retry is due and not claimed, oldest first
+     * @param {Date} now - Current time
+     * @param {number} limit - Most retries to return
+     * @returns {Promise<NotificationDelivery[]>} Attempts to retry
+     */
+    async findDueRetries(now = new Date(), limit = 100) {
+        try {
+            const rows = await this.db(this.tableName)
+                .where({ claimed: false })
+                .where('next_attempt_at', '<=', now.getTime())
+                .orderBy('next_attempt_at', 'asc')
+                .orderBy('id', 'asc')
+                .limit(limit);
+
+            return rows.map(row => NotificationDelivery.fromDatabase(row));
+        } catch (error) {
+            throw new Error(`Failed to find due retries: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Claim a pending retry so only one sender makes it
+     * @param {number} id - Attempt ID
+     * @returns {Promise<boolean>} False if it was already claimed or made
+     */
+    async claimRetry(id) {
+        try {
+            const updatedCount = await this.db(this.tableName)
+                .where({ id, claimed: false })
+                .whereNotNull('next_attempt_at')
+                .update({ claimed: true, updated_at: this.db.fn.now() });
+
+            return updatedCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to claim retry: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Clear a pending retry once it was made, or mark the attempt failed when it won't be
+     * @param {number} id - Attempt ID
+     * @param {boolean} giveUp - Mark the attempt failed instead of leaving it as retrying
+     * @returns {Promise<void>}
+     */
+    async finishRetry(id, giveUp = false) {
+        try {
+            const changes = { payload: null, next_attempt_at: null, claimed: false, updated_at: this.db.fn.now() };
+            if (giveUp) changes.status = 'failed';
+
+            await this.db(this.tableName).where({ id }).update(changes);
+        } catch (error) {
+            throw new Error(`Failed to finish retry: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Return retries left claimed by a process that stopped mid-send to the queue
+     * @returns {Promise<number>} Retries released
+     */
+    async releaseRetryClaims() {
+        try {
+            return await this.db(this.tableName)
+                .where({ claimed: true })
+                .whereNotNull('next_attempt_at')
+                .update({ claimed: false, updated_at: this.db.fn.now() });
+        } catch (error) {
+            throw new Error(`Failed to release retry claims: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find delivery attempts with pagination and filtering, newest first
+     * @param {Object} options - Query options
+     * @param {number} options.page - Page number (1-based)
+     * @param {number} options.limit - Items per page
+     * @param {number} options.webhookId - Only attempts for this webhook
+     * @param {number} options.postId - Only attempts for this post
+     * @param {number} options.keywordId - Only attempts for this keyword
+     * @param {string} options.status - success, retrying or failed
+     * @param {number|null} options.userId - Only attempts for this user's webhooks
+     * @returns {Promise<{deliveries: NotificationDelivery[], total: number, page: number, limit: number}>}
+     */
+    async findAll(options = {}) {
+        try {
+            const {
+                page = 1,
+                limit = 20,
+                webhookId = null,
+                postId = null,
+                keywordId = null,
+                status = null,
+                userId = null
+            } = options;
+
+            // Only filters that were given
+            const filters = {};
+            if (webhookId) filters.webhook_id = webhookId;
+            if (postId) filters.post_id = postId;
+            if (keywordId) filters.keyword_id = keywordId;
+            if (status) filters.status = status;
+
+            const [{ count }] = await this.scope(this.db(this.tableName), userId)
+                .where(filters)
+                .count('id as count');
+            const total = parseInt(count);
+
+            const offset = (page - 1) * limit;
+            const rows = await this.scope(this.db(this.tableName), userId)
+                .where(filters)
+                .orderBy('id', 'desc')
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                deliveries: rows.map(row => NotificationDelivery.fromDatabase(row)),
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                pages: Math.ceil(total / limit)
+            };
+        } catch (error) {
+            throw new Error(`Failed to find deliveries: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Limit a query to attempts for one owner's webhooks
+     * @param {import('knex').Knex.QueryBuilder} query - Query on the deliveries table
+     * @param {number|null} ownerId - Webhook owner, or null for every attempt
+     * @returns {import('knex').Knex.QueryBuilder} Scoped query
+     */
+    scope(query, ownerId) {
+        if (ownerId === null) return query;
+        return query.whereIn('webhook_id', this.db('webhooks').select('id').where({ user_id: ownerId }));
+    }
+}
+
+module.exports = NotificationDeliveryRepository;
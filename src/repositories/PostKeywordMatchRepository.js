@@ -0,0 +1,134 @@
+const { PostKeywordMatch } = require('../models/PostKeywordMatch');
+
+/**
+ * PostKeywordMatchRepository - handles database operations for keyword matches
+ * Focused only on the rows linking posts to the keywords they matched
+ */
+class PostKeywordMatchRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'post_keyword_matches';
+    }
+
+    /**
+     * Find every match recorded for a post
+     * @param {number} postId - Post ID
+     * @returns {Promise<PostKeywordMatch[]>} Matches ordered by keyword
+     */
+    async findByPost(postId) {
+        try {
+            const rows = await this.db(this.tableName)
+                .where({ post_id: postId })
+                .orderBy([{ column: 'keyword_id' }, { column: 'id' }]);
+
+            return rows.map(row => PostKeywordMatch.fromDatabase(row));
+        } catch (error) {
+            throw new Error(`Failed to find matches by post: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find the matches between one post and one keyword
+     * @param {number} postId - Post ID
+     * @param {number} keywordId - Keyword ID
+     * @returns {Promise<PostKeywordMatch[]>} Matches in insertion order
+     */
+    async findByPostAndKeyword(postId, keywordId) {
+        try {
+            const rows = await this.db(this.tableName)
+                .where({ post_id: postId, keyword_id: keywordId })
+                .orderBy('id');
+
+            return rows.map(row => PostKeywordMatch.fromDatabase(row));
+        } catch (error) {
+            throw new Error(`Failed to find matches: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Whether a keyword matched any other post of a deal
+     * @param {number} originalId - ID of the deal's first post
+     * @param {number} keywordId - Keyword ID
+     * @param {number} exceptPostId - Post to leave out, usually the one just matched
+     * @returns {Promise<boolean>} True if the original or another duplicate matched
+     */
+    async existsForDuplicates(originalId, keywordId, exceptPostId) {
+        try {
+            const groupPostIds = this.db('posts')
+                .select('id')
+                .where({ id: originalId })
+                .orWhere({ duplicate_of: originalId });
+
+            const row = await this.db(this.tableName)
+                .where({ keyword_id: keywordId })
+                .whereIn('post_id', groupPostIds)
+                .whereNot({ post_id: exceptPostId })
+                .first('id');
+
+            return Boolean(row);
+        } catch (error) {
+            throw new Error(`Failed to check matches for duplicates: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Replace every match recorded for a post
+     * @param {number} postId - Post ID
+     * @param {Object[]} matches - New match data
+     * @returns {Promise<number>} Number of matches stored
+     */
+    async replaceForPost(postId, matches) {
+        try {
+            return await this.db.transaction(async trx => {
+                await trx(this.tableName).where({ post_id: postId }).del();
+                return this.insertMany(trx, matches);
+            });
+        } catch (error) {
+            throw new Error(`Failed to replace matches for post: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Replace every match recorded for a keyword
+     * @param {number} keywordId - Keyword ID
+     * @param {Object[]} matches - New match data
+     * @returns {Promise<number>} Number of matches stored
+     */
+    async replaceForKeyword(keywordId, matches) {
+        try {
+            return await this.db.transaction(async trx => {
+                await trx(this.tableName).where({ keyword_id: keywordId }).del();
+                return this.insertMany(trx, matches);
+            });
+        } catch (error) {
+            throw new Error(`Failed to replace matches for keyword: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Insert match rows in chunks that stay under SQLite's variable limit
+     * @param {import('knex').Knex} db - Connection or transaction
+     * @param {Object[]} matches - Match data
+     * @returns {Promise<number>} Number of rows inserted
+     */
+    async insertMany(db, matches) {
+        const rows = matches.map(data => {
+            const row = new PostKeywordMatch(data).toDatabase();
+            delete row.id;
+            delete row.created_at;
+            delete row.updated_at;
+            return row;
+        });
+
+        if (rows.length > 0) {
+            await db.batchInsert(this.tableName, rows, 100);
+        }
+
+        return rows.length;
+    }
+}
+
+module.exports = PostKeywordMatchRepository;
@@ -0,0 +1,141 @@
+const { linkHost } = require('../utils/links');
+const { normalizeLink } = require('../utils/duplicates');
+
+/**
+ * PostLinkRepository - handles database operations for the links of posts
+ * Posts read and write their links through PostRepository; this keeps the rows in order.
+ */
+class PostLinkRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'post_links';
+    }
+
+    /**
+     * Store a post's links, replacing any it had
+     * @param {number} postId - Post ID
+     * @param {string[]} links - Cleaned links, in order
+     * @param {Array<string|null>} retailers - Retailer of each link, in the same order
+     * @returns {Promise<void>}
+     */
+    async replace(postId, links, retailers = []) {
+        try {
+            await this.db(this.tableName)
+                .where({ post_id: postId })
+                .del();
+
+            if (links.length === 0) {
+                return;
+            }
+
+            await this.db(this.tableName).insert(links.map((url, position) => ({
+                post_id: postId,
+                position,
+                url,
+                host: linkHost(url),
+                retailer: retailers[position] ?? null,
+                link_key: normalizeLink(url)
+            })));
+        } catch (error) {
+            throw new Error(`Failed to store post links: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find the links of each of several posts
+     * @param {number[]} postIds - Post IDs
+     * @returns {Promise<Map<number, Array<{url: string, retailer: string|null}>>>} Links keyed by post ID, in order
+     */
+    async findLinksByPosts(postIds) {
+        try {
+            const byPost = new Map(postIds.map(postId => [postId, []]));
+            if (postIds.length === 0) {
+                return byPost;
+            }
+
+            const rows = await this.db(this.tableName)
+                .select('post_id', 'url', 'retailer')
+                .whereIn('post_id', postIds)
+                .orderBy(['post_id', 'position']);
+
+            rows.forEach(row => byPost.get(row.post_id).push({ url: row.url, retailer: row.retailer }));
+            return byPost;
+        } catch (error) {
+            throw new Error(`Failed to find post links: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Subquery of the posts with at least one link
+     * @returns {import('knex').Knex.QueryBuilder} Query selecting post_id
+     */
+    postsWithLinks() {
+        return this.db(this.tableName).select('post_id');
+    }
+
+    /**
+     * Subquery of the posts with a link to a retailer
+     * @param {string} retailer - Retailer, e.g. amazon
+     * @returns {import('knex').Knex.QueryBuilder} Query selecting post_id
+     */
+    postsLinkingToRetailer(retailer) {
+        return this.db(this.tableName).select('post_id').where({ retailer });
+    }
+
+    /**
+     * Subquery of the posts with a link to a domain or any of its subdomains
+     * @param {string} domain - Lowercase domain without www., e.g. amazon.com
+     * @returns {import('knex').Knex.QueryBuilder} Query selecting post_id
+     */
+    postsLinkingToDomain(domain) {
+        return this.db(this.tableName)
+            .select('post_id')
+            .where(function() {
+                this.where({ host: domain }).orWhere('host', 'like', `%.${domain}`);
+            });
+    }
+
+    /**
+     * Subquery of the other posts linking to a page a post links to
+     * Links are compared in their normalized form, see utils/duplicates.
+     * @param {number} postId - Post ID
+     * @returns {import('knex').Knex.QueryBuilder} Query selecting post_id
+     */
+    postsSharingLinksWith(postId) {
+        return this.db(this.tableName)
+            .select('post_id')
+            .whereIn('link_key', this.db(this.tableName)
+                .select('link_key')
+                .where({ post_id: postId })
+                .whereNotNull('link_key'))
+            .whereNot({ post_id: postId });
+    }
+
+    /**
+     * Count the posts linking to each retailer
+     * A post counts once however many of its links go to the retailer.
+     * @param {number} limit - Retailers to return
+     * @returns {Promise<Array<{retailer: string, count: number}>>} Retailers, most posts first
+     */
+    async countByRetailer(limit = 10) {
+        try {
+            const rows = await this.db(this.tableName)
+                .select('retailer')
+                .countDistinct('post_id as count')
+                .whereNotNull('retailer')
+                .groupBy('retailer')
+                .orderBy('count', 'desc')
+                .orderBy('retailer', 'asc')
+                .limit(limit);
+
+            return rows.map(row => ({ retailer: row.retailer, count: parseInt(row.count) }));
+        } catch (error) {
+            throw new Error(`Failed to count posts per retailer: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+module.exports = PostLinkRepository;
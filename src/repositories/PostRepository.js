@@ -1,18 +1,56 @@
 // src/repositories/PostRepository.js - Data access layer for posts
 
 const { Post } = require('../models/Post');
+const { linkKey } = require('../utils/duplicates');
+const { CategoryParser } = require('../utils/categoryParser');
+const { RetailerParser } = require('../utils/retailerParser');
+const PostLinkRepository = require('./PostLinkRepository');
+const { MARK_START, MARK_END, toMatchQuery, highlightSnippet } = require('../utils/fullTextSearch');
 
 /**
  * PostRepository - Handles database operations for posts
- * Focused only on post-related data operations
+ * Focused only on post-related data operations. Each post's links are kept
+ * in post_links and read and written along with the post.
  */
 class PostRepository {
   /**
    * @param {import('knex').Knex} db - Database connection
+   * @param {Object} [parsers] - Parsers for posts being stored
+   * @param {CategoryParser} [parsers.categoryParser] - Categories from titles; defaults to the built-in aliases
+   * @param {RetailerParser} [parsers.retailerParser] - Retailers of links; defaults to the built-in domains
    */
-  constructor(db) {
+  constructor(db, { categoryParser = new CategoryParser(), retailerParser = new RetailerParser() } = {}) {
     this.db = db;
+    this.categoryParser = categoryParser;
+    this.retailerParser = retailerParser;
     this.tableName = 'posts';
+    this.postLinks = new PostLinkRepository(db);
+  }
+
+  /**
+   * Fill in the links and retailers of posts
+   * @param {Post[]} posts - Posts
+   * @returns {Promise<Post[]>} The same posts
+   */
+  async withLinks(posts) {
+    const byPost = await this.postLinks.findLinksByPosts(posts.map(post => post.id));
+    posts.forEach(post => {
+      const links = byPost.get(post.id);
+      post.links = links.map(link => link.url);
+      post.retailers = links.map(link => link.retailer);
+    });
+    return posts;
+  }
+
+  /**
+   * Create a post from a row, with its links
+   * @param {Object|undefined} row - Database row
+   * @returns {Promise<Post|null>} Post or null when there is no row
+   */
+  async toPost(row) {
+    if (!row) return null;
+    const [post] = await this.withLinks([Post.fromDatabase(row)]);
+    return post;
   }
 
   /**
@@ -23,6 +61,17 @@ class PostRepository {
   async create(postData) {
     try {
       const post = new Post(postData);
+
+      // Pull price details and category out of the title unless they were given
+      if (!post.hasPriceInfo()) {
+        post.extractPrice();
+      }
+      if (postData.category === undefined) {
+        post.extractCategory(this.categoryParser);
+      }
+      post.normalizeLinks(this.retailerParser);
+      post.linkKey = linkKey(post.links);
+
       const dataToInsert = post.toDatabase();
       
       // Remove id and timestamps for insert
@@ -30,12 +79,17 @@ class PostRepository {
       delete dataToInsert.created_at;
       delete dataToInsert.updated_at;
 
-      const [id] = await this.db(this.tableName).insert(dataToInsert);
+      // The post and its links are stored together or not at all
+      const id = await this.db.transaction(async trx => {
+        const [postId] = await trx(this.tableName).insert(dataToInsert);
+        await new PostLinkRepository(trx).replace(postId, post.links, post.retailers);
+        return postId;
+      });
       
       // Return the created post
       return await this.findById(id);
     } catch (error) {
-      throw new Error(`Failed to create post: ${error.message}`);
+      throw new Error(`Failed to create post: ${error.message}`, { cause: error });
     }
   }
 
@@ -50,9 +104,104 @@ class PostRepository {
         .where({ id })
         .first();
 
-      return Post.fromDatabase(row);
+      return await this.toPost(row);
+    } catch (error) {
+      throw new Error(`Failed to find post by ID: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Find several posts by ID
+   * @param {number[]} ids - Post IDs
+   * @returns {Promise<Post[]>} Found posts ordered by ID; missing IDs are left out
+   */
+  async findByIds(ids) {
+    try {
+      if (ids.length === 0) {
+        return [];
+      }
+
+      const rows = await this.db(this.tableName)
+        .whereIn('id', ids)
+        .orderBy('id', 'asc');
+
+      return await this.withLinks(rows.map(row => Post.fromDatabase(row)));
+    } catch (error) {
+      throw new Error(`Failed to find posts by ID: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Find a post ingested from Reddit by its fullname
+   * @param {string} redditId - Fullname, e.g. t3_abc123
+   * @returns {Promise<Post|null>} Found post or null
+   */
+  async findByRedditId(redditId) {
+    try {
+      const row = await this.db(this.tableName)
+        .where({ reddit_id: redditId })
+        .first();
+
+      return await this.toPost(row);
+    } catch (error) {
+      throw new Error(`Failed to find post by Reddit ID: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Find posts linking to the same page, posted on Reddit since a given time
+   * @param {string} key - Normalized link, see utils/duplicates
+   * @param {number} sinceUtc - Earliest Reddit creation time, in seconds
+   * @returns {Promise<Post[]>} Posts, oldest first
+   */
+  async findByLinkKey(key, sinceUtc) {
+    try {
+      const rows = await this.db(this.tableName)
+        .where({ link_key: key })
+        .where('created_utc', '>=', sinceUtc)
+        .orderBy('id', 'asc');
+
+      return await this.withLinks(rows.map(row => Post.fromDatabase(row)));
+    } catch (error) {
+      throw new Error(`Failed to find posts by link: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Find the most recent posts posted on Reddit since a given time
+   * @param {number} sinceUtc - Earliest Reddit creation time, in seconds
+   * @param {number} limit - Maximum results to return
+   * @returns {Promise<Post[]>} Posts, newest first
+   */
+  async findPostedSince(sinceUtc, limit = 500) {
+    try {
+      const rows = await this.db(this.tableName)
+        .where('created_utc', '>=', sinceUtc)
+        .orderBy('created_utc', 'desc')
+        .limit(limit);
+
+      return await this.withLinks(rows.map(row => Post.fromDatabase(row)));
+    } catch (error) {
+      throw new Error(`Failed to find recent posts: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Find every post of the same deal as a post: its original and all duplicates
+   * @param {Post} post - Any post of the group
+   * @returns {Promise<Post[]>} Posts, original first
+   */
+  async findDuplicateGroup(post) {
+    try {
+      const originalId = post.getOriginalId();
+      const rows = await this.db(this.tableName)
+        .where({ id: originalId })
+        .orWhere({ duplicate_of: originalId })
+        .orderBy('id', 'asc');
+
+      return await this.withLinks(rows.map(row => Post.fromDatabase(row)));
     } catch (error) {
-      throw new Error(`Failed to find post by ID: ${error.message}`);
+      throw new Error(`Failed to find duplicate posts: ${error.message}`, { cause: error });
     }
   }
 
@@ -67,9 +216,9 @@ class PostRepository {
         .where({ title })
         .orderBy('created_at', 'desc');
 
-      return rows.map(row => Post.fromDatabase(row));
+      return await this.withLinks(rows.map(row => Post.fromDatabase(row)));
     } catch (error) {
-      throw new Error(`Failed to find posts by title: ${error.message}`);
+      throw new Error(`Failed to find posts by title: ${error.message}`, { cause: error });
     }
   }
 
@@ -78,8 +227,23 @@ class PostRepository {
    * @param {Object} options - Query options
    * @param {number} options.page - Page number (1-based)
    * @param {number} options.limit - Items per page
-   * @param {string} options.search - Search term for title/description
+   * @param {string} options.search - Full-text search over title and description, see utils/fullTextSearch
    * @param {boolean} options.hasLinks - Filter by posts with/without links
+   * @param {number} options.minPrice - Lowest price to include
+   * @param {number} options.maxPrice - Highest price to include
+   * @param {number} options.minDiscountPercent - Smallest discount percentage to include
+   * @param {string} options.category - Normalized category
+   * @param {string} options.subreddit - Lowercase subreddit name
+   * @param {string|null} options.retailer - Only posts with a link to this retailer
+   * @param {string|null} options.domain - Only posts with a link to this domain or its subdomains
+   * @param {number|null} options.sharesLinkWith - Only other posts linking to a page this post links to
+   * @param {boolean} options.hideDuplicates - Leave out crossposts and reposts
+   * @param {number|null} options.productId - Only posts of this product
+   * @param {boolean|null} options.allTimeLow - Only posts flagged (true) or not flagged (false) as an all-time low
+   * @param {boolean|null} options.priceDrop - Only posts flagged (true) or not flagged (false) as a price drop
+   * @param {number|null} options.starredBy - Only posts this user starred
+   * @param {string} options.sortBy - relevance (best first, the default when searching), created_at, price or discount_percent
+   * @param {string} options.sortOrder - asc or desc
    * @returns {Promise<{posts: Post[], total: number, page: number, limit: number}>}
    */
   async findAll(options = {}) {
@@ -88,53 +252,138 @@ class PostRepository {
         page = 1,
         limit = 20,
         search = null,
-        hasLinks = null
+        hasLinks = null,
+        minPrice = null,
+        maxPrice = null,
+        minDiscountPercent = null,
+        category = null,
+        subreddit = null,
+        retailer = null,
+        domain = null,
+        sharesLinkWith = null,
+        hideDuplicates = false,
+        productId = null,
+        allTimeLow = null,
+        priceDrop = null,
+        starredBy = null,
+        sortOrder = 'desc'
       } = options;
 
       // Build base query
       let query = this.db(this.tableName);
       let countQuery = this.db(this.tableName);
 
-      // Apply search filter (search in title and description)
-      if (search) {
-        const searchPattern = `%${search}%`;
-        const searchCondition = function() {
-          this.where('title', 'like', searchPattern)
-              .orWhere('description', 'like', searchPattern);
-        };
-        
-        query = query.where(searchCondition);
-        countQuery = countQuery.where(searchCondition);
+      // Apply full-text search, ranking and highlighting the results
+      const match = search ? toMatchQuery(search) : null;
+      if (search && !match) {
+        return { posts: [], total: 0, page: parseInt(page), limit: parseInt(limit), pages: 0 };
+      }
+      if (match) {
+        query = this.applySearch(query, match);
+        countQuery = countQuery.whereIn('id', this.db('posts_fts').select('rowid').whereRaw('posts_fts MATCH ?', [match]));
+      }
+
+      // Searches sort by relevance unless told otherwise; without one there is nothing to rank
+      let sortBy = options.sortBy || (match ? 'relevance' : 'created_at');
+      if (sortBy === 'relevance' && !match) {
+        sortBy = 'created_at';
       }
 
       // Apply hasLinks filter
       if (hasLinks === true) {
-        // Posts with links (not empty JSON array)
-        query = query.whereNot('links', '[]').whereNotNull('links');
-        countQuery = countQuery.whereNot('links', '[]').whereNotNull('links');
+        query = query.whereIn(`${this.tableName}.id`, this.postLinks.postsWithLinks());
+        countQuery = countQuery.whereIn('id', this.postLinks.postsWithLinks());
       } else if (hasLinks === false) {
-        // Posts without links (empty JSON array or null)
-        query = query.where(function() {
-          this.where('links', '[]').orWhereNull('links');
-        });
-        countQuery = countQuery.where(function() {
-          this.where('links', '[]').orWhereNull('links');
-        });
+        query = query.whereNotIn(`${this.tableName}.id`, this.postLinks.postsWithLinks());
+        countQuery = countQuery.whereNotIn('id', this.postLinks.postsWithLinks());
+      }
+
+      // Apply price filters
+      if (minPrice !== null) {
+        query = query.where('price', '>=', minPrice);
+        countQuery = countQuery.where('price', '>=', minPrice);
+      }
+      if (maxPrice !== null) {
+        query = query.where('price', '<=', maxPrice);
+        countQuery = countQuery.where('price', '<=', maxPrice);
+      }
+      if (minDiscountPercent !== null) {
+        query = query.where('discount_percent', '>=', minDiscountPercent);
+        countQuery = countQuery.where('discount_percent', '>=', minDiscountPercent);
+      }
+
+      // Apply category filter
+      if (category) {
+        query = query.where({ category });
+        countQuery = countQuery.where({ category });
+      }
+
+      // Apply subreddit and duplicate filters
+      if (subreddit) {
+        query = query.where({ subreddit });
+        countQuery = countQuery.where({ subreddit });
+      }
+      if (hideDuplicates) {
+        query = query.whereNull('duplicate_of');
+        countQuery = countQuery.whereNull('duplicate_of');
+      }
+
+      // Apply link filters: retailer, domain and pages shared with another post
+      if (retailer) {
+        query = query.whereIn(`${this.tableName}.id`, this.postLinks.postsLinkingToRetailer(retailer));
+        countQuery = countQuery.whereIn('id', this.postLinks.postsLinkingToRetailer(retailer));
+      }
+      if (domain) {
+        query = query.whereIn(`${this.tableName}.id`, this.postLinks.postsLinkingToDomain(domain));
+        countQuery = countQuery.whereIn('id', this.postLinks.postsLinkingToDomain(domain));
+      }
+      if (sharesLinkWith) {
+        query = query.whereIn(`${this.tableName}.id`, this.postLinks.postsSharingLinksWith(sharesLinkWith));
+        countQuery = countQuery.whereIn('id', this.postLinks.postsSharingLinksWith(sharesLinkWith));
+      }
+
+      // Apply product and price flag filters
+      if (productId) {
+        query = query.where({ product_id: productId });
+        countQuery = countQuery.where({ product_id: productId });
+      }
+      if (allTimeLow !== null) {
+        query = query.where({ all_time_low: allTimeLow });
+        countQuery = countQuery.where({ all_time_low: allTimeLow });
+      }
+      if (priceDrop === true) {
+        query = query.whereNotNull('price_drop_percent');
+        countQuery = countQuery.whereNotNull('price_drop_percent');
+      } else if (priceDrop === false) {
+        query = query.whereNull('price_drop_percent');
+        countQuery = countQuery.whereNull('price_drop_percent');
+      }
+
+      // Apply starred filter
+      if (starredBy !== null) {
+        const starredIds = this.db('post_stars').select('post_id').where({ user_id: starredBy });
+        query = query.whereIn(`${this.tableName}.id`, starredIds);
+        countQuery = countQuery.whereIn('id', starredIds);
       }
 
       // Get total count for pagination
       const [{ count }] = await countQuery.count('id as count');
       const total = parseInt(count);
 
-      // Apply pagination and sorting
+      // Apply pagination and sorting; posts without a price sort last
       const offset = (page - 1) * limit;
+      if (sortBy === 'relevance') {
+        query = query.orderBy('search_rank', 'asc');
+      } else {
+        query = query.orderByRaw('?? IS NULL', [sortBy]).orderBy(sortBy, sortOrder);
+      }
       const rows = await query
         .orderBy('created_at', 'desc')
         .limit(limit)
         .offset(offset);
 
       // Convert to model instances
-      const posts = rows.map(row => Post.fromDatabase(row));
+      const posts = await this.withLinks(rows.map(row => this.fromSearchRow(row)));
 
       return {
         posts,
@@ -144,7 +393,111 @@ class PostRepository {
         pages: Math.ceil(total / limit)
       };
     } catch (error) {
-      throw new Error(`Failed to find posts: ${error.message}`);
+      throw new Error(`Failed to find posts: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Find posts that matched a keyword, newest first
+   * @param {number} keywordId - Keyword ID
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.limit - Items per page
+   * @returns {Promise<{posts: Post[], total: number, page: number, limit: number}>}
+   */
+  async findByKeyword(keywordId, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+
+      const matchedPostIds = this.db('post_keyword_matches')
+        .distinct('post_id')
+        .where({ keyword_id: keywordId });
+
+      const [{ count }] = await this.db(this.tableName)
+        .whereIn('id', matchedPostIds)
+        .count('id as count');
+      const total = parseInt(count);
+
+      const offset = (page - 1) * limit;
+      const rows = await this.db(this.tableName)
+        .whereIn('id', matchedPostIds)
+        .orderBy('created_at', 'desc')
+        .limit(limit)
+        .offset(offset);
+
+      return {
+        posts: await this.withLinks(rows.map(row => Post.fromDatabase(row))),
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      };
+    } catch (error) {
+      throw new Error(`Failed to find posts by keyword: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Find posts that matched any keyword, most recently added first
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.limit - Items per page
+   * @param {number} options.keywordId - Only posts this keyword matched
+   * @param {number|null} options.userId - Only posts this user's keywords matched
+   * @returns {Promise<{posts: Post[], total: number, page: number, limit: number}>}
+   */
+  async findMatched(options = {}) {
+    try {
+      const { page = 1, limit = 20, keywordId = null, userId = null } = options;
+
+      const matchedPostIds = this.db('post_keyword_matches').distinct('post_id');
+      if (keywordId) {
+        matchedPostIds.where({ keyword_id: keywordId });
+      }
+      if (userId !== null) {
+        matchedPostIds.whereIn('keyword_id', this.db('keywords').select('id').where({ user_id: userId }));
+      }
+
+      const [{ count }] = await this.db(this.tableName)
+        .whereIn('id', matchedPostIds)
+        .count('id as count');
+      const total = parseInt(count);
+
+      const offset = (page - 1) * limit;
+      const rows = await this.db(this.tableName)
+        .whereIn('id', matchedPostIds)
+        .orderBy('id', 'desc')
+        .limit(limit)
+        .offset(offset);
+
+      return {
+        posts: await this.withLinks(rows.map(row => Post.fromDatabase(row))),
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      };
+    } catch (error) {
+      throw new Error(`Failed to find matched posts: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Find a batch of posts by ascending ID, for scanning the whole table
+   * @param {number} afterId - Return posts with an ID greater than this
+   * @param {number} limit - Batch size
+   * @returns {Promise<Post[]>} Posts ordered by ID
+   */
+  async findAfterId(afterId = 0, limit = 200) {
+    try {
+      const rows = await this.db(this.tableName)
+        .where('id', '>', afterId)
+        .orderBy('id', 'asc')
+        .limit(limit);
+
+      return await this.withLinks(rows.map(row => Post.fromDatabase(row)));
+    } catch (error) {
+      throw new Error(`Failed to find posts by ID range: ${error.message}`, { cause: error });
     }
   }
 
@@ -163,6 +516,20 @@ class PostRepository {
 
       // Create updated post instance
       const updatedPost = new Post({ ...existingPost, ...updateData });
+
+      // A new title means new price details and category, unless they were given too
+      const priceGiven = ['price', 'originalPrice', 'discountAmount', 'discountPercent']
+        .some(field => updateData[field] !== undefined);
+      const titleChanged = updateData.title !== undefined && updateData.title !== existingPost.title;
+      if (titleChanged && !priceGiven) {
+        updatedPost.extractPrice();
+      }
+      if (titleChanged && updateData.category === undefined) {
+        updatedPost.extractCategory(this.categoryParser);
+      }
+      updatedPost.normalizeLinks(this.retailerParser);
+      updatedPost.linkKey = linkKey(updatedPost.links);
+
       const dataToUpdate = updatedPost.toDatabase();
       
       // Remove fields that shouldn't be updated
@@ -170,11 +537,17 @@ class PostRepository {
       delete dataToUpdate.created_at;
 
       // Update timestamp
-      dataToUpdate.updated_at = new Date();
-
-      const updatedCount = await this.db(this.tableName)
-        .where({ id })
-        .update(dataToUpdate);
+      dataToUpdate.updated_at = this.db.fn.now();
+
+      const updatedCount = await this.db.transaction(async trx => {
+        const count = await trx(this.tableName)
+          .where({ id })
+          .update(dataToUpdate);
+        if (count > 0) {
+          await new PostLinkRepository(trx).replace(id, updatedPost.links, updatedPost.retailers);
+        }
+        return count;
+      });
 
       if (updatedCount === 0) {
         return null;
@@ -183,7 +556,32 @@ class PostRepository {
       // Return updated post
       return await this.findById(id);
     } catch (error) {
-      throw new Error(`Failed to update post: ${error.message}`);
+      throw new Error(`Failed to update post: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Link a post to its product and store how its price compared
+   * @param {number} id - Post ID
+   * @param {Object} tracking - Price tracking result
+   * @param {number} tracking.productId - Product ID
+   * @param {boolean} tracking.allTimeLow - Below every earlier sighting
+   * @param {number|null} tracking.priceDropPercent - Drop from the last sighting, when it reached the threshold
+   * @returns {Promise<Post|null>} Updated post or null if not found
+   */
+  async setPriceTracking(id, { productId, allTimeLow, priceDropPercent }) {
+    try {
+      await this.db(this.tableName)
+        .where({ id })
+        .update({
+          product_id: productId,
+          all_time_low: allTimeLow,
+          price_drop_percent: priceDropPercent
+        });
+
+      return await this.findById(id);
+    } catch (error) {
+      throw new Error(`Failed to store post price tracking: ${error.message}`, { cause: error });
     }
   }
 
@@ -200,7 +598,85 @@ class PostRepository {
 
       return deletedCount > 0;
     } catch (error) {
-      throw new Error(`Failed to delete post: ${error.message}`);
+      throw new Error(`Failed to delete post: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Count the posts a retention period has run out for
+   * @param {string} reason - unmatched, matched or starred; see retentionScope
+   * @param {string} before - Stored before this time (YYYY-MM-DD HH:MM:SS, UTC)
+   * @returns {Promise<number>} Post count
+   */
+  async countExpired(reason, before) {
+    try {
+      const [{ count }] = await this.retentionScope(this.db(this.tableName), reason)
+        .where('created_at', '<', before)
+        .count('id as count');
+
+      return parseInt(count);
+    } catch (error) {
+      throw new Error(`Failed to count expired posts: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Find a batch of the posts a retention period has run out for, oldest first
+   * @param {string} reason - unmatched, matched or starred; see retentionScope
+   * @param {string} before - Stored before this time (YYYY-MM-DD HH:MM:SS, UTC)
+   * @param {number} limit - Batch size
+   * @returns {Promise<Post[]>} Posts
+   */
+  async findExpired(reason, before, limit = 200) {
+    try {
+      const rows = await this.retentionScope(this.db(this.tableName), reason)
+        .where('created_at', '<', before)
+        .orderBy('id', 'asc')
+        .limit(limit);
+
+      return await this.withLinks(rows.map(row => Post.fromDatabase(row)));
+    } catch (error) {
+      throw new Error(`Failed to find expired posts: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Limit a posts query to the posts one retention period applies to
+   * Starred posts count as starred whether or not they matched.
+   * @param {import('knex').Knex.QueryBuilder} query - Query on the posts table
+   * @param {string} reason - unmatched, matched or starred
+   * @returns {import('knex').Knex.QueryBuilder} Limited query
+   */
+  retentionScope(query, reason) {
+    const starredIds = this.db('post_stars').select('post_id');
+    const matchedIds = this.db('post_keyword_matches').select('post_id');
+
+    switch (reason) {
+      case 'starred':
+        return query.whereIn('id', starredIds);
+      case 'matched':
+        return query.whereNotIn('id', starredIds).whereIn('id', matchedIds);
+      default:
+        return query.whereNotIn('id', starredIds).whereNotIn('id', matchedIds);
+    }
+  }
+
+  /**
+   * Delete several posts by ID
+   * @param {number[]} ids - Post IDs
+   * @returns {Promise<number>} Number of posts deleted
+   */
+  async deleteMany(ids) {
+    try {
+      if (ids.length === 0) {
+        return 0;
+      }
+
+      return await this.db(this.tableName)
+        .whereIn('id', ids)
+        .del();
+    } catch (error) {
+      throw new Error(`Failed to delete posts: ${error.message}`, { cause: error });
     }
   }
 
@@ -211,42 +687,70 @@ class PostRepository {
   async findPostsWithLinks() {
     try {
       const rows = await this.db(this.tableName)
-        .whereNot('links', '[]')
-        .whereNotNull('links')
+        .whereIn('id', this.postLinks.postsWithLinks())
         .orderBy('created_at', 'desc');
 
-      return rows.map(row => Post.fromDatabase(row));
+      return await this.withLinks(rows.map(row => Post.fromDatabase(row)));
     } catch (error) {
-      throw new Error(`Failed to find posts with links: ${error.message}`);
+      throw new Error(`Failed to find posts with links: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Search posts by text (title and description)
-   * @param {string} searchText - Text to search for
+   * Search posts by text (title and description), best matches first
+   * @param {string} searchText - Search text, see utils/fullTextSearch
    * @param {number} limit - Maximum results to return
-   * @returns {Promise<Post[]>} Array of matching posts
+   * @returns {Promise<Post[]>} Matching posts with highlighted snippets
    */
   async searchByText(searchText, limit = 50) {
     try {
-      const searchPattern = `%${searchText}%`;
-      
-      const rows = await this.db(this.tableName)
-        .where(function() {
-          this.where('title', 'like', searchPattern)
-              .orWhere('description', 'like', searchPattern);
-        })
+      const match = toMatchQuery(searchText);
+      if (!match) {
+        return [];
+      }
+
+      const rows = await this.applySearch(this.db(this.tableName), match)
+        .orderBy('search_rank', 'asc')
         .orderBy('created_at', 'desc')
         .limit(limit);
 
-      return rows.map(row => Post.fromDatabase(row));
+      return await this.withLinks(rows.map(row => this.fromSearchRow(row)));
     } catch (error) {
-      throw new Error(`Failed to search posts: ${error.message}`);
+      throw new Error(`Failed to search posts: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Get basic post statistics
+   * Limit a posts query to full-text matches, selecting each one's rank and snippet
+   * @param {import('knex').Knex.QueryBuilder} query - Query on the posts table
+   * @param {string} match - FTS5 query from toMatchQuery
+   * @returns {import('knex').Knex.QueryBuilder} Query with `search_rank` (lower is better) and `snippet` columns
+   */
+  applySearch(query, match) {
+    return query
+      .join('posts_fts', 'posts_fts.rowid', `${this.tableName}.id`)
+      .whereRaw('posts_fts MATCH ?', [match])
+      .select(
+        `${this.tableName}.*`,
+        // Title hits weigh more than description hits
+        this.db.raw('bm25(posts_fts, 10.0, 1.0) AS search_rank'),
+        this.db.raw('snippet(posts_fts, -1, ?, ?, ?, 24) AS snippet', [MARK_START, MARK_END, '…'])
+      );
+  }
+
+  /**
+   * Create a post from a row, with its highlighted snippet when the row came from a search
+   * @param {Object} row - Database row
+   * @returns {Post} Post
+   */
+  fromSearchRow(row) {
+    const post = Post.fromDatabase(row);
+    post.snippet = highlightSnippet(row.snippet);
+    return post;
+  }
+
+  /**
+   * Get basic post statistics, with the ten retailers the most posts link to
    * @returns {Promise<Object>} Statistics object
    */
   async getStatistics() {
@@ -254,35 +758,39 @@ class PostRepository {
       const [stats] = await this.db(this.tableName)
         .select(
           this.db.raw('COUNT(*) as total'),
-          this.db.raw('COUNT(CASE WHEN links != "[]" AND links IS NOT NULL THEN 1 END) as with_links'),
           this.db.raw('AVG(LENGTH(description)) as avg_description_length')
         );
+      const [{ with_links }] = await this.db(this.postLinks.tableName).countDistinct('post_id as with_links');
+      const topRetailers = await this.postLinks.countByRetailer(10);
 
       return {
         totalPosts: parseInt(stats.total),
-        postsWithLinks: parseInt(stats.with_links || 0),
-        postsWithoutLinks: parseInt(stats.total) - parseInt(stats.with_links || 0),
-        averageDescriptionLength: Math.round(parseFloat(stats.avg_description_length || 0))
+        postsWithLinks: parseInt(with_links),
+        postsWithoutLinks: parseInt(stats.total) - parseInt(with_links),
+        averageDescriptionLength: Math.round(parseFloat(stats.avg_description_length || 0)),
+        topRetailers
       };
     } catch (error) {
-      throw new Error(`Failed to get statistics: ${error.message}`);
+      throw new Error(`Failed to get statistics: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Check if post with title already exists
-   * @param {string} title - Post title to check
-   * @returns {Promise<boolean>} True if exists
+   * Count posts per category
+   * @returns {Promise<Array<{category: string, count: number}>>} Categories, most posts first
    */
-  async existsByTitle(title) {
+  async getCategoryCounts() {
     try {
-      const result = await this.db(this.tableName)
-        .where({ title })
-        .first();
+      const rows = await this.db(this.tableName)
+        .select('category')
+        .count('id as count')
+        .whereNotNull('category')
+        .groupBy('category')
+        .orderBy([{ column: 'count', order: 'desc' }, { column: 'category' }]);
 
-      return !!result;
+      return rows.map(row => ({ category: row.category, count: parseInt(row.count) }));
     } catch (error) {
-      throw new Error(`Failed to check post existence: ${error.message}`);
+      throw new Error(`Failed to count categories: ${error.message}`, { cause: error });
     }
   }
 }
@@ -0,0 +1,53 @@
+/**
+ * PostStarRepository - handles database operations for starred posts
+ * Users star posts to keep them; retention keeps starred posts longer.
+ */
+class PostStarRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'post_stars';
+    }
+
+    /**
+     * Star a post for a user
+     * @param {number} userId - User ID
+     * @param {number} postId - Post ID
+     * @returns {Promise<boolean>} True if starred, false if the user already had
+     */
+    async star(userId, postId) {
+        try {
+            const inserted = await this.db(this.tableName)
+                .insert({ user_id: userId, post_id: postId })
+                .onConflict(['user_id', 'post_id'])
+                .ignore()
+                .returning('id');
+
+            return inserted.length > 0;
+        } catch (error) {
+            throw new Error(`Failed to star post: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Remove a user's star from a post
+     * @param {number} userId - User ID
+     * @param {number} postId - Post ID
+     * @returns {Promise<boolean>} True if unstarred, false if the user hadn't starred it
+     */
+    async unstar(userId, postId) {
+        try {
+            const deletedCount = await this.db(this.tableName)
+                .where({ user_id: userId, post_id: postId })
+                .del();
+
+            return deletedCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to unstar post: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+module.exports = PostStarRepository;
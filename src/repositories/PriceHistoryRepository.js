@@ -0,0 +1,87 @@
+const { PricePoint } = require('../models/PricePoint');
+
+/**
+ * PriceHistoryRepository - handles database operations for price history
+ * Points are only ever added; they go when their product does.
+ */
+class PriceHistoryRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'price_history';
+    }
+
+    /**
+     * Record the price a post showed a product at
+     * @param {Object} pointData - Product, post, price, currency and when it was seen
+     * @returns {Promise<PricePoint>} Recorded point with ID
+     */
+    async create(pointData) {
+        try {
+            const point = new PricePoint(pointData);
+            const dataToInsert = point.toDatabase();
+
+            // Remove id and timestamp for insert
+            delete dataToInsert.id;
+            delete dataToInsert.created_at;
+
+            const [id] = await this.db(this.tableName).insert(dataToInsert);
+
+            const row = await this.db(this.tableName).where({ id }).first();
+            return PricePoint.fromDatabase(row);
+        } catch (error) {
+            throw new Error(`Failed to record price: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find a product's prices in one currency, oldest first
+     * @param {number} productId - Product ID
+     * @param {Object} options - Query options
+     * @param {string|null} options.currency - Currency of the prices; null for prices without one
+     * @param {Date} options.since - Only prices seen at or after this time
+     * @param {Date} options.until - Only prices seen at or before this time
+     * @returns {Promise<PricePoint[]>} Points
+     */
+    async findByProduct(productId, { currency = null, since = null, until = null } = {}) {
+        try {
+            const query = this.db(this.tableName).where({ product_id: productId });
+            if (currency) {
+                query.where({ currency });
+            } else {
+                query.whereNull('currency');
+            }
+            if (since) query.where('seen_at', '>=', PricePoint.toTimestamp(since));
+            if (until) query.where('seen_at', '<=', PricePoint.toTimestamp(until));
+
+            const rows = await query.orderBy('seen_at', 'asc').orderBy('id', 'asc');
+            return rows.map(row => PricePoint.fromDatabase(row));
+        } catch (error) {
+            throw new Error(`Failed to find price history: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * List the currencies a product has been priced in
+     * @param {number} productId - Product ID
+     * @returns {Promise<Array<string|null>>} Currencies, most used first
+     */
+    async findCurrencies(productId) {
+        try {
+            const rows = await this.db(this.tableName)
+                .where({ product_id: productId })
+                .select('currency')
+                .count('id as count')
+                .groupBy('currency')
+                .orderBy('count', 'desc');
+
+            return rows.map(row => row.currency);
+        } catch (error) {
+            throw new Error(`Failed to find price currencies: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+module.exports = PriceHistoryRepository;
@@ -0,0 +1,148 @@
+const { Product } = require('../models/Product');
+
+/**
+ * ProductRepository - handles database operations for products
+ * Products are only created and updated by PriceTracker as posts arrive.
+ */
+class ProductRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'products';
+    }
+
+    /**
+     * Find the product with a key, creating it if there is none yet
+     * @param {string} productKey - link:… or title:…; see utils/duplicates
+     * @param {Object} productData - Title and link key for a new product
+     * @returns {Promise<Product>} Existing or created product
+     */
+    async findOrCreate(productKey, productData) {
+        try {
+            const existing = await this.findByKey(productKey);
+            if (existing) {
+                return existing;
+            }
+
+            const product = new Product({ ...productData, productKey });
+            const dataToInsert = product.toDatabase();
+
+            // Remove id and timestamps for insert
+            delete dataToInsert.id;
+            delete dataToInsert.created_at;
+            delete dataToInsert.updated_at;
+
+            await this.db(this.tableName).insert(dataToInsert).onConflict('product_key').ignore();
+            return await this.findByKey(productKey);
+        } catch (error) {
+            throw new Error(`Failed to create product: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find product by ID
+     * @param {number} id - Product ID
+     * @returns {Promise<Product|null>} Found product or null
+     */
+    async findById(id) {
+        try {
+            const row = await this.db(this.tableName).where({ id }).first();
+            return Product.fromDatabase(row);
+        } catch (error) {
+            throw new Error(`Failed to find product by ID: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find product by key
+     * @param {string} productKey - link:… or title:…
+     * @returns {Promise<Product|null>} Found product or null
+     */
+    async findByKey(productKey) {
+        try {
+            const row = await this.db(this.tableName).where({ product_key: productKey }).first();
+            return Product.fromDatabase(row);
+        } catch (error) {
+            throw new Error(`Failed to find product by key: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find products with pagination and filtering
+     * @param {Object} options - Query options
+     * @param {number} options.page - Page number (1-based)
+     * @param {number} options.limit - Items per page
+     * @param {string} options.search - Only products whose title contains this text
+     * @param {string} options.sortBy - last_seen_at, sightings or lowest_price
+     * @param {string} options.sortOrder - asc or desc
+     * @returns {Promise<{products: Product[], total: number, page: number, limit: number}>}
+     */
+    async findAll(options = {}) {
+        try {
+            const { page = 1, limit = 20, search = null, sortBy = 'last_seen_at', sortOrder = 'desc' } = options;
+
+            const filtered = () => {
+                const query = this.db(this.tableName);
+                if (search) query.where('title', 'like', `%${search}%`);
+                return query;
+            };
+
+            const [{ count }] = await filtered().count('id as count');
+            const total = parseInt(count);
+
+            // Products never seen with a price sort last
+            const offset = (page - 1) * limit;
+            const rows = await filtered()
+                .orderByRaw('?? IS NULL', [sortBy])
+                .orderBy(sortBy, sortOrder)
+                .orderBy('id', 'desc')
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                products: rows.map(row => Product.fromDatabase(row)),
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                pages: Math.ceil(total / limit)
+            };
+        } catch (error) {
+            throw new Error(`Failed to find products: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Update a product's prices and title from a new priced sighting in its currency
+     * @param {Product} product - Product as it was before the sighting
+     * @param {Object} sighting - The sighting
+     * @param {string} sighting.title - Title of the post
+     * @param {number} sighting.price - Price seen
+     * @param {string|null} sighting.currency - Currency of the price
+     * @param {string} sighting.seenAt - When it was posted (YYYY-MM-DD HH:MM:SS, UTC)
+     * @returns {Promise<Product>} Updated product
+     */
+    async recordSighting(product, { title, price, currency, seenAt }) {
+        try {
+            await this.db(this.tableName)
+                .where({ id: product.id })
+                .update({
+                    title,
+                    currency,
+                    lowest_price: product.lowestPrice === null ? price : Math.min(product.lowestPrice, price),
+                    last_price: price,
+                    sightings: product.sightings + 1,
+                    first_seen_at: product.firstSeenAt || seenAt,
+                    last_seen_at: seenAt,
+                    updated_at: this.db.fn.now()
+                });
+
+            return await this.findById(product.id);
+        } catch (error) {
+            throw new Error(`Failed to record product sighting: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+module.exports = ProductRepository;
@@ -0,0 +1,63 @@
+const { SubredditCheckpoint } = require('../models/SubredditCheckpoint');
+
+/**
+ * SubredditCheckpointRepository - handles database operations for polling checkpoints
+ * Focused only on checkpoint-related data operations
+ */
+class SubredditCheckpointRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'subreddit_checkpoints';
+    }
+
+    /**
+     * Find the checkpoint for a subreddit
+     * @param {number} subredditId - Subreddit ID
+     * @returns {Promise<SubredditCheckpoint|null>} Found checkpoint or null
+     */
+    async findBySubredditId(subredditId) {
+        try {
+            const row = await this.db(this.tableName)
+                .where({ subreddit_id: subredditId })
+                .first();
+
+            return SubredditCheckpoint.fromDatabase(row);
+        } catch (error) {
+            throw new Error(`Failed to find checkpoint: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Create or move the checkpoint for a subreddit
+     * @param {number} subredditId - Subreddit ID
+     * @param {Object} position - Newest ingested post
+     * @param {string} position.fullname - Reddit fullname of the post
+     * @param {number} position.createdUtc - Reddit creation time in seconds
+     * @returns {Promise<SubredditCheckpoint>} Saved checkpoint
+     */
+    async save(subredditId, { fullname, createdUtc }) {
+        try {
+            await this.db(this.tableName)
+                .insert({
+                    subreddit_id: subredditId,
+                    last_fullname: fullname,
+                    last_created_utc: Math.floor(createdUtc)
+                })
+                .onConflict('subreddit_id')
+                .merge({
+                    last_fullname: fullname,
+                    last_created_utc: Math.floor(createdUtc),
+                    updated_at: this.db.fn.now()
+                });
+
+            return await this.findBySubredditId(subredditId);
+        } catch (error) {
+            throw new Error(`Failed to save checkpoint: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+module.exports = SubredditCheckpointRepository;
@@ -1,4 +1,5 @@
 const { Subreddit } = require('../models/Subreddit');
+const KeywordSubredditRepository = require('./KeywordSubredditRepository');
 
 /**
  * SubredditRepository - handles database operations for subreddits
@@ -11,6 +12,34 @@ class SubredditRepository {
     constructor(db) {
         this.db = db;
         this.tableName = 'subreddits';
+        this.keywordLinks = new KeywordSubredditRepository(db);
+    }
+
+    /**
+     * Fill in the keywords limited to each subreddit
+     * @param {Subreddit[]} subreddits - Subreddits to complete
+     * @param {number|null} ownerId - Only list this user's keywords
+     * @returns {Promise<Subreddit[]>} The same subreddits
+     */
+    async withKeywords(subreddits, ownerId = null) {
+        const bySubreddit = await this.keywordLinks.findKeywordsBySubreddits(subreddits.map(subreddit => subreddit.id), ownerId);
+        subreddits.forEach(subreddit => {
+            subreddit.keywords = bySubreddit.get(subreddit.id);
+        });
+        return subreddits;
+    }
+
+    /**
+     * Limit a query to the subreddits a user subscribes to
+     * @param {import('knex').Knex.QueryBuilder} query - Query on the subreddits table
+     * @param {number|null} ownerId - Subscriber to scope to, or null for every subreddit
+     * @returns {import('knex').Knex.QueryBuilder} Scoped query
+     */
+    scope(query, ownerId) {
+        if (ownerId === null) return query;
+        return query.whereIn(`${this.tableName}.id`, this.db('subreddit_subscriptions')
+            .select('subreddit_id')
+            .where({ user_id: ownerId }));
     }
 
     /**
@@ -30,44 +59,46 @@ class SubredditRepository {
 
             const [id] = await this.db(this.tableName).insert(dataToInsert); 
 
-            // Return the created keyword
+            // Return the created subreddit
             return await this.findById(id); 
         } catch(error) {
-            throw new Error(`Failed to create subreddit: ${error.message}`);
+            throw new Error(`Failed to create subreddit: ${error.message}`, { cause: error });
         }
     }    
 
     /**
      * Find subreddit by ID
      * @param {number} id - subreddit ID
-     * @returns {Promise<Subreddit>|null>} Found subreddit or null
+     * @param {number|null} ownerId - Only find the subreddit if this user subscribes to it
+     * @returns {Promise<Subreddit|null>} Found subreddit or null
      */
-    async findById(id) {
+    async findById(id, ownerId = null) {
         try {
-            const row = await this.db(this.tableName)
+            const row = await this.scope(this.db(this.tableName), ownerId)
             .where({id})
             .first(); 
 
-            return Keyword.fromDatabase(row); 
+            return Subreddit.fromDatabase(row); 
         } catch(error) {
-            throw new Error(`Failed to find subreddit by ID: ${error.message}`);
+            throw new Error(`Failed to find subreddit by ID: ${error.message}`, { cause: error });
         }
     }
 
     /**
-     * Find subreddit by name (exact match)
+     * Find subreddit by name, ignoring case
      * @param {string} name - Subreddit name to search for
+     * @param {number|null} ownerId - Only find the subreddit if this user subscribes to it
      * @returns {Promise<Subreddit|null>} Found subreddit or null
      */
-    async findByName(name) {
+    async findByName(name, ownerId = null) {
         try {
-            const row = await this.db(this.tableName)
-                .where({ name })
+            const row = await this.scope(this.db(this.tableName), ownerId)
+                .whereRaw('LOWER(name) = ?', [name.toLowerCase()])
                 .first();
 
             return Subreddit.fromDatabase(row);
         } catch (error) {
-            throw new Error(`Failed to find subreddit by name: ${error.message}`);
+            throw new Error(`Failed to find subreddit by name: ${error.message}`, { cause: error });
         }
     }
 
@@ -77,6 +108,9 @@ class SubredditRepository {
      * @param {number} options.page - Page number (1-based)
      * @param {number} options.limit - Items per page
      * @param {string} options.search - Search term for subreddit name
+     * @param {string} options.sortBy - Column to sort by
+     * @param {string} options.sortOrder - asc or desc
+     * @param {number|null} options.userId - Only list subreddits this user subscribes to
      * @returns {Promise<{subreddits: Subreddit[], total: number, page: number, limit: number}>}
      */
     async findAll(options = {}) {
@@ -84,12 +118,15 @@ class SubredditRepository {
             const {
                 page = 1,
                 limit = 20,
-                search = null
+                search = null,
+                sortBy = 'name',
+                sortOrder = 'asc',
+                userId = null
             } = options;
 
             // Build base query
-            let query = this.db(this.tableName);
-            let countQuery = this.db(this.tableName);
+            let query = this.scope(this.db(this.tableName), userId);
+            let countQuery = this.scope(this.db(this.tableName), userId);
 
             // Apply search filter
             if (search) {
@@ -102,10 +139,13 @@ class SubredditRepository {
             const [{ count }] = await countQuery.count('id as count');
             const total = parseInt(count);
 
-            // Apply pagination and sorting
+            // Apply pagination and sorting, with ID as a stable tie-breaker
             const offset = (page - 1) * limit;
             const rows = await query
-                .orderBy('name', 'asc')  // ✅ Added: Sort alphabetically
+                .orderBy([
+                    { column: sortBy, order: sortOrder },
+                    { column: 'id', order: sortOrder }
+                ])
                 .limit(limit)
                 .offset(offset);
 
@@ -120,24 +160,40 @@ class SubredditRepository {
                 pages: Math.ceil(total / limit)
             };
         } catch (error) {
-            throw new Error(`Failed to find subreddits: ${error.message}`);
+            throw new Error(`Failed to find subreddits: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Get all subreddits without pagination
+     * @param {number|null} ownerId - Only include the subreddits this user subscribes to
+     * @returns {Promise<Subreddit[]>} Subreddits ordered by name
+     */
+    async getAll(ownerId = null) {
+        try {
+            const rows = await this.scope(this.db(this.tableName), ownerId)
+                .orderBy('name', 'asc');
+
+            return rows.map(row => Subreddit.fromDatabase(row));
+        } catch (error) {
+            throw new Error(`Failed to get subreddits: ${error.message}`, { cause: error });
         }
     }
 
     /**
-     * Check if subreddit already exists by name
+     * Check if subreddit already exists by name, ignoring case
      * @param {string} name - Subreddit name to check
      * @returns {Promise<boolean>} True if exists
      */
     async exists(name) {
         try {
             const result = await this.db(this.tableName)
-                .where({ name })
+                .whereRaw('LOWER(name) = ?', [name.toLowerCase()])
                 .first();
 
             return !!result;
         } catch (error) {
-            throw new Error(`Failed to check subreddit existence: ${error.message}`);
+            throw new Error(`Failed to check subreddit existence: ${error.message}`, { cause: error });
         }
     }
 
@@ -160,7 +216,7 @@ class SubredditRepository {
             delete dataToUpdate.id;
             delete dataToUpdate.created_at;
 
-            dataToUpdate.updated_at = new Date();
+            dataToUpdate.updated_at = this.db.fn.now();
 
             const updatedCount = await this.db(this.tableName)
                 .where({id})
@@ -172,7 +228,7 @@ class SubredditRepository {
 
             return await this.findById(id); 
         } catch(error) {
-            throw new Error(`Failed to update subreddit: ${error.message}`);
+            throw new Error(`Failed to update subreddit: ${error.message}`, { cause: error });
         }
     }
 
@@ -190,7 +246,7 @@ class SubredditRepository {
             return deletedCount > 0;
 
         } catch(error) {
-            throw new Error(`Failed to delete subreddit: ${error.message}`); 
+            throw new Error(`Failed to delete subreddit: ${error.message}`, { cause: error });
         }
     }
 }
@@ -0,0 +1,93 @@
+/**
+ * SubredditSubscriptionRepository - handles database operations for subreddit subscriptions
+ * Subreddits are shared and polled once; a subscription is a user watching one.
+ */
+class SubredditSubscriptionRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'subreddit_subscriptions';
+    }
+
+    /**
+     * Subscribe a user to a subreddit
+     * @param {number} userId - User ID
+     * @param {number} subredditId - Subreddit ID
+     * @returns {Promise<boolean>} True if subscribed, false if the user already was
+     */
+    async subscribe(userId, subredditId) {
+        try {
+            const inserted = await this.db(this.tableName)
+                .insert({ user_id: userId, subreddit_id: subredditId })
+                .onConflict(['user_id', 'subreddit_id'])
+                .ignore()
+                .returning('id');
+
+            return inserted.length > 0;
+        } catch (error) {
+            throw new Error(`Failed to subscribe to subreddit: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Unsubscribe a user from a subreddit
+     * @param {number} userId - User ID
+     * @param {number} subredditId - Subreddit ID
+     * @returns {Promise<boolean>} True if unsubscribed, false if the user was not subscribed
+     */
+    async unsubscribe(userId, subredditId) {
+        try {
+            const deletedCount = await this.db(this.tableName)
+                .where({ user_id: userId, subreddit_id: subredditId })
+                .del();
+
+            return deletedCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to unsubscribe from subreddit: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Count the users watching a subreddit
+     * @param {number} subredditId - Subreddit ID
+     * @returns {Promise<number>} Subscriber count
+     */
+    async countSubscribers(subredditId) {
+        try {
+            const [{ count }] = await this.db(this.tableName)
+                .where({ subreddit_id: subredditId })
+                .count('id as count');
+
+            return parseInt(count);
+        } catch (error) {
+            throw new Error(`Failed to count subreddit subscribers: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Subscribe a user to every subreddit nobody watches, such as those added before accounts existed
+     * @param {number} userId - User ID
+     * @returns {Promise<number>} Subscriptions added
+     */
+    async adoptUnwatched(userId) {
+        try {
+            const subreddits = await this.db('subreddits')
+                .select('id')
+                .whereNotIn('id', this.db(this.tableName).select('subreddit_id'));
+
+            if (subreddits.length === 0) {
+                return 0;
+            }
+
+            await this.db(this.tableName)
+                .insert(subreddits.map(({ id }) => ({ user_id: userId, subreddit_id: id })));
+            return subreddits.length;
+        } catch (error) {
+            throw new Error(`Failed to adopt unwatched subreddits: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+module.exports = SubredditSubscriptionRepository;
@@ -0,0 +1,191 @@
+const { User } = require('../models/User');
+
+/**
+ * UserRepository - handles database operations for user accounts
+ * Focused only on user-related data operations
+ */
+class UserRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'users';
+    }
+
+    /**
+     * Create a new user
+     * @param {Object} userData - User data to insert, with a passwordHash
+     * @returns {Promise<User>} Created user with ID
+     */
+    async create(userData) {
+        try {
+            const user = new User(userData);
+            const dataToInsert = user.toDatabase();
+
+            // Remove id and timestamps for insert
+            delete dataToInsert.id;
+            delete dataToInsert.created_at;
+            delete dataToInsert.updated_at;
+
+            const [id] = await this.db(this.tableName).insert(dataToInsert);
+
+            // Return the created user
+            return await this.findById(id);
+        } catch (error) {
+            throw new Error(`Failed to create user: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find user by ID
+     * @param {number} id - User ID
+     * @returns {Promise<User|null>} Found user or null
+     */
+    async findById(id) {
+        try {
+            const row = await this.db(this.tableName)
+                .where({ id })
+                .first();
+
+            return User.fromDatabase(row);
+        } catch (error) {
+            throw new Error(`Failed to find user by ID: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find user by login address (case-insensitive)
+     * @param {string} email - Email address
+     * @returns {Promise<User|null>} Found user or null
+     */
+    async findByEmail(email) {
+        try {
+            const row = await this.db(this.tableName)
+                .whereRaw('LOWER(email) = ?', [String(email).toLowerCase()])
+                .first();
+
+            return User.fromDatabase(row);
+        } catch (error) {
+            throw new Error(`Failed to find user by email: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find all users with pagination
+     * @param {Object} options - Query options
+     * @param {number} options.page - Page number (1-based)
+     * @param {number} options.limit - Items per page
+     * @param {string} options.role - Only list users with this role
+     * @returns {Promise<{users: User[], total: number, page: number, limit: number}>}
+     */
+    async findAll(options = {}) {
+        try {
+            const { page = 1, limit = 20, role = null } = options;
+
+            let query = this.db(this.tableName);
+            let countQuery = this.db(this.tableName);
+
+            if (role) {
+                query = query.where({ role });
+                countQuery = countQuery.where({ role });
+            }
+
+            const [{ count }] = await countQuery.count('id as count');
+            const total = parseInt(count);
+
+            const offset = (page - 1) * limit;
+            const rows = await query
+                .orderBy('email', 'asc')
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                users: rows.map(row => User.fromDatabase(row)),
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                pages: Math.ceil(total / limit)
+            };
+        } catch (error) {
+            throw new Error(`Failed to find users: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Count users, optionally only those with a role
+     * @param {string|null} role - Role to count
+     * @returns {Promise<number>} Number of users
+     */
+    async count(role = null) {
+        try {
+            let query = this.db(this.tableName);
+            if (role) {
+                query = query.where({ role });
+            }
+
+            const [{ count }] = await query.count('id as count');
+            return parseInt(count);
+        } catch (error) {
+            throw new Error(`Failed to count users: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Update user by ID
+     * @param {number} id - User ID
+     * @param {Object} updateData - Data to update, with a passwordHash for a new password
+     * @returns {Promise<User|null>} Updated user or null if not found
+     */
+    async update(id, updateData) {
+        try {
+            const existingUser = await this.findById(id);
+            if (!existingUser) {
+                return null;
+            }
+
+            // Create updated user instance
+            const updatedUser = new User({ ...existingUser, ...updateData });
+            const dataToUpdate = updatedUser.toDatabase();
+
+            // Remove fields that shouldn't be updated
+            delete dataToUpdate.id;
+            delete dataToUpdate.created_at;
+
+            // Update timestamp
+            dataToUpdate.updated_at = this.db.fn.now();
+
+            const updatedCount = await this.db(this.tableName)
+                .where({ id })
+                .update(dataToUpdate);
+
+            if (updatedCount === 0) {
+                return null;
+            }
+
+            // Return updated user
+            return await this.findById(id);
+        } catch (error) {
+            throw new Error(`Failed to update user: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Delete user by ID; their tokens, keywords and notification settings go with them
+     * @param {number} id - User ID
+     * @returns {Promise<boolean>} True if deleted, false if not found
+     */
+    async delete(id) {
+        try {
+            const deletedCount = await this.db(this.tableName)
+                .where({ id })
+                .del();
+
+            return deletedCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to delete user: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+module.exports = UserRepository;
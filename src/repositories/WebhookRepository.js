@@ -0,0 +1,192 @@
+const { Webhook } = require('../models/Webhook');
+
+/**
+ * WebhookRepository - handles database operations for webhooks
+ * Focused only on webhook-related data operations
+ */
+class WebhookRepository {
+    /**
+     * @param {import('knex').Knex} db - Database connection
+     */
+    constructor(db) {
+        this.db = db;
+        this.tableName = 'webhooks';
+    }
+
+    /**
+     * Limit a query to one owner's webhooks
+     * @param {import('knex').Knex.QueryBuilder} query - Query on the webhooks table
+     * @param {number|null} ownerId - Owner to scope to, or null for every webhook
+     * @returns {import('knex').Knex.QueryBuilder} Scoped query
+     */
+    scope(query, ownerId) {
+        return ownerId === null ? query : query.where({ user_id: ownerId });
+    }
+
+    /**
+     * Create a new webhook
+     * @param {Object} webhookData - Webhook data to insert, including its owner's userId
+     * @returns {Promise<Webhook>} Created webhook with ID
+     */
+    async create(webhookData) {
+        try {
+            const webhook = new Webhook(webhookData);
+            const dataToInsert = webhook.toDatabase();
+
+            // Remove id and timestamps for insert
+            delete dataToInsert.id;
+            delete dataToInsert.created_at;
+            delete dataToInsert.updated_at;
+
+            const [id] = await this.db(this.tableName).insert(dataToInsert);
+
+            // Return the created webhook
+            return await this.findById(id);
+        } catch (error) {
+            throw new Error(`Failed to create webhook: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find webhook by ID
+     * @param {number} id - Webhook ID
+     * @param {number|null} ownerId - Only find the webhook if this user owns it
+     * @returns {Promise<Webhook|null>} Found webhook or null
+     */
+    async findById(id, ownerId = null) {
+        try {
+            const row = await this.scope(this.db(this.tableName), ownerId)
+                .where({ id })
+                .first();
+
+            return Webhook.fromDatabase(row);
+        } catch (error) {
+            throw new Error(`Failed to find webhook by ID: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find all webhooks with pagination
+     * @param {Object} options - Query options
+     * @param {number} options.page - Page number (1-based)
+     * @param {number} options.limit - Items per page
+     * @param {number|null} options.userId - Only list this user's webhooks
+     * @returns {Promise<{webhooks: Webhook[], total: number, page: number, limit: number}>}
+     */
+    async findAll(options = {}) {
+        try {
+            const { page = 1, limit = 20, userId = null } = options;
+
+            const [{ count }] = await this.scope(this.db(this.tableName), userId).count('id as count');
+            const total = parseInt(count);
+
+            const offset = (page - 1) * limit;
+            const rows = await this.scope(this.db(this.tableName), userId)
+                .orderBy('id', 'asc')
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                webhooks: rows.map(row => Webhook.fromDatabase(row)),
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                pages: Math.ceil(total / limit)
+            };
+        } catch (error) {
+            throw new Error(`Failed to find webhooks: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Find the webhooks that should receive notifications for a user's keywords
+     * @param {number|null} userId - Keyword owner; null only finds webhooks without an owner
+     * @returns {Promise<Webhook[]>} Enabled webhooks
+     */
+    async findEnabled(userId) {
+        try {
+            const rows = await this.db(this.tableName)
+                .where({ enabled: true, user_id: userId })
+                .orderBy('id', 'asc');
+
+            return rows.map(row => Webhook.fromDatabase(row));
+        } catch (error) {
+            throw new Error(`Failed to find enabled webhooks: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Update webhook by ID
+     * @param {number} id - Webhook ID
+     * @param {Object} updateData - Data to update
+     * @param {number|null} ownerId - Only update the webhook if this user owns it
+     * @returns {Promise<Webhook|null>} Updated webhook or null if not found
+     */
+    async update(id, updateData, ownerId = null) {
+        try {
+            const existingWebhook = await this.findById(id, ownerId);
+            if (!existingWebhook) {
+                return null;
+            }
+
+            // Create updated webhook instance
+            const updatedWebhook = new Webhook({ ...existingWebhook, ...updateData, userId: existingWebhook.userId });
+            const dataToUpdate = updatedWebhook.toDatabase();
+
+            // Remove fields that shouldn't be updated
+            delete dataToUpdate.id;
+            delete dataToUpdate.created_at;
+
+            // Update timestamp
+            dataToUpdate.updated_at = this.db.fn.now();
+
+            const updatedCount = await this.db(this.tableName)
+                .where({ id })
+                .update(dataToUpdate);
+
+            if (updatedCount === 0) {
+                return null;
+            }
+
+            // Return updated webhook
+            return await this.findById(id);
+        } catch (error) {
+            throw new Error(`Failed to update webhook: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Delete webhook by ID
+     * @param {number} id - Webhook ID
+     * @param {number|null} ownerId - Only delete the webhook if this user owns it
+     * @returns {Promise<boolean>} True if deleted, false if not found
+     */
+    async delete(id, ownerId = null) {
+        try {
+            const deletedCount = await this.scope(this.db(this.tableName), ownerId)
+                .where({ id })
+                .del();
+
+            return deletedCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to delete webhook: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Give webhooks created before accounts existed to a user
+     * @param {number} userId - New owner
+     * @returns {Promise<number>} Webhooks adopted
+     */
+    async adoptUnowned(userId) {
+        try {
+            return await this.db(this.tableName)
+                .whereNull('user_id')
+                .update({ user_id: userId });
+        } catch (error) {
+            throw new Error(`Failed to adopt webhooks: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+module.exports = WebhookRepository;
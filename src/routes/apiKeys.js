@@ -0,0 +1,52 @@
+const express = require('express');
+const { ApiKeyValidation } = require('../models/ApiKey');
+const { validate, idParams } = require('../middleware/validate');
+const { NotFoundError } = require('../utils/errors');
+const { toPage } = require('../utils/pagination');
+
+/**
+ * API keys router - /api/api-keys, for admins
+ * A key is returned in full only in the response that issues it.
+ * @param {Object} deps - Router dependencies
+ * @param {import('../repositories/ApiKeyRepository')} deps.apiKeyRepository - Key reads and revocation
+ * @param {import('../services/ApiKeyService')} deps.apiKeyService - Key issuing
+ * @returns {import('express').Router} Router
+ */
+function createApiKeysRouter({ apiKeyRepository, apiKeyService }) {
+    const router = express.Router();
+
+    // List keys, optionally for one user or only revoked or working ones
+    router.get('/', validate(ApiKeyValidation.query, 'query'), async (req, res) => {
+        const result = await apiKeyRepository.findAll(req.validated.query);
+        res.json(toPage(result.apiKeys, result));
+    });
+
+    // Get a single key
+    router.get('/:id', validate(idParams, 'params'), async (req, res) => {
+        const apiKey = await apiKeyRepository.findById(req.validated.params.id);
+        if (!apiKey) {
+            throw new NotFoundError('API key not found');
+        }
+        res.json(apiKey);
+    });
+
+    // Issue a key for a user
+    router.post('/', validate(ApiKeyValidation.create), async (req, res) => {
+        const { key, apiKey } = await apiKeyService.create(req.validated.body);
+        res.status(201).json({ ...apiKey.toJSON(), key });
+    });
+
+    // Revoke a key; revoking it again changes nothing
+    router.delete('/:id', validate(idParams, 'params'), async (req, res) => {
+        const apiKey = await apiKeyRepository.findById(req.validated.params.id);
+        if (!apiKey) {
+            throw new NotFoundError('API key not found');
+        }
+        await apiKeyRepository.revoke(apiKey.id);
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = createApiKeysRouter;
@@ -0,0 +1,26 @@
+const express = require('express');
+const { AuditEntryValidation } = require('../models/AuditEntry');
+const { validate } = require('../middleware/validate');
+const { toPage } = require('../utils/pagination');
+
+/**
+ * Audit router - /api/audit
+ * Users see their own changes; admins see everyone's and can filter by user.
+ * @param {Object} deps - Router dependencies
+ * @param {import('../repositories/AuditLogRepository')} deps.auditLogRepository - Audit log
+ * @returns {import('express').Router} Router
+ */
+function createAuditRouter({ auditLogRepository }) {
+    const router = express.Router();
+
+    // Changes to keywords, subreddits and posts, filterable by user, action, entity, request and time
+    router.get('/', validate(AuditEntryValidation.query, 'query'), async (req, res) => {
+        const query = req.validated.query;
+        const result = await auditLogRepository.findAll({ ...query, userId: req.ownerId ?? query.userId });
+        res.json(toPage(result.entries, result));
+    });
+
+    return router;
+}
+
+module.exports = createAuditRouter;
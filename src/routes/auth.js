@@ -0,0 +1,76 @@
+const express = require('express');
+const { UserValidation } = require('../models/User');
+const { requireUser, setSessionCookie, clearSessionCookie } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Auth router - /api/auth
+ * Login returns a token to send as `Authorization: Bearer <token>`; browsers
+ * can ask for it as an HttpOnly session cookie instead.
+ * @param {Object} deps - Router dependencies
+ * @param {Object} deps.config - Application config, for the session cookie
+ * @param {import('../services/AuthService')} deps.authService - Accounts and tokens
+ * @param {import('../services/FeedService')} deps.feedService - Feed tokens
+ * @returns {import('express').Router} Router
+ */
+function createAuthRouter({ config, authService, feedService }) {
+    const router = express.Router();
+
+    // Sign up; open for the first account, then only with ALLOW_REGISTRATION
+    router.post('/register', validate(UserValidation.register), async (req, res) => {
+        const user = await authService.register(req.validated.body);
+        res.status(201).json(user);
+    });
+
+    // Log in with email and password
+    router.post('/login', validate(UserValidation.login), async (req, res) => {
+        const { email, password, cookie } = req.validated.body;
+        const { token, expiresAt, user } = await authService.login(email, password);
+
+        if (cookie) {
+            setSessionCookie(res, token, expiresAt, config.env);
+        }
+        res.json({ token, expiresAt, user });
+    });
+
+    // Revoke the token the request was made with
+    router.post('/logout', requireUser, async (req, res) => {
+        await authService.logout(req.token);
+        clearSessionCookie(res);
+        res.status(204).end();
+    });
+
+    // The logged-in user
+    router.get('/me', requireUser, (req, res) => {
+        res.json(req.user);
+    });
+
+    // Change the logged-in user's name or password; other logins end on a password change
+    router.patch('/me', requireUser, validate(UserValidation.updateSelf), async (req, res) => {
+        const { currentPassword, ...updateData } = req.validated.body;
+
+        if (updateData.password !== undefined && !await authService.checkPassword(req.user, currentPassword)) {
+            throw new ValidationError([
+                { field: 'currentPassword', message: 'Current password is incorrect' }
+            ]);
+        }
+
+        res.json(await authService.updateUser(req.user.id, updateData, req.token));
+    });
+
+    // Issue a token for feed URLs, replacing the previous one; it is shown only now
+    router.post('/feed-token', requireUser, async (req, res) => {
+        res.status(201).json({ token: await feedService.issueToken(req.user.id) });
+    });
+
+    // Revoke the feed token, so feed URLs with it stop working
+    router.delete('/feed-token', requireUser, async (req, res) => {
+        await feedService.revokeToken(req.user.id);
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = createAuthRouter;
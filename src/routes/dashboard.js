@@ -0,0 +1,426 @@
+const express = require('express');
+const Joi = require('joi');
+const { KeywordValidation } = require('../models/Keyword');
+const { PostValidation } = require('../models/Post');
+const { SubredditValidation } = require('../models/Subreddit');
+const { UserValidation } = require('../models/User');
+const { setSessionCookie, clearSessionCookie } = require('../middleware/auth');
+const { HttpError, NotFoundError, ValidationError } = require('../utils/errors');
+const { pageLinks } = require('../utils/pagination');
+
+/**
+ * Schema for the recent matches feed
+ */
+const matchesQuery = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    keywordId: Joi.number().integer().min(1).optional()
+});
+
+/**
+ * Messages shown after a form redirects back to a list
+ */
+const NOTICES = {
+    'keyword-created': 'Keyword added.',
+    'keyword-updated': 'Keyword saved.',
+    'keyword-deleted': 'Keyword deleted.',
+    'subreddit-created': 'Subreddit added.',
+    'subreddit-updated': 'Subreddit renamed.',
+    'subreddit-deleted': 'Subreddit removed.',
+    'logged-out': 'You have been logged out.'
+};
+
+/**
+ * Drop empty form fields, which browsers send for every blank input
+ * @param {Object} input - Query or body
+ * @returns {Object} Input without empty strings
+ */
+function compact(input = {}) {
+    return Object.fromEntries(Object.entries(input).filter(([, value]) => value !== ''));
+}
+
+/**
+ * Query parameters the user set, minus one-off notices; validated and kept in pagination links
+ * @param {import('express').Request} req - Request
+ * @returns {Object} Query parameters
+ */
+function linkQuery(req) {
+    const { notice, ...query } = compact(req.query);
+    return query;
+}
+
+/**
+ * Split a comma-separated form field into a list
+ * @param {string|undefined} value - Field value
+ * @returns {string[]|undefined} Items, or undefined when the field was not sent
+ */
+function splitList(value) {
+    if (value === undefined) return undefined;
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Validate form or query input for a page
+ * @param {import('joi').ObjectSchema} schema - Schema to validate against
+ * @param {Object} input - Input to validate
+ * @param {Object} [context] - Joi validation context, such as the categoryParser category fields need
+ * @returns {Object} Validated value
+ * @throws {ValidationError} With a detail per invalid field
+ */
+function check(schema, input, context = {}) {
+    const { value, error } = schema.validate(input, { abortEarly: false, convert: true, context });
+    if (error) {
+        throw ValidationError.fromJoi(error);
+    }
+    return value;
+}
+
+/**
+ * Turn an expected error into messages for a form
+ * @param {HttpError} error - Validation or conflict error
+ * @returns {Array<{field: string|null, message: string}>} Messages
+ */
+function toMessages(error) {
+    if (error instanceof ValidationError) {
+        return error.details.details;
+    }
+    return [{ field: null, message: error.message }];
+}
+
+/**
+ * Dashboard router - server-rendered pages at /dashboard
+ * Forms post back to the same routes the pages live on and redirect after
+ * success; invalid input re-renders the form with its messages. Every page
+ * but the login form needs the session cookie, and shows only the user's own
+ * keywords and subreddits (everything, for admins).
+ * @param {Object} deps - Router dependencies
+ * @param {Object} deps.config - Application config, for the session cookie
+ * @param {import('../services/AuthService')} deps.authService - Logins
+ * @param {import('../repositories/PostRepository')} deps.postRepository - Post reads
+ * @param {import('../repositories/KeywordRepository')} deps.keywordRepository - Keyword reads
+ * @param {import('../services/KeywordService')} deps.keywordService - Keyword writes
+ * @param {import('../repositories/SubredditRepository')} deps.subredditRepository - Subreddit reads
+ * @param {import('../services/SubredditService')} deps.subredditService - Subreddit writes
+ * @param {import('../utils/categoryParser').CategoryParser} deps.categoryParser - Normalizes categories in searches and keyword forms
+ * @returns {import('express').Router} Router
+ */
+function createDashboardRouter({ config, authService, postRepository, keywordRepository, keywordService, subredditRepository, subredditService, categoryParser }) {
+    const router = express.Router();
+    const context = { categoryParser };
+
+    // A form with no fields arrives without a parsed body; the layout shows who is logged in
+    router.use((req, res, next) => {
+        req.body = req.body || {};
+        res.locals.currentUser = req.user ? req.user.toJSON() : null;
+        next();
+    });
+
+    // Login form
+    router.get('/login', (req, res) => {
+        if (req.user) {
+            return res.redirect(303, req.baseUrl);
+        }
+        res.render('dashboard/login', {
+            title: 'Log in',
+            notice: NOTICES[req.query.notice],
+            form: {}
+        });
+    });
+
+    // Log in and keep the token in the session cookie
+    router.post('/login', async (req, res) => {
+        const form = { email: req.body.email };
+        try {
+            const { email, password } = check(UserValidation.login, { email: req.body.email, password: req.body.password });
+            const { token, expiresAt } = await authService.login(email, password);
+            setSessionCookie(res, token, expiresAt, config.env);
+        } catch (error) {
+            if (!(error instanceof HttpError)) throw error;
+            return res.status(error.status).render('dashboard/login', {
+                title: 'Log in',
+                errors: toMessages(error),
+                form
+            });
+        }
+        res.redirect(303, req.baseUrl);
+    });
+
+    // Log out, revoking the token
+    router.post('/logout', async (req, res) => {
+        if (req.token) {
+            await authService.logout(req.token);
+        }
+        clearSessionCookie(res);
+        res.redirect(303, `${req.baseUrl}/login?notice=logged-out`);
+    });
+
+    // Everything else needs a login
+    router.use((req, res, next) => {
+        if (!req.user) {
+            return res.redirect(303, `${req.baseUrl}/login`);
+        }
+        next();
+    });
+
+    // Recent matches feed
+    router.get('/', async (req, res) => {
+        let errors = [];
+        let query = { page: 1, limit: 20 };
+        try {
+            query = check(matchesQuery, compact(req.query));
+        } catch (error) {
+            errors = toMessages(error);
+        }
+
+        const [result, keywords] = await Promise.all([
+            postRepository.findMatched({ ...query, userId: req.ownerId }),
+            keywordRepository.getAll(req.ownerId)
+        ]);
+        const keywordsByPost = await keywordRepository.findByPosts(result.posts.map(post => post.id), req.ownerId);
+
+        res.status(errors.length > 0 ? 400 : 200).render('dashboard/matches', {
+            title: 'Recent matches',
+            nav: 'matches',
+            errors,
+            query,
+            keywords: keywords.map(keyword => keyword.toJSON()),
+            posts: result.posts.map(post => ({
+                ...post.toJSON(),
+                keywords: keywordsByPost.get(post.id).map(keyword => keyword.toJSON())
+            })),
+            total: result.total,
+            pagination: pageLinks(result, req.baseUrl, linkQuery(req))
+        });
+    });
+
+    // Post search
+    router.get('/posts', async (req, res) => {
+        let errors = [];
+        let query = { page: 1, limit: 20 };
+        try {
+            query = check(PostValidation.query, compact(req.query), context);
+        } catch (error) {
+            errors = toMessages(error);
+        }
+
+        const [result, categories] = await Promise.all([
+            postRepository.findAll(query),
+            postRepository.getCategoryCounts()
+        ]);
+
+        res.status(errors.length > 0 ? 400 : 200).render('dashboard/posts', {
+            title: 'Search posts',
+            nav: 'posts',
+            errors,
+            query: { ...compact(req.query), ...query },
+            categories,
+            posts: result.posts.map(post => post.toJSON()),
+            total: result.total,
+            pagination: pageLinks(result, `${req.baseUrl}/posts`, linkQuery(req))
+        });
+    });
+
+    /**
+     * Render the keyword list with its add form
+     */
+    const renderKeywords = async (req, res, { status = 200, errors = [], form = {} } = {}) => {
+        let query = { page: 1, limit: 20 };
+        try {
+            query = check(KeywordValidation.query, linkQuery(req));
+        } catch (error) {
+            errors = errors.concat(toMessages(error));
+            status = 400;
+        }
+
+        const result = await keywordRepository.findAll({ ...query, userId: req.ownerId });
+
+        res.status(status).render('dashboard/keywords', {
+            title: 'Keywords',
+            nav: 'keywords',
+            notice: NOTICES[req.query.notice],
+            errors,
+            form,
+            query,
+            keywords: result.keywords.map(keyword => keyword.toJSON()),
+            total: result.total,
+            pagination: pageLinks(result, `${req.baseUrl}/keywords`, linkQuery(req))
+        });
+    };
+
+    /**
+     * Load the keyword named by `:id` or fail with 404, including when another user owns it
+     */
+    const findKeyword = async req => {
+        const keyword = await keywordRepository.findById(req.params.id, req.ownerId);
+        if (!keyword) {
+            throw new NotFoundError('Keyword not found');
+        }
+        return keyword;
+    };
+
+    // Keyword list and add form
+    router.get('/keywords', (req, res) => renderKeywords(req, res));
+
+    // Add a keyword
+    router.post('/keywords', async (req, res) => {
+        const form = { keyword: req.body.keyword, categories: req.body.categories };
+        try {
+            const keywordData = check(KeywordValidation.create, compact({
+                keyword: req.body.keyword,
+                categories: splitList(req.body.categories)
+            }), context);
+            await keywordService.create({ ...keywordData, userId: req.user.id });
+        } catch (error) {
+            if (!(error instanceof HttpError)) throw error;
+            return renderKeywords(req, res, { status: error.status, errors: toMessages(error), form });
+        }
+        res.redirect(303, `${req.baseUrl}/keywords?notice=keyword-created`);
+    });
+
+    // Keyword edit form
+    router.get('/keywords/:id/edit', async (req, res) => {
+        const keyword = await findKeyword(req);
+        res.render('dashboard/keyword-edit', {
+            title: `Edit "${keyword.keyword}"`,
+            nav: 'keywords',
+            keyword: keyword.toJSON(),
+            form: { keyword: keyword.keyword, categories: keyword.categories.join(', ') }
+        });
+    });
+
+    // Save a keyword
+    router.post('/keywords/:id', async (req, res) => {
+        const keyword = await findKeyword(req);
+        const form = { keyword: req.body.keyword, categories: req.body.categories };
+        try {
+            const { id, ...updateData } = check(KeywordValidation.update, {
+                id: keyword.id,
+                keyword: req.body.keyword,
+                categories: splitList(req.body.categories) || []
+            }, context);
+            await keywordService.update(id, updateData, req.ownerId);
+        } catch (error) {
+            if (!(error instanceof HttpError)) throw error;
+            return res.status(error.status).render('dashboard/keyword-edit', {
+                title: `Edit "${keyword.keyword}"`,
+                nav: 'keywords',
+                keyword: keyword.toJSON(),
+                form,
+                errors: toMessages(error)
+            });
+        }
+        res.redirect(303, `${req.baseUrl}/keywords?notice=keyword-updated`);
+    });
+
+    // Delete a keyword
+    router.post('/keywords/:id/delete', async (req, res) => {
+        const keyword = await findKeyword(req);
+        await keywordService.delete(keyword.id, req.ownerId);
+        res.redirect(303, `${req.baseUrl}/keywords?notice=keyword-deleted`);
+    });
+
+    /**
+     * Render the subreddit list with its add form
+     */
+    const renderSubreddits = async (req, res, { status = 200, errors = [], form = {} } = {}) => {
+        let query = { page: 1, limit: 20 };
+        try {
+            query = check(SubredditValidation.query, linkQuery(req));
+        } catch (error) {
+            errors = errors.concat(toMessages(error));
+            status = 400;
+        }
+
+        const result = await subredditRepository.findAll({ ...query, userId: req.ownerId });
+
+        res.status(status).render('dashboard/subreddits', {
+            title: 'Subreddits',
+            nav: 'subreddits',
+            notice: NOTICES[req.query.notice],
+            errors,
+            form,
+            query,
+            subreddits: result.subreddits.map(subreddit => subreddit.toJSON()),
+            total: result.total,
+            pagination: pageLinks(result, `${req.baseUrl}/subreddits`, linkQuery(req))
+        });
+    };
+
+    /**
+     * Load the subreddit named by `:id` or fail with 404, including when the user doesn't watch it
+     */
+    const findSubreddit = async req => {
+        const subreddit = await subredditRepository.findById(req.params.id, req.ownerId);
+        if (!subreddit) {
+            throw new NotFoundError('Subreddit not found');
+        }
+        return subreddit;
+    };
+
+    // Subreddit list and add form
+    router.get('/subreddits', (req, res) => renderSubreddits(req, res));
+
+    // Watch a subreddit
+    router.post('/subreddits', async (req, res) => {
+        const form = { name: req.body.name };
+        try {
+            await subredditService.create(check(SubredditValidation.create, { name: req.body.name }), req.user.id);
+        } catch (error) {
+            if (!(error instanceof HttpError)) throw error;
+            return renderSubreddits(req, res, { status: error.status, errors: toMessages(error), form });
+        }
+        res.redirect(303, `${req.baseUrl}/subreddits?notice=subreddit-created`);
+    });
+
+    // Subreddit rename form
+    router.get('/subreddits/:id/edit', async (req, res) => {
+        const subreddit = await findSubreddit(req);
+        res.render('dashboard/subreddit-edit', {
+            title: `Rename r/${subreddit.name}`,
+            nav: 'subreddits',
+            subreddit: subreddit.toJSON(),
+            form: { name: subreddit.name }
+        });
+    });
+
+    // Rename a subreddit
+    router.post('/subreddits/:id', async (req, res) => {
+        const subreddit = await findSubreddit(req);
+        try {
+            const { id, ...updateData } = check(SubredditValidation.update, { id: subreddit.id, name: req.body.name });
+            await subredditService.update(id, updateData, req.ownerId);
+        } catch (error) {
+            if (!(error instanceof HttpError)) throw error;
+            return res.status(error.status).render('dashboard/subreddit-edit', {
+                title: `Rename r/${subreddit.name}`,
+                nav: 'subreddits',
+                subreddit: subreddit.toJSON(),
+                form: { name: req.body.name },
+                errors: toMessages(error)
+            });
+        }
+        res.redirect(303, `${req.baseUrl}/subreddits?notice=subreddit-updated`);
+    });
+
+    // Stop watching a subreddit
+    router.post('/subreddits/:id/delete', async (req, res) => {
+        const subreddit = await findSubreddit(req);
+        await subredditService.delete(subreddit.id, req.ownerId);
+        res.redirect(303, `${req.baseUrl}/subreddits?notice=subreddit-deleted`);
+    });
+
+    // Expected errors (such as an unknown ID) render as a page instead of JSON
+    router.use((err, req, res, next) => {
+        if (!(err instanceof HttpError)) {
+            return next(err);
+        }
+        res.status(err.status).render('dashboard/error', {
+            title: err.message,
+            status: err.status
+        });
+    });
+
+    return router;
+}
+
+module.exports = createDashboardRouter;
@@ -0,0 +1,109 @@
+const express = require('express');
+const { EmailRecipientValidation } = require('../models/EmailRecipient');
+const { EmailDigestValidation } = require('../models/EmailDigest');
+const { validate, idParams, idIntoBody } = require('../middleware/validate');
+const { ConflictError, NotFoundError, isUniqueViolation } = require('../utils/errors');
+const { toPage } = require('../utils/pagination');
+
+/**
+ * Email recipients router - /api/email-recipients
+ * Users manage their own recipients, and an address is unique per user;
+ * admins see and manage everyone's.
+ * @param {Object} deps - Router dependencies
+ * @param {import('../repositories/EmailRecipientRepository')} deps.recipientRepository - Recipient storage
+ * @param {import('../repositories/EmailDigestRepository')} deps.digestRepository - Digest reads
+ * @returns {import('express').Router} Router
+ */
+function createEmailRecipientsRouter({ recipientRepository, digestRepository }) {
+    const router = express.Router();
+
+    /**
+     * Reject an address that another of the owner's recipients already uses
+     */
+    const assertUnique = async (email, ownerId, exceptId = null) => {
+        const existing = await recipientRepository.findByEmail(email, ownerId);
+        if (existing && existing.id !== exceptId) {
+            throw new ConflictError(`Recipient "${existing.email}" already exists`, {
+                existing: existing.toJSON()
+            });
+        }
+    };
+
+    // List recipients
+    router.get('/', validate(EmailRecipientValidation.query, 'query'), async (req, res) => {
+        const result = await recipientRepository.findAll({ ...req.validated.query, userId: req.ownerId });
+        res.json(toPage(result.recipients, result));
+    });
+
+    // Get a single recipient
+    router.get('/:id', validate(idParams, 'params'), async (req, res) => {
+        const recipient = await recipientRepository.findById(req.validated.params.id, req.ownerId);
+        if (!recipient) {
+            throw new NotFoundError('Email recipient not found');
+        }
+        res.json(recipient);
+    });
+
+    // Digests queued or sent to a recipient
+    router.get('/:id/digests',
+        validate(idParams, 'params'),
+        validate(EmailDigestValidation.query, 'query'),
+        async (req, res) => {
+            const recipient = await recipientRepository.findById(req.validated.params.id, req.ownerId);
+            if (!recipient) {
+                throw new NotFoundError('Email recipient not found');
+            }
+            const result = await digestRepository.findAll({ ...req.validated.query, recipientId: recipient.id });
+            res.json(toPage(result.digests, result));
+        });
+
+    // Add a recipient
+    router.post('/', validate(EmailRecipientValidation.create), async (req, res) => {
+        const recipientData = { ...req.validated.body, userId: req.user.id };
+        await assertUnique(recipientData.email, recipientData.userId);
+
+        try {
+            const recipient = await recipientRepository.create(recipientData);
+            res.status(201).json(recipient);
+        } catch (error) {
+            // Lost a race with a concurrent insert of the same address
+            if (isUniqueViolation(error)) {
+                await assertUnique(recipientData.email, recipientData.userId);
+            }
+            throw error;
+        }
+    });
+
+    // Update a recipient; a new mode applies to matches queued from now on
+    const update = async (req, res) => {
+        const { id, ...updateData } = req.validated.body;
+        const existing = await recipientRepository.findById(id, req.ownerId);
+        if (!existing) {
+            throw new NotFoundError('Email recipient not found');
+        }
+        if (updateData.email !== undefined) {
+            await assertUnique(updateData.email, existing.userId, id);
+        }
+
+        const recipient = await recipientRepository.update(id, updateData, req.ownerId);
+        if (!recipient) {
+            throw new NotFoundError('Email recipient not found');
+        }
+        res.json(recipient);
+    };
+    router.put('/:id', validate(idParams, 'params'), idIntoBody, validate(EmailRecipientValidation.update), update);
+    router.patch('/:id', validate(idParams, 'params'), idIntoBody, validate(EmailRecipientValidation.update), update);
+
+    // Remove a recipient and its digests
+    router.delete('/:id', validate(idParams, 'params'), async (req, res) => {
+        const deleted = await recipientRepository.delete(req.validated.params.id, req.ownerId);
+        if (!deleted) {
+            throw new NotFoundError('Email recipient not found');
+        }
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = createEmailRecipientsRouter;
@@ -0,0 +1,88 @@
+const express = require('express');
+const Joi = require('joi');
+const { subredditName } = require('../models/Subreddit');
+const { requireUser } = require('../middleware/auth');
+const { validate, idParams } = require('../middleware/validate');
+const { NotFoundError } = require('../utils/errors');
+const { feedEtag, renderAtom, renderRss } = require('../utils/feeds');
+const { stripSecrets } = require('../utils/redact');
+
+/**
+ * Schema for routes addressed by a subreddit `:name`
+ */
+const nameParams = Joi.object({
+    name: subredditName.required()
+});
+
+/**
+ * Send a feed, or 304 when the reader's copy is still current
+ * Readers revalidate with If-None-Match or If-Modified-Since; the ETag and
+ * Last-Modified come from the entries, so unchanged feeds aren't rendered.
+ * @param {import('express').Request} req - Request
+ * @param {import('express').Response} res - Response
+ * @param {Object} feed - Feed from FeedService
+ * @param {'atom'|'rss'} format - Feed format
+ */
+function sendFeed(req, res, feed, format) {
+    res.set({
+        'Cache-Control': 'private, no-cache',
+        ETag: feedEtag(feed),
+        'Last-Modified': feed.updated.toUTCString()
+    });
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    // The self link is published in the feed, so it must not carry the reader's token
+    feed.self = `${req.protocol}://${req.get('host')}${stripSecrets(req.originalUrl)}`;
+    res.type(format === 'atom' ? 'application/atom+xml' : 'application/rss+xml');
+    res.send(format === 'atom' ? renderAtom(feed) : renderRss(feed));
+}
+
+/**
+ * Feeds router - /feeds
+ * Atom feeds of the posts each keyword matched and RSS feeds of the posts
+ * ingested from each subreddit. Feed readers authenticate with the user's
+ * feed token as `?token=`; API keys, bearer tokens and the dashboard session
+ * work too. Users see feeds for their own keywords and the subreddits they
+ * subscribe to; admins see every feed.
+ * @param {Object} deps - Router dependencies
+ * @param {import('../services/FeedService')} deps.feedService - Feed tokens and feeds
+ * @param {Object} deps.rateLimits - Rate limiters from middleware/rateLimit
+ * @returns {import('express').Router} Router
+ */
+function createFeedsRouter({ feedService, rateLimits }) {
+    const router = express.Router();
+
+    // Identify feed readers by the token in the URL, then count them like any API client
+    router.use(async (req, res, next) => {
+        if (!req.user && typeof req.query.token === 'string') {
+            req.user = await feedService.authenticate(req.query.token);
+            req.ownerId = req.user && !req.user.isAdmin() ? req.user.id : null;
+        }
+        next();
+    });
+    router.use(rateLimits.api, requireUser);
+
+    // Posts a keyword matched, as Atom
+    router.get('/keywords/:id.atom', validate(idParams, 'params'), async (req, res) => {
+        const feed = await feedService.keywordFeed(req.validated.params.id, req.ownerId);
+        if (!feed) {
+            throw new NotFoundError('Keyword not found');
+        }
+        sendFeed(req, res, feed, 'atom');
+    });
+
+    // Posts ingested from a subreddit, as RSS
+    router.get('/subreddits/:name.rss', validate(nameParams, 'params'), async (req, res) => {
+        const feed = await feedService.subredditFeed(req.validated.params.name, req.ownerId);
+        if (!feed) {
+            throw new NotFoundError('Subreddit not found');
+        }
+        sendFeed(req, res, feed, 'rss');
+    });
+
+    return router;
+}
+
+module.exports = createFeedsRouter;
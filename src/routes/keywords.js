@@ -0,0 +1,142 @@
+const express = require('express');
+const Joi = require('joi');
+const { KeywordValidation } = require('../models/Keyword');
+const { validate, idParams, idIntoBody } = require('../middleware/validate');
+const { NotFoundError } = require('../utils/errors');
+const { toPage } = require('../utils/pagination');
+
+/**
+ * Schema for paging through the posts a keyword matched
+ */
+const postsQuery = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+/**
+ * Schema for a keyword's subreddit link, e.g. /api/keywords/1/subreddits/2
+ */
+const subredditLinkParams = Joi.object({
+    id: Joi.number().integer().positive().required(),
+    subredditId: Joi.number().integer().positive().required()
+});
+
+/**
+ * Keywords router - /api/keywords
+ * Users manage their own keywords; admins see and manage everyone's.
+ * A keyword applies to every subreddit until it is limited to some; users can
+ * only limit keywords to subreddits they watch.
+ * @param {Object} deps - Router dependencies
+ * @param {import('../repositories/KeywordRepository')} deps.keywordRepository - Keyword reads
+ * @param {import('../repositories/PostRepository')} deps.postRepository - Matched post reads
+ * @param {import('../repositories/SubredditRepository')} deps.subredditRepository - Subreddits keywords are limited to
+ * @param {import('../services/KeywordService')} deps.keywordService - Keyword writes
+ * @param {import('../utils/categoryParser').CategoryParser} deps.categoryParser - Normalizes keyword categories
+ * @returns {import('express').Router} Router
+ */
+function createKeywordsRouter({ keywordRepository, postRepository, subredditRepository, keywordService, categoryParser }) {
+    const router = express.Router();
+    const context = { categoryParser };
+
+    /**
+     * Load the keyword and subreddit a link request names, as the caller sees them
+     * @param {import('express').Request} req - Request with validated link params
+     * @returns {Promise<{keyword: Object, subreddit: Object}>} Keyword and subreddit
+     * @throws {NotFoundError} When either doesn't exist for the caller
+     */
+    const findLink = async req => {
+        const { id, subredditId } = req.validated.params;
+        const keyword = await keywordRepository.findById(id, req.ownerId);
+        if (!keyword) {
+            throw new NotFoundError('Keyword not found');
+        }
+        const subreddit = await subredditRepository.findById(subredditId, req.ownerId);
+        if (!subreddit) {
+            throw new NotFoundError('Subreddit not found');
+        }
+        return { keyword, subreddit };
+    };
+
+    // List keywords
+    router.get('/', validate(KeywordValidation.query, 'query'), async (req, res) => {
+        const result = await keywordRepository.findAll({ ...req.validated.query, userId: req.ownerId });
+        res.json(toPage(result.keywords, result));
+    });
+
+    // Get a single keyword
+    router.get('/:id', validate(idParams, 'params'), async (req, res) => {
+        const keyword = await keywordRepository.findById(req.validated.params.id, req.ownerId);
+        if (!keyword) {
+            throw new NotFoundError('Keyword not found');
+        }
+        res.json(keyword);
+    });
+
+    // List posts a keyword matched
+    router.get('/:id/posts',
+        validate(idParams, 'params'),
+        validate(postsQuery, 'query'),
+        async (req, res) => {
+            const keyword = await keywordRepository.findById(req.validated.params.id, req.ownerId);
+            if (!keyword) {
+                throw new NotFoundError('Keyword not found');
+            }
+            const result = await postRepository.findByKeyword(keyword.id, req.validated.query);
+            res.json(toPage(result.posts, result));
+        });
+
+    // List the subreddits a keyword is limited to; empty means all of them
+    router.get('/:id/subreddits', validate(idParams, 'params'), async (req, res) => {
+        const keyword = await keywordRepository.findById(req.validated.params.id, req.ownerId);
+        if (!keyword) {
+            throw new NotFoundError('Keyword not found');
+        }
+        res.json({ items: keyword.subreddits });
+    });
+
+    // Limit a keyword to a subreddit
+    router.put('/:id/subreddits/:subredditId', validate(subredditLinkParams, 'params'), async (req, res) => {
+        const { keyword, subreddit } = await findLink(req);
+        res.json(await keywordService.attachSubreddit(keyword, subreddit));
+    });
+
+    // Remove a subreddit from a keyword's limits
+    router.delete('/:id/subreddits/:subredditId', validate(subredditLinkParams, 'params'), async (req, res) => {
+        const { keyword, subreddit } = await findLink(req);
+        if (!await keywordService.detachSubreddit(keyword, subreddit)) {
+            throw new NotFoundError('Keyword is not limited to this subreddit');
+        }
+        res.status(204).end();
+    });
+
+    // Create a keyword
+    router.post('/', validate(KeywordValidation.create, 'body', context), async (req, res) => {
+        const keyword = await keywordService.create({ ...req.validated.body, userId: req.user.id });
+        res.status(201).json(keyword);
+    });
+
+    // Update a keyword
+    const update = async (req, res) => {
+        const { id, ...updateData } = req.validated.body;
+        const keyword = await keywordService.update(id, updateData, req.ownerId);
+        if (!keyword) {
+            throw new NotFoundError('Keyword not found');
+        }
+        res.json(keyword);
+    };
+    router.put('/:id', validate(idParams, 'params'), idIntoBody, validate(KeywordValidation.update, 'body', context), update);
+    router.patch('/:id', validate(idParams, 'params'), idIntoBody, validate(KeywordValidation.update, 'body', context), update);
+
+    // Delete a keyword
+    router.delete('/:id', validate(idParams, 'params'), async (req, res) => {
+        const deleted = await keywordService.delete(req.validated.params.id, req.ownerId);
+        if (!deleted) {
+            throw new NotFoundError('Keyword not found');
+        }
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = createKeywordsRouter;
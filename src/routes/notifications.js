@@ -0,0 +1,33 @@
+const express = require('express');
+const { NotificationDeliveryValidation } = require('../models/NotificationDelivery');
+const { EmailDigestValidation } = require('../models/EmailDigest');
+const { validate } = require('../middleware/validate');
+const { toPage } = require('../utils/pagination');
+
+/**
+ * Notifications router - /api/notifications
+ * Users see the log for their own webhooks and recipients; admins see everything.
+ * @param {Object} deps - Router dependencies
+ * @param {import('../repositories/NotificationDeliveryRepository')} deps.deliveryRepository - Webhook delivery log
+ * @param {import('../repositories/EmailDigestRepository')} deps.digestRepository - Email digests
+ * @returns {import('express').Router} Router
+ */
+function createNotificationsRouter({ deliveryRepository, digestRepository }) {
+    const router = express.Router();
+
+    // Webhook delivery log, filterable by webhook, post, keyword and status
+    router.get('/deliveries', validate(NotificationDeliveryValidation.query, 'query'), async (req, res) => {
+        const result = await deliveryRepository.findAll({ ...req.validated.query, userId: req.ownerId });
+        res.json(toPage(result.deliveries, result));
+    });
+
+    // Email digests, filterable by recipient and status
+    router.get('/digests', validate(EmailDigestValidation.query, 'query'), async (req, res) => {
+        const result = await digestRepository.findAll({ ...req.validated.query, userId: req.ownerId });
+        res.json(toPage(result.digests, result));
+    });
+
+    return router;
+}
+
+module.exports = createNotificationsRouter;
@@ -0,0 +1,151 @@
+const express = require('express');
+const Joi = require('joi');
+const { PostValidation } = require('../models/Post');
+const { requireAdmin } = require('../middleware/auth');
+const { validate, idParams, idIntoBody } = require('../middleware/validate');
+const { NotFoundError } = require('../utils/errors');
+const { toPage } = require('../utils/pagination');
+
+/**
+ * Schema for the quick text search endpoint
+ */
+const searchQuery = Joi.object({
+    q: Joi.string().min(1).max(255).required(),
+    limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+/**
+ * Posts router - /api/posts
+ * Posts normally arrive from the poller and are shared by every user; create,
+ * update and delete are for manual curation by admins, and are recorded in
+ * the audit trail. Posts created by hand are filed under products and price
+ * flagged like ingested ones. Stars are per user. Text search and statistics also count
+ * against their own, smaller rate limits.
+ * @param {Object} deps - Router dependencies
+ * @param {import('../repositories/PostRepository')} deps.postRepository - Post storage
+ * @param {import('../repositories/KeywordRepository')} deps.keywordRepository - Matched keyword reads
+ * @param {import('../repositories/PostStarRepository')} deps.postStarRepository - Starred posts
+ * @param {import('../services/KeywordMatcher')} deps.keywordMatcher - Matches curated posts
+ * @param {import('../services/LinkResolver')} deps.linkResolver - Expands shortened links in curated posts
+ * @param {import('../services/PriceTracker')} deps.priceTracker - Files curated posts under products
+ * @param {import('../services/AuditTrail')} deps.auditTrail - Change history
+ * @param {Object} deps.rateLimits - Rate limiters from middleware/rateLimit
+ * @param {import('../utils/categoryParser').CategoryParser} deps.categoryParser - Normalizes category filters and fields
+ * @returns {import('express').Router} Router
+ */
+function createPostsRouter({ postRepository, keywordRepository, postStarRepository, keywordMatcher, linkResolver, priceTracker, auditTrail, rateLimits, categoryParser }) {
+    const router = express.Router();
+    const context = { categoryParser };
+
+    // Listing with search text costs as much as a search
+    const searchLimit = (req, res, next) => req.query.search ? rateLimits.search(req, res, next) : next();
+
+    // List posts, optionally filtered by search text, links, price, category, subreddit, retailer, linked domain,
+    // shared links, product, price flags or stars
+    router.get('/', searchLimit, validate(PostValidation.query, 'query', context), async (req, res) => {
+        const { starred, ...query } = req.validated.query;
+        const result = await postRepository.findAll({ ...query, starredBy: starred ? req.user.id : null });
+        res.json(toPage(result.posts, result));
+    });
+
+    // Quick text search over titles and descriptions
+    router.get('/search', rateLimits.search, validate(searchQuery, 'query'), async (req, res) => {
+        const { q, limit } = req.validated.query;
+        const posts = await postRepository.searchByText(q, limit);
+        res.json({ items: posts, total: posts.length });
+    });
+
+    // Post counts per category
+    router.get('/categories', rateLimits.stats, async (req, res) => {
+        res.json({ items: await postRepository.getCategoryCounts() });
+    });
+
+    // Post statistics
+    router.get('/stats', rateLimits.stats, async (req, res) => {
+        res.json(await postRepository.getStatistics());
+    });
+
+    // Get a single post
+    router.get('/:id', validate(idParams, 'params'), async (req, res) => {
+        const post = await postRepository.findById(req.validated.params.id);
+        if (!post) {
+            throw new NotFoundError('Post not found');
+        }
+        res.json(post);
+    });
+
+    // List every post of the same deal: the original first, then crossposts and reposts
+    router.get('/:id/duplicates', validate(idParams, 'params'), async (req, res) => {
+        const post = await postRepository.findById(req.validated.params.id);
+        if (!post) {
+            throw new NotFoundError('Post not found');
+        }
+        res.json({ items: await postRepository.findDuplicateGroup(post) });
+    });
+
+    // List keywords a post matched, limited to the user's own
+    router.get('/:id/keywords', validate(idParams, 'params'), async (req, res) => {
+        const post = await postRepository.findById(req.validated.params.id);
+        if (!post) {
+            throw new NotFoundError('Post not found');
+        }
+        res.json({ items: await keywordRepository.findByPost(post.id, req.ownerId) });
+    });
+
+    // Star a post, which also keeps it longer under the retention policy
+    router.put('/:id/star', validate(idParams, 'params'), async (req, res) => {
+        const post = await postRepository.findById(req.validated.params.id);
+        if (!post) {
+            throw new NotFoundError('Post not found');
+        }
+        await postStarRepository.star(req.user.id, post.id);
+        res.status(204).end();
+    });
+
+    // Remove a star
+    router.delete('/:id/star', validate(idParams, 'params'), async (req, res) => {
+        const unstarred = await postStarRepository.unstar(req.user.id, req.validated.params.id);
+        if (!unstarred) {
+            throw new NotFoundError('Post not starred');
+        }
+        res.status(204).end();
+    });
+
+    // Create a post by hand; it is tracked and matched like an ingested one
+    router.post('/', requireAdmin, validate(PostValidation.create, 'body', context), async (req, res) => {
+        const postData = { ...req.validated.body, links: await linkResolver.expand(req.validated.body.links) };
+        const post = await priceTracker.track(await postRepository.create(postData));
+        await auditTrail.record('create', 'post', null, post);
+        await keywordMatcher.matchPost(post, { source: 'api' });
+        res.status(201).json(post);
+    });
+
+    // Update a post and refresh its matches
+    const update = async (req, res) => {
+        const { id, ...updateData } = req.validated.body;
+        const existing = await postRepository.findById(id);
+        const post = existing && await postRepository.update(id, updateData);
+        if (!post) {
+            throw new NotFoundError('Post not found');
+        }
+        await auditTrail.record('update', 'post', existing, post);
+        await keywordMatcher.rescanPost(post);
+        res.json(post);
+    };
+    router.put('/:id', requireAdmin, validate(idParams, 'params'), idIntoBody, validate(PostValidation.update, 'body', context), update);
+    router.patch('/:id', requireAdmin, validate(idParams, 'params'), idIntoBody, validate(PostValidation.update, 'body', context), update);
+
+    // Delete a post
+    router.delete('/:id', requireAdmin, validate(idParams, 'params'), async (req, res) => {
+        const existing = await postRepository.findById(req.validated.params.id);
+        if (!existing || !await postRepository.delete(existing.id)) {
+            throw new NotFoundError('Post not found');
+        }
+        await auditTrail.record('delete', 'post', existing, null);
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = createPostsRouter;
@@ -0,0 +1,81 @@
+const express = require('express');
+const { ProductValidation } = require('../models/Product');
+const { validate, idParams } = require('../middleware/validate');
+const { NotFoundError } = require('../utils/errors');
+const { toPage } = require('../utils/pagination');
+
+/**
+ * Sum up a price series for display next to its chart
+ * @param {import('../models/PricePoint').PricePoint[]} points - Points, oldest first
+ * @returns {Object} Point count, lowest, highest, first and last price, and the change from first to last
+ */
+function summarize(points) {
+    if (points.length === 0) {
+        return { count: 0, low: null, high: null, first: null, last: null, changePercent: null };
+    }
+
+    const prices = points.map(point => point.price);
+    const first = prices[0];
+    const last = prices[prices.length - 1];
+
+    return {
+        count: prices.length,
+        low: Math.min(...prices),
+        high: Math.max(...prices),
+        first,
+        last,
+        changePercent: first > 0 ? Math.round((last - first) / first * 10000) / 100 : null
+    };
+}
+
+/**
+ * Products router - /api/products
+ * Products are built from incoming posts and shared by every user, like
+ * posts; there is nothing to create or edit here. A product's posts are
+ * listed with `GET /api/posts?productId=`.
+ * @param {Object} deps - Router dependencies
+ * @param {import('../repositories/ProductRepository')} deps.productRepository - Products
+ * @param {import('../repositories/PriceHistoryRepository')} deps.priceHistoryRepository - Price history
+ * @returns {import('express').Router} Router
+ */
+function createProductsRouter({ productRepository, priceHistoryRepository }) {
+    const router = express.Router();
+
+    // List products, recently seen first unless sorted otherwise
+    router.get('/', validate(ProductValidation.query, 'query'), async (req, res) => {
+        const result = await productRepository.findAll(req.validated.query);
+        res.json(toPage(result.products, result));
+    });
+
+    // Get a single product
+    router.get('/:id', validate(idParams, 'params'), async (req, res) => {
+        const product = await productRepository.findById(req.validated.params.id);
+        if (!product) {
+            throw new NotFoundError('Product not found');
+        }
+        res.json(product);
+    });
+
+    // Price history as one time series, in the product's currency unless another is asked for
+    router.get('/:id/history', validate(idParams, 'params'), validate(ProductValidation.history, 'query'), async (req, res) => {
+        const product = await productRepository.findById(req.validated.params.id);
+        if (!product) {
+            throw new NotFoundError('Product not found');
+        }
+
+        const { currency = product.currency, since, until } = req.validated.query;
+        const points = await priceHistoryRepository.findByProduct(product.id, { currency, since, until });
+
+        res.json({
+            product,
+            currency,
+            currencies: await priceHistoryRepository.findCurrencies(product.id),
+            points,
+            summary: summarize(points)
+        });
+    });
+
+    return router;
+}
+
+module.exports = createProductsRouter;
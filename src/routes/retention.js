@@ -0,0 +1,41 @@
+const express = require('express');
+const Joi = require('joi');
+const { validate } = require('../middleware/validate');
+
+/**
+ * Schema for starting a retention run; runs are dry unless asked otherwise
+ */
+const runBody = Joi.object({
+    dryRun: Joi.boolean().default(true)
+});
+
+/**
+ * Retention router - /api/retention, for admins
+ * @param {Object} deps - Router dependencies
+ * @param {import('../services/RetentionService')} deps.retentionService - Post pruning
+ * @param {import('../repositories/ArchivedPostRepository')} deps.archivedPostRepository - Archive reads
+ * @param {boolean} deps.scheduled - Whether retention also runs on a timer
+ * @returns {import('express').Router} Router
+ */
+function createRetentionRouter({ retentionService, archivedPostRepository, scheduled }) {
+    const router = express.Router();
+
+    // Current policy and the last run that pruned
+    router.get('/', async (req, res) => {
+        res.json({
+            policy: retentionService.policy,
+            scheduled,
+            archivedPosts: await archivedPostRepository.count(),
+            lastRun: retentionService.lastReport
+        });
+    });
+
+    // Preview (dryRun, the default) or run a prune
+    router.post('/run', validate(runBody), async (req, res) => {
+        res.json(await retentionService.run({ dryRun: req.validated.body.dryRun }));
+    });
+
+    return router;
+}
+
+module.exports = createRetentionRouter;
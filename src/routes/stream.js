@@ -0,0 +1,52 @@
+const express = require('express');
+const Joi = require('joi');
+const { subredditName } = require('../models/Subreddit');
+const { validate } = require('../middleware/validate');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Schema for stream filters; each may be repeated, e.g. ?keywordId=1&keywordId=2
+ */
+const streamQuery = Joi.object({
+    keywordId: Joi.array().items(Joi.number().integer().min(1)).single().default([]),
+    subreddit: Joi.array().items(subredditName).single().default([]),
+    // For clients that can't set the Last-Event-ID header on their first connection
+    lastEventId: Joi.number().integer().min(0).optional()
+});
+
+/**
+ * Stream router - /api/stream
+ * Users receive every post but only matches for their own keywords; admins receive everything.
+ * @param {Object} deps - Router dependencies
+ * @param {import('../services/EventStream')} deps.eventStream - Live event fan-out
+ * @returns {import('express').Router} Router
+ */
+function createStreamRouter({ eventStream }) {
+    const router = express.Router();
+
+    // Server-Sent Events: `post` for each ingested post, `match` for each keyword match
+    router.get('/', validate(streamQuery, 'query'), (req, res) => {
+        const { keywordId, subreddit, lastEventId } = req.validated.query;
+
+        // The header wins: EventSource sends it when it reconnects
+        let replayFrom = lastEventId ?? null;
+        const header = req.get('Last-Event-ID');
+        if (header !== undefined && header !== '') {
+            replayFrom = Number(header);
+            if (!Number.isInteger(replayFrom) || replayFrom < 0) {
+                throw new ValidationError([
+                    { field: 'Last-Event-ID', message: 'Last-Event-ID must be a non-negative integer' }
+                ]);
+            }
+        }
+
+        eventStream.subscribe(req, res, {
+            filter: { keywordIds: keywordId, subreddits: subreddit, ownerId: req.ownerId },
+            lastEventId: replayFrom
+        });
+    });
+
+    return router;
+}
+
+module.exports = createStreamRouter;
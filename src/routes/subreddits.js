@@ -0,0 +1,83 @@
+const express = require('express');
+const { SubredditValidation } = require('../models/Subreddit');
+const { validate, idParams, idIntoBody } = require('../middleware/validate');
+const { NotFoundError } = require('../utils/errors');
+const { toPage } = require('../utils/pagination');
+
+/**
+ * Subreddits router - /api/subreddits
+ * Names are normalized by SubredditValidation, so "r/BuildAPCSales" and
+ * "buildapcsales" resolve to the same subreddit.
+ *
+ * Subreddits are shared. Users see the ones they watch, and adding or
+ * removing one subscribes or unsubscribes them; admins see every subreddit
+ * and rename or remove it for everyone. Each subreddit lists the keywords
+ * limited to it, only the caller's own for users.
+ * @param {Object} deps - Router dependencies
+ * @param {import('../repositories/SubredditRepository')} deps.subredditRepository - Subreddit reads
+ * @param {import('../services/SubredditService')} deps.subredditService - Subreddit writes
+ * @returns {import('express').Router} Router
+ */
+function createSubredditsRouter({ subredditRepository, subredditService }) {
+    const router = express.Router();
+
+    // List subreddits
+    router.get('/', validate(SubredditValidation.query, 'query'), async (req, res) => {
+        const result = await subredditRepository.findAll({ ...req.validated.query, userId: req.ownerId });
+        await subredditRepository.withKeywords(result.subreddits, req.ownerId);
+        res.json(toPage(result.subreddits, result));
+    });
+
+    // Get a subreddit by name; the name is normalized like any other input
+    router.get('/by-name/:name', validate(SubredditValidation.lookup, 'params'), async (req, res) => {
+        const subreddit = await subredditRepository.findByName(req.validated.params.name, req.ownerId);
+        if (!subreddit) {
+            throw new NotFoundError('Subreddit not found');
+        }
+        await subredditRepository.withKeywords([subreddit], req.ownerId);
+        res.json(subreddit);
+    });
+
+    // Get a single subreddit
+    router.get('/:id', validate(idParams, 'params'), async (req, res) => {
+        const subreddit = await subredditRepository.findById(req.validated.params.id, req.ownerId);
+        if (!subreddit) {
+            throw new NotFoundError('Subreddit not found');
+        }
+        await subredditRepository.withKeywords([subreddit], req.ownerId);
+        res.json(subreddit);
+    });
+
+    // Add a subreddit to watch
+    router.post('/', validate(SubredditValidation.create), async (req, res) => {
+        const subreddit = await subredditService.create(req.validated.body, req.user.id);
+        await subredditRepository.withKeywords([subreddit], req.ownerId);
+        res.status(201).json(subreddit);
+    });
+
+    // Rename a subreddit
+    const update = async (req, res) => {
+        const { id, ...updateData } = req.validated.body;
+        const subreddit = await subredditService.update(id, updateData, req.ownerId);
+        if (!subreddit) {
+            throw new NotFoundError('Subreddit not found');
+        }
+        await subredditRepository.withKeywords([subreddit], req.ownerId);
+        res.json(subreddit);
+    };
+    router.put('/:id', validate(idParams, 'params'), idIntoBody, validate(SubredditValidation.update), update);
+    router.patch('/:id', validate(idParams, 'params'), idIntoBody, validate(SubredditValidation.update), update);
+
+    // Stop watching a subreddit
+    router.delete('/:id', validate(idParams, 'params'), async (req, res) => {
+        const deleted = await subredditService.delete(req.validated.params.id, req.ownerId);
+        if (!deleted) {
+            throw new NotFoundError('Subreddit not found');
+        }
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = createSubredditsRouter;
@@ -0,0 +1,63 @@
+const express = require('express');
+const { UserValidation } = require('../models/User');
+const { validate, idParams, idIntoBody } = require('../middleware/validate');
+const { NotFoundError } = require('../utils/errors');
+const { toPage } = require('../utils/pagination');
+
+/**
+ * Users router - /api/users, for admins
+ * Deleting a user deletes their keywords, subscriptions and notification settings.
+ * @param {Object} deps - Router dependencies
+ * @param {import('../repositories/UserRepository')} deps.userRepository - Account reads
+ * @param {import('../services/AuthService')} deps.authService - Account writes
+ * @returns {import('express').Router} Router
+ */
+function createUsersRouter({ userRepository, authService }) {
+    const router = express.Router();
+
+    // List users
+    router.get('/', validate(UserValidation.query, 'query'), async (req, res) => {
+        const result = await userRepository.findAll(req.validated.query);
+        res.json(toPage(result.users, result));
+    });
+
+    // Get a single user
+    router.get('/:id', validate(idParams, 'params'), async (req, res) => {
+        const user = await userRepository.findById(req.validated.params.id);
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+        res.json(user);
+    });
+
+    // Create an account
+    router.post('/', validate(UserValidation.create), async (req, res) => {
+        const user = await authService.createUser(req.validated.body);
+        res.status(201).json(user);
+    });
+
+    // Update an account; a new password signs the user out
+    const update = async (req, res) => {
+        const { id, ...updateData } = req.validated.body;
+        const user = await authService.updateUser(id, updateData, id === req.user.id ? req.token : null);
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+        res.json(user);
+    };
+    router.put('/:id', validate(idParams, 'params'), idIntoBody, validate(UserValidation.update), update);
+    router.patch('/:id', validate(idParams, 'params'), idIntoBody, validate(UserValidation.update), update);
+
+    // Delete an account and everything it owns
+    router.delete('/:id', validate(idParams, 'params'), async (req, res) => {
+        const deleted = await authService.deleteUser(req.validated.params.id);
+        if (!deleted) {
+            throw new NotFoundError('User not found');
+        }
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = createUsersRouter;
@@ -0,0 +1,69 @@
+const express = require('express');
+const yaml = require('js-yaml');
+const { WatchlistValidation } = require('../models/Watchlist');
+const { validate } = require('../middleware/validate');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Content types read as YAML by the import
+ */
+const YAML_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml'];
+
+/**
+ * Parse a YAML request body left as text by express.text; JSON bodies pass through
+ * @type {import('express').RequestHandler}
+ */
+function parseYamlBody(req, res, next) {
+    if (typeof req.body !== 'string') {
+        return next();
+    }
+
+    try {
+        req.body = yaml.load(req.body);
+        next();
+    } catch (error) {
+        next(new ValidationError([{
+            field: 'body',
+            message: `Invalid YAML: ${error.reason || error.message}`,
+            position: error.mark ? error.mark.position : undefined
+        }]));
+    }
+}
+
+/**
+ * Watchlist router - /api/watchlist
+ * Exports and imports the caller's own keywords and subreddits, for admins too.
+ * @param {Object} deps - Router dependencies
+ * @param {import('../services/WatchlistService')} deps.watchlistService - Export and import
+ * @returns {import('express').Router} Router
+ */
+function createWatchlistRouter({ watchlistService }) {
+    const router = express.Router();
+
+    // Download the watchlist as JSON or YAML
+    router.get('/export', validate(WatchlistValidation.exportQuery, 'query'), async (req, res) => {
+        const { format } = req.validated.query;
+        const watchlist = await watchlistService.export(req.user.id);
+
+        res.attachment(`watchlist.${format}`);
+        if (format === 'yaml') {
+            return res.type('application/yaml').send(yaml.dump(watchlist));
+        }
+        res.json(watchlist);
+    });
+
+    // Import a watchlist; with dryRun=true only report what would change
+    router.post('/import',
+        express.text({ type: YAML_TYPES, limit: '1mb' }),
+        parseYamlBody,
+        validate(WatchlistValidation.importQuery, 'query'),
+        validate(WatchlistValidation.bundle),
+        async (req, res) => {
+            const report = await watchlistService.import(req.user.id, req.validated.body, req.validated.query);
+            res.json(report);
+        });
+
+    return router;
+}
+
+module.exports = createWatchlistRouter;
@@ -0,0 +1,92 @@
+const express = require('express');
+const { WebhookValidation } = require('../models/Webhook');
+const { NotificationDeliveryValidation } = require('../models/NotificationDelivery');
+const { validate, idParams, idIntoBody } = require('../middleware/validate');
+const { NotFoundError } = require('../utils/errors');
+const { toPage } = require('../utils/pagination');
+
+/**
+ * Webhooks router - /api/webhooks
+ * Users manage their own webhooks; admins see and manage everyone's.
+ * @param {Object} deps - Router dependencies
+ * @param {import('../repositories/WebhookRepository')} deps.webhookRepository - Webhook storage
+ * @param {import('../repositories/NotificationDeliveryRepository')} deps.deliveryRepository - Delivery log
+ * @param {import('../services/WebhookNotifier')} deps.webhookNotifier - Checks webhook URLs and sends test notifications
+ * @returns {import('express').Router} Router
+ */
+function createWebhooksRouter({ webhookRepository, deliveryRepository, webhookNotifier }) {
+    const router = express.Router();
+
+    /**
+     * Load the webhook named by `:id` or fail with 404, including when another user owns it
+     */
+    const findWebhook = async req => {
+        const webhook = await webhookRepository.findById(req.validated.params.id, req.ownerId);
+        if (!webhook) {
+            throw new NotFoundError('Webhook not found');
+        }
+        return webhook;
+    };
+
+    // List webhooks
+    router.get('/', validate(WebhookValidation.query, 'query'), async (req, res) => {
+        const result = await webhookRepository.findAll({ ...req.validated.query, userId: req.ownerId });
+        res.json(toPage(result.webhooks, result));
+    });
+
+    // Get a single webhook
+    router.get('/:id', validate(idParams, 'params'), async (req, res) => {
+        res.json(await findWebhook(req));
+    });
+
+    // Delivery log for a webhook
+    router.get('/:id/deliveries',
+        validate(idParams, 'params'),
+        validate(NotificationDeliveryValidation.query, 'query'),
+        async (req, res) => {
+            const webhook = await findWebhook(req);
+            const result = await deliveryRepository.findAll({ ...req.validated.query, webhookId: webhook.id });
+            res.json(toPage(result.deliveries, result));
+        });
+
+    // Send a sample notification and return the recorded attempt
+    router.post('/:id/test', validate(idParams, 'params'), async (req, res) => {
+        const webhook = await findWebhook(req);
+        res.json(await webhookNotifier.sendTest(webhook));
+    });
+
+    // Create a webhook
+    router.post('/', validate(WebhookValidation.create), async (req, res) => {
+        await webhookNotifier.checkUrl(req.validated.body.url);
+        const webhook = await webhookRepository.create({ ...req.validated.body, userId: req.user.id });
+        res.status(201).json(webhook);
+    });
+
+    // Update a webhook
+    const update = async (req, res) => {
+        const { id, ...updateData } = req.validated.body;
+        if (updateData.url) {
+            await webhookNotifier.checkUrl(updateData.url);
+        }
+        const webhook = await webhookRepository.update(id, updateData, req.ownerId);
+        if (!webhook) {
+            throw new NotFoundError('Webhook not found');
+        }
+        res.json(webhook);
+    };
+    router.put('/:id', validate(idParams, 'params'), idIntoBody, validate(WebhookValidation.update), update);
+    router.patch('/:id', validate(idParams, 'params'), idIntoBody, validate(WebhookValidation.update), update);
+
+    // Delete a webhook and its delivery log
+    router.delete('/:id', validate(idParams, 'params'), async (req, res) => {
+        const deleted = await webhookRepository.delete(req.validated.params.id, req.ownerId);
+        if (!deleted) {
+            throw new NotFoundError('Webhook not found');
+        }
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = createWebhooksRouter;
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const AuthService = require('./AuthService');
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * ApiKeyService - issues, checks and revokes API keys
+ *
+ * A key acts as the user it belongs to, sent as `X-API-Key: <key>`. Keys are
+ * random, start with `dm_` so they are easy to spot in config files, and are
+ * only shown once, when issued; just their SHA-256 and first characters are
+ * stored. Each key may carry its own rate limit.
+ */
+class ApiKeyService {
+    /**
+     * @param {Object} deps - Service dependencies
+     * @param {import('../repositories/ApiKeyRepository')} deps.apiKeyRepository - Issued keys
+     * @param {import('../repositories/UserRepository')} deps.userRepository - Key owners
+     */
+    constructor({ apiKeyRepository, userRepository }) {
+        this.apiKeyRepository = apiKeyRepository;
+        this.userRepository = userRepository;
+    }
+
+    /**
+     * Issue a key for a user
+     * @param {Object} keyData - Validated userId, name and optional rateLimit
+     * @returns {Promise<{key: string, apiKey: import('../models/ApiKey').ApiKey}>} The key, shown only now, and its record
+     * @throws {NotFoundError} When the user doesn't exist
+     */
+    async create({ userId, name, rateLimit = null }) {
+        if (!await this.userRepository.findById(userId)) {
+            throw new NotFoundError('User not found');
+        }
+
+        const key = `${ApiKeyService.PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+        const apiKey = await this.apiKeyRepository.create({
+            userId,
+            name,
+            keyPrefix: key.slice(0, ApiKeyService.PREFIX.length + 8),
+            keyHash: AuthService.hashToken(key),
+            rateLimit
+        });
+
+        return { key, apiKey };
+    }
+
+    /**
+     * Find the user and key behind an API key
+     * @param {string} key - Key from the X-API-Key header
+     * @returns {Promise<{user: import('../models/User').User, apiKey: import('../models/ApiKey').ApiKey}|null>}
+     *   Owner and key, or null if the key is unknown or revoked
+     */
+    async authenticate(key) {
+        const apiKey = await this.apiKeyRepository.findActiveByHash(AuthService.hashToken(key));
+        if (!apiKey) {
+            return null;
+        }
+
+        const user = await this.userRepository.findById(apiKey.userId);
+        if (!user) {
+            return null;
+        }
+
+        await this.apiKeyRepository.touch(apiKey.id);
+        return { user, apiKey };
+    }
+}
+
+/**
+ * Start of every key
+ */
+ApiKeyService.PREFIX = 'dm_';
+
+module.exports = ApiKeyService;
@@ -0,0 +1,65 @@
+const { currentContext } = require('../utils/context');
+
+/**
+ * AuditTrail - records who created, updated or deleted keywords, subreddits and posts
+ *
+ * The user and request ID come from the request's correlation context (see
+ * utils/context), so callers only describe the change. Changes made outside
+ * a request, such as posts ingested by the poller or pruned by retention,
+ * aren't recorded.
+ */
+class AuditTrail {
+    /**
+     * @param {Object} deps - Service dependencies
+     * @param {import('../repositories/AuditLogRepository')} deps.auditLogRepository - Audit log storage
+     */
+    constructor({ auditLogRepository }) {
+        this.auditLogRepository = auditLogRepository;
+    }
+
+    /**
+     * Record a change to an entity
+     * Updates that changed nothing but the update time aren't recorded.
+     * @param {'create'|'update'|'delete'} action - What happened
+     * @param {'keyword'|'subreddit'|'post'} entityType - Kind of entity
+     * @param {Object|null} before - Entity before the change; null for a create
+     * @param {Object|null} after - Entity after the change; null for a delete
+     * @returns {Promise<import('../models/AuditEntry').AuditEntry|null>} Recorded entry, or null when skipped
+     */
+    async record(action, entityType, before, after) {
+        const { requestId = null, userId = null } = currentContext();
+        if (requestId === null) {
+            return null;
+        }
+
+        const beforeValues = before ? JSON.parse(JSON.stringify(before)) : null;
+        const afterValues = after ? JSON.parse(JSON.stringify(after)) : null;
+        if (action === 'update' && AuditTrail.unchanged(beforeValues, afterValues)) {
+            return null;
+        }
+
+        return this.auditLogRepository.create({
+            userId,
+            action,
+            entityType,
+            entityId: (before || after).id,
+            before: beforeValues,
+            after: afterValues,
+            requestId
+        });
+    }
+
+    /**
+     * Whether an update left everything but its update time as it was
+     * @param {Object} before - Values before the update
+     * @param {Object} after - Values after the update
+     * @returns {boolean} True when nothing else changed
+     */
+    static unchanged(before, after) {
+        const { updatedAt: beforeTime, ...beforeRest } = before;
+        const { updatedAt: afterTime, ...afterRest } = after;
+        return JSON.stringify(beforeRest) === JSON.stringify(afterRest);
+    }
+}
+
+module.exports = AuditTrail;
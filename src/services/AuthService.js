@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const EmailRecipientRepository = require('../repositories/EmailRecipientRepository');
+const KeywordRepository = require('../repositories/KeywordRepository');
+const SubredditSubscriptionRepository = require('../repositories/SubredditSubscriptionRepository');
+const UserRepository = require('../repositories/UserRepository');
+const WebhookRepository = require('../repositories/WebhookRepository');
+const { hashPassword, verifyPassword } = require('../utils/passwords');
+const { ConflictError, ForbiddenError, UnauthorizedError, isUniqueViolation } = require('../utils/errors');
+
+/**
+ * AuthService - accounts, password login and bearer tokens
+ *
+ * Logging in issues a random token that is sent back as
+ * `Authorization: Bearer <token>` (or the dashboard's session cookie). Only its
+ * SHA-256 is stored. The first account is an admin and adopts everything
+ * created before accounts existed; after that, sign-up is closed unless
+ * allowRegistration is set, and admins create accounts.
+ */
+class AuthService {
+    /**
+     * @param {Object} deps - Service dependencies
+     * @param {import('knex').Knex} deps.db - Database connection, used for the first-account transaction
+     * @param {import('../repositories/UserRepository')} deps.userRepository - Accounts
+     * @param {import('../repositories/AuthTokenRepository')} deps.tokenRepository - Issued tokens
+     * @param {number} deps.tokenTtlMs - How long a login lasts
+     * @param {boolean} deps.allowRegistration - Whether anyone may sign up once the first account exists
+     */
+    constructor({ db, userRepository, tokenRepository, tokenTtlMs = 30 * 24 * 60 * 60 * 1000, allowRegistration = false }) {
+        this.db = db;
+        this.userRepository = userRepository;
+        this.tokenRepository = tokenRepository;
+        this.tokenTtlMs = tokenTtlMs;
+        this.allowRegistration = allowRegistration;
+    }
+
+    /**
+     * Sign up; the first account becomes an admin and owns all existing data
+     * @param {Object} userData - Validated email, password and name
+     * @returns {Promise<import('../models/User').User>} Created user
+     * @throws {ForbiddenError} When sign-up is closed
+     * @throws {ConflictError} When the address is taken
+     */
+    async register({ email, password, name = null }) {
+        const passwordHash = await hashPassword(password);
+
+        return this.db.transaction(async trx => {
+            const users = new UserRepository(trx);
+            const first = await users.count() === 0;
+            if (!first && !this.allowRegistration) {
+                throw new ForbiddenError('Registration is closed; ask an admin for an account');
+            }
+
+            await this.assertUnique(email, null, users);
+            const created = await users.create({ email, name, passwordHash, role: first ? 'admin' : 'user' });
+
+            if (first) {
+                await new KeywordRepository(trx).adoptUnowned(created.id);
+                await new WebhookRepository(trx).adoptUnowned(created.id);
+                await new EmailRecipientRepository(trx).adoptUnowned(created.id);
+                await new SubredditSubscriptionRepository(trx).adoptUnwatched(created.id);
+            }
+
+            return created;
+        });
+    }
+
+    /**
+     * Create an account on an admin's behalf
+     * @param {Object} userData - Validated email, password, name and role
+     * @returns {Promise<import('../models/User').User>} Created user
+     * @throws {ConflictError} When the address is taken
+     */
+    async createUser({ password, ...userData }) {
+        await this.assertUnique(userData.email);
+
+        try {
+            return await this.userRepository.create({ ...userData, passwordHash: await hashPassword(password) });
+        } catch (error) {
+            // Lost a race with a concurrent sign-up with the same address
+            if (isUniqueViolation(error)) {
+                await this.assertUnique(userData.email);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Update an account; a new password signs the user out everywhere else
+     * @param {number} id - User ID
+     * @param {Object} updateData - Validated fields, with `password` in plain text
+     * @param {string|null} keepToken - Token to leave signed in, such as the one making the change
+     * @returns {Promise<import('../models/User').User|null>} Updated user or null if not found
+     * @throws {ConflictError} When the address is taken or the last admin would lose the role
+     */
+    async updateUser(id, { password, ...updateData }, keepToken = null) {
+        const existing = await this.userRepository.findById(id);
+        if (!existing) {
+            return null;
+        }
+
+        if (updateData.email !== undefined) {
+            await this.assertUnique(updateData.email, id);
+        }
+        if (existing.isAdmin() && updateData.role !== undefined && updateData.role !== 'admin') {
+            await this.assertNotLastAdmin();
+        }
+        if (password !== undefined) {
+            updateData.passwordHash = await hashPassword(password);
+        }
+
+        const user = await this.userRepository.update(id, updateData);
+        if (user && password !== undefined) {
+            await this.tokenRepository.deleteForUser(id, keepToken ? AuthService.hashToken(keepToken) : null);
+        }
+        return user;
+    }
+
+    /**
+     * Delete an account along with everything it owns
+     * @param {number} id - User ID
+     * @returns {Promise<boolean>} True if deleted, false if not found
+     * @throws {ConflictError} When it is the last admin
+     */
+    async deleteUser(id) {
+        const existing = await this.userRepository.findById(id);
+        if (!existing) {
+            return false;
+        }
+        if (existing.isAdmin()) {
+            await this.assertNotLastAdmin();
+        }
+
+        return this.userRepository.delete(id);
+    }
+
+    /**
+     * Check a password and issue a token
+     * @param {string} email - Login address
+     * @param {string} password - Password
+     * @returns {Promise<{token: string, expiresAt: Date, user: import('../models/User').User}>} New login
+     * @throws {UnauthorizedError} When the address or password is wrong
+     */
+    async login(email, password) {
+        const user = await this.userRepository.findByEmail(email);
+
+        // Unknown addresses still pay for a hash, so timing doesn't reveal which exist
+        const valid = await verifyPassword(password, user ? user.passwordHash : AuthService.DUMMY_HASH);
+        if (!user || !valid) {
+            throw new UnauthorizedError('Invalid email or password');
+        }
+
+        // Logins are rare enough to sweep expired tokens as they happen
+        await this.tokenRepository.deleteExpired();
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + this.tokenTtlMs);
+        await this.tokenRepository.create(user.id, AuthService.hashToken(token), expiresAt);
+
+        return { token, expiresAt, user };
+    }
+
+    /**
+     * Whether a password is the user's current one, e.g. before changing it
+     * @param {import('../models/User').User} user - User
+     * @param {string} password - Password to check
+     * @returns {Promise<boolean>} True when it matches
+     */
+    async checkPassword(user, password) {
+        return verifyPassword(password, user.passwordHash);
+    }
+
+    /**
+     * Find the user a token belongs to
+     * @param {string} token - Bearer token
+     * @returns {Promise<import('../models/User').User|null>} User, or null if the token is unknown or expired
+     */
+    async authenticate(token) {
+        const userId = await this.tokenRepository.findUserId(AuthService.hashToken(token));
+        return userId === null ? null : this.userRepository.findById(userId);
+    }
+
+    /**
+     * Revoke a token
+     * @param {string} token - Bearer token
+     * @returns {Promise<boolean>} True if it was revoked
+     */
+    async logout(token) {
+        return this.tokenRepository.delete(AuthService.hashToken(token));
+    }
+
+    /**
+     * Reject an address that another account already uses
+     * @param {string} email - Login address
+     * @param {number|null} exceptId - Account being updated, which may keep its own address
+     * @param {import('../repositories/UserRepository')} users - Repository to check with
+     * @throws {ConflictError} When the address is taken
+     */
+    async assertUnique(email, exceptId = null, users = this.userRepository) {
+        const existing = await users.findByEmail(email);
+        if (existing && existing.id !== exceptId) {
+            throw new ConflictError(`User "${existing.email}" already exists`);
+        }
+    }
+
+    /**
+     * Keep at least one admin, so someone can always manage accounts
+     * @throws {ConflictError} When there is only one admin
+     */
+    async assertNotLastAdmin() {
+        if (await this.userRepository.count('admin') <= 1) {
+            throw new ConflictError('The last admin cannot be removed or demoted');
+        }
+    }
+
+    /**
+     * Hash a token for storage and lookup
+     * @param {string} token - Bearer token
+     * @returns {string} SHA-256 (hex)
+     */
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+}
+
+/**
+ * Well-formed hash that no password matches, checked against for unknown addresses
+ */
+AuthService.DUMMY_HASH = `scrypt$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(64).toString('base64')}`;
+
+module.exports = AuthService;
@@ -0,0 +1,82 @@
+const { linkKey, titleSimilarity } = require('../utils/duplicates');
+const { parsePrice } = require('../utils/priceParser');
+
+/**
+ * DuplicateDetector - finds the earlier post of a deal that a new post repeats
+ *
+ * A post is a duplicate when it is a Reddit crosspost of an ingested post, or
+ * when it was posted within the window of an earlier post that links to the
+ * same page or, failing that, has a near-identical title. Posts with
+ * different prices are never duplicates, and neither are repeats older than
+ * the window: a deal posted again next week is a new deal.
+ */
+class DuplicateDetector {
+    /**
+     * @param {Object} deps - Detector dependencies
+     * @param {import('../repositories/PostRepository')} deps.postRepository - Earlier posts
+     * @param {number} deps.windowMs - How far back to look for the same deal
+     * @param {number} deps.titleThreshold - Title similarity (0-1) from which titles count as the same
+     * @param {number} deps.candidateLimit - Recent posts compared by title
+     */
+    constructor({ postRepository, windowMs = 48 * 60 * 60 * 1000, titleThreshold = 0.8, candidateLimit = 500 }) {
+        this.postRepository = postRepository;
+        this.windowMs = windowMs;
+        this.titleThreshold = titleThreshold;
+        this.candidateLimit = candidateLimit;
+    }
+
+    /**
+     * Find the original post of the deal a new post repeats
+     * @param {Object} postData - Data the new post will be created with, including createdUtc
+     * @param {Object} item - Reddit listing item, for its crosspost parent
+     * @returns {Promise<number|null>} ID of the original post, or null when the deal is new
+     */
+    async findOriginal(postData, item = {}) {
+        if (item.crosspost_parent) {
+            const parent = await this.postRepository.findByRedditId(item.crosspost_parent);
+            if (parent) {
+                return parent.getOriginalId();
+            }
+        }
+
+        if (postData.createdUtc === null || postData.createdUtc === undefined) {
+            return null;
+        }
+        const sinceUtc = postData.createdUtc - Math.floor(this.windowMs / 1000);
+        const price = postData.price ?? parsePrice(postData.title).price;
+
+        const key = linkKey(postData.links);
+        if (key) {
+            const sameLink = await this.postRepository.findByLinkKey(key, sinceUtc);
+            const match = sameLink.find(post => this.samePrice(post, price));
+            return match ? match.getOriginalId() : null;
+        }
+
+        let best = null;
+        let bestScore = this.titleThreshold;
+        for (const post of await this.postRepository.findPostedSince(sinceUtc, this.candidateLimit)) {
+            // Posts with a link are matched by it; a text post only repeats another text post
+            if (post.linkKey !== null || !this.samePrice(post, price)) continue;
+
+            const score = titleSimilarity(post.title, postData.title);
+            if (score >= bestScore) {
+                best = post;
+                bestScore = score;
+            }
+        }
+
+        return best ? best.getOriginalId() : null;
+    }
+
+    /**
+     * Whether an earlier post doesn't disagree with a new post's price; a missing price agrees with any
+     * @param {import('../models/Post').Post} post - Earlier post
+     * @param {number|null} price - New post's price
+     * @returns {boolean} True unless both have different prices
+     */
+    samePrice(post, price) {
+        return post.price === null || price === null || post.price === price;
+    }
+}
+
+module.exports = DuplicateDetector;
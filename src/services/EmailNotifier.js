@@ -0,0 +1,248 @@
+const { describePrice, escapeHtml } = require('../utils/format');
+const { errorDetails } = require('../utils/errors');
+
+/**
+ * EmailNotifier - emails keyword matches, one by one or as digests
+ *
+ * Every match is queued in a persisted digest for the recipient's current
+ * window: immediate recipients get a window that ends at once, hourly and
+ * daily recipients one that ends at the next UTC hour or midnight. A timer
+ * sends digests whose window has ended, so after a restart pending digests
+ * still go out and sent ones are not resent. A digest is claimed before its
+ * matches are read, and later matches open a new digest for the same window.
+ * Failed sends go back to pending and are retried on later ticks until
+ * maxAttempts.
+ */
+class EmailNotifier {
+    /**
+     * @param {Object} deps - Notifier dependencies
+     * @param {import('../repositories/EmailRecipientRepository')} deps.recipientRepository - Recipients
+     * @param {import('../repositories/EmailDigestRepository')} deps.digestRepository - Digest windows and queued matches
+     * @param {import('nodemailer').Transporter} deps.transport - SMTP transport
+     * @param {string} deps.from - From address
+     * @param {number} deps.intervalMs - Delay between checks for due digests
+     * @param {number} deps.maxAttempts - Send attempts per digest before it is marked failed
+     * @param {Console} deps.logger - Logger
+     */
+    constructor({
+        recipientRepository,
+        digestRepository,
+        transport,
+        from = 'DealMonitor <dealmonitor@localhost>',
+        intervalMs = 60000,
+        maxAttempts = 5,
+        logger = console
+    }) {
+        this.recipientRepository = recipientRepository;
+        this.digestRepository = digestRepository;
+        this.transport = transport;
+        this.from = from;
+        this.intervalMs = intervalMs;
+        this.maxAttempts = maxAttempts;
+        this.logger = logger;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Send due digests immediately and then every intervalMs
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        // Only one sender runs, so any claim still held was left by a previous process
+        let released = false;
+
+        const tick = async () => {
+            try {
+                if (!released) {
+                    await this.digestRepository.releaseClaims();
+                    released = true;
+                }
+                await this.flushDue();
+            } catch (error) {
+                this.logger.error(`Email digest cycle failed: ${error.message}`, { error: errorDetails(error) });
+            }
+
+            if (this.running) {
+                this.timer = setTimeout(tick, this.intervalMs);
+            }
+        };
+
+        tick();
+    }
+
+    /**
+     * Stop scheduling further digest checks
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Queue a keyword match for the keyword owner's enabled recipients, sending at once to immediate ones
+     * @param {Object} event - `match` event from KeywordMatcher
+     * @returns {Promise<void>}
+     */
+    async notify({ post, keyword, context = {} }) {
+        const recipients = await this.recipientRepository.findEnabled(keyword.userId);
+        const now = new Date();
+
+        for (const recipient of recipients) {
+            const digest = await this.digestRepository.queue(recipient.id, EmailNotifier.windowEnd(recipient.mode, now), {
+                postId: post.id,
+                keywordId: keyword.id,
+                subreddit: context.subreddit || null
+            });
+
+            if (!recipient.isDigest()) {
+                await this.sendDigest(digest, recipient);
+            }
+        }
+    }
+
+    /**
+     * Send every pending digest whose window has ended
+     * @param {Date} now - Current time
+     * @returns {Promise<{sent: number, failed: number}>} Outcome counts
+     */
+    async flushDue(now = new Date()) {
+        const digests = await this.digestRepository.findDue(now);
+        const result = { sent: 0, failed: 0 };
+
+        for (const digest of digests) {
+            const sent = await this.sendDigest(digest);
+            if (sent !== null) {
+                result[sent ? 'sent' : 'failed']++;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Send one digest and record the outcome
+     * @param {import('../models/EmailDigest').EmailDigest} digest - Digest to send
+     * @param {import('../models/EmailRecipient').EmailRecipient} recipient - Its recipient, if already loaded
+     * @returns {Promise<boolean|null>} True once sent, false on failure, null if another sender claimed it
+     */
+    async sendDigest(digest, recipient = null) {
+        if (!await this.digestRepository.claim(digest.id)) {
+            return null;
+        }
+
+        recipient = recipient || await this.recipientRepository.findById(digest.recipientId);
+
+        // The recipient was deleted after the digest was queued; there is nobody to send it to
+        if (!recipient) {
+            await this.digestRepository.markFailed(digest.id, 'Recipient no longer exists', true);
+            this.logger.warn(`Email digest ${digest.id} dropped: recipient ${digest.recipientId} no longer exists`);
+            return false;
+        }
+
+        const items = (await this.digestRepository.findItems(digest.id)).filter(item => item.post && item.keyword);
+
+        // Everything queued was deleted in the meantime; nothing left to send
+        if (items.length === 0) {
+            await this.digestRepository.markSent(digest.id, null);
+            return true;
+        }
+
+        try {
+            const info = await this.transport.sendMail(this.buildMessage(recipient, items));
+            await this.digestRepository.markSent(digest.id, info.messageId || null);
+            return true;
+        } catch (error) {
+            const giveUp = digest.attempts + 1 >= this.maxAttempts;
+            await this.digestRepository.markFailed(digest.id, error.message, giveUp);
+            this.logger.error(`Email digest ${digest.id} to ${recipient.email} failed: ${error.message}`, { error: errorDetails(error) });
+            return false;
+        }
+    }
+
+    /**
+     * Build the email for a set of queued matches, grouped by keyword
+     * @param {import('../models/EmailRecipient').EmailRecipient} recipient - Recipient
+     * @param {Array<{post: Object, keyword: Object, subreddit: string|null}>} items - Queued matches
+     * @returns {Object} Nodemailer message
+     */
+    buildMessage(recipient, items) {
+        const groups = new Map();
+        for (const item of items) {
+            if (!groups.has(item.keyword.id)) {
+                groups.set(item.keyword.id, { keyword: item.keyword, entries: [] });
+            }
+            groups.get(item.keyword.id).entries.push(item);
+        }
+
+        let subject;
+        if (items.length === 1) {
+            subject = `[DealMonitor] "${items[0].keyword.keyword}": ${items[0].post.title}`;
+        } else {
+            const label = { hourly: 'Hourly digest', daily: 'Daily digest' }[recipient.mode] || 'New matches';
+            subject = `[DealMonitor] ${label}: ${items.length} matches for ${groups.size} keyword${groups.size === 1 ? '' : 's'}`;
+        }
+
+        const text = [];
+        const html = [];
+        for (const { keyword, entries } of groups.values()) {
+            text.push(`${keyword.keyword} (${entries.length})`, '');
+            html.push(`<h2>${escapeHtml(keyword.keyword)} (${entries.length})</h2>`, '<ul>');
+
+            for (const { post, subreddit } of entries) {
+                const price = describePrice(post);
+                const details = [price, subreddit && `r/${subreddit}`].filter(Boolean).join(' · ');
+                const links = post.links || [];
+
+                text.push(`- ${post.title}`);
+                if (details) text.push(`  ${details}`);
+                links.forEach(link => text.push(`  ${link}`));
+                text.push('');
+
+                const title = links.length > 0
+                    ? `<a href="${escapeHtml(links[0])}">${escapeHtml(post.title)}</a>`
+                    : escapeHtml(post.title);
+                const extraLinks = links.slice(1)
+                    .map(link => `<br><a href="${escapeHtml(link)}">${escapeHtml(link)}</a>`)
+                    .join('');
+                html.push(`<li>${title}${details ? `<br>${escapeHtml(details)}` : ''}${extraLinks}</li>`);
+            }
+
+            html.push('</ul>');
+        }
+
+        return {
+            from: this.from,
+            to: recipient.toAddress(),
+            subject: subject.slice(0, 200),
+            text: text.join('\n').trim(),
+            html: html.join('\n')
+        };
+    }
+
+    /**
+     * End of the batching window a match made at `now` belongs to
+     * @param {string} mode - immediate, hourly or daily
+     * @param {Date} now - Time of the match
+     * @returns {Date} Window end; `now` itself for immediate recipients
+     */
+    static windowEnd(mode, now = new Date()) {
+        const end = new Date(now.getTime());
+
+        switch (mode) {
+            case 'hourly':
+                end.setUTCMinutes(60, 0, 0);
+                return end;
+            case 'daily':
+                end.setUTCHours(24, 0, 0, 0);
+                return end;
+            default:
+                return end;
+        }
+    }
+}
+
+module.exports = EmailNotifier;
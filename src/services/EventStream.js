@@ -0,0 +1,171 @@
+/**
+ * EventStream - fans live events out to Server-Sent Events clients
+ *
+ * Events are kept in a bounded in-memory buffer so a client reconnecting with
+ * `Last-Event-ID` is replayed what it missed. IDs start at the boot time in
+ * milliseconds, so they keep increasing across restarts and an ID from a
+ * previous process never skips events from this one.
+ *
+ * Events with an owner (matches for a user's keyword) only reach that user's
+ * clients and clients without an owner scope, i.e. admins.
+ */
+class EventStream {
+    /**
+     * @param {Object} options - Stream options
+     * @param {number} options.bufferSize - Events kept for replay
+     * @param {number} options.heartbeatMs - Interval between keep-alive comments
+     * @param {number} options.retryMs - Reconnect delay suggested to clients
+     */
+    constructor({ bufferSize = 1000, heartbeatMs = 15000, retryMs = 5000 } = {}) {
+        this.bufferSize = bufferSize;
+        this.heartbeatMs = heartbeatMs;
+        this.retryMs = retryMs;
+        this.buffer = [];
+        this.clients = new Set();
+        this.lastId = Date.now();
+        this.heartbeat = null;
+    }
+
+    /**
+     * Record an event and send it to every client whose filter accepts it
+     * @param {string} type - SSE event name, e.g. `post` or `match`
+     * @param {Object} data - JSON payload
+     * @param {Object} meta - Fields clients filter on
+     * @param {number|null} meta.keywordId - Keyword that matched, for match events
+     * @param {string|null} meta.subreddit - Subreddit the post came from
+     * @param {number|null} meta.ownerId - User the event belongs to, or null when it is shared
+     * @returns {Object} Buffered event
+     */
+    publish(type, data, { keywordId = null, subreddit = null, ownerId = null } = {}) {
+        const event = { id: ++this.lastId, type, data, keywordId, subreddit, ownerId };
+
+        this.buffer.push(event);
+        if (this.buffer.length > this.bufferSize) {
+            this.buffer.shift();
+        }
+
+        for (const client of this.clients) {
+            if (this.accepts(client.filter, event)) {
+                this.write(client.res, event);
+            }
+        }
+
+        return event;
+    }
+
+    /**
+     * Attach an HTTP response as a stream client until the request closes
+     * @param {import('express').Request} req - Request, watched for disconnects
+     * @param {import('express').Response} res - Response to stream to
+     * @param {Object} options - Subscription options
+     * @param {Object} options.filter - `keywordIds` and `subreddits` to limit events to, and the `ownerId` scope
+     * @param {number|null} options.lastEventId - Last event the client saw, to replay from
+     */
+    subscribe(req, res, { filter = {}, lastEventId = null } = {}) {
+        res.status(200).set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            // Stop reverse proxies from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${this.retryMs}\n\n`);
+
+        const client = { res, filter };
+
+        if (lastEventId !== null) {
+            this.replay(client, lastEventId);
+        }
+
+        this.clients.add(client);
+        this.startHeartbeat();
+
+        req.on('close', () => {
+            this.clients.delete(client);
+            if (this.clients.size === 0) {
+                this.stopHeartbeat();
+            }
+        });
+    }
+
+    /**
+     * Send a reconnecting client the buffered events after the one it last saw
+     * When that event has already left the buffer, a `gap` event says so first.
+     * @param {Object} client - Stream client
+     * @param {number} lastEventId - Last event ID the client received
+     */
+    replay(client, lastEventId) {
+        const oldest = this.buffer[0];
+        if (oldest && lastEventId < oldest.id - 1) {
+            this.write(client.res, {
+                id: null,
+                type: 'gap',
+                data: { lastEventId, oldestAvailableId: oldest.id }
+            });
+        }
+
+        for (const event of this.buffer) {
+            if (event.id > lastEventId && this.accepts(client.filter, event)) {
+                this.write(client.res, event);
+            }
+        }
+    }
+
+    /**
+     * Whether an event passes a client's filter
+     * Keyword filters only let match events for those keywords through.
+     * @param {Object} filter - `keywordIds`, `subreddits` and `ownerId` (null sees every event)
+     * @param {Object} event - Buffered event
+     * @returns {boolean} True when the client should receive it
+     */
+    accepts({ keywordIds = [], subreddits = [], ownerId = null }, event) {
+        if (ownerId !== null && event.ownerId !== null && event.ownerId !== ownerId) {
+            return false;
+        }
+        if (keywordIds.length > 0 && !keywordIds.includes(event.keywordId)) {
+            return false;
+        }
+        if (subreddits.length > 0 && !subreddits.includes(event.subreddit)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Write one event in SSE wire format
+     * @param {import('express').Response} res - Client response
+     * @param {Object} event - Event with id, type and data
+     */
+    write(res, event) {
+        const lines = [];
+        if (event.id !== null) lines.push(`id: ${event.id}`);
+        lines.push(`event: ${event.type}`);
+        lines.push(`data: ${JSON.stringify(event.data)}`);
+        res.write(`${lines.join('\n')}\n\n`);
+    }
+
+    /**
+     * Keep idle connections open through proxies with periodic comments
+     */
+    startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(': heartbeat\n\n');
+            }
+        }, this.heartbeatMs);
+        // Don't keep the process alive just for heartbeats
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Stop the heartbeat once no clients are connected
+     */
+    stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+}
+
+module.exports = EventStream;
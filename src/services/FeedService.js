@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const AuthService = require('./AuthService');
+const { Subreddit } = require('../models/Subreddit');
+const { describePrice, escapeHtml } = require('../utils/format');
+const { parseTimestamp } = require('../utils/feeds');
+
+/**
+ * FeedService - feed tokens, and the posts behind keyword and subreddit feeds
+ *
+ * Feed readers can't log in, so each user may hold one feed token to put in
+ * their feed URLs as `?token=`. It only opens that user's feeds: the keywords
+ * they own and the subreddits they subscribe to, or every one for admins.
+ * Tokens start with `dmf_`, are shown only when issued, and are stored as
+ * their SHA-256. Feeds are built here and rendered by utils/feeds. Entry IDs
+ * are URNs made from the post ID, so they don't change with the host the
+ * feed is fetched from.
+ */
+class FeedService {
+    /**
+     * @param {Object} deps - Service dependencies
+     * @param {import('../repositories/FeedTokenRepository')} deps.feedTokenRepository - Issued tokens
+     * @param {import('../repositories/UserRepository')} deps.userRepository - Token owners
+     * @param {import('../repositories/KeywordRepository')} deps.keywordRepository - Keyword feeds
+     * @param {import('../repositories/SubredditRepository')} deps.subredditRepository - Subreddit feeds
+     * @param {import('../repositories/PostRepository')} deps.postRepository - Feed entries
+     * @param {string} deps.redditBaseUrl - Reddit site, for subreddit links
+     * @param {number} deps.entryLimit - Newest posts to put in a feed
+     */
+    constructor({ feedTokenRepository, userRepository, keywordRepository, subredditRepository, postRepository, redditBaseUrl = 'https://www.reddit.com', entryLimit = 50 }) {
+        this.feedTokenRepository = feedTokenRepository;
+        this.userRepository = userRepository;
+        this.keywordRepository = keywordRepository;
+        this.subredditRepository = subredditRepository;
+        this.postRepository = postRepository;
+        this.redditBaseUrl = redditBaseUrl;
+        this.entryLimit = entryLimit;
+    }
+
+    /**
+     * Issue a feed token for a user, replacing the one they had
+     * @param {number} userId - User ID
+     * @returns {Promise<string>} The token, shown only now
+     */
+    async issueToken(userId) {
+        const token = `${FeedService.PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        await this.feedTokenRepository.replace(userId, AuthService.hashToken(token));
+        return token;
+    }
+
+    /**
+     * Revoke a user's feed token, so their feed URLs stop working
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} True if the user had a token
+     */
+    async revokeToken(userId) {
+        return this.feedTokenRepository.deleteForUser(userId);
+    }
+
+    /**
+     * Find the user behind a feed token
+     * @param {string} token - Token from the feed URL
+     * @returns {Promise<import('../models/User').User|null>} Owner, or null if the token is unknown
+     */
+    async authenticate(token) {
+        const tokenHash = AuthService.hashToken(token);
+        const userId = await this.feedTokenRepository.findUserId(tokenHash);
+        if (userId === null) {
+            return null;
+        }
+
+        await this.feedTokenRepository.touch(tokenHash);
+        return this.userRepository.findById(userId);
+    }
+
+    /**
+     * Build the feed of posts a keyword matched, newest first
+     * @param {number} keywordId - Keyword ID
+     * @param {number|null} ownerId - Only build it if this user owns the keyword
+     * @returns {Promise<Object|null>} Feed without its self link, or null if there is no such keyword
+     */
+    async keywordFeed(keywordId, ownerId = null) {
+        const keyword = await this.keywordRepository.findById(keywordId, ownerId);
+        if (!keyword) {
+            return null;
+        }
+
+        const { posts } = await this.postRepository.findByKeyword(keyword.id, { limit: this.entryLimit });
+        return this.buildFeed({
+            id: `urn:dealmonitor:feed:keyword:${keyword.id}`,
+            title: `DealMonitor: ${keyword.keyword}`,
+            subtitle: `Posts matching "${keyword.keyword}"`,
+            alternate: null,
+            since: keyword.updatedAt || keyword.createdAt,
+            posts
+        });
+    }
+
+    /**
+     * Build the feed of posts ingested from a subreddit, newest first
+     * @param {string} name - Subreddit name
+     * @param {number|null} ownerId - Only build it if this user subscribes to the subreddit
+     * @returns {Promise<Object|null>} Feed without its self link, or null if the subreddit isn't watched
+     */
+    async subredditFeed(name, ownerId = null) {
+        const subreddit = await this.subredditRepository.findByName(name, ownerId);
+        if (!subreddit) {
+            return null;
+        }
+
+        const { posts } = await this.postRepository.findAll({
+            subreddit: Subreddit.normalizeName(subreddit.name),
+            limit: this.entryLimit,
+            sortBy: 'created_at',
+            sortOrder: 'desc'
+        });
+        return this.buildFeed({
+            id: `urn:dealmonitor:feed:subreddit:${Subreddit.normalizeName(subreddit.name)}`,
+            title: `DealMonitor: r/${subreddit.name}`,
+            subtitle: `Posts from r/${subreddit.name}`,
+            alternate: `${this.redditBaseUrl}/r/${subreddit.name}`,
+            since: subreddit.updatedAt || subreddit.createdAt,
+            posts
+        });
+    }
+
+    /**
+     * Assemble a feed; it was last updated with its newest entry, or when its source was
+     * @param {Object} options - Feed details
+     * @param {string} options.id - Feed ID
+     * @param {string} options.title - Feed title
+     * @param {string} options.subtitle - Feed description
+     * @param {string|null} options.alternate - Page the feed follows, if any
+     * @param {string|null} options.since - When the keyword or subreddit last changed
+     * @param {import('../models/Post').Post[]} options.posts - Posts, newest first
+     * @returns {Object} Feed, see utils/feeds
+     */
+    buildFeed({ id, title, subtitle, alternate, since, posts }) {
+        const entries = posts.map(post => this.toEntry(post));
+        const times = [parseTimestamp(since), ...entries.map(entry => entry.updated)].filter(Boolean);
+        const updated = times.length > 0 ? new Date(Math.max(...times)) : new Date(0);
+
+        return { id, title, subtitle, alternate, self: null, updated, entries };
+    }
+
+    /**
+     * Turn a post into a feed entry
+     * The entry links to the deal itself, or to the Reddit thread for text posts;
+     * its content has the price, preview text and every link.
+     * @param {import('../models/Post').Post} post - Post with its links
+     * @returns {Object} Entry, see utils/feeds
+     */
+    toEntry(post) {
+        const redditUrl = post.getRedditUrl();
+        const link = post.links[0] || redditUrl;
+        const published = (post.createdUtc ? new Date(post.createdUtc * 1000) : null) ||
+            parseTimestamp(post.createdAt) || new Date(0);
+        const updated = parseTimestamp(post.updatedAt) || published;
+
+        return {
+            id: `urn:dealmonitor:post:${post.id}`,
+            title: post.title,
+            link,
+            related: [...post.links, redditUrl].filter(href => href && href !== link),
+            author: post.author ? `u/${post.author}` : null,
+            categories: [post.category, post.subreddit && `r/${post.subreddit}`].filter(Boolean),
+            published,
+            updated: updated > published ? updated : published,
+            summary: post.getPreviewText(),
+            content: this.entryContent(post, redditUrl)
+        };
+    }
+
+    /**
+     * HTML body of an entry
+     * @param {import('../models/Post').Post} post - Post with its links
+     * @param {string|null} redditUrl - Reddit thread
+     * @returns {string} HTML
+     */
+    entryContent(post, redditUrl) {
+        const html = [];
+
+        const price = describePrice(post);
+        const flags = [
+            post.allTimeLow && 'all-time low',
+            post.priceDropPercent !== null && `${Math.round(post.priceDropPercent)}% drop`
+        ].filter(Boolean);
+        if (price) {
+            const note = flags.length > 0 ? ` · ${escapeHtml(flags.join(', '))}` : '';
+            html.push(`<p><strong>${escapeHtml(price)}</strong>${note}</p>`);
+        }
+
+        html.push(`<p>${escapeHtml(post.getPreviewText())}</p>`);
+
+        if (post.links.length > 0) {
+            html.push('<ul>');
+            post.links.forEach(href => html.push(`<li><a href="${escapeHtml(href)}">${escapeHtml(href)}</a></li>`));
+            html.push('</ul>');
+        }
+        if (redditUrl) {
+            html.push(`<p><a href="${escapeHtml(redditUrl)}">Discussion on Reddit</a></p>`);
+        }
+
+        return html.join('\n');
+    }
+}
+
+/**
+ * Start of every feed token
+ */
+FeedService.PREFIX = 'dmf_';
+
+module.exports = FeedService;
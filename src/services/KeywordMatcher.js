@@ -0,0 +1,119 @@
+const { EventEmitter } = require('events');
+const { matchKeywordQuery } = require('../utils/keywordQuery');
+
+/**
+ * KeywordMatcher - checks posts against keywords and records the hits
+ *
+ * Emits `match` with ({ post, keyword, matches, context }) for every keyword
+ * a newly created post matches. A crosspost or repost only emits for keywords
+ * that no other post of the same deal matched, so one deal notifies once.
+ * Rescans rebuild stored matches silently, so editing a keyword never
+ * re-notifies for old posts.
+ */
+class KeywordMatcher extends EventEmitter {
+    /**
+     * @param {Object} deps - Matcher dependencies
+     * @param {import('../repositories/KeywordRepository')} deps.keywordRepository - Keywords to match
+     * @param {import('../repositories/PostRepository')} deps.postRepository - Posts to scan
+     * @param {import('../repositories/PostKeywordMatchRepository')} deps.matchRepository - Match storage
+     * @param {number} deps.batchSize - Posts loaded per batch when rescanning
+     */
+    constructor({ keywordRepository, postRepository, matchRepository, batchSize = 200 }) {
+        super();
+        this.keywordRepository = keywordRepository;
+        this.postRepository = postRepository;
+        this.matchRepository = matchRepository;
+        this.batchSize = batchSize;
+    }
+
+    /**
+     * Find where a keyword's query hits a post
+     * @param {import('../models/Post').Post} post - Post to check
+     * @param {import('../models/Keyword').Keyword} keyword - Keyword to evaluate
+     * @param {string|null} subreddit - Subreddit the post came from, if known
+     * @returns {Object[]} Match data, empty when the query doesn't match or the
+     *   keyword is limited to other categories or subreddits
+     */
+    findMatches(post, keyword, subreddit = post.subreddit || null) {
+        if (!keyword.appliesToCategory(post.category) || !keyword.appliesToSubreddit(subreddit)) {
+            return [];
+        }
+
+        return matchKeywordQuery(keyword.getQuery(), post).map(hit => ({
+            postId: post.id,
+            keywordId: keyword.id,
+            ...hit
+        }));
+    }
+
+    /**
+     * Match a newly created post against every keyword and store the hits
+     * @param {import('../models/Post').Post} post - Created post
+     * @param {Object} context - Extra detail passed through to `match` listeners; `subreddit` limits keywords
+     * @returns {Promise<Array<{keyword: Object, matches: Object[]}>>} Keywords the post matched
+     */
+    async matchPost(post, context = {}) {
+        const keywords = await this.keywordRepository.getAll();
+        const subreddit = context.subreddit || post.subreddit || null;
+
+        const hits = keywords
+            .map(keyword => ({ keyword, matches: this.findMatches(post, keyword, subreddit) }))
+            .filter(hit => hit.matches.length > 0);
+
+        await this.matchRepository.replaceForPost(post.id, hits.flatMap(hit => hit.matches));
+
+        for (const { keyword, matches } of hits) {
+            if (post.duplicateOf !== null &&
+                    await this.matchRepository.existsForDuplicates(post.duplicateOf, keyword.id, post.id)) {
+                continue;
+            }
+            this.emit('match', { post, keyword, matches, context });
+        }
+
+        return hits;
+    }
+
+    /**
+     * Re-match an edited post against every keyword without notifying
+     * @param {import('../models/Post').Post} post - Edited post
+     * @returns {Promise<number>} Number of keywords the post now matches
+     */
+    async rescanPost(post) {
+        const keywords = await this.keywordRepository.getAll();
+        const matches = keywords.flatMap(keyword => this.findMatches(post, keyword));
+
+        await this.matchRepository.replaceForPost(post.id, matches);
+        return new Set(matches.map(match => match.keywordId)).size;
+    }
+
+    /**
+     * Re-match every existing post against a keyword after it is added or edited
+     * @param {import('../models/Keyword').Keyword} keyword - Keyword to rescan
+     * @returns {Promise<number>} Number of posts the keyword now matches
+     */
+    async rescanKeyword(keyword) {
+        const matches = [];
+        const matchedPosts = new Set();
+        let afterId = 0;
+
+        for (;;) {
+            const posts = await this.postRepository.findAfterId(afterId, this.batchSize);
+            if (posts.length === 0) break;
+
+            for (const post of posts) {
+                const postMatches = this.findMatches(post, keyword);
+                if (postMatches.length > 0) {
+                    matchedPosts.add(post.id);
+                    matches.push(...postMatches);
+                }
+            }
+
+            afterId = posts[posts.length - 1].id;
+        }
+
+        await this.matchRepository.replaceForKeyword(keyword.id, matches);
+        return matchedPosts.size;
+    }
+}
+
+module.exports = KeywordMatcher;
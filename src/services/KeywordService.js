@@ -0,0 +1,150 @@
+const { ConflictError, isUniqueViolation } = require('../utils/errors');
+
+/**
+ * KeywordService - keyword writes that keep stored matches in step
+ * Adding or editing a keyword re-matches the existing posts against it.
+ * Keyword text is unique per owner. Limiting a keyword to subreddits, or
+ * lifting a limit, re-matches it too. Every change is recorded in the audit trail.
+ */
+class KeywordService {
+    /**
+     * @param {Object} deps - Service dependencies
+     * @param {import('../repositories/KeywordRepository')} deps.keywordRepository - Keyword storage
+     * @param {import('../repositories/KeywordSubredditRepository')} deps.keywordSubredditRepository - Keyword subreddit limits
+     * @param {import('./KeywordMatcher')} deps.keywordMatcher - Matcher used for rescans
+     * @param {import('./AuditTrail')} deps.auditTrail - Change history
+     */
+    constructor({ keywordRepository, keywordSubredditRepository, keywordMatcher, auditTrail }) {
+        this.keywordRepository = keywordRepository;
+        this.keywordSubredditRepository = keywordSubredditRepository;
+        this.keywordMatcher = keywordMatcher;
+        this.auditTrail = auditTrail;
+    }
+
+    /**
+     * Create a keyword and match it against existing posts
+     * @param {Object} keywordData - Keyword data, including the owner's userId
+     * @returns {Promise<import('../models/Keyword').Keyword>} Created keyword
+     * @throws {ConflictError} When the owner already has the keyword
+     */
+    async create(keywordData) {
+        await this.assertUnique(keywordData.keyword, keywordData.userId);
+
+        let keyword;
+        try {
+            keyword = await this.keywordRepository.create(keywordData);
+        } catch (error) {
+            // Lost a race with a concurrent insert of the same keyword
+            if (isUniqueViolation(error)) {
+                await this.assertUnique(keywordData.keyword, keywordData.userId);
+            }
+            throw error;
+        }
+
+        await this.auditTrail.record('create', 'keyword', null, keyword);
+        await this.keywordMatcher.rescanKeyword(keyword);
+        return keyword;
+    }
+
+    /**
+     * Update a keyword and re-match it when its text or categories changed
+     * @param {number} id - Keyword ID
+     * @param {Object} updateData - Data to update
+     * @param {number|null} ownerId - Only update the keyword if this user owns it
+     * @returns {Promise<import('../models/Keyword').Keyword|null>} Updated keyword or null if not found
+     * @throws {ConflictError} When the new text belongs to another of the owner's keywords
+     */
+    async update(id, updateData, ownerId = null) {
+        const existing = await this.keywordRepository.findById(id, ownerId);
+        if (!existing) {
+            return null;
+        }
+
+        if (updateData.keyword !== undefined) {
+            await this.assertUnique(updateData.keyword, existing.userId, id);
+        }
+
+        const keyword = await this.keywordRepository.update(id, updateData, ownerId);
+        if (keyword) {
+            await this.auditTrail.record('update', 'keyword', existing, keyword);
+        }
+
+        const categoriesChanged = keyword &&
+            JSON.stringify(keyword.categories) !== JSON.stringify(existing.categories);
+        if (keyword && (keyword.keyword !== existing.keyword || categoriesChanged)) {
+            await this.keywordMatcher.rescanKeyword(keyword);
+        }
+
+        return keyword;
+    }
+
+    /**
+     * Delete a keyword; its matches are removed by the foreign key cascade
+     * @param {number} id - Keyword ID
+     * @param {number|null} ownerId - Only delete the keyword if this user owns it
+     * @returns {Promise<boolean>} True if deleted, false if not found
+     */
+    async delete(id, ownerId = null) {
+        const existing = await this.keywordRepository.findById(id, ownerId);
+        if (!existing || !await this.keywordRepository.delete(id, ownerId)) {
+            return false;
+        }
+
+        await this.auditTrail.record('delete', 'keyword', existing, null);
+        return true;
+    }
+
+    /**
+     * Limit a keyword to a subreddit, on top of any it is already limited to
+     * A keyword without limits applies to every subreddit, so its first limit
+     * narrows it to that one subreddit.
+     * @param {import('../models/Keyword').Keyword} keyword - Keyword to limit
+     * @param {import('../models/Subreddit').Subreddit} subreddit - Subreddit to add
+     * @returns {Promise<import('../models/Keyword').Keyword>} Keyword with its updated subreddits
+     */
+    async attachSubreddit(keyword, subreddit) {
+        if (!await this.keywordSubredditRepository.attach(keyword.id, subreddit.id)) {
+            return keyword;
+        }
+
+        const updated = await this.keywordRepository.findById(keyword.id);
+        await this.auditTrail.record('update', 'keyword', keyword, updated);
+        await this.keywordMatcher.rescanKeyword(updated);
+        return updated;
+    }
+
+    /**
+     * Remove a subreddit from a keyword's limits; without any left it applies everywhere again
+     * @param {import('../models/Keyword').Keyword} keyword - Keyword to change
+     * @param {import('../models/Subreddit').Subreddit} subreddit - Subreddit to remove
+     * @returns {Promise<boolean>} True if removed, false if the keyword wasn't limited to it
+     */
+    async detachSubreddit(keyword, subreddit) {
+        if (!await this.keywordSubredditRepository.detach(keyword.id, subreddit.id)) {
+            return false;
+        }
+
+        const updated = await this.keywordRepository.findById(keyword.id);
+        await this.auditTrail.record('update', 'keyword', keyword, updated);
+        await this.keywordMatcher.rescanKeyword(updated);
+        return true;
+    }
+
+    /**
+     * Reject keyword text that another of the owner's keywords already uses
+     * @param {string} text - Keyword text
+     * @param {number|null} ownerId - Owner whose keywords must stay unique
+     * @param {number|null} exceptId - Keyword being updated, which may keep its own text
+     * @throws {ConflictError} Naming the existing keyword
+     */
+    async assertUnique(text, ownerId, exceptId = null) {
+        const existing = await this.keywordRepository.findByKeyword(text, ownerId);
+        if (existing && existing.id !== exceptId) {
+            throw new ConflictError(`Keyword "${existing.keyword}" already exists`, {
+                existing: existing.toJSON()
+            });
+        }
+    }
+}
+
+module.exports = KeywordService;
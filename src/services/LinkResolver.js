@@ -0,0 +1,130 @@
+const { DEFAULT_SHORTENERS, parseLink } = require('../utils/links');
+const { errorDetails } = require('../utils/errors');
+
+/**
+ * LinkResolver - expands shortened links, such as amzn.to, to the page they lead to
+ *
+ * Only shortener hosts are ever requested: each hop is a HEAD request whose
+ * Location header is read without following it, and resolving stops at the
+ * first link off a shortener. The retailer page itself is never fetched.
+ * Links that fail to resolve are kept as they are. Expansions are cached,
+ * since the same short link is often posted many times.
+ */
+class LinkResolver {
+    /**
+     * @param {Object} options - Resolver options
+     * @param {boolean} options.enabled - Expand links at all; when false links are returned as given
+     * @param {string[]} options.shorteners - Extra shortener hosts, on top of the defaults
+     * @param {string} options.userAgent - User-Agent header sent to shorteners
+     * @param {number} options.timeoutMs - Abort each request that takes longer than this
+     * @param {number} options.maxRedirects - Hops to follow before giving up
+     * @param {number} options.cacheSize - Expansions to remember
+     * @param {Console} options.logger - Logger
+     */
+    constructor({
+        enabled = false,
+        shorteners = [],
+        userAgent = 'DealMonitor/1.0.0',
+        timeoutMs = 5000,
+        maxRedirects = 5,
+        cacheSize = 1000,
+        logger = console
+    } = {}) {
+        this.enabled = enabled;
+        this.shorteners = new Set([...DEFAULT_SHORTENERS, ...shorteners].map(host => host.toLowerCase()));
+        this.userAgent = userAgent;
+        this.timeoutMs = timeoutMs;
+        this.maxRedirects = maxRedirects;
+        this.cacheSize = cacheSize;
+        this.logger = logger;
+        this.cache = new Map();
+    }
+
+    /**
+     * Expand every shortened link of a post
+     * @param {string[]} links - Links as posted
+     * @returns {Promise<string[]>} Links with shortened ones expanded, in the same order
+     */
+    async expand(links = []) {
+        if (!this.enabled) {
+            return links;
+        }
+        return Promise.all(links.map(link => this.isShortened(link) ? this.resolve(link) : link));
+    }
+
+    /**
+     * Whether a link is on a shortener host
+     * @param {string} link - Link
+     * @returns {boolean} True for shortened links
+     */
+    isShortened(link) {
+        const url = parseLink(link);
+        return url !== null && this.shorteners.has(url.hostname.replace(/^www\./, ''));
+    }
+
+    /**
+     * Follow a shortened link's redirects until they leave the shorteners
+     * @param {string} link - Shortened link
+     * @returns {Promise<string>} Expanded link, or the link itself when it can't be expanded
+     */
+    async resolve(link) {
+        if (this.cache.has(link)) {
+            return this.cache.get(link);
+        }
+
+        let current = link;
+        try {
+            for (let hop = 0; hop < this.maxRedirects && this.isShortened(current); hop++) {
+                const location = await this.fetchLocation(current);
+                if (!location) break;
+                current = new URL(location, current).toString();
+            }
+        } catch (error) {
+            this.logger.warn(`Failed to expand ${link}: ${error.message}`, { error: errorDetails(error) });
+            return link;
+        }
+
+        this.remember(link, current);
+        return current;
+    }
+
+    /**
+     * Ask a shortener where a link redirects to
+     * @param {string} link - Shortened link
+     * @returns {Promise<string|null>} Location header, or null when the response isn't a redirect
+     */
+    async fetchLocation(link) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            const response = await fetch(link, {
+                method: 'HEAD',
+                redirect: 'manual',
+                headers: { 'User-Agent': this.userAgent },
+                signal: controller.signal
+            });
+
+            return response.status >= 300 && response.status < 400 ? response.headers.get('location') : null;
+        } catch (error) {
+            const reason = error.name === 'AbortError' ? `timed out after ${this.timeoutMs}ms` : error.message;
+            throw new Error(`Failed to request ${link}: ${reason}`, { cause: error });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Cache an expansion, forgetting the oldest once the cache is full
+     * @param {string} link - Shortened link
+     * @param {string} expanded - Where it leads
+     */
+    remember(link, expanded) {
+        if (this.cache.size >= this.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(link, expanded);
+    }
+}
+
+module.exports = LinkResolver;
@@ -0,0 +1,110 @@
+const PostRepository = require('../repositories/PostRepository');
+const ProductRepository = require('../repositories/ProductRepository');
+const PriceHistoryRepository = require('../repositories/PriceHistoryRepository');
+const { productKey } = require('../utils/duplicates');
+
+/**
+ * PriceTracker - files new posts under products and flags good prices
+ *
+ * Each new post joins the product its link or title points at; see
+ * utils/duplicates. A priced post is a sighting: its price goes into the
+ * product's history, and the post is flagged when it is below every earlier
+ * sighting (`allTimeLow`) or at least dropPercent below the last one
+ * (`priceDropPercent`). A product's first sighting is never flagged, and
+ * only prices in the product's currency are compared. Crossposts and reposts
+ * join their original's product without being a sighting of their own.
+ */
+class PriceTracker {
+    /**
+     * @param {Object} deps - Tracker dependencies
+     * @param {import('knex').Knex} deps.db - Database connection, used when no transaction is given
+     * @param {number} deps.dropPercent - Drop from the last sighting, in percent, that flags a post
+     */
+    constructor({ db, dropPercent = 10 }) {
+        this.db = db;
+        this.dropPercent = dropPercent;
+    }
+
+    /**
+     * File a newly stored post under its product and flag its price
+     * @param {import('../models/Post').Post} post - New post
+     * @param {import('knex').Knex} db - Connection or transaction the post was stored with
+     * @returns {Promise<import('../models/Post').Post>} Post with its product and flags
+     */
+    async track(post, db = this.db) {
+        const posts = new PostRepository(db);
+
+        if (post.duplicateOf !== null) {
+            const original = await posts.findById(post.duplicateOf);
+            if (!original || original.productId === null) {
+                return post;
+            }
+            return posts.setPriceTracking(post.id, { productId: original.productId, allTimeLow: false, priceDropPercent: null });
+        }
+
+        const key = productKey(post.links, post.title);
+        if (!key) {
+            return post;
+        }
+
+        const products = new ProductRepository(db);
+        const product = await products.findOrCreate(key, {
+            title: post.title,
+            linkKey: key.startsWith('link:') ? key.slice('link:'.length) : null
+        });
+
+        let flags = { allTimeLow: false, priceDropPercent: null };
+        if (post.price !== null) {
+            const seenAt = PriceTracker.seenAt(post);
+            await new PriceHistoryRepository(db).create({
+                productId: product.id,
+                postId: post.id,
+                price: post.price,
+                currency: post.currency,
+                seenAt
+            });
+
+            if (product.sightings === 0 || product.currency === post.currency) {
+                flags = this.compare(product, post.price);
+                await products.recordSighting(product, { title: post.title, price: post.price, currency: post.currency, seenAt });
+            }
+        }
+
+        return posts.setPriceTracking(post.id, { productId: product.id, ...flags });
+    }
+
+    /**
+     * Compare a new price with a product's earlier sightings
+     * @param {import('../models/Product').Product} product - Product before this sighting
+     * @param {number} price - New price, in the product's currency
+     * @returns {{allTimeLow: boolean, priceDropPercent: number|null}} Flags
+     */
+    compare(product, price) {
+        if (product.sightings === 0) {
+            return { allTimeLow: false, priceDropPercent: null };
+        }
+
+        const drop = product.lastPrice > 0
+            ? Math.round((product.lastPrice - price) / product.lastPrice * 10000) / 100
+            : 0;
+
+        return {
+            allTimeLow: price < product.lowestPrice,
+            priceDropPercent: drop >= this.dropPercent ? drop : null
+        };
+    }
+
+    /**
+     * When a post's price was seen: its Reddit posting time, or when it was stored
+     * @param {import('../models/Post').Post} post - Post
+     * @returns {string} 'YYYY-MM-DD HH:MM:SS', UTC
+     */
+    static seenAt(post) {
+        if (post.createdUtc !== null) {
+            return new Date(post.createdUtc * 1000).toISOString().slice(0, 19).replace('T', ' ');
+        }
+        return post.createdAt;
+    }
+}
+
+module.exports = PriceTracker;
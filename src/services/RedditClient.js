@@ -0,0 +1,82 @@
+/**
+ * RedditClient - thin HTTP client for Reddit's public JSON listings
+ * The base URL is configurable so the poller can be pointed at a local stub server
+ */
+class RedditClient {
+    /**
+     * @param {Object} options - Client options
+     * @param {string} options.baseUrl - Reddit origin, e.g. https://www.reddit.com
+     * @param {string} options.userAgent - User-Agent header Reddit requires for API clients
+     * @param {number} options.timeoutMs - Abort requests that take longer than this
+     */
+    constructor({
+        baseUrl = 'https://www.reddit.com',
+        userAgent = 'DealMonitor/1.0.0',
+        timeoutMs = 10000
+    } = {}) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.userAgent = userAgent;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * Fetch a page of the newest posts in a subreddit
+     * @param {string} subreddit - Subreddit name without the r/ prefix
+     * @param {Object} options - Listing options
+     * @param {string} options.after - Fullname to page after
+     * @param {number} options.limit - Items per page (Reddit caps this at 100)
+     * @returns {Promise<{items: Object[], after: string|null}>} Listing items and next page cursor
+     */
+    async fetchNew(subreddit, { after = null, limit = 100 } = {}) {
+        const url = new URL(`${this.baseUrl}/r/${encodeURIComponent(subreddit)}/new.json`);
+        url.searchParams.set('limit', String(limit));
+        // Without raw_json Reddit HTML-escapes ampersands inside URLs
+        url.searchParams.set('raw_json', '1');
+        if (after) {
+            url.searchParams.set('after', after);
+        }
+
+        const listing = await this.getJson(url);
+        const data = (listing && listing.data) || {};
+
+        return {
+            items: (data.children || [])
+                .filter(child => child.kind === 't3' && child.data)
+                .map(child => child.data),
+            after: data.after || null
+        };
+    }
+
+    /**
+     * GET a URL and parse the JSON body
+     * @param {URL} url - URL to request
+     * @returns {Promise<Object>} Parsed response body
+     */
+    async getJson(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            const response = await fetch(url, {
+                headers: {
+                    'Accept': 'application/json',
+                    'User-Agent': this.userAgent
+                },
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            const reason = error.name === 'AbortError' ? `timed out after ${this.timeoutMs}ms` : error.message;
+            throw new Error(`Failed to fetch ${url.pathname}: ${reason}`, { cause: error });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+module.exports = RedditClient;
@@ -0,0 +1,249 @@
+const { randomUUID } = require('crypto');
+const { EventEmitter } = require('events');
+const PostRepository = require('../repositories/PostRepository');
+const SubredditCheckpointRepository = require('../repositories/SubredditCheckpointRepository');
+const { runWithContext } = require('../utils/context');
+const { toPostData } = require('./redditMapper');
+const { errorDetails, isTransientError } = require('../utils/errors');
+
+/**
+ * RedditPoller - periodically ingests new posts from every watched subreddit
+ *
+ * Each subreddit keeps a checkpoint of the newest post ingested, so a restart
+ * neither re-ingests nor skips posts, and a post already stored under its
+ * fullname is never stored twice. Shortened links are expanded before
+ * anything else looks at them. Crossposts and reposts are stored pointing
+ * at the first post of the deal. New posts are filed under their product,
+ * with their price flags, in the same transaction. A post that can never be
+ * stored, because it can't be mapped or the database rejects it, is logged
+ * and skipped, and the checkpoint moves past it. Any other failure, such as
+ * a busy or full database, ends the subreddit's cycle with the checkpoint
+ * left on the last stored post, so the next cycle tries again. Emits
+ * `post` with (post, context) after each new post is committed.
+ */
+class RedditPoller extends EventEmitter {
+    /**
+     * @param {Object} deps - Poller dependencies
+     * @param {import('knex').Knex} deps.db - Database connection, used for per-post transactions
+     * @param {import('../repositories/SubredditRepository')} deps.subredditRepository - Watched subreddits
+     * @param {SubredditCheckpointRepository} deps.checkpointRepository - Polling checkpoints
+     * @param {import('./RedditClient')} deps.redditClient - Reddit HTTP client
+     * @param {import('./LinkResolver')|null} deps.linkResolver - Expands shortened links
+     * @param {import('./DuplicateDetector')|null} deps.duplicateDetector - Finds the post a new one repeats
+     * @param {import('./PriceTracker')|null} deps.priceTracker - Files new posts under products
+     * @param {import('../utils/categoryParser').CategoryParser} [deps.categoryParser] - Categories of new posts; defaults to the built-in aliases
+     * @param {import('../utils/retailerParser').RetailerParser} [deps.retailerParser] - Retailers of new posts' links; defaults to the built-in domains
+     * @param {number} deps.intervalMs - Delay between poll cycles
+     * @param {number} deps.pageLimit - Listing items requested per page
+     * @param {number} deps.maxPages - Pages to walk back per cycle when catching up
+     * @param {Console} deps.logger - Logger
+     */
+    constructor({
+        db,
+        subredditRepository,
+        checkpointRepository,
+        redditClient,
+        linkResolver = null,
+        duplicateDetector = null,
+        priceTracker = null,
+        categoryParser,
+        retailerParser,
+        intervalMs = 60000,
+        pageLimit = 100,
+        maxPages = 5,
+        logger = console
+    }) {
+        super();
+        this.db = db;
+        this.subredditRepository = subredditRepository;
+        this.checkpointRepository = checkpointRepository;
+        this.redditClient = redditClient;
+        this.linkResolver = linkResolver;
+        this.duplicateDetector = duplicateDetector;
+        this.priceTracker = priceTracker;
+        this.categoryParser = categoryParser;
+        this.retailerParser = retailerParser;
+        this.intervalMs = intervalMs;
+        this.pageLimit = pageLimit;
+        this.maxPages = maxPages;
+        this.logger = logger;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start polling immediately and then every intervalMs
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        // Log lines from one cycle share its pollId
+        const tick = async () => {
+            await runWithContext({ pollId: randomUUID() }, async () => {
+                try {
+                    await this.pollAll();
+                } catch (error) {
+                    this.logger.error(`Poll cycle failed: ${error.message}`, { error: errorDetails(error) });
+                }
+            });
+
+            if (this.running) {
+                this.timer = setTimeout(tick, this.intervalMs);
+            }
+        };
+
+        tick();
+    }
+
+    /**
+     * Stop scheduling further poll cycles
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Poll every watched subreddit once
+     * @returns {Promise<{subreddits: number, inserted: number, failed: string[]}>} Cycle summary
+     */
+    async pollAll() {
+        const summary = { subreddits: 0, inserted: 0, failed: [] };
+
+        for await (const subreddit of this.watchedSubreddits()) {
+            summary.subreddits++;
+            try {
+                const posts = await this.pollSubreddit(subreddit);
+                summary.inserted += posts.length;
+            } catch (error) {
+                // One broken subreddit shouldn't stop the rest of the cycle
+                summary.failed.push(subreddit.name);
+                this.logger.error(`Failed to poll r/${subreddit.name}: ${error.message}`, { error: errorDetails(error) });
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Ingest the posts a subreddit has gained since its checkpoint
+     * @param {import('../models/Subreddit').Subreddit} subreddit - Subreddit to poll
+     * @returns {Promise<import('../models/Post').Post[]>} Newly created posts, oldest first
+     */
+    async pollSubreddit(subreddit) {
+        const checkpoint = await this.checkpointRepository.findBySubredditId(subreddit.id);
+        const items = await this.fetchUnseen(subreddit.name, checkpoint);
+
+        // Oldest first so the checkpoint only ever moves forward
+        items.reverse();
+
+        const created = [];
+        for (const item of items) {
+            let post;
+            try {
+                post = await this.ingest(subreddit, item);
+            } catch (error) {
+                if (isTransientError(error)) {
+                    throw error;
+                }
+
+                // A post that can't be stored is passed over, so it can't hold the checkpoint back forever
+                this.logger.error(`Skipped ${item.name} from r/${subreddit.name}: ${error.message}`, { error: errorDetails(error) });
+                await this.checkpointRepository.save(subreddit.id, {
+                    fullname: item.name,
+                    createdUtc: item.created_utc
+                });
+                continue;
+            }
+            if (!post) continue;
+
+            created.push(post);
+            this.emit('post', post, { subreddit: subreddit.name, item });
+        }
+
+        return created;
+    }
+
+    /**
+     * Store one listing item and move the subreddit's checkpoint to it, in one transaction
+     * @param {import('../models/Subreddit').Subreddit} subreddit - Subreddit being polled
+     * @param {Object} item - Listing item
+     * @returns {Promise<import('../models/Post').Post|null>} Created post, or null if it was already stored
+     */
+    async ingest(subreddit, item) {
+        const postData = toPostData(item);
+        if (this.linkResolver) {
+            postData.links = await this.linkResolver.expand(postData.links);
+        }
+        if (this.duplicateDetector) {
+            postData.duplicateOf = await this.duplicateDetector.findOriginal(postData, item);
+        }
+
+        return this.db.transaction(async trx => {
+            const posts = new PostRepository(trx, {
+                categoryParser: this.categoryParser,
+                retailerParser: this.retailerParser
+            });
+            // Already stored, e.g. before the subreddit was removed and added again
+            let post = await posts.findByRedditId(item.name) ? null : await posts.create(postData);
+            if (post && this.priceTracker) {
+                post = await this.priceTracker.track(post, trx);
+            }
+            await new SubredditCheckpointRepository(trx).save(subreddit.id, {
+                fullname: item.name,
+                createdUtc: item.created_utc
+            });
+            return post;
+        });
+    }
+
+    /**
+     * Walk the newest listing back to the checkpoint
+     * Without a checkpoint only the first page is taken, so adding a subreddit
+     * doesn't backfill its whole history.
+     * @param {string} name - Subreddit name
+     * @param {import('../models/SubredditCheckpoint').SubredditCheckpoint|null} checkpoint - Current checkpoint
+     * @returns {Promise<Object[]>} Unseen listing items, newest first
+     */
+    async fetchUnseen(name, checkpoint) {
+        const unseen = [];
+        let after = null;
+
+        for (let page = 0; page < this.maxPages; page++) {
+            const listing = await this.redditClient.fetchNew(name, { after, limit: this.pageLimit });
+
+            for (const item of listing.items) {
+                if (checkpoint && !checkpoint.isBefore(item.name)) {
+                    return unseen;
+                }
+                unseen.push(item);
+            }
+
+            if (!checkpoint || !listing.after) {
+                break;
+            }
+            after = listing.after;
+        }
+
+        return unseen;
+    }
+
+    /**
+     * Iterate every row of the subreddits table, page by page
+     */
+    async *watchedSubreddits() {
+        let page = 1;
+        let pages = 1;
+
+        do {
+            const result = await this.subredditRepository.findAll({ page, limit: 100 });
+            yield* result.subreddits;
+            pages = result.pages;
+            page++;
+        } while (page <= pages);
+    }
+}
+
+module.exports = RedditPoller;
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const ArchivedPostRepository = require('../repositories/ArchivedPostRepository');
+const PostRepository = require('../repositories/PostRepository');
+const { errorDetails } = require('../utils/errors');
+
+/**
+ * RetentionService - prunes posts once they are older than the retention policy
+ *
+ * Each post falls under one retention period: starred posts under `starredDays`,
+ * other posts that matched a keyword under `matchedDays`, and the rest under
+ * `days`. A period of 0 keeps those posts forever. Pruned posts are moved to
+ * the archived_posts table (`archive`), appended to an NDJSON file in
+ * exportDir (`export`), or just deleted (`delete`). Their matches, stars and
+ * queued digest items go with them; delivery logs and price history keep
+ * their rows.
+ */
+class RetentionService {
+    /**
+     * @param {Object} deps - Service dependencies
+     * @param {import('knex').Knex} deps.db - Database connection, used for archive transactions
+     * @param {import('../repositories/PostRepository')} deps.postRepository - Posts to prune
+     * @param {Object} deps.policy - Retention policy
+     * @param {number} deps.policy.days - Days to keep posts that matched nothing
+     * @param {number} deps.policy.matchedDays - Days to keep posts that matched a keyword
+     * @param {number} deps.policy.starredDays - Days to keep starred posts
+     * @param {string} deps.policy.mode - archive, export or delete
+     * @param {string} deps.policy.exportDir - Directory NDJSON exports are written to
+     * @param {number} deps.batchSize - Posts pruned per batch
+     * @param {number} deps.intervalMs - Delay between scheduled runs
+     * @param {Console} deps.logger - Logger
+     */
+    constructor({ db, postRepository, policy = {}, batchSize = 200, intervalMs = 24 * 60 * 60 * 1000, logger = console }) {
+        this.db = db;
+        this.postRepository = postRepository;
+        this.policy = {
+            days: 30,
+            matchedDays: 180,
+            starredDays: 0,
+            mode: 'archive',
+            exportDir: path.resolve('data', 'archive'),
+            ...policy
+        };
+        this.batchSize = batchSize;
+        this.intervalMs = intervalMs;
+        this.logger = logger;
+        this.timer = null;
+        this.running = false;
+        this.pruning = null;
+        this.lastReport = null;
+    }
+
+    /**
+     * Prune immediately and then every intervalMs
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        const tick = async () => {
+            try {
+                const report = await this.run();
+                if (report.pruned > 0) {
+                    this.logger.info(`Retention pruned ${report.pruned} posts (${report.mode})`);
+                }
+            } catch (error) {
+                this.logger.error(`Retention run failed: ${error.message}`, { error: errorDetails(error) });
+            }
+
+            if (this.running) {
+                this.timer = setTimeout(tick, this.intervalMs);
+            }
+        };
+
+        tick();
+    }
+
+    /**
+     * Stop scheduling further runs
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Prune every post the policy has run out for, or only count them
+     * Only one run prunes at a time; a second caller waits for it and gets its report.
+     * @param {Object} options - Run options
+     * @param {boolean} options.dryRun - Count what would be pruned without touching anything
+     * @param {Date} options.now - Time to measure ages from
+     * @returns {Promise<Object>} Report: counts per retention period, total pruned and where posts went
+     */
+    async run({ dryRun = false, now = new Date() } = {}) {
+        if (dryRun) {
+            return this.buildReport(now, true);
+        }
+        if (this.pruning) {
+            return this.pruning;
+        }
+
+        this.pruning = this.prune(now).finally(() => {
+            this.pruning = null;
+        });
+        return this.pruning;
+    }
+
+    /**
+     * Count the posts each retention period has run out for
+     * @param {Date} now - Time to measure ages from
+     * @param {boolean} dryRun - Whether this report is only a preview
+     * @returns {Promise<Object>} Report with nothing pruned yet
+     */
+    async buildReport(now, dryRun) {
+        const report = {
+            dryRun,
+            mode: this.policy.mode,
+            startedAt: now.toISOString(),
+            cutoffs: {},
+            expired: {},
+            pruned: 0,
+            archivedTo: null
+        };
+
+        for (const [reason, before] of Object.entries(this.cutoffs(now))) {
+            report.cutoffs[reason] = before;
+            report.expired[reason] = before === null ? 0 : await this.postRepository.countExpired(reason, before);
+        }
+
+        return report;
+    }
+
+    /**
+     * Archive, export or delete every expired post in batches
+     * @param {Date} now - Time to measure ages from
+     * @returns {Promise<Object>} Report
+     */
+    async prune(now) {
+        const report = await this.buildReport(now, false);
+
+        let exportFile = null;
+        if (this.policy.mode === 'export') {
+            await fs.promises.mkdir(this.policy.exportDir, { recursive: true });
+            exportFile = path.join(this.policy.exportDir, `posts-${now.toISOString().replace(/[-:]|\.\d+/g, '')}.ndjson`);
+        }
+
+        for (const [reason, before] of Object.entries(report.cutoffs)) {
+            if (before === null) continue;
+
+            for (;;) {
+                const posts = await this.postRepository.findExpired(reason, before, this.batchSize);
+                if (posts.length === 0) break;
+
+                await this.pruneBatch(posts, reason, exportFile);
+                report.pruned += posts.length;
+            }
+        }
+
+        if (report.pruned > 0) {
+            report.archivedTo = { archive: 'archived_posts', export: exportFile, delete: null }[this.policy.mode];
+        }
+
+        this.lastReport = report;
+        return report;
+    }
+
+    /**
+     * Prune one batch of posts according to the policy's mode
+     * @param {import('../models/Post').Post[]} posts - Expired posts
+     * @param {string} reason - Retention period they outlived
+     * @param {string|null} exportFile - NDJSON file to append to in export mode
+     */
+    async pruneBatch(posts, reason, exportFile) {
+        const ids = posts.map(post => post.id);
+
+        if (this.policy.mode === 'archive') {
+            await this.db.transaction(async trx => {
+                await new ArchivedPostRepository(trx).insertMany(posts, reason);
+                await new PostRepository(trx).deleteMany(ids);
+            });
+            return;
+        }
+
+        // Posts are only deleted once the export holds them
+        if (this.policy.mode === 'export') {
+            const lines = posts.map(post => JSON.stringify({ ...post.toJSON(), retention: reason }));
+            await fs.promises.appendFile(exportFile, `${lines.join('\n')}\n`);
+        }
+        await this.postRepository.deleteMany(ids);
+    }
+
+    /**
+     * Storage time before which each retention period has run out
+     * @param {Date} now - Time to measure ages from
+     * @returns {{unmatched: string|null, matched: string|null, starred: string|null}} Cutoffs
+     *   as UTC timestamps in the database's format, null for periods that keep posts forever
+     */
+    cutoffs(now) {
+        const cutoff = days => days > 0
+            ? new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 19).replace('T', ' ')
+            : null;
+
+        return {
+            unmatched: cutoff(this.policy.days),
+            matched: cutoff(this.policy.matchedDays),
+            starred: cutoff(this.policy.starredDays)
+        };
+    }
+}
+
+module.exports = RetentionService;
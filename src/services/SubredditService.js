@@ -0,0 +1,173 @@
+const { ConflictError, isUniqueViolation } = require('../utils/errors');
+
+/**
+ * SubredditService - subreddit writes that keep names unique
+ * Names arrive normalized by SubredditValidation, so "r/BuildAPCSales" and
+ * "buildapcsales" are the same subreddit.
+ *
+ * Subreddits are shared: each is polled once however many users watch it.
+ * Users subscribe and unsubscribe, and a subreddit nobody watches any more is
+ * removed. Admins (no owner scope) rename and remove subreddits for everyone.
+ * The audit trail records each change as the user made it: adding a
+ * subreddit to their list, renaming it or removing it.
+ */
+class SubredditService {
+    /**
+     * @param {Object} deps - Service dependencies
+     * @param {import('../repositories/SubredditRepository')} deps.subredditRepository - Subreddit storage
+     * @param {import('../repositories/SubredditSubscriptionRepository')} deps.subscriptionRepository - Who watches what
+     * @param {import('../repositories/KeywordSubredditRepository')} deps.keywordSubredditRepository - Keywords limited to subreddits
+     * @param {import('./AuditTrail')} deps.auditTrail - Change history
+     */
+    constructor({ subredditRepository, subscriptionRepository, keywordSubredditRepository, auditTrail }) {
+        this.subredditRepository = subredditRepository;
+        this.subscriptionRepository = subscriptionRepository;
+        this.keywordSubredditRepository = keywordSubredditRepository;
+        this.auditTrail = auditTrail;
+    }
+
+    /**
+     * Start watching a subreddit, adding it if nobody watches it yet
+     * @param {Object} subredditData - Subreddit data
+     * @param {number} userId - User who watches it
+     * @returns {Promise<import('../models/Subreddit').Subreddit>} Watched subreddit
+     * @throws {ConflictError} When the user already watches the subreddit
+     */
+    async create(subredditData, userId) {
+        const subreddit = await this.findOrCreate(subredditData);
+
+        if (!await this.subscriptionRepository.subscribe(userId, subreddit.id)) {
+            throw new ConflictError(`Subreddit "${subreddit.name}" already exists`, {
+                existing: subreddit.toJSON()
+            });
+        }
+
+        await this.auditTrail.record('create', 'subreddit', null, subreddit);
+        return subreddit;
+    }
+
+    /**
+     * Rename a subreddit
+     * For a user this moves their subscription, and their keywords limited to
+     * the old name, to the new name; an admin renames the subreddit itself.
+     * @param {number} id - Subreddit ID
+     * @param {Object} updateData - Data to update
+     * @param {number|null} ownerId - Only rename the subreddit if this user subscribes to it
+     * @returns {Promise<import('../models/Subreddit').Subreddit|null>} Updated subreddit or null if not found
+     * @throws {ConflictError} When the new name belongs to another subreddit
+     */
+    async update(id, updateData, ownerId = null) {
+        if (ownerId === null) {
+            if (updateData.name !== undefined) {
+                await this.assertUnique(updateData.name, id);
+            }
+
+            const existing = await this.subredditRepository.findById(id);
+            const subreddit = existing && await this.subredditRepository.update(id, updateData);
+            if (subreddit) {
+                await this.auditTrail.record('update', 'subreddit', existing, subreddit);
+            }
+            return subreddit;
+        }
+
+        const current = await this.subredditRepository.findById(id, ownerId);
+        if (!current || updateData.name === undefined || updateData.name === current.name) {
+            return current;
+        }
+
+        const target = await this.findOrCreate(updateData);
+        if (target.id === current.id) {
+            return current;
+        }
+        if (!await this.subscriptionRepository.subscribe(ownerId, target.id)) {
+            throw new ConflictError(`Subreddit "${target.name}" already exists`, {
+                existing: target.toJSON()
+            });
+        }
+
+        await this.keywordSubredditRepository.moveForOwner(current.id, target.id, ownerId);
+        await this.unsubscribe(current.id, ownerId);
+        await this.auditTrail.record('update', 'subreddit', current, target);
+        return target;
+    }
+
+    /**
+     * Stop watching a subreddit; its checkpoint and keyword links are removed by the foreign key cascade
+     * A user unsubscribes, and the subreddit is only removed once nobody watches
+     * it; an admin removes it for everyone.
+     * @param {number} id - Subreddit ID
+     * @param {number|null} ownerId - Only unsubscribe this user
+     * @returns {Promise<boolean>} True if deleted, false if not found
+     */
+    async delete(id, ownerId = null) {
+        const existing = await this.subredditRepository.findById(id, ownerId);
+        if (!existing) {
+            return false;
+        }
+
+        const deleted = ownerId === null
+            ? await this.subredditRepository.delete(id)
+            : await this.unsubscribe(id, ownerId);
+        if (deleted) {
+            await this.auditTrail.record('delete', 'subreddit', existing, null);
+        }
+        return deleted;
+    }
+
+    /**
+     * Unsubscribe a user, removing the subreddit once nobody watches it
+     * @param {number} id - Subreddit ID
+     * @param {number} userId - User who stops watching it
+     * @returns {Promise<boolean>} True if unsubscribed, false if the user didn't watch it
+     */
+    async unsubscribe(id, userId) {
+        if (!await this.subscriptionRepository.unsubscribe(userId, id)) {
+            return false;
+        }
+
+        if (await this.subscriptionRepository.countSubscribers(id) === 0) {
+            await this.subredditRepository.delete(id);
+        }
+        return true;
+    }
+
+    /**
+     * Find a subreddit by name, adding it when it isn't polled yet
+     * @param {Object} subredditData - Subreddit data
+     * @returns {Promise<import('../models/Subreddit').Subreddit>} Subreddit
+     */
+    async findOrCreate(subredditData) {
+        const existing = await this.subredditRepository.findByName(subredditData.name);
+        if (existing) {
+            return existing;
+        }
+
+        try {
+            return await this.subredditRepository.create(subredditData);
+        } catch (error) {
+            // Lost a race with a concurrent insert of the same name
+            if (isUniqueViolation(error)) {
+                const created = await this.subredditRepository.findByName(subredditData.name);
+                if (created) return created;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Reject a name that another subreddit already uses
+     * @param {string} name - Normalized subreddit name
+     * @param {number|null} exceptId - Subreddit being renamed, which may keep its own name
+     * @throws {ConflictError} Naming the existing subreddit
+     */
+    async assertUnique(name, exceptId = null) {
+        const existing = await this.subredditRepository.findByName(name);
+        if (existing && existing.id !== exceptId) {
+            throw new ConflictError(`Subreddit "${existing.name}" already exists`, {
+                existing: existing.toJSON()
+            });
+        }
+    }
+}
+
+module.exports = SubredditService;
@@ -0,0 +1,361 @@
+const AuditTrail = require('./AuditTrail');
+const KeywordService = require('./KeywordService');
+const SubredditService = require('./SubredditService');
+const AuditLogRepository = require('../repositories/AuditLogRepository');
+const KeywordRepository = require('../repositories/KeywordRepository');
+const KeywordSubredditRepository = require('../repositories/KeywordSubredditRepository');
+const SubredditRepository = require('../repositories/SubredditRepository');
+const SubredditSubscriptionRepository = require('../repositories/SubredditSubscriptionRepository');
+const { Subreddit } = require('../models/Subreddit');
+const { WATCHLIST_VERSION, WatchlistValidation } = require('../models/Watchlist');
+const { HttpError, ValidationError } = require('../utils/errors');
+
+// Summary total each planned action counts towards
+const SUMMARY_KEYS = { create: 'created', update: 'updated', delete: 'deleted', unchanged: 'unchanged' };
+
+/**
+ * WatchlistService - exports a user's keywords and subreddits, and imports them back
+ *
+ * Imports are planned against the user's current watchlist before anything is
+ * written. Subreddits are matched by name and keywords by text, ignoring case;
+ * a keyword in the import ends up with exactly the categories and subreddits
+ * it lists. `merge` keeps everything the import doesn't mention, `replace`
+ * deletes those keywords and unsubscribes from those subreddits. A dry run
+ * returns the plan. Otherwise the plan is applied in one transaction through
+ * KeywordService and SubredditService, so a failing entry rolls the whole
+ * import back; keywords are rescanned once it has committed.
+ */
+class WatchlistService {
+    /**
+     * @param {Object} deps - Service dependencies
+     * @param {import('knex').Knex} deps.db - Database connection, used for the import transaction
+     * @param {import('../repositories/KeywordRepository')} deps.keywordRepository - Current keywords
+     * @param {import('../repositories/SubredditRepository')} deps.subredditRepository - Current subreddits
+     * @param {import('./KeywordMatcher')} deps.keywordMatcher - Matcher used for rescans
+     * @param {import('../utils/categoryParser').CategoryParser} deps.categoryParser - Normalizes keyword categories
+     */
+    constructor({ db, keywordRepository, subredditRepository, keywordMatcher, categoryParser }) {
+        this.db = db;
+        this.keywordRepository = keywordRepository;
+        this.subredditRepository = subredditRepository;
+        this.keywordMatcher = keywordMatcher;
+        this.categoryParser = categoryParser;
+    }
+
+    /**
+     * Export a user's watchlist
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} Watchlist, see models/Watchlist
+     */
+    async export(userId) {
+        const subreddits = await this.subredditRepository.getAll(userId);
+        const keywords = await this.keywordRepository.getAll(userId);
+
+        return {
+            version: WATCHLIST_VERSION,
+            exportedAt: new Date().toISOString(),
+            subreddits: subreddits.map(subreddit => subreddit.name),
+            keywords: keywords.map(keyword => ({
+                keyword: keyword.keyword,
+                categories: keyword.categories,
+                subreddits: WatchlistService.subredditNames(keyword)
+            }))
+        };
+    }
+
+    /**
+     * Import a watchlist into a user's own
+     * @param {number} userId - User ID
+     * @param {Object} bundle - Watchlist matching WatchlistValidation.bundle
+     * @param {Object} options - Import options
+     * @param {'merge'|'replace'} options.mode - Whether to delete what the watchlist doesn't list
+     * @param {boolean} options.dryRun - Only report what would change
+     * @returns {Promise<Object>} Report of each entry's action and the totals
+     * @throws {ValidationError} Listing every invalid entry, before anything is written
+     * @throws {HttpError} Naming the entry that failed, after the import was rolled back
+     */
+    async import(userId, bundle, { mode = 'merge', dryRun = false } = {}) {
+        const entries = this.readEntries(bundle);
+        const plan = await this.plan(userId, entries, mode);
+
+        if (!dryRun) {
+            await this.apply(userId, plan);
+        }
+
+        const summary = { created: 0, updated: 0, deleted: 0, unchanged: 0 };
+        [...plan.subreddits, ...plan.keywords].forEach(item => { summary[SUMMARY_KEYS[item.action]] += 1; });
+
+        return {
+            mode,
+            dryRun,
+            summary,
+            subreddits: plan.subreddits.map(({ name, action }) => ({ name, action })),
+            keywords: plan.keywords.map(({ keyword, action, changes }) => (
+                changes ? { keyword, action, changes } : { keyword, action }
+            ))
+        };
+    }
+
+    /**
+     * Validate each entry of a watchlist
+     * @param {Object} bundle - Watchlist matching WatchlistValidation.bundle
+     * @returns {{subreddits: Object[], keywords: Object[]}} Normalized entries, with their field paths
+     * @throws {ValidationError} Listing every invalid or repeated entry
+     */
+    readEntries(bundle) {
+        const errors = [];
+        const subreddits = [];
+        const keywords = [];
+
+        const seenNames = new Set();
+        bundle.subreddits.forEach((entry, index) => {
+            const field = `subreddits.${index}`;
+            const { value, error } = WatchlistValidation.subreddit.validate(entry, { abortEarly: false });
+            if (error) {
+                errors.push(...WatchlistService.itemErrors(field, String(entry), error));
+            } else if (seenNames.has(value)) {
+                errors.push({ field, item: value, message: `Subreddit "${value}" is listed more than once` });
+            } else {
+                seenNames.add(value);
+                subreddits.push({ field, name: value });
+            }
+        });
+
+        const seenKeywords = new Set();
+        bundle.keywords.forEach((entry, index) => {
+            const field = `keywords.${index}`;
+            const item = entry && typeof entry.keyword === 'string' ? entry.keyword : null;
+            const { value, error } = WatchlistValidation.keyword.validate(entry, {
+                abortEarly: false,
+                context: { categoryParser: this.categoryParser }
+            });
+            if (error) {
+                errors.push(...WatchlistService.itemErrors(field, item, error));
+            } else if (seenKeywords.has(value.keyword.toLowerCase())) {
+                errors.push({ field, item, message: `Keyword "${value.keyword}" is listed more than once` });
+            } else {
+                seenKeywords.add(value.keyword.toLowerCase());
+                keywords.push({ field, ...value });
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationError(errors, 'Watchlist import failed');
+        }
+        return { subreddits, keywords };
+    }
+
+    /**
+     * Work out what importing the entries would change
+     * @param {number} userId - User ID
+     * @param {{subreddits: Object[], keywords: Object[]}} entries - Entries from readEntries
+     * @param {'merge'|'replace'} mode - Import mode
+     * @returns {Promise<{subreddits: Object[], keywords: Object[]}>} Planned action for each subreddit and keyword
+     * @throws {ValidationError} When keywords are limited to subreddits that won't be watched
+     */
+    async plan(userId, entries, mode) {
+        const currentSubreddits = await this.subredditRepository.getAll(userId);
+        const currentKeywords = await this.keywordRepository.getAll(userId);
+
+        const watched = new Map(currentSubreddits.map(subreddit => [Subreddit.normalizeName(subreddit.name), subreddit]));
+        const listed = new Set(entries.subreddits.map(entry => entry.name));
+
+        const subreddits = entries.subreddits.map(({ field, name }) => ({
+            field,
+            name,
+            action: watched.has(name) ? 'unchanged' : 'create'
+        }));
+        if (mode === 'replace') {
+            for (const [name, subreddit] of watched) {
+                if (!listed.has(name)) {
+                    subreddits.push({ field: null, name, action: 'delete', subreddit });
+                }
+            }
+        }
+
+        // Keywords may only be limited to subreddits the user will watch
+        const available = mode === 'replace' ? listed : new Set([...listed, ...watched.keys()]);
+        const byText = new Map(currentKeywords.map(keyword => [keyword.keyword.toLowerCase(), keyword]));
+        const errors = [];
+
+        const keywords = entries.keywords.map(entry => {
+            const unwatched = entry.subreddits.filter(name => !available.has(name));
+            if (unwatched.length > 0) {
+                errors.push({
+                    field: `${entry.field}.subreddits`,
+                    item: entry.keyword,
+                    message: `Not in the watchlist: ${unwatched.map(name => `r/${name}`).join(', ')}`
+                });
+            }
+
+            const existing = byText.get(entry.keyword.toLowerCase());
+            if (!existing) {
+                return { field: entry.field, keyword: entry.keyword, action: 'create', entry };
+            }
+
+            const changes = {};
+            if (existing.keyword !== entry.keyword) {
+                changes.keyword = { from: existing.keyword, to: entry.keyword };
+            }
+            if (!WatchlistService.sameSet(existing.categories, entry.categories)) {
+                changes.categories = { from: existing.categories, to: entry.categories };
+            }
+            const currentNames = WatchlistService.subredditNames(existing);
+            if (!WatchlistService.sameSet(currentNames, entry.subreddits)) {
+                changes.subreddits = { from: currentNames, to: entry.subreddits };
+            }
+
+            return Object.keys(changes).length > 0
+                ? { field: entry.field, keyword: entry.keyword, action: 'update', changes, entry, existing }
+                : { field: entry.field, keyword: entry.keyword, action: 'unchanged' };
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationError(errors, 'Watchlist import failed');
+        }
+
+        if (mode === 'replace') {
+            const imported = new Set(entries.keywords.map(entry => entry.keyword.toLowerCase()));
+            currentKeywords
+                .filter(keyword => !imported.has(keyword.keyword.toLowerCase()))
+                .forEach(keyword => keywords.push({ field: null, keyword: keyword.keyword, action: 'delete', existing: keyword }));
+        }
+
+        return { subreddits, keywords };
+    }
+
+    /**
+     * Apply a plan in one transaction, then rescan the keywords it created or changed
+     * Subreddits are added first so keywords can be limited to them, and removed
+     * last, once no imported keyword needs them.
+     * @param {number} userId - User ID
+     * @param {{subreddits: Object[], keywords: Object[]}} plan - Plan from plan()
+     * @returns {Promise<void>}
+     */
+    async apply(userId, plan) {
+        const rescans = new Map();
+
+        await this.db.transaction(async trx => {
+            const auditTrail = new AuditTrail({ auditLogRepository: new AuditLogRepository(trx) });
+            const keywordRepository = new KeywordRepository(trx);
+            const keywordSubredditRepository = new KeywordSubredditRepository(trx);
+            const subredditRepository = new SubredditRepository(trx);
+
+            const subredditService = new SubredditService({
+                subredditRepository,
+                subscriptionRepository: new SubredditSubscriptionRepository(trx),
+                keywordSubredditRepository,
+                auditTrail
+            });
+            // Rescans wait for the commit, so matches are never built from rows that could still be rolled back
+            const keywordService = new KeywordService({
+                keywordRepository,
+                keywordSubredditRepository,
+                keywordMatcher: { rescanKeyword: async keyword => { rescans.set(keyword.id, keyword); } },
+                auditTrail
+            });
+
+            for (const item of plan.subreddits.filter(planned => planned.action === 'create')) {
+                await WatchlistService.applyItem(item, item.name, () => subredditService.create({ name: item.name }, userId));
+            }
+
+            for (const item of plan.keywords) {
+                await WatchlistService.applyItem(item, item.keyword, async () => {
+                    if (item.action === 'delete') {
+                        await keywordService.delete(item.existing.id, userId);
+                        rescans.delete(item.existing.id);
+                        return;
+                    }
+                    if (item.action === 'unchanged') {
+                        return;
+                    }
+
+                    const { entry } = item;
+                    let keyword = item.existing;
+                    if (item.action === 'create') {
+                        keyword = await keywordService.create({ keyword: entry.keyword, categories: entry.categories, userId });
+                    } else if (item.changes.keyword || item.changes.categories) {
+                        keyword = await keywordService.update(keyword.id, { keyword: entry.keyword, categories: entry.categories }, userId);
+                    }
+
+                    const current = new Set(WatchlistService.subredditNames(keyword));
+                    for (const name of entry.subreddits.filter(name => !current.has(name))) {
+                        const subreddit = await subredditRepository.findByName(name, userId);
+                        keyword = await keywordService.attachSubreddit(keyword, subreddit);
+                    }
+                    const wanted = new Set(entry.subreddits);
+                    for (const subreddit of keyword.subreddits.filter(subreddit => !wanted.has(Subreddit.normalizeName(subreddit.name)))) {
+                        await keywordService.detachSubreddit(keyword, subreddit);
+                        keyword = await keywordRepository.findById(keyword.id);
+                    }
+                });
+            }
+
+            for (const item of plan.subreddits.filter(planned => planned.action === 'delete')) {
+                await WatchlistService.applyItem(item, item.name, () => subredditService.delete(item.subreddit.id, userId));
+            }
+        });
+
+        for (const keyword of rescans.values()) {
+            await this.keywordMatcher.rescanKeyword(keyword);
+        }
+    }
+
+    /**
+     * Apply one planned item, naming it in the error when it fails
+     * @param {Object} item - Planned item
+     * @param {string} label - Subreddit name or keyword text
+     * @param {Function} apply - Writes the item
+     * @returns {Promise<void>}
+     * @throws {HttpError} With the item under `details`, when a service rejected it
+     */
+    static async applyItem(item, label, apply) {
+        try {
+            await apply();
+        } catch (error) {
+            const field = item.field || `${item.action} ${label}`;
+            if (error instanceof HttpError) {
+                throw new HttpError(error.status, 'Watchlist import failed', {
+                    details: [{ field, item: label, message: error.message }]
+                });
+            }
+            throw new Error(`Failed to import ${field}: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Turn the Joi errors of one entry into per-item details
+     * @param {string} field - Path of the entry in the watchlist
+     * @param {string|null} item - Subreddit name or keyword text, when the entry has one
+     * @param {import('joi').ValidationError} error - Joi error
+     * @returns {Array<{field: string, item: string|null, message: string}>} Details
+     */
+    static itemErrors(field, item, error) {
+        return error.details.map(detail => ({
+            field: [field, ...detail.path].join('.'),
+            item,
+            message: detail.message
+        }));
+    }
+
+    /**
+     * Names of the subreddits a keyword is limited to, sorted
+     * @param {import('../models/Keyword').Keyword} keyword - Keyword with its subreddits
+     * @returns {string[]} Normalized names
+     */
+    static subredditNames(keyword) {
+        return keyword.subreddits.map(subreddit => Subreddit.normalizeName(subreddit.name)).sort();
+    }
+
+    /**
+     * Whether two lists hold the same values, in any order
+     * @param {string[]} a - First list
+     * @param {string[]} b - Second list
+     * @returns {boolean} True if they match
+     */
+    static sameSet(a, b) {
+        return a.length === b.length && [...a].sort().join('\n') === [...b].sort().join('\n');
+    }
+}
+
+module.exports = WatchlistService;
@@ -0,0 +1,416 @@
+const crypto = require('crypto');
+const { Keyword } = require('../models/Keyword');
+const { Post } = require('../models/Post');
+const { describePrice } = require('../utils/format');
+const { errorDetails, ValidationError } = require('../utils/errors');
+const { findPrivateTarget, resolveTarget, requestPinned } = require('../utils/network');
+
+/**
+ * WebhookNotifier - POSTs keyword matches to every enabled webhook
+ *
+ * Requests are signed with an HMAC of `${timestamp}.${body}` when the webhook
+ * has a secret. Every attempt is written to the delivery log. Network errors,
+ * timeouts, 408, 429 and 5xx responses are retried with exponential backoff:
+ * the failed attempt keeps the body and when to try again, and a timer makes
+ * the retries that are due, so they survive a restart. Unless private targets
+ * are allowed, URLs that point at loopback or private addresses are refused
+ * when a webhook is saved and again before every request, after resolving
+ * the host. The request then connects to the addresses that were checked, so
+ * the name can't be pointed elsewhere in between, and redirects are not
+ * followed.
+ */
+class WebhookNotifier {
+    /**
+     * @param {Object} deps - Notifier dependencies
+     * @param {import('../repositories/WebhookRepository')} deps.webhookRepository - Webhook storage
+     * @param {import('../repositories/NotificationDeliveryRepository')} deps.deliveryRepository - Delivery log
+     * @param {number} deps.maxAttempts - Attempts per notification, including the first
+     * @param {number} deps.baseDelayMs - Delay before the first retry; doubles each retry
+     * @param {number} deps.maxDelayMs - Upper bound for the retry delay
+     * @param {number} deps.timeoutMs - Abort requests that take longer than this
+     * @param {number} deps.intervalMs - Delay between checks for due retries
+     * @param {boolean} deps.allowPrivateTargets - Allow webhooks on loopback and private addresses
+     * @param {Console} deps.logger - Logger
+     */
+    constructor({
+        webhookRepository,
+        deliveryRepository,
+        maxAttempts = 5,
+        baseDelayMs = 1000,
+        maxDelayMs = 60000,
+        timeoutMs = 10000,
+        intervalMs = 5000,
+        allowPrivateTargets = false,
+        logger = console
+    }) {
+        this.webhookRepository = webhookRepository;
+        this.deliveryRepository = deliveryRepository;
+        this.maxAttempts = maxAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.timeoutMs = timeoutMs;
+        this.intervalMs = intervalMs;
+        this.allowPrivateTargets = allowPrivateTargets;
+        this.logger = logger;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Make due retries immediately and then every intervalMs
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        // Only one sender runs, so any claim still held was left by a previous process
+        let released = false;
+
+        const tick = async () => {
+            try {
+                if (!released) {
+                    await this.deliveryRepository.releaseRetryClaims();
+                    released = true;
+                }
+                await this.flushRetries();
+            } catch (error) {
+                this.logger.error(`Webhook retry cycle failed: ${error.message}`, { error: errorDetails(error) });
+            }
+
+            if (this.running) {
+                this.timer = setTimeout(tick, this.intervalMs);
+            }
+        };
+
+        tick();
+    }
+
+    /**
+     * Stop scheduling further retry checks
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Notify the keyword owner's enabled webhooks about a keyword match
+     * @param {Object} event - `match` event from KeywordMatcher
+     * @returns {Promise<boolean[]>} Whether each webhook was reached on the first attempt
+     */
+    async notify(event) {
+        const webhooks = await this.webhookRepository.findEnabled(event.keyword.userId);
+
+        return Promise.all(webhooks.map(webhook =>
+            this.deliver(webhook, event).catch(error => {
+                this.logger.error(`Webhook ${webhook.id} delivery failed: ${error.message}`, { error: errorDetails(error) });
+                return false;
+            })
+        ));
+    }
+
+    /**
+     * Make the first attempt to deliver one event to one webhook; failures are queued for retry
+     * @param {import('../models/Webhook').Webhook} webhook - Receiver
+     * @param {Object} event - `match` event from KeywordMatcher
+     * @returns {Promise<boolean>} True once delivered
+     */
+    async deliver(webhook, event) {
+        return this.attempt(webhook, {
+            body: JSON.stringify(this.buildPayload(webhook, event)),
+            deliveryId: crypto.randomUUID(),
+            postId: event.post ? event.post.id : null,
+            keywordId: event.keyword ? event.keyword.id : null,
+            attempt: 1
+        });
+    }
+
+    /**
+     * Make every retry that is due
+     * @param {Date} now - Current time
+     * @returns {Promise<{sent: number, failed: number}>} Outcome counts
+     */
+    async flushRetries(now = new Date()) {
+        const retries = await this.deliveryRepository.findDueRetries(now);
+        const result = { sent: 0, failed: 0 };
+
+        for (const retry of retries) {
+            if (!await this.deliveryRepository.claimRetry(retry.id)) {
+                continue;
+            }
+
+            try {
+                // The webhook was disabled after the attempt failed; give up on it
+                const webhook = await this.webhookRepository.findById(retry.webhookId);
+                if (!webhook || !webhook.enabled) {
+                    await this.deliveryRepository.finishRetry(retry.id, true);
+                    result.failed++;
+                    continue;
+                }
+
+                const delivered = await this.attempt(webhook, {
+                    body: retry.payload,
+                    deliveryId: retry.deliveryId,
+                    postId: retry.postId,
+                    keywordId: retry.keywordId,
+                    attempt: retry.attempt + 1
+                });
+                await this.deliveryRepository.finishRetry(retry.id);
+                result[delivered ? 'sent' : 'failed']++;
+            } catch (error) {
+                this.logger.error(`Webhook ${retry.webhookId} retry failed: ${error.message}`, { error: errorDetails(error) });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Make one attempt and record it, with the body and time of the next attempt when it will be retried
+     * @param {import('../models/Webhook').Webhook} webhook - Receiver
+     * @param {Object} delivery - Notification to send
+     * @param {string} delivery.body - JSON body
+     * @param {string} delivery.deliveryId - Stable ID across retries
+     * @param {number|null} delivery.postId - Post that matched
+     * @param {number|null} delivery.keywordId - Keyword it matched
+     * @param {number} delivery.attempt - Attempt number (1-based)
+     * @returns {Promise<boolean>} True when delivered
+     */
+    async attempt(webhook, { body, deliveryId, postId, keywordId, attempt }) {
+        const result = await this.send(webhook, body, deliveryId);
+        const willRetry = !result.ok && this.isRetryable(result) && attempt < this.maxAttempts;
+
+        await this.deliveryRepository.create({
+            webhookId: webhook.id,
+            postId,
+            keywordId,
+            attempt,
+            status: result.ok ? 'success' : (willRetry ? 'retrying' : 'failed'),
+            responseCode: result.responseCode,
+            latencyMs: result.latencyMs,
+            error: result.error,
+            deliveryId,
+            payload: willRetry ? body : null,
+            nextAttemptAt: willRetry ? new Date(Date.now() + this.backoff(attempt)) : null
+        });
+
+        return result.ok;
+    }
+
+    /**
+     * Send a sample notification once, without retries
+     * @param {import('../models/Webhook').Webhook} webhook - Receiver
+     * @returns {Promise<import('../models/NotificationDelivery').NotificationDelivery>} Recorded attempt
+     */
+    async sendTest(webhook) {
+        const event = {
+            post: new Post({
+                title: '[Test] DealMonitor webhook test',
+                description: 'This is a test notification from DealMonitor.'
+            }),
+            keyword: new Keyword({ keyword: 'test' }),
+            matches: [],
+            context: {}
+        };
+
+        const body = JSON.stringify(this.buildPayload(webhook, event));
+        const deliveryId = crypto.randomUUID();
+        const result = await this.send(webhook, body, deliveryId);
+
+        return this.deliveryRepository.create({
+            webhookId: webhook.id,
+            attempt: 1,
+            status: result.ok ? 'success' : 'failed',
+            responseCode: result.responseCode,
+            latencyMs: result.latencyMs,
+            error: result.error,
+            deliveryId
+        });
+    }
+
+    /**
+     * Refuse a webhook URL that points at a loopback or private address
+     * Hosts that don't resolve yet are accepted; they are checked again before every request.
+     * @param {string} url - Webhook URL
+     * @returns {Promise<void>}
+     * @throws {ValidationError} When the URL may not be used
+     */
+    async checkUrl(url) {
+        if (this.allowPrivateTargets) return;
+
+        const target = await findPrivateTarget(url).catch(() => findPrivateTarget(url, { resolve: false }));
+        if (target) {
+            throw new ValidationError([{
+                field: 'url',
+                message: `Webhook URL must not point at a loopback or private address: ${target}`
+            }]);
+        }
+    }
+
+    /**
+     * Build the request body in the webhook's format
+     * @param {import('../models/Webhook').Webhook} webhook - Receiver
+     * @param {Object} event - `match` event from KeywordMatcher
+     * @returns {Object} Payload
+     */
+    buildPayload(webhook, { post, keyword, matches = [], context = {} }) {
+        const postJson = post.toJSON();
+        const price = describePrice(postJson);
+        const url = postJson.links && postJson.links[0];
+        const subreddit = context.subreddit || null;
+        const heading = `New match for "${keyword.keyword}"`;
+
+        switch (webhook.format) {
+            case 'discord': {
+                const fields = [
+                    { name: 'Keyword', value: keyword.keyword, inline: true },
+                    price && { name: 'Price', value: price, inline: true },
+                    subreddit && { name: 'Subreddit', value: `r/${subreddit}`, inline: true }
+                ].filter(Boolean);
+
+                return {
+                    username: 'DealMonitor',
+                    content: heading,
+                    embeds: [{
+                        title: postJson.title.slice(0, 256),
+                        url: url || undefined,
+                        description: (postJson.previewText || '').slice(0, 2000),
+                        fields,
+                        timestamp: new Date().toISOString()
+                    }]
+                };
+            }
+
+            case 'slack': {
+                const title = url ? `<${url}|${postJson.title}>` : postJson.title;
+                const details = [price, subreddit && `r/${subreddit}`].filter(Boolean).join(' · ');
+                const text = `${heading}: ${title}${details ? `\n${details}` : ''}`;
+
+                return {
+                    text,
+                    blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+                };
+            }
+
+            default:
+                return {
+                    event: 'keyword.match',
+                    keyword: keyword.toJSON(),
+                    post: postJson,
+                    matches: matches.map(({ field, position, linkIndex, matchedText }) =>
+                        ({ field, position, linkIndex, matchedText })),
+                    subreddit,
+                    sentAt: new Date().toISOString()
+                };
+        }
+    }
+
+    /**
+     * Make a single HTTP attempt
+     * @param {import('../models/Webhook').Webhook} webhook - Receiver
+     * @param {string} body - JSON body
+     * @param {string} deliveryId - Stable ID across retries, for receiver-side dedupe
+     * @returns {Promise<{ok: boolean, responseCode: number|null, latencyMs: number, error: string|null, blocked: boolean}>}
+     */
+    async send(webhook, body, deliveryId) {
+        // The request connects to the addresses checked here, so DNS can't be changed in between
+        let addresses = null;
+        if (!this.allowPrivateTargets) {
+            let target;
+            try {
+                ({ blocked: target, addresses } = await resolveTarget(webhook.url));
+            } catch (error) {
+                return { ok: false, responseCode: null, latencyMs: 0, error: `Cannot resolve host: ${error.message}`, blocked: false };
+            }
+            if (target) {
+                return { ok: false, responseCode: null, latencyMs: 0, error: `Refused private address ${target}`, blocked: true };
+            }
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'DealMonitor-Webhook/1.0',
+            'X-DealMonitor-Event': 'keyword.match',
+            'X-DealMonitor-Delivery': deliveryId,
+            'X-DealMonitor-Timestamp': timestamp
+        };
+        if (webhook.secret) {
+            headers['X-DealMonitor-Signature'] = `sha256=${WebhookNotifier.sign(webhook.secret, timestamp, body)}`;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        const started = Date.now();
+
+        try {
+            // Redirects aren't followed; one could lead to an address the check above would refuse
+            const response = await requestPinned(webhook.url, {
+                method: 'POST',
+                headers,
+                body,
+                addresses,
+                signal: controller.signal
+            });
+            const latencyMs = Date.now() - started;
+
+            if (response.ok) {
+                return { ok: true, responseCode: response.status, latencyMs, error: null, blocked: false };
+            }
+
+            const excerpt = response.text.slice(0, 500);
+            return {
+                ok: false,
+                responseCode: response.status,
+                latencyMs,
+                error: `HTTP ${response.status}${excerpt ? `: ${excerpt}` : ''}`,
+                blocked: false
+            };
+        } catch (error) {
+            return {
+                ok: false,
+                responseCode: null,
+                latencyMs: Date.now() - started,
+                error: error.name === 'AbortError'
+                    ? `Timed out after ${this.timeoutMs}ms`
+                    : (error.cause && error.cause.message) || error.message,
+                blocked: false
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Whether a failed attempt is worth retrying
+     * @param {Object} result - Result from send
+     * @returns {boolean} True for network errors, 408, 429 and 5xx; never for refused addresses
+     */
+    isRetryable({ responseCode, blocked = false }) {
+        if (blocked) return false;
+        return responseCode === null || responseCode === 408 || responseCode === 429 || responseCode >= 500;
+    }
+
+    /**
+     * Delay before the next attempt
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @returns {number} Delay in milliseconds
+     */
+    backoff(attempt) {
+        return Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+    }
+
+    /**
+     * Compute the signature receivers verify: HMAC-SHA256 of `${timestamp}.${body}`
+     * @param {string} secret - Webhook secret
+     * @param {string} timestamp - Unix timestamp sent in X-DealMonitor-Timestamp
+     * @param {string} body - Raw request body
+     * @returns {string} Hex digest
+     */
+    static sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+}
+
+module.exports = WebhookNotifier;
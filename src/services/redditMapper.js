@@ -0,0 +1,69 @@
+const { Post } = require('../models/Post');
+const { Subreddit } = require('../models/Subreddit');
+
+// Bare URLs in selftext; markdown link syntax is handled by the trailing trim
+const URL_PATTERN = /https?:\/\/[^\s<>"'()[\]{}]+/gi;
+
+/**
+ * Pull http(s) links out of free text, dropping trailing punctuation
+ * @param {string} text - Text to scan
+ * @returns {string[]} Links in order of appearance
+ */
+function extractLinks(text) {
+    if (!text) return [];
+    return (text.match(URL_PATTERN) || [])
+        .map(link => link.replace(/[.,;:!?*_~]+$/, ''));
+}
+
+/**
+ * Whether a listing URL just points back at the Reddit post itself
+ * @param {Object} item - Reddit listing item
+ * @returns {boolean} True for self posts and permalinks
+ */
+function isSelfLink(item) {
+    if (item.is_self) return true;
+    if (!item.url) return true;
+    return Boolean(item.permalink) && item.url.includes(item.permalink);
+}
+
+/**
+ * Map a Reddit listing item onto the data accepted by PostRepository.create
+ * @param {Object} item - Reddit listing item (the `data` of a t3 child)
+ * @returns {Object} Post data
+ */
+function toPostData(item) {
+    const candidates = [];
+    if (!isSelfLink(item)) {
+        candidates.push(item.url);
+    }
+    candidates.push(...extractLinks(item.selftext));
+
+    // A crosspost's own URL is the original thread; the deal is what that links to
+    const parent = (item.crosspost_parent_list || [])[0];
+    if (parent && !isSelfLink(parent)) {
+        candidates.push(parent.url);
+    }
+
+    const links = [];
+    for (const link of candidates) {
+        if (Post.isValidLink(link) && !links.includes(link)) {
+            links.push(link);
+        }
+    }
+
+    return {
+        title: (item.title || '').trim(),
+        description: item.selftext ? item.selftext : null,
+        links,
+        redditId: item.name || null,
+        subreddit: item.subreddit ? Subreddit.normalizeName(item.subreddit) : null,
+        author: item.author || null,
+        permalink: item.permalink || null,
+        createdUtc: Number.isFinite(item.created_utc) ? Math.floor(item.created_utc) : null
+    };
+}
+
+module.exports = {
+    extractLinks,
+    toPostData
+};
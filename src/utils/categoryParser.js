@@ -0,0 +1,82 @@
+const { DEFAULT_ALIASES } = require('../config/categories');
+
+// Leading bracket tag, e.g. "[GPU] RTX 4070"
+const TAG_PATTERN = /^\s*\[([^\]]{1,40})\]/;
+
+/**
+ * Turn a tag into a category slug: "Video Card" -> "video-card"
+ * @param {string} tag - Raw tag text
+ * @returns {string} Slug
+ */
+function slugify(tag) {
+    return String(tag || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9.]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * CategoryParser - maps bracket tags onto normalized categories
+ */
+class CategoryParser {
+    /**
+     * @param {Object<string, string[]>} aliases - Category to alias list
+     */
+    constructor(aliases = DEFAULT_ALIASES) {
+        this.lookup = new Map();
+        for (const [category, list] of Object.entries(aliases)) {
+            this.lookup.set(slugify(category), category);
+            for (const alias of list) {
+                this.lookup.set(slugify(alias), category);
+            }
+        }
+    }
+
+    /**
+     * Normalize a tag or category name; unknown tags become their own slug
+     * @param {string} tag - Tag such as "Video Card" or "gpu"
+     * @returns {string|null} Category or null for an empty tag
+     */
+    normalize(tag) {
+        const slug = slugify(tag);
+        if (!slug) return null;
+        return this.lookup.get(slug) || slug;
+    }
+
+    /**
+     * Extract the category from a post title's leading bracket tag
+     * Combined tags like "[GPU/Video Card]" use the first part that is a known alias.
+     * @param {string} title - Post title
+     * @returns {string|null} Category or null when the title has no tag
+     */
+    parse(title) {
+        const match = TAG_PATTERN.exec(String(title || ''));
+        if (!match) return null;
+
+        const parts = match[1].split(/[/,|]/).map(part => part.trim()).filter(Boolean);
+        const known = parts.find(part => this.lookup.has(slugify(part)));
+
+        return this.normalize(known || match[1]);
+    }
+}
+
+/**
+ * Joi custom rule normalizing a category name with the parser in the
+ * validation context, e.g. `schema.validate(value, { context: { categoryParser } })`
+ * @param {string} value - Category, tag or alias
+ * @param {Object} helpers - Joi helpers
+ * @returns {string} Category
+ */
+function normalizeCategory(value, helpers) {
+    const { categoryParser } = helpers.prefs.context || {};
+    if (!categoryParser) {
+        throw new Error('Category validation needs a categoryParser in the validation context');
+    }
+    return categoryParser.normalize(value);
+}
+
+module.exports = {
+    CategoryParser,
+    normalizeCategory,
+    slugify
+};
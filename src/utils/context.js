@@ -0,0 +1,34 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Correlation context for logs and the audit trail
+ *
+ * Each request runs with its `requestId` and `userId`, and each poll cycle
+ * with a `pollId`. Everything awaited inside sees the same context, so log
+ * lines and audit entries can name the request or cycle they belong to
+ * without passing IDs through every call.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with correlation fields
+ * @param {Object} fields - Fields such as requestId, userId or pollId
+ * @param {Function} fn - Function to run
+ * @returns {*} Whatever fn returns
+ */
+function runWithContext(fields, fn) {
+    return storage.run({ ...fields }, fn);
+}
+
+/**
+ * Correlation fields of the current request or cycle
+ * @returns {Object} Fields, empty outside any context
+ */
+function currentContext() {
+    return storage.getStore() || {};
+}
+
+module.exports = {
+    runWithContext,
+    currentContext
+};
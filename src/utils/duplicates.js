@@ -0,0 +1,140 @@
+const { cleanLink, parseLink } = require('./links');
+
+/**
+ * Helpers for spotting the same deal posted more than once
+ *
+ * Crossposts and reposts rarely share a title, but they point at the same
+ * product page, so links are compared after dropping tracking noise. Titles
+ * are compared as word sets for posts without a usable link. Products, which
+ * gather every post of one item across prices, are keyed the same way.
+ */
+
+// Hosts that point back at Reddit itself rather than at the deal
+const REDDIT_HOSTS = /(^|\.)(reddit\.com|redd\.it)$/i;
+
+// Words too common in deal titles to tell two posts apart
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Prices and percentages, which change between posts of the same product
+const PRICE_TOKENS = /(?:us|c|ca|cdn|a|au|nz)?[$€£¥₹]\s?\d[\d,]*(?:\.\d+)?|\d[\d,]*(?:\.\d+)?\s?(?:[€£%]|(?:usd|cad|aud|nzd|eur|gbp|jpy|inr)\b)/gi;
+
+// Words deal titles wrap around the product name
+const DEAL_WORDS = new Set([
+    'after', 'atl', 'code', 'coupon', 'deal', 'ever', 'free', 'lowest', 'msrp', 'now', 'off', 'price',
+    'promo', 'reg', 'regular', 'rebate', 'sale', 'save', 'shipped', 'shipping', 'was', 'ymmv'
+]);
+
+/**
+ * Reduce a URL to the parts that identify the page it points at
+ * Cleans it as for storage (see utils/links), then drops the scheme,
+ * `www.`/`m.` prefixes, fragments and trailing slashes, and sorts the
+ * remaining parameters.
+ * @param {string} link - Absolute http(s) URL
+ * @returns {string|null} Normalized link, or null when it isn't an http(s) URL
+ */
+function normalizeLink(link) {
+    const url = parseLink(cleanLink(link));
+    if (!url) {
+        return null;
+    }
+
+    const host = url.hostname.replace(/^(www|m)\./, '');
+    const path = url.pathname.replace(/\/+$/, '');
+    const params = [...url.searchParams]
+        .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+    return `${host}${path}${query}`;
+}
+
+/**
+ * Key identifying the deal a post links to: its first link off Reddit, normalized
+ * @param {string[]} links - Post links in order
+ * @returns {string|null} Link key, or null when the post has no outside link
+ */
+function linkKey(links = []) {
+    for (const link of links) {
+        const normalized = normalizeLink(link);
+        if (normalized && !REDDIT_HOSTS.test(normalized.split(/[/?]/)[0])) {
+            return normalized;
+        }
+    }
+    return null;
+}
+
+/**
+ * Split a title into the words worth comparing, without bracket tags like [GPU]
+ * @param {string} title - Post title
+ * @returns {Set<string>} Lowercase words
+ */
+function titleWords(title = '') {
+    const words = title
+        .toLowerCase()
+        .replace(/\[[^\]]*\]/g, ' ')
+        .split(/[^a-z0-9.]+/)
+        .map(word => word.replace(/^\.+|\.+$/g, ''))
+        .filter(word => word && !STOP_WORDS.has(word));
+
+    return new Set(words);
+}
+
+/**
+ * How alike two titles are, as the share of words they have in common
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} Similarity from 0 (no words shared) to 1 (same words)
+ */
+function titleSimilarity(a, b) {
+    const wordsA = titleWords(a);
+    const wordsB = titleWords(b);
+    if (wordsA.size === 0 || wordsB.size === 0) {
+        return 0;
+    }
+
+    let shared = 0;
+    for (const word of wordsA) {
+        if (wordsB.has(word)) shared++;
+    }
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Title reduced to the words naming the product: no prices, percentages or deal wording, sorted
+ * @param {string} title - Post title
+ * @returns {string|null} Title key, or null when too little is left to go on: a
+ *   single word only counts when it is a model number such as 7800x3d
+ */
+function titleKey(title = '') {
+    const words = [...titleWords(title.replace(PRICE_TOKENS, ' '))]
+        .filter(word => !DEAL_WORDS.has(word));
+
+    if (words.length === 1 && !(/[a-z]/.test(words[0]) && /\d/.test(words[0]))) {
+        return null;
+    }
+    return words.length > 0 ? words.sort().join(' ') : null;
+}
+
+/**
+ * Key identifying the product a post is about: its link key, or failing that its title key
+ * @param {string[]} links - Post links in order
+ * @param {string} title - Post title
+ * @returns {string|null} `link:…` or `title:…`, or null when neither says enough
+ */
+function productKey(links, title) {
+    const link = linkKey(links);
+    if (link) {
+        return `link:${link}`;
+    }
+
+    const key = titleKey(title);
+    return key ? `title:${key}` : null;
+}
+
+module.exports = {
+    normalizeLink,
+    linkKey,
+    titleWords,
+    titleSimilarity,
+    titleKey,
+    productKey
+};
@@ -0,0 +1,145 @@
+/**
+ * HTTP-aware errors
+ * Thrown from services and routes; the app error handler turns them into
+ * `{ error, ...details }` JSON responses with the matching status code.
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Message sent to the client as `error`
+     * @param {Object} details - Extra fields merged into the response body
+     */
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.details = details;
+    }
+
+    /**
+     * Convert error to API format
+     */
+    toJSON() {
+        return {
+            error: this.message,
+            ...this.details
+        };
+    }
+}
+
+class ValidationError extends HttpError {
+    constructor(details = [], message = 'Validation failed') {
+        super(400, message, { details });
+    }
+
+    /**
+     * Create from a Joi validation error
+     * @param {import('joi').ValidationError} joiError - Joi error
+     */
+    static fromJoi(joiError) {
+        return new ValidationError(joiError.details.map(detail => {
+            const entry = {
+                field: detail.path.join('.'),
+                message: detail.message
+            };
+            if (detail.context && detail.context.position !== undefined) {
+                entry.position = detail.context.position;
+            }
+            return entry;
+        }));
+    }
+}
+
+class UnauthorizedError extends HttpError {
+    constructor(message = 'Authentication required', details = {}) {
+        super(401, message, details);
+    }
+}
+
+class ForbiddenError extends HttpError {
+    constructor(message = 'Not allowed', details = {}) {
+        super(403, message, details);
+    }
+}
+
+class NotFoundError extends HttpError {
+    constructor(message = 'Resource not found', details = {}) {
+        super(404, message, details);
+    }
+}
+
+class ConflictError extends HttpError {
+    constructor(message = 'Resource already exists', details = {}) {
+        super(409, message, details);
+    }
+}
+
+class TooManyRequestsError extends HttpError {
+    constructor(message = 'Too many requests', details = {}) {
+        super(429, message, details);
+    }
+}
+
+/**
+ * Whether an error came from a violated unique constraint
+ * @param {Error} error - Error thrown by a repository
+ * @returns {boolean} True for unique constraint failures
+ */
+function isUniqueViolation(error) {
+    return /UNIQUE constraint failed/.test(error && error.message);
+}
+
+// SQLite codes for a statement the database rejects however often it is run
+const PERMANENT_SQLITE_CODES = new Set(['SQLITE_CONSTRAINT', 'SQLITE_MISMATCH', 'SQLITE_TOOBIG', 'SQLITE_RANGE']);
+
+/**
+ * Whether an error is likely to go away when the same work is tried again
+ * Follows the cause chain to the first error with a code. System and SQLite
+ * codes, such as SQLITE_BUSY, a full disk or a dropped connection, are
+ * transient unless SQLite rejected the data itself. Errors without a code
+ * come from the app's own mapping and validation and fail the same way again.
+ * @param {Error} error - Error to classify
+ * @returns {boolean} True when a retry could succeed
+ */
+function isTransientError(error) {
+    for (let current = error; current instanceof Error; current = current.cause) {
+        if (current.name === 'AbortError' || current.name === 'TimeoutError') {
+            return true;
+        }
+        if (typeof current.code === 'string') {
+            return !PERMANENT_SQLITE_CODES.has(current.code);
+        }
+    }
+    return false;
+}
+
+/**
+ * Turn an error into plain fields for a log entry, following its cause chain
+ * Repositories wrap database errors, so the original error is kept as `cause`.
+ * @param {Error} error - Error to log
+ * @returns {Object} name, message, stack and cause
+ */
+function errorDetails(error) {
+    if (!(error instanceof Error)) {
+        return { message: String(error) };
+    }
+
+    const details = { name: error.name, message: error.message, stack: error.stack };
+    if (error.cause !== undefined) {
+        details.cause = errorDetails(error.cause);
+    }
+    return details;
+}
+
+module.exports = {
+    HttpError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    TooManyRequestsError,
+    isUniqueViolation,
+    isTransientError,
+    errorDetails
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+/**
+ * Atom and RSS rendering for keyword and subreddit feeds
+ *
+ * A feed is {id, title, subtitle, self, alternate, updated, entries}; each
+ * entry is {id, title, link, related, author, categories, published, updated,
+ * summary, content}, with dates as Date objects and content as HTML.
+ * services/FeedService builds them from posts.
+ */
+
+// Characters XML 1.0 doesn't allow at all, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escape text for use in XML content and attributes
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Read a stored timestamp
+ * SQLite CURRENT_TIMESTAMP values are UTC without a zone.
+ * @param {string|Date|null} value - Stored timestamp
+ * @returns {Date|null} Date, or null when there is none or it can't be read
+ */
+function parseTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = value instanceof Date ? value : new Date(`${String(value).replace(' ', 'T')}Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Weak ETag for a feed, which changes with its title and whenever an entry is added, dropped or updated
+ * @param {Object} feed - Feed
+ * @returns {string} ETag header value
+ */
+function feedEtag(feed) {
+    const hash = crypto.createHash('sha1').update(`${feed.id}\n${feed.title}`);
+    for (const entry of feed.entries) {
+        hash.update(`\n${entry.id} ${entry.updated.getTime()}`);
+    }
+    return `W/"${hash.digest('base64url')}"`;
+}
+
+/**
+ * Render a feed as Atom 1.0
+ * @param {Object} feed - Feed
+ * @returns {string} XML document
+ */
+function renderAtom(feed) {
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>${escapeXml(feed.id)}</id>`,
+        `  <title>${escapeXml(feed.title)}</title>`,
+        `  <subtitle>${escapeXml(feed.subtitle)}</subtitle>`,
+        `  <updated>${feed.updated.toISOString()}</updated>`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.self)}"/>`
+    ];
+    if (feed.alternate) {
+        lines.push(`  <link rel="alternate" type="text/html" href="${escapeXml(feed.alternate)}"/>`);
+    }
+    lines.push('  <author><name>DealMonitor</name></author>', '  <generator>DealMonitor</generator>');
+
+    for (const entry of feed.entries) {
+        lines.push(
+            '  <entry>',
+            `    <id>${escapeXml(entry.id)}</id>`,
+            `    <title>${escapeXml(entry.title)}</title>`,
+            `    <published>${entry.published.toISOString()}</published>`,
+            `    <updated>${entry.updated.toISOString()}</updated>`
+        );
+        if (entry.author) {
+            lines.push(`    <author><name>${escapeXml(entry.author)}</name></author>`);
+        }
+        if (entry.link) {
+            lines.push(`    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>`);
+        }
+        for (const href of entry.related) {
+            lines.push(`    <link rel="related" href="${escapeXml(href)}"/>`);
+        }
+        for (const term of entry.categories) {
+            lines.push(`    <category term="${escapeXml(term)}"/>`);
+        }
+        lines.push(
+            `    <summary type="text">${escapeXml(entry.summary)}</summary>`,
+            `    <content type="html">${escapeXml(entry.content)}</content>`,
+            '  </entry>'
+        );
+    }
+
+    lines.push('</feed>', '');
+    return lines.join('\n');
+}
+
+/**
+ * Render a feed as RSS 2.0
+ * RSS has no updated time per item, so readers only see pubDate.
+ * @param {Object} feed - Feed
+ * @returns {string} XML document
+ */
+function renderRss(feed) {
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '  <channel>',
+        `    <title>${escapeXml(feed.title)}</title>`,
+        `    <link>${escapeXml(feed.alternate || feed.self)}</link>`,
+        `    <description>${escapeXml(feed.subtitle)}</description>`,
+        `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+        `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.self)}"/>`,
+        '    <generator>DealMonitor</generator>'
+    ];
+
+    for (const entry of feed.entries) {
+        lines.push(
+            '    <item>',
+            `      <title>${escapeXml(entry.title)}</title>`,
+            `      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+            `      <pubDate>${entry.published.toUTCString()}</pubDate>`
+        );
+        if (entry.link) {
+            lines.push(`      <link>${escapeXml(entry.link)}</link>`);
+        }
+        for (const term of entry.categories) {
+            lines.push(`      <category>${escapeXml(term)}</category>`);
+        }
+        lines.push(
+            `      <description>${escapeXml(entry.content)}</description>`,
+            '    </item>'
+        );
+    }
+
+    lines.push('  </channel>', '</rss>', '');
+    return lines.join('\n');
+}
+
+module.exports = {
+    escapeXml,
+    parseTimestamp,
+    feedEtag,
+    renderAtom,
+    renderRss
+};
@@ -0,0 +1,54 @@
+/**
+ * Format an amount for display, e.g. formatPrice(549, 'USD') -> "$549.00"
+ * @param {number|null} amount - Amount
+ * @param {string|null} currency - ISO 4217 currency code; USD when unknown
+ * @returns {string|null} Formatted amount or null when there is no amount
+ */
+function formatPrice(amount, currency) {
+    if (amount === null || amount === undefined) return null;
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(amount);
+    } catch (error) {
+        // Unknown currency code
+        return `${amount.toFixed(2)} ${currency}`;
+    }
+}
+
+/**
+ * Describe a post's price and discount in one line, e.g. "$549.00 (was $599.00, 8% off)"
+ * @param {import('../models/Post').Post} post - Post with price fields
+ * @returns {string|null} Summary or null when the post has no price details
+ */
+function describePrice(post) {
+    const price = formatPrice(post.price, post.currency);
+    const original = formatPrice(post.originalPrice, post.currency);
+    const percent = post.discountPercent !== null && post.discountPercent !== undefined
+        ? `${Math.round(post.discountPercent)}% off`
+        : null;
+
+    const extras = [original && `was ${original}`, percent].filter(Boolean).join(', ');
+    if (price) {
+        return extras ? `${price} (${extras})` : price;
+    }
+    return extras || null;
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+    formatPrice,
+    describePrice,
+    escapeHtml
+};
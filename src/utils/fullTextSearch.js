@@ -0,0 +1,56 @@
+const { escapeHtml } = require('./format');
+
+/**
+ * Helpers for searching posts through the posts_fts FTS5 table
+ *
+ * Search text is never passed to FTS5 as is: every word and phrase is quoted,
+ * so operators and stray punctuation can't cause syntax errors.
+ */
+
+// Characters marking highlighted terms in snippets; they can't occur in post text
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+// Quoted phrases, or runs of anything else that isn't whitespace
+const TOKEN_PATTERN = /"([^"]*)"|(\S+)/g;
+
+/**
+ * Turn search text into an FTS5 query that matches posts containing every term
+ * `"4070 super"` is a phrase, and a trailing `*` makes a term a prefix, so
+ * `nvm*` finds "nvme".
+ * @param {string} text - Search text
+ * @returns {string|null} FTS5 query, or null when the text has nothing to search for
+ */
+function toMatchQuery(text = '') {
+    const terms = [];
+    for (const [, phrase, word] of String(text).matchAll(TOKEN_PATTERN)) {
+        const prefix = word !== undefined && /\w\*+$/.test(word);
+        const value = (phrase ?? word).replace(/\*+$/, '');
+
+        // Skip terms without a letter or digit, which FTS5 would have nothing to match
+        if (!/[\p{L}\p{N}]/u.test(value)) continue;
+
+        terms.push(`"${value.replace(/"/g, '""')}"${prefix ? '*' : ''}`);
+    }
+
+    return terms.length > 0 ? terms.join(' ') : null;
+}
+
+/**
+ * Turn an FTS5 snippet into safe HTML with the matched terms in <mark>
+ * @param {string|null} snippet - Snippet built with MARK_START and MARK_END
+ * @returns {string|null} HTML snippet
+ */
+function highlightSnippet(snippet) {
+    if (!snippet) return null;
+    return escapeHtml(snippet)
+        .split(MARK_START).join('<mark>')
+        .split(MARK_END).join('</mark>');
+}
+
+module.exports = {
+    MARK_START,
+    MARK_END,
+    toMatchQuery,
+    highlightSnippet
+};
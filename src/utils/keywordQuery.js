@@ -0,0 +1,409 @@
+/**
+ * Keyword query language
+ *
+ * Keywords are small boolean queries rather than plain substrings:
+ *
+ *   rtx 4070 -laptop                 both terms, neither excluded word
+ *   "4070 super" OR "4070 ti"        quoted phrases, alternatives
+ *   title:(ssd OR nvme) NOT wanted   field prefix on a term or group
+ *
+ * Terms match case-insensitively on token boundaries, where a token is a run
+ * of letters or a run of digits: `4070` matches "RTX 4070" and "rtx4070ti" but
+ * not "40700", and `ti` matches "4070 Ti" but not "ultimate". A phrase matches
+ * its words in sequence, with any whitespace between them. Adjacent terms are
+ * ANDed, AND binds tighter than OR, and NOT / a leading "-" excludes. Field
+ * prefixes are title:, description: and link:; anything else with a colon is
+ * a plain term.
+ */
+
+const FIELDS = ['title', 'description', 'link'];
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Error raised for an invalid query, pointing at the offending token
+ */
+class KeywordQueryError extends Error {
+    /**
+     * @param {string} reason - What is wrong
+     * @param {number} position - Character offset of the bad token
+     * @param {string|null} token - The bad token, or null at end of input
+     */
+    constructor(reason, position, token = null) {
+        const where = token === null
+            ? `at end of query (position ${position})`
+            : `at "${token}" (position ${position})`;
+        super(`${reason} ${where}`);
+        this.name = 'KeywordQueryError';
+        this.reason = reason;
+        this.position = position;
+        this.token = token;
+    }
+}
+
+/**
+ * Split a query into tokens, each carrying its source position
+ * @param {string} source - Query text
+ * @returns {Array<{type: string, value: string, position: number, text: string}>} Tokens
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'lparen' : 'rparen', value: char, position: i, text: char });
+            i++;
+            continue;
+        }
+
+        if (char === '"') {
+            const end = source.indexOf('"', i + 1);
+            if (end === -1) {
+                throw new KeywordQueryError('Unterminated phrase', i, source.slice(i));
+            }
+            const value = source.slice(i + 1, end).trim().replace(/\s+/g, ' ');
+            if (!value) {
+                throw new KeywordQueryError('Empty phrase', i, source.slice(i, end + 1));
+            }
+            tokens.push({ type: 'phrase', value, position: i, text: source.slice(i, end + 1) });
+            i = end + 1;
+            continue;
+        }
+
+        // A "-" directly in front of a term, phrase or group excludes it
+        if (char === '-') {
+            if (i + 1 >= source.length || /[\s)]/.test(source[i + 1])) {
+                throw new KeywordQueryError('Expected a term directly after "-"', i, '-');
+            }
+            tokens.push({ type: 'not', value: '-', position: i, text: '-' });
+            i++;
+            continue;
+        }
+
+        const match = /^[^\s()"]+/.exec(source.slice(i));
+        const word = match[0];
+        const field = /^([a-z]+):/i.exec(word);
+
+        if (field && FIELDS.includes(field[1].toLowerCase())) {
+            const text = field[0];
+            tokens.push({ type: 'field', value: field[1].toLowerCase(), position: i, text });
+            i += text.length;
+            if (i >= source.length || /\s/.test(source[i])) {
+                throw new KeywordQueryError(`Expected a term after "${text}"`, i, null);
+            }
+            continue;
+        }
+
+        if (OPERATORS.includes(word)) {
+            tokens.push({ type: word.toLowerCase(), value: word, position: i, text: word });
+        } else {
+            tokens.push({ type: 'term', value: word, position: i, text: word });
+        }
+        i += word.length;
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser over the token list
+ */
+class Parser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = tokenize(source);
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index] || null;
+    }
+
+    next() {
+        return this.tokens[this.index++] || null;
+    }
+
+    fail(reason, token = this.peek()) {
+        if (!token) {
+            throw new KeywordQueryError(reason, this.source.length, null);
+        }
+        throw new KeywordQueryError(reason, token.position, token.text);
+    }
+
+    parse() {
+        if (this.tokens.length === 0) {
+            this.fail('Query is empty');
+        }
+
+        const node = this.parseOr(null);
+        if (this.peek()) {
+            this.fail(this.peek().type === 'rparen' ? 'Unmatched ")"' : 'Unexpected token');
+        }
+        return node;
+    }
+
+    parseOr(field) {
+        const children = [this.parseAnd(field)];
+
+        while (this.peek() && this.peek().type === 'or') {
+            const operator = this.next();
+            if (!this.startsOperand(this.peek())) {
+                this.fail(`Expected a term after "${operator.text}"`);
+            }
+            children.push(this.parseAnd(field));
+        }
+
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    parseAnd(field) {
+        const children = [this.parseUnary(field)];
+
+        for (;;) {
+            const token = this.peek();
+            if (token && token.type === 'and') {
+                this.next();
+                if (!this.startsOperand(this.peek())) {
+                    this.fail(`Expected a term after "${token.text}"`);
+                }
+                children.push(this.parseUnary(field));
+            } else if (this.startsOperand(token)) {
+                // Adjacent terms are implicitly ANDed
+                children.push(this.parseUnary(field));
+            } else {
+                break;
+            }
+        }
+
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    parseUnary(field) {
+        const token = this.peek();
+        if (token && token.type === 'not') {
+            this.next();
+            if (!this.startsOperand(this.peek()) || this.peek().type === 'not') {
+                this.fail(`Expected a term after "${token.text}"`);
+            }
+            return { type: 'not', child: this.parseUnary(field) };
+        }
+        return this.parsePrimary(field);
+    }
+
+    parsePrimary(field) {
+        let token = this.next();
+
+        if (token && token.type === 'field') {
+            if (field) {
+                this.fail('Field prefixes cannot be nested', token);
+            }
+            field = token.value;
+            token = this.next();
+            if (!token || !['term', 'phrase', 'lparen'].includes(token.type)) {
+                this.fail(`Expected a term after "${field}:"`, token);
+            }
+        }
+
+        if (!token) {
+            this.fail('Expected a term');
+        }
+
+        switch (token.type) {
+            case 'term':
+            case 'phrase':
+                return { type: token.type, value: token.value.toLowerCase(), field };
+            case 'lparen': {
+                if (this.peek() && this.peek().type === 'rparen') {
+                    this.fail('Empty group');
+                }
+                const node = this.parseOr(field);
+                const close = this.next();
+                if (!close || close.type !== 'rparen') {
+                    this.fail('Missing ")" to close group opened', token);
+                }
+                return node;
+            }
+            case 'rparen':
+                return this.fail('Unmatched ")"', token);
+            default:
+                return this.fail(`Expected a term before "${token.text}"`, token);
+        }
+    }
+
+    startsOperand(token) {
+        return Boolean(token) && ['term', 'phrase', 'lparen', 'field', 'not'].includes(token.type);
+    }
+}
+
+/**
+ * Whether a node can match on its own, i.e. isn't made only of exclusions
+ * @param {Object} node - Query node
+ * @returns {boolean} True when every alternative has a positive term
+ */
+function hasPositiveTerm(node) {
+    switch (node.type) {
+        case 'term':
+        case 'phrase':
+            return true;
+        case 'not':
+            return false;
+        case 'and':
+            return node.children.some(hasPositiveTerm);
+        case 'or':
+            return node.children.every(hasPositiveTerm);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Parse and validate a keyword query
+ * @param {string} source - Query text
+ * @returns {Object} Query tree, safe to store as JSON
+ * @throws {KeywordQueryError} When the query is invalid
+ */
+function parseKeywordQuery(source) {
+    const text = String(source || '');
+    const tree = new Parser(text).parse();
+
+    if (!hasPositiveTerm(tree)) {
+        throw new KeywordQueryError('Query needs at least one term that is not excluded', 0, text);
+    }
+
+    return tree;
+}
+
+/**
+ * Compiled patterns of term and phrase nodes, kept as long as the parsed tree
+ */
+const patterns = new WeakMap();
+
+/**
+ * Lookaround that stops a match from starting or ending inside a token
+ * @param {string} char - First or last character of the term
+ * @param {'before'|'after'} side - Side of the term to guard
+ * @returns {string} Regex fragment, empty when the character is punctuation
+ */
+function tokenBoundary(char, side) {
+    const kind = /\p{N}/u.test(char) ? '\\p{N}' : /\p{L}/u.test(char) ? '\\p{L}' : null;
+    if (!kind) return '';
+    return side === 'before' ? `(?<!${kind})` : `(?!${kind})`;
+}
+
+/**
+ * Regex for a term or phrase node
+ * @param {Object} node - Term or phrase node
+ * @returns {RegExp} Case-insensitive pattern anchored on token boundaries
+ */
+function termPattern(node) {
+    if (!patterns.has(node)) {
+        const body = node.value.split(' ')
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('\\s+');
+        const source = tokenBoundary(node.value[0], 'before') + body +
+            tokenBoundary(node.value[node.value.length - 1], 'after');
+        patterns.set(node, new RegExp(source, 'iu'));
+    }
+    return patterns.get(node);
+}
+
+/**
+ * Find where a term occurs in the searchable parts of a post
+ * @param {Object} node - Term or phrase node
+ * @param {Object} post - Post with title, description and links
+ * @returns {Object[]} First occurrence per field (and per link)
+ */
+function findTerm(node, post) {
+    const pattern = termPattern(node);
+    const hits = [];
+    const check = (field, text, linkIndex = null) => {
+        if (!text || (node.field && node.field !== field)) return;
+        const match = pattern.exec(text);
+        if (!match) return;
+        hits.push({
+            field,
+            position: match.index,
+            linkIndex,
+            matchedText: match[0]
+        });
+    };
+
+    check('title', post.title);
+    check('description', post.description);
+    (post.links || []).forEach((link, index) => check('link', link, index));
+
+    return hits;
+}
+
+/**
+ * Evaluate a query tree against a post
+ * @param {Object} node - Query tree from parseKeywordQuery
+ * @param {Object} post - Post with title, description and links
+ * @returns {Object[]|null} Hits when the post matches, otherwise null
+ */
+function evaluate(node, post) {
+    switch (node.type) {
+        case 'term':
+        case 'phrase': {
+            const hits = findTerm(node, post);
+            return hits.length > 0 ? hits : null;
+        }
+        case 'not':
+            return evaluate(node.child, post) ? null : [];
+        case 'and': {
+            const hits = [];
+            for (const child of node.children) {
+                const childHits = evaluate(child, post);
+                if (!childHits) return null;
+                hits.push(...childHits);
+            }
+            return hits;
+        }
+        case 'or': {
+            let matched = false;
+            const hits = [];
+            for (const child of node.children) {
+                const childHits = evaluate(child, post);
+                if (childHits) {
+                    matched = true;
+                    hits.push(...childHits);
+                }
+            }
+            return matched ? hits : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Match a parsed query against a post
+ * @param {Object} tree - Query tree from parseKeywordQuery
+ * @param {Object} post - Post with title, description and links
+ * @returns {Object[]} Distinct hits, empty when the post doesn't match
+ */
+function matchKeywordQuery(tree, post) {
+    const hits = evaluate(tree, post) || [];
+    const seen = new Set();
+
+    return hits.filter(hit => {
+        const key = `${hit.field}:${hit.linkIndex}:${hit.position}:${hit.matchedText.length}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+module.exports = {
+    FIELDS,
+    KeywordQueryError,
+    parseKeywordQuery,
+    matchKeywordQuery
+};
@@ -0,0 +1,144 @@
+/**
+ * Link clean-up for links stored with posts
+ *
+ * The same product page turns up under many URLs that differ only in
+ * tracking and affiliate parameters, so links are stored without them.
+ * Campaign and click IDs are dropped everywhere; parameters with generic
+ * names like `ref` or `tag` only on the retailers known to use them for
+ * tracking. Everything that picks the page itself, such as the path and
+ * parameters like Amazon's `th` or `psc`, is kept.
+ */
+
+/**
+ * Build a pattern matching any of several parameter names, ignoring case
+ * @param {string[]} names - Names, which may use regular expression syntax
+ * @returns {RegExp} Pattern
+ */
+function paramPattern(names) {
+    return new RegExp(`^(${names.join('|')})$`, 'i');
+}
+
+// Parameters that only track a click, whatever site they are on: ad and email
+// campaign IDs, and the click IDs affiliate networks add to any merchant's links
+const TRACKING_PARAMS = paramPattern([
+    'utm_\\w+', 'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'ttclid', 'twclid', 'yclid', 'igshid',
+    'mc_cid', 'mc_eid', 'mkt_tok', '_hsenc', '_hsmi', '_ga', '_gl',
+    'cjevent', 'cjdata', 'irclickid', 'irgwc', 'sharedid', 'ranmid', 'raneaid', 'ransiteid'
+]);
+
+// Tracking and affiliate parameters only dropped on the sites that use them,
+// since names like `ref` or `tag` mean something else elsewhere
+const SITE_TRACKING_PARAMS = [
+    {
+        host: /(^|\.)amazon\.[a-z.]+$/,
+        params: paramPattern([
+            'ref', 'ref_', 'tag', 'ascsubtag', 'linkcode', 'linkid', 'creative', 'creativeasin', 'camp',
+            'pd_rd_\\w+', 'pf_rd_\\w+', 'qid', 'sr', 'crid', 'sprefix', 'content-id', 'sp_csd', 'spla', 'dib', 'dib_tag'
+        ]),
+        // Path segments like /ref=sr_1_3 that track the click
+        refSegment: true
+    },
+    { host: /(^|\.)newegg\.(com|ca)$/, params: paramPattern(['cm_mmc', 'cm_sp', 'cm_re', 'icid', 'nm_mc']) },
+    { host: /(^|\.)bestbuy\.(com|ca)$/, params: paramPattern(['ref', 'loc', 'acampid', 'cmp']) },
+    { host: /(^|\.)walmart\.(com|ca)$/, params: paramPattern(['wmlspartner', 'veh', 'u1', 'sourceid', 'affiliates_ad_id', 'campaign_id']) },
+    { host: /(^|\.)target\.com$/, params: paramPattern(['afid', 'lnk', 'clkid', 'cpng', 'ref', 'afsrc']) },
+    { host: /(^|\.)ebay\.[a-z.]+$/, params: paramPattern(['mkcid', 'mkrid', 'mkevt', 'campid', 'toolid', 'customid', '_trksid', '_trkparms']) },
+    {
+        host: /(^|\.)aliexpress\.(com|us)$/,
+        params: paramPattern(['spm', 'scm', 'aff_fcid', 'aff_fsk', 'aff_platform', 'aff_trace_key', 'algo_pvid', 'algo_expid', 'sk', 'terminal_id', 'afsrc'])
+    },
+    // Share links
+    { host: /(^|\.)(youtube\.com|youtu\.be|open\.spotify\.com)$/, params: paramPattern(['si', 'feature']) }
+];
+
+// Trailing /ref=... path segment
+const REF_SEGMENT = /\/ref=[^/]*$/i;
+
+/**
+ * URL shortener hosts the link resolver may expand; see services/LinkResolver
+ */
+const DEFAULT_SHORTENERS = [
+    'amzn.to', 'amzn.eu', 'a.co', 'bit.ly', 'tinyurl.com', 't.co', 'ow.ly', 'buff.ly', 'is.gd',
+    'rebrand.ly', 'cutt.ly', 'shorturl.at', 'tiny.cc', 'bby.us', 'howl.me', 'go.skimresources.com'
+];
+
+/**
+ * Whether a query parameter only tracks the click
+ * @param {string} name - Parameter name
+ * @param {string|null} host - Lowercase host of the link; without one only site-independent parameters count
+ * @returns {boolean} True for tracking and affiliate parameters
+ */
+function isTrackingParam(name, host = null) {
+    if (TRACKING_PARAMS.test(name)) {
+        return true;
+    }
+    const site = host && siteRules(host);
+    return Boolean(site && site.params.test(name));
+}
+
+/**
+ * Tracking rules for the site a host belongs to
+ * @param {string} host - Lowercase host
+ * @returns {Object|null} Rules, or null for sites without their own
+ */
+function siteRules(host) {
+    return SITE_TRACKING_PARAMS.find(site => site.host.test(host)) || null;
+}
+
+/**
+ * Parse an absolute http(s) URL
+ * @param {string} link - Link
+ * @returns {URL|null} URL, or null when it isn't an http(s) URL
+ */
+function parseLink(link) {
+    let url;
+    try {
+        url = new URL(link);
+    } catch (error) {
+        return null;
+    }
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+}
+
+/**
+ * Clean a link for storage: lowercase host, no tracking or affiliate parameters, no Amazon /ref= segment
+ * The WHATWG URL parser already lowercases the host and drops default ports.
+ * @param {string} link - Link as posted
+ * @returns {string} Cleaned link; anything that isn't an http(s) URL is returned unchanged
+ */
+function cleanLink(link) {
+    const url = parseLink(link);
+    if (!url) {
+        return link;
+    }
+
+    const site = siteRules(url.hostname);
+    if (site && site.refSegment) {
+        url.pathname = url.pathname.replace(REF_SEGMENT, '') || '/';
+    }
+    for (const name of [...url.searchParams.keys()]) {
+        if (isTrackingParam(name, url.hostname)) {
+            url.searchParams.delete(name);
+        }
+    }
+
+    return url.toString();
+}
+
+/**
+ * Host of a link without a leading `www.` or `m.`
+ * @param {string} link - Link
+ * @returns {string|null} Lowercase host, or null when it isn't an http(s) URL
+ */
+function linkHost(link) {
+    const url = parseLink(link);
+    return url ? url.hostname.replace(/^(www|m)\./, '') : null;
+}
+
+module.exports = {
+    DEFAULT_SHORTENERS,
+    isTrackingParam,
+    parseLink,
+    cleanLink,
+    linkHost
+};
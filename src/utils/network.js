@@ -0,0 +1,142 @@
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Response body kept from a request, enough for an error excerpt
+const MAX_RESPONSE_BYTES = 4096;
+
+/**
+ * Address ranges outgoing requests must not reach unless allowed: loopback,
+ * private networks, link-local (which includes cloud metadata services),
+ * carrier-grade NAT, benchmarking, multicast and reserved space
+ */
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv4'));
+[
+    ['::', 128],
+    ['::1', 128],
+    ['64:ff9b:1::', 48],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+].forEach(([prefix, bits]) => PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private or otherwise not on the public internet
+ * IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for non-public addresses
+ */
+function isPrivateAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) {
+        return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+    }
+    return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve the host of a URL and check that it is public
+ * Hosts named `localhost` and IP literals are checked as written; other
+ * names are resolved, and every address they resolve to must be public.
+ * @param {string} url - URL to check
+ * @param {Object} options - Check options
+ * @param {boolean} options.resolve - Resolve host names; without it only literals are checked
+ * @returns {Promise<{blocked: string|null, addresses: Array<{address: string, family: number}>}>}
+ *   The offending host or address, or null when the URL is public, and the
+ *   addresses the host was checked at; none for unresolved names
+ * @throws {Error} When the host name can't be resolved
+ */
+async function resolveTarget(url, { resolve = true } = {}) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+
+    if (host === 'localhost' || host.endsWith('.localhost')) {
+        return { blocked: host, addresses: [] };
+    }
+    if (net.isIP(host)) {
+        return { blocked: isPrivateAddress(host) ? host : null, addresses: [{ address: host, family: net.isIP(host) }] };
+    }
+    if (!resolve) {
+        return { blocked: null, addresses: [] };
+    }
+
+    const addresses = await dns.lookup(host, { all: true, verbatim: true });
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    return { blocked: blocked ? `${host} (${blocked.address})` : null, addresses };
+}
+
+/**
+ * Find why a URL points at a non-public host; see resolveTarget
+ * @param {string} url - URL to check
+ * @param {Object} options - Check options, as for resolveTarget
+ * @returns {Promise<string|null>} The offending host or address, or null when the URL is public
+ * @throws {Error} When the host name can't be resolved
+ */
+async function findPrivateTarget(url, options) {
+    return (await resolveTarget(url, options)).blocked;
+}
+
+/**
+ * Make an HTTP request that connects only to addresses already checked
+ * The host name is not looked up again, so it can't be pointed somewhere else
+ * between the check and the connection; TLS still verifies the name. Redirects
+ * are not followed.
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.headers - Request headers
+ * @param {string|null} options.body - Request body
+ * @param {Array<{address: string, family: number}>|null} options.addresses - Addresses to connect to; null looks the host up as usual
+ * @param {AbortSignal} options.signal - Aborts the request
+ * @returns {Promise<{ok: boolean, status: number, text: string}>} Status and the start of the body
+ * @throws {Error} On network errors; an `AbortError` when aborted
+ */
+function requestPinned(url, { method = 'GET', headers = {}, body = null, addresses = null, signal } = {}) {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const lookup = addresses && addresses.length > 0
+        ? (hostname, options, callback) => (options.all
+            ? callback(null, addresses)
+            : callback(null, addresses[0].address, addresses[0].family))
+        : undefined;
+
+    const length = body === null ? {} : { 'Content-Length': Buffer.byteLength(body) };
+
+    return new Promise((resolve, reject) => {
+        const request = transport.request(target, { method, headers: { ...length, ...headers }, lookup, signal }, response => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                if (text.length < MAX_RESPONSE_BYTES) text += chunk;
+            });
+            response.on('end', () => resolve({
+                ok: response.statusCode >= 200 && response.statusCode < 300,
+                status: response.statusCode,
+                text: text.slice(0, MAX_RESPONSE_BYTES)
+            }));
+            response.on('error', reject);
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+module.exports = {
+    isPrivateAddress,
+    resolveTarget,
+    findPrivateTarget,
+    requestPinned
+};
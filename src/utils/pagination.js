@@ -0,0 +1,59 @@
+/**
+ * Build the list envelope every collection endpoint returns
+ * @param {Object[]} items - Items on this page
+ * @param {Object} result - Paginated repository result
+ * @param {number} result.total - Total matching items
+ * @param {number} result.page - Page number (1-based)
+ * @param {number} result.limit - Items per page
+ * @param {number} result.pages - Total pages
+ * @returns {{items: Object[], total: number, page: number, limit: number, pages: number}}
+ */
+function toPage(items, { total, page, limit, pages }) {
+    return { items, total, page, limit, pages };
+}
+
+/**
+ * Build pagination links for a server-rendered list
+ * Other query parameters (filters, sorting) are kept in every link.
+ * @param {Object} result - Paginated repository result with `page` and `pages`
+ * @param {string} basePath - Path of the list page
+ * @param {Object} query - Current query parameters
+ * @param {number} spread - Page numbers shown on each side of the current page
+ * @returns {{page: number, pages: number, previous: string|null, next: string|null,
+ *   links: Array<{page: number|null, url: string|null, current: boolean, gap: boolean}>}}
+ */
+function pageLinks({ page, pages }, basePath, query = {}, spread = 2) {
+    const urlFor = number => {
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (key === 'page' || value === undefined || value === null || value === '') return;
+            [].concat(value).forEach(item => params.append(key, item));
+        });
+        if (number > 1) params.set('page', number);
+        const search = params.toString();
+        return search ? `${basePath}?${search}` : basePath;
+    };
+
+    const links = [];
+    for (let number = 1; number <= pages; number++) {
+        const nearCurrent = Math.abs(number - page) <= spread;
+        if (number === 1 || number === pages || nearCurrent) {
+            links.push({ page: number, url: urlFor(number), current: number === page, gap: false });
+        } else if (!links[links.length - 1].gap) {
+            links.push({ page: null, url: null, current: false, gap: true });
+        }
+    }
+
+    return {
+        page,
+        pages,
+        previous: page > 1 ? urlFor(page - 1) : null,
+        next: page < pages ? urlFor(page + 1) : null,
+        links
+    };
+}
+
+module.exports = {
+    toPage,
+    pageLinks
+};
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Key length and salt size, in bytes
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Hash in the form `scrypt$<salt>$<key>` (base64)
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+/**
+ * Check a password against a hash from hashPassword
+ * @param {string} password - Plain-text password
+ * @param {string|null} hash - Stored hash
+ * @returns {Promise<boolean>} True when the password matches
+ */
+async function verifyPassword(password, hash) {
+    const [scheme, salt, expected] = String(hash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) {
+        return false;
+    }
+
+    const expectedKey = Buffer.from(expected, 'base64');
+    if (expectedKey.length !== KEY_LENGTH) {
+        return false;
+    }
+
+    const key = await scrypt(password, Buffer.from(salt, 'base64'), KEY_LENGTH);
+    return crypto.timingSafeEqual(key, expectedKey);
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,62 @@
+/**
+ * Query parameters that carry credentials, such as the feed token readers pass as `?token=`
+ */
+const SECRET_PARAMS = new Set(['token']);
+
+/**
+ * Whether a raw `name=value` query pair carries a credential
+ * @param {string} pair - Query pair, still URL-encoded
+ * @returns {boolean} True for secret parameters
+ */
+function isSecretPair(pair) {
+    const name = pair.split('=')[0].replace(/\+/g, ' ');
+    try {
+        return SECRET_PARAMS.has(decodeURIComponent(name).toLowerCase());
+    } catch {
+        return SECRET_PARAMS.has(name.toLowerCase());
+    }
+}
+
+/**
+ * Rewrite the query pairs of a URL, leaving everything else byte for byte
+ * @param {string} url - Absolute URL or path with query string
+ * @param {Function} rewrite - Maps a secret pair to its replacement, or null to drop it
+ * @returns {string} URL with secret pairs rewritten
+ */
+function rewriteSecrets(url, rewrite) {
+    const start = url.indexOf('?');
+    if (start === -1) return url;
+
+    const hashIndex = url.indexOf('#', start);
+    const end = hashIndex === -1 ? url.length : hashIndex;
+    const pairs = url.slice(start + 1, end).split('&')
+        .map(pair => (isSecretPair(pair) ? rewrite(pair) : pair))
+        .filter(pair => pair !== null);
+
+    const query = pairs.join('&');
+    return url.slice(0, start) + (query ? `?${query}` : '') + url.slice(end);
+}
+
+/**
+ * Mask credentials in a URL before it is logged, keeping the parameter name
+ * so the log still shows how the request authenticated
+ * @param {string} url - URL or path, e.g. req.originalUrl
+ * @returns {string} URL with secret values replaced by `REDACTED`
+ */
+function redactUrl(url) {
+    return rewriteSecrets(url, pair => `${pair.split('=')[0]}=REDACTED`);
+}
+
+/**
+ * Drop credentials from a URL handed back to clients, such as a feed's self link
+ * @param {string} url - URL or path
+ * @returns {string} URL without secret parameters
+ */
+function stripSecrets(url) {
+    return rewriteSecrets(url, () => null);
+}
+
+module.exports = {
+    redactUrl,
+    stripSecrets
+};
@@ -0,0 +1,41 @@
+const { DEFAULT_DOMAINS } = require('../config/retailers');
+const { linkHost } = require('./links');
+
+/**
+ * RetailerParser - maps link domains onto retailers
+ */
+class RetailerParser {
+    /**
+     * @param {Object<string, string[]>} domains - Retailer to domain list
+     */
+    constructor(domains = DEFAULT_DOMAINS) {
+        this.lookup = new Map();
+        for (const [retailer, list] of Object.entries(domains)) {
+            for (const domain of list) {
+                this.lookup.set(domain.toLowerCase().replace(/^www\./, ''), retailer);
+            }
+        }
+    }
+
+    /**
+     * Find the retailer a link points at
+     * The host is tried first, then each parent domain, so smile.amazon.com is amazon.
+     * @param {string} link - Link
+     * @returns {string|null} Retailer or null for links to other sites
+     */
+    parse(link) {
+        const host = linkHost(link);
+        if (!host) return null;
+
+        const labels = host.split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            const retailer = this.lookup.get(labels.slice(i).join('.'));
+            if (retailer) return retailer;
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    RetailerParser
+};
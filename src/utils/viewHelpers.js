@@ -0,0 +1,44 @@
+const { describePrice } = require('./format');
+
+/**
+ * Handlebars helpers for the dashboard views
+ */
+module.exports = {
+    /**
+     * Price summary for a post, e.g. "$549.00 (was $599.00, 8% off)"
+     */
+    price(post) {
+        return describePrice(post || {});
+    },
+
+    /**
+     * Strict equality, loose on number/string so query values compare to IDs
+     */
+    eq(a, b) {
+        return String(a) === String(b);
+    },
+
+    /**
+     * Greater than, for showing pagination only when there is more than one page
+     */
+    gt(a, b) {
+        return Number(a) > Number(b);
+    },
+
+    /**
+     * Timestamp as "YYYY-MM-DD HH:MM" (UTC)
+     */
+    date(value) {
+        if (value === null || value === undefined || value === '') return '';
+        // SQLite CURRENT_TIMESTAMP values are UTC without a zone; updates store epoch milliseconds
+        const date = typeof value === 'number' ? new Date(value) : new Date(`${String(value).replace(' ', 'T')}Z`);
+        return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 16).replace('T', ' ');
+    },
+
+    /**
+     * Join a list for display
+     */
+    join(list, separator) {
+        return Array.isArray(list) ? list.join(typeof separator === 'string' ? separator : ', ') : '';
+    }
+};
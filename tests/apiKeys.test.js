@@ -0,0 +1,141 @@
+const request = require('supertest');
+const { createTestApp, loginAs } = require('./helpers');
+
+describe('API keys', () => {
+    let container;
+    let app;
+    let admin;
+
+    beforeEach(async () => {
+        ({ container, app } = await createTestApp());
+        admin = await loginAs(container, 'admin@example.com', 'admin');
+    });
+
+    afterEach(async () => {
+        await container.dispose();
+    });
+
+    const issue = body => request(app).post('/api/api-keys').set(admin.auth).send({ userId: admin.user.id, name: 'Home Assistant', ...body });
+
+    test('are shown once and stored only as a hash and a prefix', async () => {
+        const response = await issue();
+
+        expect(response.status).toBe(201);
+        const { key } = response.body;
+        expect(key).toMatch(/^dm_[\w-]{43}$/);
+
+        const rows = await container.resolve('db')('api_keys');
+        expect(rows).toHaveLength(1);
+        expect(JSON.stringify(rows)).not.toContain(key);
+        expect(rows[0].key_prefix).toBe(key.slice(0, 11));
+        expect(rows[0].key_hash).toMatch(/^[0-9a-f]{64}$/);
+
+        const listed = await request(app).get(`/api/api-keys/${response.body.id}`).set(admin.auth);
+        expect(listed.body.key).toBeUndefined();
+        expect(JSON.stringify(listed.body)).not.toContain(rows[0].key_hash);
+    });
+
+    test('act as their owner', async () => {
+        const { body } = await issue();
+
+        const response = await request(app).get('/api/users').set('X-API-Key', body.key);
+
+        expect(response.status).toBe(200);
+    });
+
+    test('are rejected once revoked', async () => {
+        const { body } = await issue();
+
+        const revoked = await request(app).delete(`/api/api-keys/${body.id}`).set(admin.auth);
+        const response = await request(app).get('/api/keywords').set('X-API-Key', body.key);
+
+        expect(revoked.status).toBe(204);
+        expect(response.status).toBe(401);
+    });
+
+    test('decide who a request is, even alongside a valid token', async () => {
+        const { body } = await issue();
+        await request(app).delete(`/api/api-keys/${body.id}`).set(admin.auth);
+
+        const response = await request(app).get('/api/keywords').set(admin.auth).set('X-API-Key', body.key);
+
+        expect(response.status).toBe(401);
+    });
+});
+
+describe('rate limits', () => {
+    let container;
+    let app;
+    let auth;
+
+    beforeEach(async () => {
+        ({ container, app } = await createTestApp({
+            RATE_LIMIT_MAX: '8',
+            RATE_LIMIT_SEARCH_MAX: '2',
+            RATE_LIMIT_STATS_MAX: '1',
+            RATE_LIMIT_ANONYMOUS_MAX: '3'
+        }));
+        ({ auth } = await loginAs(container, 'owner@example.com'));
+    });
+
+    afterEach(async () => {
+        await container.dispose();
+    });
+
+    const get = path => request(app).get(path).set(auth);
+
+    test('a 429 carries Retry-After and the RateLimit headers', async () => {
+        await get('/api/posts/stats');
+
+        const response = await get('/api/posts/stats');
+
+        expect(response.status).toBe(429);
+        expect(response.body).toEqual({ error: 'Too many requests, slow down', retryAfter: expect.any(Number) });
+        expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+        expect(Number(response.headers['retry-after'])).toBe(response.body.retryAfter);
+        expect(response.headers).toMatchObject({ 'ratelimit-limit': '1', 'ratelimit-remaining': '0', 'ratelimit-reset': expect.any(String) });
+    });
+
+    test('every API response reports the general bucket', async () => {
+        const response = await get('/api/keywords');
+
+        expect(response.headers).toMatchObject({ 'ratelimit-limit': '8', 'ratelimit-remaining': '7' });
+    });
+
+    test('search and stats use up their own buckets without emptying each other', async () => {
+        const search = [];
+        for (let i = 0; i < 3; i++) {
+            search.push((await get('/api/posts/search?q=4070')).status);
+        }
+        const stats = (await get('/api/posts/stats')).status;
+        const categories = (await get('/api/posts/categories')).status;
+        const general = await get('/api/keywords');
+
+        expect(search).toEqual([200, 200, 429]);
+        expect([stats, categories]).toEqual([200, 429]);
+        // Every request above also counted against the general bucket, which has two left
+        expect(general.status).toBe(200);
+        expect(general.headers['ratelimit-remaining']).toBe('2');
+    });
+
+    test('the general bucket limits routes with their own buckets too', async () => {
+        for (let i = 0; i < 8; i++) {
+            await get('/api/keywords');
+        }
+
+        const response = await get('/api/posts/search?q=4070');
+
+        expect(response.status).toBe(429);
+        expect(response.headers['ratelimit-limit']).toBe('8');
+    });
+
+    test('callers without credentials share a smaller bucket per address', async () => {
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+            statuses.push((await request(app).get('/api/keywords')).status);
+        }
+
+        expect(statuses).toEqual([401, 401, 401, 429]);
+        expect((await get('/api/keywords')).status).toBe(200);
+    });
+});
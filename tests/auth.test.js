@@ -0,0 +1,136 @@
+const request = require('supertest');
+const { createTestApp, loginAs } = require('./helpers');
+
+describe('API access control', () => {
+    let container;
+    let app;
+    let alice;
+    let bob;
+
+    beforeEach(async () => {
+        ({ container, app } = await createTestApp());
+        await loginAs(container, 'admin@example.com', 'admin');
+        alice = await loginAs(container, 'alice@example.com');
+        bob = await loginAs(container, 'bob@example.com');
+    });
+
+    afterEach(async () => {
+        await container.dispose();
+    });
+
+    describe('authentication', () => {
+        test('a request without a token gets 401 and a Bearer challenge', async () => {
+            const response = await request(app).get('/api/keywords');
+
+            expect(response.status).toBe(401);
+            expect(response.headers['www-authenticate']).toBe('Bearer');
+            expect(response.body).toEqual({ error: 'Authentication required' });
+        });
+
+        test.each([
+            ['a made-up token', { Authorization: 'Bearer not-a-real-token' }],
+            ['a malformed header', { Authorization: 'Token abc' }],
+            ['a made-up session cookie', { Cookie: 'dealmonitor_session=not-a-real-token' }],
+            ['a made-up API key', { 'X-API-Key': 'dm_not-a-real-key' }]
+        ])('%s gets 401', async (description, headers) => {
+            const response = await request(app).get('/api/keywords').set(headers);
+
+            expect(response.status).toBe(401);
+        });
+
+        test('an expired token gets 401', async () => {
+            await container.resolve('db')('auth_tokens').where('user_id', alice.user.id).update({ expires_at: Date.now() - 1000 });
+
+            const response = await request(app).get('/api/keywords').set(alice.auth);
+
+            expect(response.status).toBe(401);
+        });
+
+        test('a token gets 401 once its user logs out', async () => {
+            await request(app).post('/api/auth/logout').set(alice.auth);
+
+            const response = await request(app).get('/api/keywords').set(alice.auth);
+
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('ownership', () => {
+        test.each([
+            ['get', 'get', undefined],
+            ['update', 'patch', { keyword: 'hijacked' }],
+            ['delete', 'delete', undefined]
+        ])('another user\'s keyword is not found on %s', async (action, method, body) => {
+            const keyword = (await request(app).post('/api/keywords').set(alice.auth).send({ keyword: 'ultrawide' })).body;
+
+            const response = await request(app)[method](`/api/keywords/${keyword.id}`).set(bob.auth).send(body);
+
+            expect(response.status).toBe(404);
+            expect(JSON.stringify(response.body)).not.toContain('ultrawide');
+            expect((await request(app).get(`/api/keywords/${keyword.id}`).set(alice.auth)).body.keyword).toBe('ultrawide');
+        });
+
+        test('another user\'s keywords are left out of lists', async () => {
+            await request(app).post('/api/keywords').set(alice.auth).send({ keyword: 'ultrawide' });
+
+            const response = await request(app).get('/api/keywords').set(bob.auth);
+
+            expect(response.body).toMatchObject({ items: [], total: 0 });
+        });
+
+        test.each([
+            ['get', 'get', undefined],
+            ['rename', 'patch', { name: 'hardwareswap' }],
+            ['delete', 'delete', undefined]
+        ])('a subreddit only another user watches is not found on %s', async (action, method, body) => {
+            const subreddit = (await request(app).post('/api/subreddits').set(alice.auth).send({ name: 'buildapcsales' })).body;
+
+            const response = await request(app)[method](`/api/subreddits/${subreddit.id}`).set(bob.auth).send(body);
+
+            expect(response.status).toBe(404);
+            expect(JSON.stringify(response.body)).not.toContain('buildapcsales');
+        });
+
+        test('a post shows only the caller\'s own matched keywords and stars', async () => {
+            const keyword = await container.resolve('keywordRepository').create({ userId: alice.user.id, keyword: '4070' });
+            const post = await container.resolve('postRepository').create({ title: '[GPU] RTX 4070 $549' });
+            await container.resolve('keywordMatcher').matchPost(post);
+            await request(app).put(`/api/posts/${post.id}/star`).set(alice.auth);
+
+            const keywords = await request(app).get(`/api/posts/${post.id}/keywords`).set(bob.auth);
+            const starred = await request(app).get('/api/posts?starred=true').set(bob.auth);
+            const unstar = await request(app).delete(`/api/posts/${post.id}/star`).set(bob.auth);
+
+            expect(keywords.body.items).toEqual([]);
+            expect(starred.body.items).toEqual([]);
+            expect(unstar.status).toBe(404);
+            expect((await request(app).get(`/api/posts/${post.id}/keywords`).set(alice.auth)).body.items)
+                .toEqual([expect.objectContaining({ id: keyword.id })]);
+            expect((await request(app).get('/api/posts?starred=true').set(alice.auth)).body.total).toBe(1);
+        });
+    });
+
+    describe('admin-only routes', () => {
+        test.each([
+            ['get', '/api/users'],
+            ['post', '/api/users'],
+            ['get', '/api/api-keys'],
+            ['post', '/api/api-keys'],
+            ['get', '/api/retention'],
+            ['post', '/api/retention/run']
+        ])('a non-admin gets 403 from %s %s', async (method, path) => {
+            const response = await request(app)[method](path).set(alice.auth).send({});
+
+            expect(response.status).toBe(403);
+            expect(response.body).toEqual({ error: 'Admin role required' });
+        });
+
+        test.each(['/api/users', '/api/api-keys', '/api/retention'])('an admin can open %s', async path => {
+            const { auth } = await loginAs(container, 'second-admin@example.com', 'admin');
+
+            const response = await request(app).get(path).set(auth);
+
+            expect(response.status).toBe(200);
+        });
+    });
+});
@@ -0,0 +1,184 @@
+const { Writable } = require('stream');
+const request = require('supertest');
+const winston = require('winston');
+const KeywordRepository = require('../src/repositories/KeywordRepository');
+const { createLogger } = require('../src/config/logger');
+const { runWithContext } = require('../src/utils/context');
+const { createTestApp, loginAs } = require('./helpers');
+
+/**
+ * Application logger writing its JSON lines to an array instead of stdout
+ * @returns {{logger: import('winston').Logger, lines: Object[]}} Logger and the entries it wrote
+ */
+function createCapturingLogger() {
+    const lines = [];
+    const logger = createLogger({ logLevel: 'debug' });
+    logger.clear().add(new winston.transports.Stream({
+        stream: new Writable({
+            write(chunk, encoding, callback) {
+                lines.push(JSON.parse(chunk));
+                callback();
+            }
+        })
+    }));
+    return { logger, lines };
+}
+
+describe('correlation', () => {
+    let logger;
+    let lines;
+
+    beforeEach(() => {
+        ({ logger, lines } = createCapturingLogger());
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('log lines', () => {
+        test('carry the fields of the context they were written in, across awaits and timers', async () => {
+            const cycle = async pollId => runWithContext({ pollId }, async () => {
+                await new Promise(resolve => setTimeout(resolve, pollId === 'first' ? 20 : 5));
+                logger.info('Poll finished');
+            });
+
+            await Promise.all([cycle('first'), cycle('second')]);
+            logger.info('Outside any cycle');
+
+            expect(lines.map(line => [line.message, line.pollId])).toEqual([
+                ['Poll finished', 'second'],
+                ['Poll finished', 'first'],
+                ['Outside any cycle', undefined]
+            ]);
+        });
+
+        test('keep fields given on the line over the context', () => {
+            runWithContext({ requestId: 'from-context' }, () => logger.info('Explicit', { requestId: 'from-line' }));
+
+            expect(lines[0].requestId).toBe('from-line');
+        });
+    });
+
+    describe('requests', () => {
+        let container;
+        let app;
+        let user;
+        let auth;
+
+        beforeEach(async () => {
+            ({ container, app } = await createTestApp({}, { logger }));
+            ({ user, auth } = await loginAs(container, 'owner@example.com'));
+        });
+
+        afterEach(async () => {
+            await container.dispose();
+        });
+
+        test('an unexpected error is logged with its cause chain under the request and user it happened in', async () => {
+            const cause = new Error('SQLITE_BUSY: database is locked');
+            jest.spyOn(KeywordRepository.prototype, 'findAll')
+                .mockRejectedValue(new Error(`Failed to list keywords: ${cause.message}`, { cause }));
+
+            const response = await request(app).get('/api/keywords').set(auth).set('X-Request-Id', 'req-500');
+
+            expect(response.status).toBe(500);
+            expect(response.body.requestId).toBe('req-500');
+            const logged = lines.find(line => line.message === 'Unhandled request error');
+            expect(logged).toMatchObject({
+                level: 'error',
+                requestId: 'req-500',
+                // Only the correlation context knows the user here
+                userId: user.id,
+                path: '/api/keywords',
+                error: {
+                    name: 'Error',
+                    message: 'Failed to list keywords: SQLITE_BUSY: database is locked',
+                    stack: expect.any(String),
+                    cause: { name: 'Error', message: 'SQLITE_BUSY: database is locked', stack: expect.any(String) }
+                }
+            });
+        });
+
+        test('each request is logged once under its ID, which the response echoes', async () => {
+            const response = await request(app).get('/api/keywords').set(auth).set('X-Request-Id', 'req-200');
+
+            expect(response.headers['x-request-id']).toBe('req-200');
+            expect(lines.filter(line => line.message === 'Request completed')).toEqual([
+                expect.objectContaining({ requestId: 'req-200', userId: user.id, method: 'GET', path: '/api/keywords', status: 200 })
+            ]);
+        });
+
+        test('a request ID that isn\'t safe to log is replaced', async () => {
+            const response = await request(app).get('/api/keywords').set(auth).set('X-Request-Id', 'bad id <script>');
+
+            expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+        });
+    });
+});
+
+describe('AuditTrail', () => {
+    let container;
+    let app;
+    let user;
+    let auth;
+
+    beforeEach(async () => {
+        ({ container, app } = await createTestApp());
+        ({ user, auth } = await loginAs(container, 'admin@example.com', 'admin'));
+    });
+
+    afterEach(async () => {
+        await container.dispose();
+    });
+
+    const entries = async requestId => (await container.resolve('auditLogRepository').findAll({ requestId, limit: 100 }))
+        .entries.map(entry => entry.toJSON());
+
+    /**
+     * Send a request under a known request ID
+     */
+    const send = (method, path, requestId, body) => request(app)[method](path).set(auth).set('X-Request-Id', requestId).send(body);
+
+    test.each([
+        ['keyword', '/api/keywords', { keyword: '4070' }, { keyword: '4070 super' }],
+        ['subreddit', '/api/subreddits', { name: 'buildapcsales' }, { name: 'hardwareswap' }],
+        ['post', '/api/posts', { title: '[GPU] RTX 4070 $549' }, { title: '[GPU] RTX 4070 $529' }]
+    ])('records who created, updated and deleted a %s, in which request', async (entityType, path, created, changed) => {
+        const { body: entity } = await send('post', path, `${entityType}-create`, created);
+        await send('patch', `${path}/${entity.id}`, `${entityType}-update`, changed);
+        await send('delete', `${path}/${entity.id}`, `${entityType}-delete`);
+
+        const [create] = await entries(`${entityType}-create`);
+        const [update] = await entries(`${entityType}-update`);
+        const [remove] = await entries(`${entityType}-delete`);
+        expect(create).toMatchObject({ userId: user.id, action: 'create', entityType, entityId: entity.id, before: null, after: created });
+        expect(update).toMatchObject({ userId: user.id, action: 'update', entityId: entity.id, before: created, after: changed });
+        expect(remove).toMatchObject({ userId: user.id, action: 'delete', entityId: entity.id, before: changed, after: null });
+        expect(await entries()).toHaveLength(3);
+    });
+
+    test('an update that changes nothing is not recorded', async () => {
+        const { body: keyword } = await send('post', '/api/keywords', 'create', { keyword: '4070' });
+
+        await send('patch', `/api/keywords/${keyword.id}`, 'noop', { keyword: '4070' });
+
+        expect(await entries('noop')).toEqual([]);
+    });
+
+    test('changes made outside a request are not recorded', async () => {
+        await container.resolve('auditTrail').record('create', 'post', null, { id: 1 });
+
+        expect(await entries()).toEqual([]);
+    });
+
+    test('users read their own changes over the API', async () => {
+        await send('post', '/api/keywords', 'admin-change', { keyword: '4070' });
+        const other = await loginAs(container, 'user@example.com');
+        await request(app).post('/api/keywords').set(other.auth).set('X-Request-Id', 'user-change').send({ keyword: 'nvme' });
+
+        const response = await request(app).get('/api/audit').set(other.auth);
+
+        expect(response.body.items.map(entry => entry.requestId)).toEqual(['user-change']);
+    });
+});
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { Post } = require('../src/models/Post');
+const { createTestApp, loginAs } = require('./helpers');
+
+const VIEWS = path.join(__dirname, '../src/views');
+
+/**
+ * Every template under a directory
+ * @param {string} dir - Directory to search
+ * @returns {string[]} Template paths
+ */
+const templatesIn = dir => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    return entry.isDirectory() ? templatesIn(file) : [file];
+});
+
+describe('dashboard', () => {
+    let container;
+    let app;
+    let user;
+    let auth;
+
+    beforeEach(async () => {
+        ({ container, app } = await createTestApp());
+        ({ user, auth } = await loginAs(container, 'owner@example.com'));
+    });
+
+    afterEach(async () => {
+        await container.dispose();
+    });
+
+    const addPost = data => container.resolve('postRepository').create(data);
+
+    test('renders matches with the keywords they matched', async () => {
+        const keyword = await container.resolve('keywordRepository').create({ userId: user.id, keyword: '4070' });
+        const post = await addPost({ title: '[GPU] RTX 4070 $549', links: ['https://www.newegg.com/p/1'] });
+        await container.resolve('keywordMatcher').matchPost(post);
+
+        const response = await request(app).get('/dashboard').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.type).toBe('text/html');
+        expect(response.text).toContain('<a href="https://www.newegg.com/p/1" rel="noopener noreferrer">[GPU] RTX 4070 $549</a>');
+        expect(response.text).toContain(`<a class="tag" href="/dashboard?keywordId=${keyword.id}">4070</a>`);
+    });
+
+    test('sends visitors without a login to the login page', async () => {
+        const response = await request(app).get('/dashboard/posts');
+
+        expect(response.status).toBe(303);
+        expect(response.headers.location).toBe('/dashboard/login');
+    });
+
+    test('highlights search terms and escapes the post text around them', async () => {
+        await addPost({ title: '[SSD] Samsung 990 Pro $149', description: 'Heatsink <img src=x onerror=alert(1)> version' });
+
+        const response = await request(app).get('/dashboard/posts?search=heatsink').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.text).toMatch(/<p class="snippet"><mark>Heatsink<\/mark> &lt;img src=x onerror=alert\(1\)&gt; version<\/p>/);
+        expect(response.text).not.toContain('<img');
+    });
+
+    test('escapes the preview of posts listed without a search', async () => {
+        await addPost({ title: '[SSD] Samsung 990 Pro $149', description: '<script>alert(1)</script> Heatsink version' });
+
+        const response = await request(app).get('/dashboard/posts').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.text).toContain('<p>&lt;script&gt;alert(1)&lt;/script&gt; Heatsink version</p>');
+        expect(response.text).not.toContain('<script>');
+    });
+
+    test('shows form errors for an invalid filter instead of failing', async () => {
+        const response = await request(app).get('/dashboard/posts?minPrice=-1').set(auth);
+
+        expect(response.status).toBe(400);
+        expect(response.text).toContain('<li>&quot;minPrice&quot; must be greater than or equal to 0</li>');
+    });
+
+    describe('unescaped output', () => {
+        test('the only post field rendered as raw HTML is previewText, and only when it is highlighted', () => {
+            const raw = templatesIn(VIEWS).flatMap(file => [...fs.readFileSync(file, 'utf8').matchAll(/{{{\s*([^}]+?)\s*}}}|{{&\s*([^}]+?)\s*}}/g)]
+                .map(match => `${path.relative(VIEWS, file)}: ${match[1] || match[2]}`));
+
+            expect(raw.sort()).toEqual(['layouts/main.handlebars: body', 'partials/post.handlebars: previewText']);
+            expect(fs.readFileSync(path.join(VIEWS, 'partials/post.handlebars'), 'utf8'))
+                .toMatch(/{{#if highlighted}}\s*<p class="snippet">{{{previewText}}}<\/p>\s*{{else/);
+        });
+
+        test('a post is only highlighted when its snippet came through highlightSnippet', async () => {
+            const fromRow = Post.fromDatabase({ title: 'Heatsink', snippet: '<img src=x onerror=alert(1)>' });
+            const fromData = new Post({ title: 'Heatsink', snippet: '<img src=x onerror=alert(1)>', highlighted: true });
+            await addPost({ title: '<b>Heatsink</b> SSD' });
+            const { posts } = await container.resolve('postRepository').findAll({ search: 'heatsink' });
+
+            expect(fromRow.toJSON().highlighted).toBe(false);
+            expect(fromData.toJSON().highlighted).toBe(false);
+            expect(posts[0].toJSON()).toMatchObject({ highlighted: true, previewText: '&lt;b&gt;<mark>Heatsink</mark>&lt;/b&gt; SSD' });
+        });
+    });
+});
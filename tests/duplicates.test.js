@@ -0,0 +1,127 @@
+const request = require('supertest');
+const { linkKey } = require('../src/utils/duplicates');
+const { createTestApp, loginAs } = require('./helpers');
+
+// Reddit creation time of the first post, in seconds
+const POSTED = 1700000000;
+const HOUR = 60 * 60;
+
+describe('duplicate posts', () => {
+    let container;
+    let app;
+    let auth;
+    let detector;
+
+    beforeEach(async () => {
+        ({ container, app } = await createTestApp());
+        ({ auth } = await loginAs(container, 'owner@example.com'));
+        detector = container.resolve('duplicateDetector');
+    });
+
+    afterEach(async () => {
+        await container.dispose();
+    });
+
+    let sequence = 0;
+
+    /**
+     * Store a post the way the poller does, with its original when it repeats one
+     * @param {Object} data - Post data; createdUtc defaults to POSTED
+     * @param {Object} item - Reddit listing item, for crosspost_parent
+     * @returns {Promise<import('../src/models/Post').Post>} Stored post
+     */
+    const ingest = async (data, item = {}) => {
+        const postData = { redditId: `t3_dup${++sequence}`, subreddit: 'buildapcsales', createdUtc: POSTED, ...data };
+        postData.duplicateOf = await detector.findOriginal(postData, item);
+        return container.resolve('postRepository').create(postData);
+    };
+
+    test('a crosspost belongs to the post it was crossposted from', async () => {
+        const original = await ingest({ title: '[GPU] RTX 4070 $549', links: ['https://www.newegg.com/p/1'] });
+
+        const crosspost = await ingest(
+            { title: 'Saw this on bapcs', links: ['https://www.reddit.com/r/buildapcsales/comments/1'], createdUtc: POSTED + 10 * 24 * HOUR },
+            { crosspost_parent: original.redditId }
+        );
+
+        expect(crosspost.duplicateOf).toBe(original.id);
+    });
+
+    test('duplicates of duplicates point at the first post', async () => {
+        const original = await ingest({ title: '[GPU] RTX 4070 $549', links: ['https://www.newegg.com/p/1'] });
+        const repost = await ingest({ title: 'RTX 4070 at Newegg', links: ['https://newegg.com/p/1/'], createdUtc: POSTED + HOUR });
+
+        const crosspost = await ingest({ title: 'xpost' }, { crosspost_parent: repost.redditId });
+
+        expect(repost.duplicateOf).toBe(original.id);
+        expect(crosspost.duplicateOf).toBe(original.id);
+    });
+
+    test('a repost linking to the same page within the window is a duplicate, tracking noise aside', async () => {
+        const original = await ingest({ title: '[GPU] RTX 4070 $549', links: ['https://www.amazon.com/dp/B0BZB7DS7Q'] });
+
+        const repost = await ingest({
+            title: 'RTX 4070 for $549 on Amazon',
+            links: ['https://amazon.com/dp/B0BZB7DS7Q/ref=sr_1_1?tag=deals-20&utm_source=reddit'],
+            createdUtc: POSTED + 47 * HOUR
+        });
+
+        expect(repost.duplicateOf).toBe(original.id);
+    });
+
+    test.each([
+        ['at another price', { title: '[GPU] RTX 4070 $499', createdUtc: POSTED + HOUR }],
+        ['after the window', { title: '[GPU] RTX 4070 $549', createdUtc: POSTED + 49 * HOUR }],
+        ['linking somewhere else', { title: '[GPU] RTX 4070 $549', links: ['https://www.bestbuy.com/site/1'], createdUtc: POSTED + HOUR }]
+    ])('a post of the same product %s is a new deal', async (description, data) => {
+        await ingest({ title: '[GPU] RTX 4070 $549', links: ['https://www.newegg.com/p/1'] });
+
+        const post = await ingest({ links: ['https://www.newegg.com/p/1'], ...data });
+
+        expect(post.duplicateOf).toBeNull();
+    });
+
+    test('text posts are grouped by near-identical titles', async () => {
+        const original = await ingest({ title: '[Prebuilt] Costco in-store Ryzen 7 7800X3D RTX 4070 Super $1199' });
+
+        const repost = await ingest({ title: 'Costco in store Ryzen 7 7800X3D RTX 4070 Super - $1199', createdUtc: POSTED + HOUR });
+        const other = await ingest({ title: '[Prebuilt] Costco in-store Ryzen 5 7600 RTX 4060 $899', createdUtc: POSTED + HOUR });
+
+        expect(repost.duplicateOf).toBe(original.id);
+        expect(other.duplicateOf).toBeNull();
+    });
+
+    test('lists the group original first, and hides duplicates from lists on request', async () => {
+        const original = await ingest({ title: '[GPU] RTX 4070 $549', links: ['https://www.newegg.com/p/1'] });
+        const repost = await ingest({ title: 'RTX 4070 at Newegg', links: ['https://newegg.com/p/1'], createdUtc: POSTED + HOUR });
+        const crosspost = await ingest({ title: 'xpost' }, { crosspost_parent: original.redditId });
+
+        const group = await request(app).get(`/api/posts/${crosspost.id}/duplicates`).set(auth);
+        const listed = await request(app).get('/api/posts?hideDuplicates=true').set(auth);
+
+        expect(group.body.items.map(post => post.id)).toEqual([original.id, repost.id, crosspost.id]);
+        expect(listed.body.items.map(post => post.id)).toEqual([original.id]);
+    });
+
+    test('deleting the original leaves its duplicates with duplicate_of set to NULL', async () => {
+        const postRepository = container.resolve('postRepository');
+        const original = await ingest({ title: '[GPU] RTX 4070 $549', links: ['https://www.newegg.com/p/1'] });
+        const repost = await ingest({ title: 'RTX 4070 at Newegg', links: ['https://newegg.com/p/1'], createdUtc: POSTED + HOUR });
+
+        await postRepository.delete(original.id);
+
+        expect(await postRepository.findById(original.id)).toBeNull();
+        expect((await postRepository.findById(repost.id)).duplicateOf).toBeNull();
+    });
+
+    describe('linkKey', () => {
+        test.each([
+            [['https://www.reddit.com/r/buildapcsales/comments/1', 'https://m.newegg.com/p/1/?utm_source=x#specs'], 'newegg.com/p/1'],
+            [['https://redd.it/abc', 'https://i.redd.it/abc.jpg'], null],
+            [['https://example.com/a?b=2&a=1'], 'example.com/a?a=1&b=2'],
+            [[], null]
+        ])('%j keys as %j', (links, expected) => {
+            expect(linkKey(links)).toBe(expected);
+        });
+    });
+});
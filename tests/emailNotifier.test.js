@@ -0,0 +1,157 @@
+const { asValue } = require('awilix');
+const EmailNotifier = require('../src/services/EmailNotifier');
+const { createTestContainer } = require('./helpers');
+
+/**
+ * Fake only the clock, so database and HTTP work keep their real timers
+ */
+function setClock(iso) {
+    jest.useFakeTimers({
+        now: new Date(iso),
+        doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+            'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+    });
+}
+
+describe('EmailNotifier.windowEnd', () => {
+    test.each([
+        ['immediate', '2025-09-10T10:15:30.000Z', '2025-09-10T10:15:30.000Z'],
+        ['hourly', '2025-09-10T10:15:30.000Z', '2025-09-10T11:00:00.000Z'],
+        ['hourly', '2025-09-10T10:00:00.000Z', '2025-09-10T11:00:00.000Z'],
+        ['hourly', '2025-09-10T23:59:59.999Z', '2025-09-11T00:00:00.000Z'],
+        ['daily', '2025-09-10T10:15:30.000Z', '2025-09-11T00:00:00.000Z'],
+        ['daily', '2025-09-10T00:00:00.000Z', '2025-09-11T00:00:00.000Z'],
+        ['daily', '2025-12-31T23:30:00.000Z', '2026-01-01T00:00:00.000Z']
+    ])('%s at %s ends at %s', (mode, now, end) => {
+        expect(EmailNotifier.windowEnd(mode, new Date(now)).toISOString()).toBe(end);
+    });
+});
+
+describe('EmailNotifier', () => {
+    let container;
+    let transport;
+    let notifier;
+    let user;
+    let keywords;
+
+    beforeEach(async () => {
+        container = await createTestContainer({ EMAIL_MAX_ATTEMPTS: '2' });
+        transport = { sendMail: jest.fn(async () => ({ messageId: `<${transport.sendMail.mock.calls.length}@test>` })) };
+        container.register({ mailTransport: asValue(transport) });
+        notifier = container.resolve('emailNotifier');
+
+        user = await container.resolve('userRepository').create({ email: 'owner@example.com', passwordHash: 'x' });
+        const keywordRepository = container.resolve('keywordRepository');
+        keywords = {
+            gpu: await keywordRepository.create({ keyword: '4070', userId: user.id }),
+            ssd: await keywordRepository.create({ keyword: 'nvme', userId: user.id })
+        };
+    });
+
+    afterEach(async () => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        await container.dispose();
+    });
+
+    const addRecipient = mode => container.resolve('recipientRepository')
+        .create({ email: `${mode}@example.com`, mode, userId: user.id });
+    const addPost = title => container.resolve('postRepository').create({ title, links: ['https://www.newegg.com/p/1'] });
+    const digests = () => container.resolve('db')('email_digests').orderBy('id');
+
+    test('mails an immediate recipient once per match', async () => {
+        const recipient = await addRecipient('immediate');
+        const post = await addPost('[GPU] RTX 4070 $549');
+
+        await notifier.notify({ post, keyword: keywords.gpu, context: { subreddit: 'buildapcsales' } });
+
+        expect(transport.sendMail).toHaveBeenCalledTimes(1);
+        const message = transport.sendMail.mock.calls[0][0];
+        expect(message.to).toBe(recipient.email);
+        expect(message.subject).toBe('[DealMonitor] "4070": [GPU] RTX 4070 $549');
+        expect(message.text).toContain('r/buildapcsales');
+        expect(await digests()).toEqual([expect.objectContaining({ status: 'sent', attempts: 1, message_id: '<1@test>' })]);
+    });
+
+    test('batches an hourly window and sends it once the hour ends', async () => {
+        await addRecipient('hourly');
+        setClock('2025-09-10T10:05:00Z');
+        await notifier.notify({ post: await addPost('[GPU] RTX 4070 $549'), keyword: keywords.gpu });
+        setClock('2025-09-10T10:55:00Z');
+        await notifier.notify({ post: await addPost('[SSD] 2TB NVMe $99'), keyword: keywords.ssd });
+
+        expect(await notifier.flushDue(new Date('2025-09-10T10:59:59Z'))).toEqual({ sent: 0, failed: 0 });
+        expect(await notifier.flushDue(new Date('2025-09-10T11:00:00Z'))).toEqual({ sent: 1, failed: 0 });
+
+        expect(transport.sendMail).toHaveBeenCalledTimes(1);
+        const message = transport.sendMail.mock.calls[0][0];
+        expect(message.subject).toBe('[DealMonitor] Hourly digest: 2 matches for 2 keywords');
+        expect(message.text).toContain('[GPU] RTX 4070 $549');
+        expect(message.text).toContain('[SSD] 2TB NVMe $99');
+    });
+
+    test('a match in the next hour opens a new window', async () => {
+        await addRecipient('hourly');
+        setClock('2025-09-10T10:59:00Z');
+        await notifier.notify({ post: await addPost('[GPU] RTX 4070 $549'), keyword: keywords.gpu });
+        setClock('2025-09-10T11:01:00Z');
+        await notifier.notify({ post: await addPost('[GPU] RTX 4070 Ti $749'), keyword: keywords.gpu });
+
+        expect((await digests()).map(digest => new Date(Number(digest.window_end)).toISOString())).toEqual([
+            '2025-09-10T11:00:00.000Z',
+            '2025-09-10T12:00:00.000Z'
+        ]);
+        expect(await notifier.flushDue(new Date('2025-09-10T11:30:00Z'))).toEqual({ sent: 1, failed: 0 });
+    });
+
+    test('a daily window runs to UTC midnight', async () => {
+        await addRecipient('daily');
+        setClock('2025-09-10T00:10:00Z');
+        await notifier.notify({ post: await addPost('[GPU] RTX 4070 $549'), keyword: keywords.gpu });
+        setClock('2025-09-10T23:50:00Z');
+        await notifier.notify({ post: await addPost('[SSD] 2TB NVMe $99'), keyword: keywords.ssd });
+
+        expect(await digests()).toHaveLength(1);
+        expect(await notifier.flushDue(new Date('2025-09-10T23:59:59Z'))).toEqual({ sent: 0, failed: 0 });
+        expect(await notifier.flushDue(new Date('2025-09-11T00:00:00Z'))).toEqual({ sent: 1, failed: 0 });
+        expect(transport.sendMail.mock.calls[0][0].subject).toBe('[DealMonitor] Daily digest: 2 matches for 2 keywords');
+    });
+
+    test('retries a failed send and gives up after the last attempt', async () => {
+        await addRecipient('hourly');
+        setClock('2025-09-10T10:05:00Z');
+        await notifier.notify({ post: await addPost('[GPU] RTX 4070 $549'), keyword: keywords.gpu });
+        transport.sendMail.mockRejectedValue(new Error('Connection refused'));
+        const afterWindow = new Date('2025-09-10T11:00:00Z');
+
+        expect(await notifier.flushDue(afterWindow)).toEqual({ sent: 0, failed: 1 });
+        expect(await digests()).toEqual([expect.objectContaining({ status: 'pending', attempts: 1, error: 'Connection refused' })]);
+
+        expect(await notifier.flushDue(afterWindow)).toEqual({ sent: 0, failed: 1 });
+        expect(await digests()).toEqual([expect.objectContaining({ status: 'failed', attempts: 2 })]);
+        expect(await notifier.flushDue(afterWindow)).toEqual({ sent: 0, failed: 0 });
+    });
+
+    test('drops a digest whose recipient is deleted while it is being sent', async () => {
+        await addRecipient('hourly');
+        setClock('2025-09-10T10:05:00Z');
+        await notifier.notify({ post: await addPost('[GPU] RTX 4070 $549'), keyword: keywords.gpu });
+        jest.spyOn(notifier.recipientRepository, 'findById').mockResolvedValue(null);
+
+        expect(await notifier.flushDue(new Date('2025-09-10T11:00:00Z'))).toEqual({ sent: 0, failed: 1 });
+        expect(transport.sendMail).not.toHaveBeenCalled();
+        expect(await digests()).toEqual([expect.objectContaining({ status: 'failed', error: 'Recipient no longer exists' })]);
+    });
+
+    test('skips disabled recipients and other users\' recipients', async () => {
+        const recipient = await addRecipient('immediate');
+        await container.resolve('recipientRepository').update(recipient.id, { enabled: false });
+        const other = await container.resolve('userRepository').create({ email: 'other@example.com', passwordHash: 'x' });
+        await container.resolve('recipientRepository').create({ email: 'other@example.com', userId: other.id });
+
+        await notifier.notify({ post: await addPost('[GPU] RTX 4070 $549'), keyword: keywords.gpu });
+
+        expect(transport.sendMail).not.toHaveBeenCalled();
+        expect(await digests()).toHaveLength(0);
+    });
+});
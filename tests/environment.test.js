@@ -0,0 +1,72 @@
+const path = require('path');
+const { ConfigError, loadConfig } = require('../src/config/environment');
+const { thrownBy } = require('./helpers');
+
+describe('loadConfig', () => {
+    test('applies defaults and groups values by the part of the app that uses them', () => {
+        const config = loadConfig({});
+
+        expect(config).toMatchObject({
+            env: 'development',
+            port: 3000,
+            trustProxy: false,
+            database: { path: './data/app.db' },
+            links: { resolveShorteners: false, shorteners: [], retailerDomainsPath: null },
+            categories: { aliasesPath: null },
+            webhooks: { intervalMs: 5000, allowPrivateTargets: false },
+            email: { smtp: { host: 'localhost', port: 587, user: null, pass: null } }
+        });
+        expect(path.isAbsolute(config.retention.policy.exportDir)).toBe(true);
+    });
+
+    test('uses an in-memory database under test', () => {
+        expect(loadConfig({ NODE_ENV: 'test' }).database.path).toBe(':memory:');
+        expect(loadConfig({ NODE_ENV: 'test', DATABASE_PATH: './test.db' }).database.path).toBe('./test.db');
+    });
+
+    test('converts strings to the types the app expects', () => {
+        const config = loadConfig({
+            PORT: '8080',
+            TRUST_PROXY: '2',
+            AUTH_TOKEN_TTL_HOURS: '2',
+            WEBHOOK_ALLOW_PRIVATE_TARGETS: 'true',
+            LINK_SHORTENERS: 'bit.ly, amzn.to',
+            CATEGORY_ALIASES_PATH: '/etc/dealmonitor/categories.json'
+        });
+
+        expect(config.port).toBe(8080);
+        expect(config.trustProxy).toBe(2);
+        expect(config.auth.tokenTtlMs).toBe(2 * 60 * 60 * 1000);
+        expect(config.webhooks.allowPrivateTargets).toBe(true);
+        expect(config.links.shorteners).toEqual(['bit.ly', 'amzn.to']);
+        expect(config.categories.aliasesPath).toBe('/etc/dealmonitor/categories.json');
+    });
+
+    test('treats empty variables as unset', () => {
+        const config = loadConfig({ PORT: '', SMTP_USER: '', RETAILER_DOMAINS_PATH: '' });
+
+        expect(config.port).toBe(3000);
+        expect(config.email.smtp.user).toBeNull();
+        expect(config.links.retailerDomainsPath).toBeNull();
+    });
+
+    test('ignores variables it does not know', () => {
+        expect(() => loadConfig({ PATH: '/usr/bin', HOME: '/root' })).not.toThrow();
+    });
+
+    test('lists every invalid variable in one ConfigError', () => {
+        const error = thrownBy(() => loadConfig({
+            PORT: 'eighty',
+            LOG_LEVEL: 'loud',
+            POLL_INTERVAL_MS: '0',
+            LINK_SHORTENERS: 'bit.ly,,amzn.to'
+        }));
+
+        expect(error).toBeInstanceOf(ConfigError);
+        expect(error.problems.map(problem => problem.variable)).toEqual([
+            'PORT', 'LOG_LEVEL', 'POLL_INTERVAL_MS', 'LINK_SHORTENERS'
+        ]);
+        expect(error.problems[0].message).toBe('must be a number');
+        expect(error.message).toMatch(/^Invalid environment configuration:\n {2}- PORT: must be a number\n/);
+    });
+});
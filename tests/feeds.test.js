@@ -0,0 +1,154 @@
+const request = require('supertest');
+const { escapeXml } = require('../src/utils/feeds');
+const { redactUrl, stripSecrets } = require('../src/utils/redact');
+const { createTestApp, createTestLogger, loginAs } = require('./helpers');
+
+describe('/feeds', () => {
+    let container;
+    let app;
+    let logger;
+    let alice;
+    let bob;
+    let keyword;
+
+    beforeEach(async () => {
+        logger = createTestLogger();
+        ({ container, app } = await createTestApp({}, { logger }));
+        await loginAs(container, 'admin@example.com', 'admin');
+        alice = await loginAs(container, 'alice@example.com');
+        bob = await loginAs(container, 'bob@example.com');
+
+        alice.feedToken = (await request(app).post('/api/auth/feed-token').set(alice.auth)).body.token;
+        bob.feedToken = (await request(app).post('/api/auth/feed-token').set(bob.auth)).body.token;
+
+        keyword = await container.resolve('keywordRepository').create({ userId: alice.user.id, keyword: '4070' });
+        const post = await container.resolve('postRepository').create({ title: '[GPU] RTX 4070 $549', links: ['https://www.newegg.com/p/1'] });
+        await container.resolve('keywordMatcher').matchPost(post);
+    });
+
+    afterEach(async () => {
+        await container.dispose();
+    });
+
+    const keywordFeed = token => request(app).get(`/feeds/keywords/${keyword.id}.atom`).query(token === undefined ? {} : { token });
+
+    describe('feed tokens', () => {
+        test('open their owner\'s feeds', async () => {
+            const response = await keywordFeed(alice.feedToken);
+
+            expect(response.status).toBe(200);
+            expect(response.type).toBe('application/atom+xml');
+            expect(response.text).toContain('<title>[GPU] RTX 4070 $549</title>');
+        });
+
+        test('don\'t open another user\'s feeds, which look like they don\'t exist', async () => {
+            const response = await keywordFeed(bob.feedToken);
+
+            expect(response.status).toBe(404);
+            expect(response.text).not.toContain('4070');
+        });
+
+        test.each([
+            ['unknown', () => 'dmf_not-a-real-token'],
+            ['missing', () => undefined]
+        ])('get 401 when %s', async (description, token) => {
+            expect((await keywordFeed(token())).status).toBe(401);
+        });
+
+        test('stop working once revoked', async () => {
+            await request(app).delete('/api/auth/feed-token').set(alice.auth);
+
+            expect((await keywordFeed(alice.feedToken)).status).toBe(401);
+        });
+
+        test('open nothing but feeds', async () => {
+            const response = await request(app).get('/api/keywords').query({ token: alice.feedToken });
+
+            expect(response.status).toBe(401);
+        });
+    });
+
+    test('access logs show the token as REDACTED', async () => {
+        await keywordFeed(alice.feedToken);
+
+        const logged = logger.info.mock.calls.filter(([message]) => message === 'Request completed').map(([, fields]) => fields.path);
+        expect(logged).toContain(`/feeds/keywords/${keyword.id}.atom?token=REDACTED`);
+        expect(JSON.stringify(logger.info.mock.calls)).not.toContain(alice.feedToken);
+    });
+
+    test('the self link leaves out the token and keeps everything else', async () => {
+        const response = await request(app).get(`/feeds/keywords/${keyword.id}.atom?utm_source=reader&token=${alice.feedToken}`);
+
+        expect(response.text).toMatch(new RegExp(`<link rel="self" type="application/atom\\+xml" href="http://127\\.0\\.0\\.1:\\d+/feeds/keywords/${keyword.id}\\.atom\\?utm_source=reader"/>`));
+        expect(response.text).not.toContain(alice.feedToken);
+    });
+
+    test('a reader holding the current copy gets 304 for If-None-Match', async () => {
+        const first = await keywordFeed(alice.feedToken);
+
+        const cached = await keywordFeed(alice.feedToken).set('If-None-Match', first.headers.etag);
+        const stale = await keywordFeed(alice.feedToken).set('If-None-Match', '"something-else"');
+
+        expect(first.headers.etag).toBeDefined();
+        expect(cached.status).toBe(304);
+        expect(cached.text).toBe('');
+        expect(stale.status).toBe(200);
+    });
+
+    test('a new entry changes the ETag', async () => {
+        const first = await keywordFeed(alice.feedToken);
+        const post = await container.resolve('postRepository').create({ title: '[GPU] RTX 4070 Super $599' });
+        await container.resolve('keywordMatcher').matchPost(post);
+
+        const response = await keywordFeed(alice.feedToken).set('If-None-Match', first.headers.etag);
+
+        expect(response.status).toBe(200);
+        expect(response.headers.etag).not.toBe(first.headers.etag);
+    });
+
+    test('subreddit feeds are RSS', async () => {
+        await request(app).post('/api/subreddits').set(alice.auth).send({ name: 'buildapcsales' });
+
+        const response = await request(app).get('/feeds/subreddits/buildapcsales.rss').query({ token: alice.feedToken });
+
+        expect(response.status).toBe(200);
+        expect(response.type).toBe('application/rss+xml');
+        expect(response.text).toContain('<rss version="2.0"');
+    });
+});
+
+describe('redact', () => {
+    test.each([
+        ['/feeds/keywords/1.atom?token=dmf_secret', '/feeds/keywords/1.atom?token=REDACTED'],
+        ['/feeds/keywords/1.atom?a=1&TOKEN=dmf_secret&b=2#top', '/feeds/keywords/1.atom?a=1&TOKEN=REDACTED&b=2#top'],
+        ['/feeds/keywords/1.atom?%74oken=dmf_secret', '/feeds/keywords/1.atom?%74oken=REDACTED'],
+        ['/api/posts?tokens=1&search=token%3Dx', '/api/posts?tokens=1&search=token%3Dx'],
+        ['/api/posts', '/api/posts']
+    ])('redactUrl(%j) is %j', (url, expected) => {
+        expect(redactUrl(url)).toBe(expected);
+    });
+
+    test.each([
+        ['/feeds/keywords/1.atom?token=dmf_secret', '/feeds/keywords/1.atom'],
+        ['https://example.com/feeds/1.atom?token=a&limit=5&token=b#x', 'https://example.com/feeds/1.atom?limit=5#x'],
+        ['/feeds/keywords/1.atom?limit=5', '/feeds/keywords/1.atom?limit=5']
+    ])('stripSecrets(%j) is %j', (url, expected) => {
+        expect(stripSecrets(url)).toBe(expected);
+    });
+});
+
+describe('escapeXml', () => {
+    test('escapes markup', () => {
+        expect(escapeXml('<a href="x">Tom\'s & co</a>')).toBe('&lt;a href=&quot;x&quot;&gt;Tom&apos;s &amp; co&lt;/a&gt;');
+    });
+
+    test('strips the control characters XML 1.0 doesn\'t allow, keeping tabs and line breaks', () => {
+        expect(escapeXml('a\u0000b\u0008c\u000Bd\u000Ce\u001Ff\uFFFEg\uFFFFh')).toBe('abcdefgh');
+        expect(escapeXml('a\tb\nc\rd')).toBe('a\tb\nc\rd');
+    });
+
+    test('renders null and undefined as nothing', () => {
+        expect(escapeXml(null)).toBe('');
+        expect(escapeXml(undefined)).toBe('');
+    });
+});
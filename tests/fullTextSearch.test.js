@@ -0,0 +1,128 @@
+const { MARK_START, MARK_END, toMatchQuery, highlightSnippet } = require('../src/utils/fullTextSearch');
+const { createTestContainer } = require('./helpers');
+
+describe('full-text search', () => {
+    let container;
+    let postRepository;
+
+    beforeEach(async () => {
+        container = await createTestContainer();
+        postRepository = container.resolve('postRepository');
+    });
+
+    afterEach(async () => {
+        await container.dispose();
+    });
+
+    const found = async text => (await postRepository.searchByText(text)).map(post => post.id);
+
+    describe('index triggers', () => {
+        test('index a new post', async () => {
+            const post = await postRepository.create({ title: '[SSD] Samsung 990 Pro $149', description: 'Heatsink version' });
+
+            expect(await found('samsung')).toEqual([post.id]);
+            expect(await found('heatsink')).toEqual([post.id]);
+        });
+
+        test('re-index an updated post, dropping its old text', async () => {
+            const post = await postRepository.create({ title: '[SSD] Samsung 990 Pro $149', description: 'Heatsink version' });
+
+            await postRepository.update(post.id, { title: '[SSD] WD Black SN850X $129', description: 'No heatsink' });
+
+            expect(await found('samsung')).toEqual([]);
+            expect(await found('sn850x')).toEqual([post.id]);
+            expect(await found('heatsink')).toEqual([post.id]);
+        });
+
+        test('leave the index alone when only other columns change', async () => {
+            const post = await postRepository.create({ title: '[SSD] Samsung 990 Pro $149' });
+
+            await postRepository.update(post.id, { price: 139 });
+
+            expect(await found('samsung')).toEqual([post.id]);
+        });
+
+        test('remove a deleted post from the index', async () => {
+            const post = await postRepository.create({ title: '[SSD] Samsung 990 Pro $149' });
+            const other = await postRepository.create({ title: '[SSD] Samsung 870 Evo $79' });
+
+            await postRepository.delete(post.id);
+
+            expect(await found('samsung')).toEqual([other.id]);
+            const [{ count }] = await container.resolve('db')('posts_fts').where('posts_fts', 'match', '"990"').count('* as count');
+            expect(count).toBe(0);
+        });
+    });
+
+    describe('ranking', () => {
+        test('put title hits before description hits', async () => {
+            const inDescription = await postRepository.create({ title: '[Case] Fractal North $109', description: 'Fits a 4070 easily' });
+            const inTitle = await postRepository.create({ title: '[GPU] RTX 4070 $549', description: 'Two fans' });
+
+            expect(await found('4070')).toEqual([inTitle.id, inDescription.id]);
+        });
+
+        test('order results as bm25 does, weighing titles ten to one', async () => {
+            const titles = [
+                ['[GPU] RTX 4070 Super $599', 'The 4070 Super beats the 4070'],
+                ['[GPU] RTX 4070 $549', null],
+                ['[Prebuilt] 7800X3D and RTX 4070 Super with 32GB DDR5 and a 2TB NVMe in a Lian Li case $1499', null],
+                ['[Case] Fractal North $109', 'Fits a 4070']
+            ];
+            for (const [title, description] of titles) {
+                await postRepository.create({ title, description });
+            }
+
+            const expected = (await container.resolve('db').raw(
+                'SELECT rowid FROM posts_fts WHERE posts_fts MATCH ? ORDER BY bm25(posts_fts, 10.0, 1.0)', ['"4070"']
+            )).map(row => row.rowid);
+
+            expect(expected).toHaveLength(4);
+            expect(await found('4070')).toEqual(expected);
+            expect((await postRepository.findAll({ search: '4070' })).posts.map(post => post.id)).toEqual(expected);
+        });
+    });
+
+    describe('snippets', () => {
+        test('escape the post text and mark only the matched terms', async () => {
+            await postRepository.create({ title: '[GPU] <script>alert("4070")</script> & more', description: null });
+
+            const [post] = await postRepository.searchByText('4070');
+
+            expect(post.toJSON()).toMatchObject({
+                highlighted: true,
+                previewText: '[GPU] &lt;script&gt;alert(&quot;<mark>4070</mark>&quot;)&lt;/script&gt; &amp; more'
+            });
+        });
+
+        test.each([
+            [`<b>${MARK_START}4070${MARK_END}</b>`, '&lt;b&gt;<mark>4070</mark>&lt;/b&gt;'],
+            [`Tom's ${MARK_START}"deal"${MARK_END}`, 'Tom&#39;s <mark>&quot;deal&quot;</mark>'],
+            [null, null],
+            ['', null]
+        ])('highlightSnippet(%j) is %j', (snippet, expected) => {
+            expect(highlightSnippet(snippet)).toBe(expected);
+        });
+    });
+
+    describe('toMatchQuery', () => {
+        test.each([
+            ['rtx 4070', '"rtx" "4070"'],
+            ['"4070 super" nvm*', '"4070 super" "nvm"*'],
+            ['NOT OR (4070', '"NOT" "OR" "(4070"'],
+            ['say "hi', '"say" """hi"'],
+            ['- * ()', null],
+            ['', null]
+        ])('%j becomes %j', (text, expected) => {
+            expect(toMatchQuery(text)).toBe(expected);
+        });
+
+        test('never gives FTS5 a syntax error', async () => {
+            await postRepository.create({ title: '[GPU] RTX 4070 (OEM) $499' });
+
+            for (const text of ['NOT', 'AND OR', '(oem', 'col:4070', '"unclosed', 'NEAR(4070', '^4070', '4070 -', "'"]) {
+                await expect(postRepository.searchByText(text)).resolves.toEqual(expect.any(Array));
+            }
+        });
+    });
+});
@@ -0,0 +1,110 @@
+const http = require('http');
+const winston = require('winston');
+const { asValue } = require('awilix');
+const { loadConfig } = require('../src/config/environment');
+const { createContainer } = require('../src/container');
+const { createApp } = require('../src/app');
+
+// Password every test user logs in with
+const PASSWORD = 'correct horse battery staple';
+
+/**
+ * Logger that records lines instead of printing them
+ * @returns {Object} Logger with `error`, `warn`, `info` and `debug` jest mocks
+ */
+function createTestLogger() {
+    return {
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn()
+    };
+}
+
+/**
+ * Build a container on a fresh in-memory database with every migration applied
+ * @param {Object} env - Environment variables on top of NODE_ENV=test
+ * @param {Object} options - Container options
+ * @param {Object} options.logger - Logger for the services; a silent one by default
+ * @returns {Promise<import('awilix').AwilixContainer>} Container
+ */
+async function createTestContainer(env = {}, { logger = winston.createLogger({ silent: true }) } = {}) {
+    const container = createContainer(loadConfig({ NODE_ENV: 'test', ...env }));
+    container.register({ logger: asValue(logger) });
+    await container.resolve('db').migrate.latest();
+    return container;
+}
+
+/**
+ * Build the app on a test container
+ * @param {Object} env - Environment variables, as for createTestContainer
+ * @param {Object} options - Container options, as for createTestContainer
+ * @returns {Promise<{container: import('awilix').AwilixContainer, app: import('express').Express}>} Container and app
+ */
+async function createTestApp(env = {}, options = {}) {
+    const container = await createTestContainer(env, options);
+    return { container, app: createApp(container) };
+}
+
+/**
+ * Create a user and log them in
+ * @param {import('awilix').AwilixContainer} container - Test container
+ * @param {string} email - Address of the new user
+ * @param {'user'|'admin'} role - Role of the new user
+ * @returns {Promise<{user: Object, token: string, auth: Object}>} User, bearer token and its Authorization header
+ */
+async function loginAs(container, email, role = 'user') {
+    const authService = container.resolve('authService');
+    await authService.createUser({ email, password: PASSWORD, role });
+    const { user, token } = await authService.login(email, PASSWORD);
+    return { user, token, auth: { Authorization: `Bearer ${token}` } };
+}
+
+/**
+ * Start an HTTP server on a free local port
+ * Each request is recorded with its parsed body text before the handler runs.
+ * @param {Function} handler - (req, res, body) handler
+ * @returns {Promise<{url: string, requests: Object[], close: Function}>} Server
+ */
+async function startServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            handler(req, res, body);
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Error a function throws
+ * @param {Function} fn - Function expected to throw
+ * @returns {Error|undefined} Thrown error, or undefined when it returned
+ */
+function thrownBy(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    return undefined;
+}
+
+module.exports = {
+    createTestLogger,
+    createTestContainer,
+    createTestApp,
+    loginAs,
+    startServer,
+    thrownBy
+};
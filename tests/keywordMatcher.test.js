@@ -0,0 +1,83 @@
+const { createTestContainer } = require('./helpers');
+
+describe('KeywordMatcher', () => {
+    let container;
+    let matcher;
+    let user;
+    let events;
+
+    beforeEach(async () => {
+        container = await createTestContainer();
+        matcher = container.resolve('keywordMatcher');
+        user = await container.resolve('userRepository').create({ email: 'owner@example.com', passwordHash: 'x' });
+        events = [];
+        matcher.on('match', event => events.push(event));
+    });
+
+    afterEach(async () => {
+        await container.dispose();
+    });
+
+    const addKeyword = data => container.resolve('keywordRepository').create({ userId: user.id, ...data });
+    const addPost = data => container.resolve('postRepository').create(data);
+    const storedMatches = postId => container.resolve('matchRepository').findByPost(postId);
+
+    test('stores the hits of every keyword a new post matches and emits once per keyword', async () => {
+        const gpu = await addKeyword({ keyword: '4070 OR 4080' });
+        await addKeyword({ keyword: 'nvme' });
+        const post = await addPost({ title: '[GPU] RTX 4070 $549', links: ['https://www.newegg.com/p/1'] });
+
+        const hits = await matcher.matchPost(post, { subreddit: 'buildapcsales' });
+
+        expect(hits.map(hit => hit.keyword.id)).toEqual([gpu.id]);
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ post: { id: post.id }, keyword: { id: gpu.id }, context: { subreddit: 'buildapcsales' } });
+        expect(await storedMatches(post.id)).toEqual([
+            expect.objectContaining({ keywordId: gpu.id, field: 'title', matchedText: '4070' })
+        ]);
+    });
+
+    test('keywords limited to categories only match posts in them', async () => {
+        await addKeyword({ keyword: 'samsung', categories: ['ssd'] });
+        const monitor = await addPost({ title: '[Monitor] Samsung Odyssey G7 $399' });
+        const ssd = await addPost({ title: '[SSD] Samsung 990 Pro 2TB $159' });
+
+        expect(await matcher.matchPost(monitor)).toHaveLength(0);
+        expect(await matcher.matchPost(ssd)).toHaveLength(1);
+    });
+
+    test('keywords limited to subreddits only match posts from them', async () => {
+        const keyword = await addKeyword({ keyword: '4070' });
+        const subreddit = await container.resolve('subredditRepository').create({ name: 'buildapcsales' });
+        await container.resolve('keywordSubredditRepository').attach(keyword.id, subreddit.id);
+        const post = await addPost({ title: '[GPU] RTX 4070 $549' });
+
+        expect(await matcher.matchPost(post, { subreddit: 'hardwareswap' })).toHaveLength(0);
+        expect(await matcher.matchPost(post, {})).toHaveLength(0);
+        expect(await matcher.matchPost(post, { subreddit: 'buildapcsales' })).toHaveLength(1);
+    });
+
+    test('a repost of a deal the keyword already matched is stored but not emitted', async () => {
+        await addKeyword({ keyword: '4070' });
+        const original = await addPost({ title: '[GPU] RTX 4070 $549' });
+        await matcher.matchPost(original);
+        const repost = await addPost({ title: '[GPU] RTX 4070 $549 (repost)', duplicateOf: original.id });
+
+        await matcher.matchPost(repost);
+
+        expect(events.map(event => event.post.id)).toEqual([original.id]);
+        expect(await storedMatches(repost.id)).toHaveLength(1);
+    });
+
+    test('rescanning a keyword rebuilds its matches across existing posts without emitting', async () => {
+        const first = await addPost({ title: '[GPU] RTX 4070 $549' });
+        await addPost({ title: '[SSD] 2TB NVMe $99' });
+        const third = await addPost({ title: '[GPU] RTX 4070 Ti $749' });
+        const keyword = await addKeyword({ keyword: '4070' });
+
+        expect(await matcher.rescanKeyword(keyword)).toBe(2);
+        expect(events).toHaveLength(0);
+        expect(await storedMatches(first.id)).toHaveLength(1);
+        expect(await storedMatches(third.id)).toHaveLength(1);
+    });
+});
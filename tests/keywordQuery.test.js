@@ -0,0 +1,125 @@
+const { KeywordQueryError, parseKeywordQuery, matchKeywordQuery } = require('../src/utils/keywordQuery');
+
+/**
+ * Whether a query matches a post, going through JSON like a stored query
+ */
+function matches(query, post) {
+    const tree = JSON.parse(JSON.stringify(parseKeywordQuery(query)));
+    return matchKeywordQuery(tree, typeof post === 'string' ? { title: post } : post).length > 0;
+}
+
+describe('parseKeywordQuery', () => {
+    test('adjacent terms are ANDed', () => {
+        expect(parseKeywordQuery('rtx 4070')).toEqual({
+            type: 'and',
+            children: [
+                { type: 'term', value: 'rtx', field: null },
+                { type: 'term', value: '4070', field: null }
+            ]
+        });
+    });
+
+    test('AND binds tighter than OR', () => {
+        expect(parseKeywordQuery('a b OR c')).toEqual({
+            type: 'or',
+            children: [
+                { type: 'and', children: [{ type: 'term', value: 'a', field: null }, { type: 'term', value: 'b', field: null }] },
+                { type: 'term', value: 'c', field: null }
+            ]
+        });
+    });
+
+    test('groups override precedence and carry their field prefix', () => {
+        expect(parseKeywordQuery('title:(ssd OR nvme) 2tb')).toEqual({
+            type: 'and',
+            children: [
+                {
+                    type: 'or',
+                    children: [{ type: 'term', value: 'ssd', field: 'title' }, { type: 'term', value: 'nvme', field: 'title' }]
+                },
+                { type: 'term', value: '2tb', field: null }
+            ]
+        });
+    });
+
+    test('NOT and a leading "-" both exclude', () => {
+        const excluded = { type: 'not', child: { type: 'term', value: 'laptop', field: null } };
+        expect(parseKeywordQuery('4070 -laptop').children[1]).toEqual(excluded);
+        expect(parseKeywordQuery('4070 NOT laptop').children[1]).toEqual(excluded);
+    });
+
+    test('lowercase operators and unknown prefixes are plain terms', () => {
+        expect(parseKeywordQuery('ssd or nvme').children.map(node => node.value)).toEqual(['ssd', 'or', 'nvme']);
+        expect(parseKeywordQuery('store:amazon')).toEqual({ type: 'term', value: 'store:amazon', field: null });
+    });
+
+    test.each([
+        ['', 'Query is empty', 0],
+        ['"4070 super', 'Unterminated phrase', 0],
+        ['""', 'Empty phrase', 0],
+        ['4070 -', 'Expected a term directly after "-"', 5],
+        ['title: 4070', 'Expected a term after "title:"', 6],
+        ['(ssd OR nvme', 'Missing ")" to close group opened', 0],
+        ['ssd)', 'Unmatched ")"', 3],
+        ['()', 'Empty group', 1],
+        ['ssd OR', 'Expected a term after "OR"', 6],
+        ['AND ssd', 'Expected a term before "AND"', 0],
+        ['title:(link:amazon)', 'Field prefixes cannot be nested', 7],
+        ['-laptop', 'Query needs at least one term that is not excluded', 0],
+        ['-laptop OR ssd', 'Query needs at least one term that is not excluded', 0]
+    ])('rejects %j: %s', (query, reason, position) => {
+        let error;
+        try {
+            parseKeywordQuery(query);
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).toBeInstanceOf(KeywordQueryError);
+        expect(error.reason).toBe(reason);
+        expect(error.position).toBe(position);
+    });
+});
+
+describe('matchKeywordQuery', () => {
+    test.each([
+        ['4070', 'RTX 4070 Super', true],
+        ['4070', 'rtx4070ti', true],
+        ['4070', 'RTX 40700 bundle', false],
+        ['ti', 'RTX 4070 Ti', true],
+        ['ti', 'Ultimate edition', false],
+        ['2tb', '2TB NVMe', true],
+        ['2tb', '12TB NAS drive', false],
+        ['$500', 'only $500!', true],
+        ['$500', 'only $5000', false],
+        ['"4070 super"', 'RTX 4070\nSuper', true],
+        ['"4070 super"', 'RTX 4070 Ti Super', false],
+        ['"4070 super"', 'RTX 4070 Superb', false],
+        ['rtx 4070', 'RTX 3080', false],
+        ['ssd OR nvme', '2TB NVMe', true],
+        ['4070 -laptop', 'RTX 4070 laptop', false],
+        ['4070 -laptop', 'RTX 4070 desktop', true]
+    ])('%j against %j is %s', (query, title, expected) => {
+        expect(matches(query, title)).toBe(expected);
+    });
+
+    test('field prefixes limit where a term is looked for', () => {
+        const post = { title: 'RTX 4070', description: 'Sold by amazon', links: ['https://www.newegg.com/p/1'] };
+
+        expect(matches('title:4070', post)).toBe(true);
+        expect(matches('title:amazon', post)).toBe(false);
+        expect(matches('description:amazon', post)).toBe(true);
+        expect(matches('link:newegg', post)).toBe(true);
+        expect(matches('link:amazon', post)).toBe(false);
+    });
+
+    test('reports each hit with its field, position and matched text', () => {
+        const tree = parseKeywordQuery('4070 OR link:newegg');
+        const post = { title: 'RTX 4070 Super', links: ['https://a.com/x', 'https://www.newegg.com/p/1'] };
+
+        expect(matchKeywordQuery(tree, post)).toEqual([
+            { field: 'title', position: 4, linkIndex: null, matchedText: '4070' },
+            { field: 'link', position: 12, linkIndex: 1, matchedText: 'newegg' }
+        ]);
+    });
+});
@@ -0,0 +1,44 @@
+const { createTestContainer } = require('./helpers');
+
+describe('KeywordRepository', () => {
+    let container;
+    let keywords;
+    let user;
+
+    beforeEach(async () => {
+        container = await createTestContainer();
+        keywords = container.resolve('keywordRepository');
+        user = await container.resolve('userRepository').create({ email: 'owner@example.com', passwordHash: 'x' });
+    });
+
+    afterEach(async () => {
+        await container.dispose();
+    });
+
+    // A keyword from before queries, which the parsed_query migration stored as a literal phrase
+    const addLegacyKeyword = async keyword => {
+        const [id] = await container.resolve('db')('keywords').insert({
+            keyword,
+            user_id: user.id,
+            parsed_query: JSON.stringify({ type: 'phrase', value: keyword.toLowerCase(), field: null })
+        });
+        return id;
+    };
+
+    test('keeps the stored query of a keyword whose text does not parse when other fields change', async () => {
+        const id = await addLegacyKeyword('(Ryzen');
+
+        const updated = await keywords.update(id, { keyword: '(Ryzen', categories: ['cpu'] });
+
+        expect(updated.categories).toEqual(['cpu']);
+        expect(updated.getQuery()).toEqual({ type: 'phrase', value: '(ryzen', field: null });
+    });
+
+    test('parses the query again when the text changes', async () => {
+        const id = await addLegacyKeyword('(Ryzen');
+
+        const updated = await keywords.update(id, { keyword: 'ryzen 7800x3d' });
+
+        expect(updated.getQuery()).toMatchObject({ type: 'and' });
+    });
+});
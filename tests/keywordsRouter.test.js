@@ -0,0 +1,66 @@
+const request = require('supertest');
+const { createTestApp, loginAs } = require('./helpers');
+
+describe('/api/keywords', () => {
+    let container;
+    let app;
+    let auth;
+
+    beforeEach(async () => {
+        ({ container, app } = await createTestApp());
+        ({ auth } = await loginAs(container, 'owner@example.com'));
+    });
+
+    afterEach(async () => {
+        await container.dispose();
+    });
+
+    const create = body => request(app).post('/api/keywords').set(auth).send(body);
+
+    test('rejects invalid input with 400 and a detail per field', async () => {
+        const response = await create({ keyword: '(4070', categories: 'gpu', extra: true });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Validation failed');
+        expect(response.body.details.map(detail => detail.field).sort()).toEqual(['categories', 'extra', 'keyword']);
+    });
+
+    test('lists keywords in the page envelope, sorted as asked', async () => {
+        for (const keyword of ['b550', '4070', 'nvme']) {
+            await create({ keyword });
+        }
+
+        const response = await request(app).get('/api/keywords?limit=2&page=2&sortBy=keyword&sortOrder=asc').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ total: 3, page: 2, limit: 2, pages: 2 });
+        expect(response.body.items.map(item => item.keyword)).toEqual(['nvme']);
+    });
+
+    test.each([
+        ['a page below 1', 'page=0'],
+        ['a limit above 100', 'limit=101'],
+        ['an unknown sort column', 'sortBy=user_id'],
+        ['an unknown sort order', 'sortOrder=sideways']
+    ])('rejects %s', async (description, query) => {
+        const response = await request(app).get(`/api/keywords?${query}`).set(auth);
+
+        expect(response.status).toBe(400);
+    });
+
+    test('answers a duplicate keyword with 409 naming the existing one', async () => {
+        const first = await create({ keyword: '4070' });
+
+        const response = await create({ keyword: '4070' });
+
+        expect(response.status).toBe(409);
+        expect(response.body.existing).toMatchObject({ id: first.body.id, keyword: '4070' });
+    });
+
+    test.each(['get', 'patch', 'delete'])('answers a %s of a missing keyword with 404', async method => {
+        const response = await request(app)[method]('/api/keywords/999').set(auth).send(method === 'patch' ? { keyword: 'nvme' } : undefined);
+
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Keyword not found');
+    });
+});
@@ -0,0 +1,132 @@
+const LinkResolver = require('../src/services/LinkResolver');
+const { cleanLink } = require('../src/utils/links');
+const { RetailerParser } = require('../src/utils/retailerParser');
+const { createTestLogger, startServer } = require('./helpers');
+
+describe('cleanLink', () => {
+    test.each([
+        ['https://www.amazon.com/dp/B0BZB7DS7Q/ref=sr_1_3?tag=deals-20&th=1&psc=1&pd_rd_w=abc', 'https://www.amazon.com/dp/B0BZB7DS7Q?th=1&psc=1'],
+        ['https://www.amazon.co.uk/dp/B0BZB7DS7Q?linkCode=ll1&ascsubtag=x', 'https://www.amazon.co.uk/dp/B0BZB7DS7Q'],
+        ['https://www.bestbuy.com/site/6537363.p?skuId=6537363&ref=212&loc=1', 'https://www.bestbuy.com/site/6537363.p?skuId=6537363'],
+        ['https://www.newegg.com/p/N82E16814126675?Item=N82E16814126675&cm_sp=Homepage-_-x', 'https://www.newegg.com/p/N82E16814126675?Item=N82E16814126675'],
+        ['https://www.ebay.com/itm/1234?mkcid=1&campid=5338&var=77', 'https://www.ebay.com/itm/1234?var=77']
+    ])('drops the tracking parameters a retailer uses: %s', (link, expected) => {
+        expect(cleanLink(link)).toBe(expected);
+    });
+
+    test.each([
+        ['https://www.newegg.com/p/N82E16814126675?ref=abc', 'https://www.newegg.com/p/N82E16814126675?ref=abc'],
+        ['https://www.microcenter.com/product/123?tag=gpu', 'https://www.microcenter.com/product/123?tag=gpu'],
+        ['https://blog.example.com/posts?tag=deals&sr=1', 'https://blog.example.com/posts?tag=deals&sr=1'],
+        ['https://example.com/ref=home', 'https://example.com/ref=home'],
+        ['https://notamazon.com/dp/1?tag=x', 'https://notamazon.com/dp/1?tag=x']
+    ])('keeps parameters with generic names on sites that don\'t use them for tracking: %s', (link, expected) => {
+        expect(cleanLink(link)).toBe(expected);
+    });
+
+    test.each([
+        ['https://www.microcenter.com/product/123?utm_source=reddit&gclid=x&storeid=045', 'https://www.microcenter.com/product/123?storeid=045'],
+        ['https://example.com/deal?fbclid=abc&irclickid=x', 'https://example.com/deal']
+    ])('drops campaign and click IDs on every site: %s', (link, expected) => {
+        expect(cleanLink(link)).toBe(expected);
+    });
+
+    test('leaves anything that isn\'t an http(s) URL alone', () => {
+        expect(cleanLink('mailto:deals@example.com?utm_source=x')).toBe('mailto:deals@example.com?utm_source=x');
+        expect(cleanLink('not a link')).toBe('not a link');
+    });
+});
+
+describe('RetailerParser', () => {
+    test.each([
+        ['https://smile.amazon.com/dp/1', 'amazon'],
+        ['https://m.newegg.ca/p/1', 'newegg'],
+        ['https://store.steampowered.com/app/1', 'steam'],
+        ['https://steampowered.com/app/1', null],
+        ['https://example.com/p/1', null],
+        ['not a link', null]
+    ])('%s is %j', (link, expected) => {
+        expect(new RetailerParser().parse(link)).toBe(expected);
+    });
+
+    test('uses only the domains it was built with', () => {
+        const parser = new RetailerParser({ framework: ['frame.work'] });
+
+        expect(parser.parse('https://frame.work/products/laptop')).toBe('framework');
+        expect(parser.parse('https://www.amazon.com/dp/1')).toBeNull();
+    });
+});
+
+describe('LinkResolver', () => {
+    let shortener;
+    let logger;
+    let resolver;
+
+    beforeEach(async () => {
+        shortener = await startServer((req, res) => {
+            const routes = {
+                '/gpu': [301, '/hop'],
+                '/hop': [302, 'https://www.newegg.com/p/N82E16814126675?utm_source=short'],
+                '/broken': [500, null],
+                '/loop': [302, '/loop']
+            };
+            const [status, location] = routes[req.url] || [404, null];
+            if (location) res.setHeader('Location', location);
+            res.statusCode = status;
+            res.end();
+        });
+        logger = createTestLogger();
+        resolver = new LinkResolver({ enabled: true, shorteners: ['127.0.0.1'], timeoutMs: 200, logger });
+    });
+
+    afterEach(async () => {
+        await shortener.close();
+    });
+
+    test('follows a shortener\'s redirects to the page, without requesting the page', async () => {
+        const links = await resolver.expand([`${shortener.url}/gpu`, 'https://www.bestbuy.com/site/1']);
+
+        expect(links).toEqual(['https://www.newegg.com/p/N82E16814126675?utm_source=short', 'https://www.bestbuy.com/site/1']);
+        expect(shortener.requests.map(req => [req.method, req.url])).toEqual([['HEAD', '/gpu'], ['HEAD', '/hop']]);
+    });
+
+    test('remembers expansions', async () => {
+        await resolver.expand([`${shortener.url}/gpu`]);
+        await resolver.expand([`${shortener.url}/gpu`]);
+
+        expect(shortener.requests).toHaveLength(2);
+    });
+
+    test.each([
+        ['answers without a redirect', '/broken'],
+        ['redirects too often', '/loop']
+    ])('keeps a link whose shortener %s', async (description, path) => {
+        expect(await resolver.expand([`${shortener.url}${path}`])).toEqual([`${shortener.url}${path}`]);
+    });
+
+    test('keeps a link whose shortener can\'t be reached, and logs why', async () => {
+        const { url } = shortener;
+        await shortener.close();
+        shortener = await startServer(() => {});
+
+        expect(await resolver.expand([`${url}/gpu`])).toEqual([`${url}/gpu`]);
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining(`Failed to expand ${url}/gpu`), expect.objectContaining({
+            error: expect.objectContaining({ cause: expect.any(Object) })
+        }));
+    });
+
+    test('gives up on a shortener that doesn\'t answer in time', async () => {
+        await shortener.close();
+        shortener = await startServer(() => {});
+
+        expect(await resolver.expand([`${shortener.url}/gpu`])).toEqual([`${shortener.url}/gpu`]);
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('timed out after 200ms'), expect.any(Object));
+    });
+
+    test('returns links as given when disabled', async () => {
+        const disabled = new LinkResolver({ enabled: false, shorteners: ['127.0.0.1'] });
+
+        expect(await disabled.expand([`${shortener.url}/gpu`])).toEqual([`${shortener.url}/gpu`]);
+        expect(shortener.requests).toHaveLength(0);
+    });
+});
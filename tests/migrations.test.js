@@ -0,0 +1,135 @@
+const knex = require('knex');
+const knexConfig = require('../knexfile');
+
+/**
+ * Run migrations one at a time until the named one is next
+ */
+async function migrateUpTo(db, name) {
+    for (;;) {
+        const [, pending] = await db.migrate.list();
+        if (pending.length === 0) throw new Error(`${name} is not pending`);
+        if (pending[0].file === name) return;
+        await db.migrate.up();
+    }
+}
+
+describe('migrations', () => {
+    let db;
+
+    beforeEach(() => {
+        db = knex(knexConfig.test);
+    });
+
+    afterEach(async () => {
+        await db.destroy();
+    });
+
+    const tables = async () => (await db('sqlite_master').where({ type: 'table' }).pluck('name'))
+        .filter(name => !name.startsWith('sqlite_') && !name.startsWith('posts_fts_'))
+        .sort();
+
+    test('migrate up, roll everything back and migrate up again', async () => {
+        await db.migrate.latest();
+        const migrated = await tables();
+        expect(migrated).toEqual(expect.arrayContaining(['posts', 'post_links', 'users', 'webhooks', 'feed_tokens']));
+
+        await db.migrate.rollback(undefined, true);
+        expect(await tables()).toEqual(['knex_migrations', 'knex_migrations_lock']);
+
+        await db.migrate.latest();
+        expect(await tables()).toEqual(migrated);
+    });
+
+    describe('20250905101733_create_post_links_table', () => {
+        const MIGRATION = '20250905101733_create_post_links_table.js';
+
+        beforeEach(async () => {
+            await migrateUpTo(db, MIGRATION);
+        });
+
+        const addPost = async (links, retailers = null) => {
+            const [id] = await db('posts').insert({ title: 'Deal', links, retailers });
+            return id;
+        };
+        const linksOf = postId => db('post_links').where({ post_id: postId }).orderBy('position')
+            .select('position', 'url', 'host', 'retailer', 'link_key');
+
+        test('moves a JSON array of links into rows, keeping each retailer with its link', async () => {
+            const id = await addPost(
+                JSON.stringify(['https://www.amazon.com/dp/B0C1/ref=sr_1_1?tag=deals-20', 'https://example.com/p']),
+                JSON.stringify(['amazon', null])
+            );
+
+            await db.migrate.up();
+
+            expect(await linksOf(id)).toEqual([
+                { position: 0, url: 'https://www.amazon.com/dp/B0C1', host: 'amazon.com', retailer: 'amazon', link_key: 'amazon.com/dp/B0C1' },
+                { position: 1, url: 'https://example.com/p', host: 'example.com', retailer: null, link_key: 'example.com/p' }
+            ]);
+        });
+
+        test('reads comma-separated links and a single JSON string', async () => {
+            const commas = await addPost('https://www.newegg.com/p/1?cm_sp=x, https://bestbuy.com/site/2');
+            const single = await addPost(JSON.stringify('https://www.newegg.com/p/3'));
+
+            await db.migrate.up();
+
+            expect((await linksOf(commas)).map(link => link.url)).toEqual([
+                'https://www.newegg.com/p/1',
+                'https://bestbuy.com/site/2'
+            ]);
+            expect((await linksOf(single)).map(link => link.url)).toEqual(['https://www.newegg.com/p/3']);
+        });
+
+        test('drops retailers when merging duplicate links shifts their positions', async () => {
+            const id = await addPost(
+                JSON.stringify(['https://www.newegg.com/p/1?utm_source=reddit', 'https://www.newegg.com/p/1', 'https://bestbuy.com/site/2']),
+                JSON.stringify(['newegg', 'newegg', 'bestbuy'])
+            );
+
+            await db.migrate.up();
+
+            expect(await linksOf(id)).toEqual([
+                expect.objectContaining({ position: 0, url: 'https://www.newegg.com/p/1', retailer: null }),
+                expect.objectContaining({ position: 1, url: 'https://bestbuy.com/site/2', retailer: null })
+            ]);
+        });
+
+        test('gives no rows for empty, missing or non-list values', async () => {
+            const ids = [
+                await addPost(null),
+                await addPost('[]'),
+                await addPost(JSON.stringify({ url: 'https://www.newegg.com/p/1' }))
+            ];
+
+            await db.migrate.up();
+
+            expect(await db('post_links').whereIn('post_id', ids)).toEqual([]);
+        });
+
+        test('rolling back refills the JSON columns', async () => {
+            const id = await addPost(JSON.stringify(['https://www.newegg.com/p/1', 'https://example.com/p']), JSON.stringify(['newegg', null]));
+            const empty = await addPost(null);
+            await db.migrate.up();
+
+            await db.migrate.down();
+
+            expect(await db('posts').whereIn('id', [id, empty]).orderBy('id').select('links', 'retailers')).toEqual([
+                { links: JSON.stringify(['https://www.newegg.com/p/1', 'https://example.com/p']), retailers: JSON.stringify(['newegg', null]) },
+                { links: '[]', retailers: '[]' }
+            ]);
+        });
+    });
+
+    test('20250909100512_normalize_updated_at_timestamps turns epoch milliseconds into SQLite text', async () => {
+        await migrateUpTo(db, '20250909100512_normalize_updated_at_timestamps.js');
+        await db('keywords').insert([
+            { keyword: 'epoch', updated_at: 1757412000000 },
+            { keyword: 'text', updated_at: '2025-09-01 08:30:00' }
+        ]);
+
+        await db.migrate.up();
+
+        expect(await db('keywords').orderBy('id').pluck('updated_at')).toEqual(['2025-09-09 10:00:00', '2025-09-01 08:30:00']);
+    });
+});
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError } = require('../src/config/environment');
+const { loadCategoryAliases } = require('../src/config/categories');
+const { loadRetailerDomains } = require('../src/config/retailers');
+const { KeywordValidation } = require('../src/models/Keyword');
+const { createTestContainer, thrownBy } = require('./helpers');
+
+describe.each([
+    ['loadCategoryAliases', loadCategoryAliases, 'CATEGORY_ALIASES_PATH', 'gpu', 'gpu'],
+    ['loadRetailerDomains', loadRetailerDomains, 'RETAILER_DOMAINS_PATH', 'amazon', 'amazon.com']
+])('%s', (name, load, variable, key, builtIn) => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dealmonitor-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const write = (content) => {
+        const file = path.join(dir, 'overrides.json');
+        fs.writeFileSync(file, content);
+        return file;
+    };
+
+    test('returns the built-in table without an override file', () => {
+        expect(load()[key]).toContain(builtIn);
+    });
+
+    test('merges overrides into the built-in table', () => {
+        const table = load(write(JSON.stringify({ [key]: ['extra'], added: ['new'] })));
+
+        expect(table[key]).toEqual(expect.arrayContaining([builtIn, 'extra']));
+        expect(table.added).toEqual(['new']);
+    });
+
+    test.each([
+        ['a missing file', null, /cannot read/],
+        ['a file that is not JSON', '{ "gpu": [', /cannot read/],
+        ['a table that is not name to list', '{ "gpu": "gfx" }', /must map names to lists of strings/],
+        ['a list with an empty entry', '{ "gpu": [""] }', /must map names to lists of strings/]
+    ])('rejects %s', (description, content, message) => {
+        const file = content === null ? path.join(dir, 'missing.json') : write(content);
+
+        const error = thrownBy(() => load(file));
+
+        expect(error).toBeInstanceOf(ConfigError);
+        expect(error.problems).toEqual([{ variable, message: expect.stringMatching(message) }]);
+    });
+});
+
+describe('override tables in the container', () => {
+    let dir;
+    let containers;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dealmonitor-'));
+        containers = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(containers.map(container => container.dispose()));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const start = async (env) => {
+        const container = await createTestContainer(env);
+        containers.push(container);
+        return container;
+    };
+
+    test('category aliases belong to the container that loaded them', async () => {
+        const file = path.join(dir, 'categories.json');
+        fs.writeFileSync(file, JSON.stringify({ gpu: ['gfx'] }));
+        const configured = await start({ CATEGORY_ALIASES_PATH: file });
+        const plain = await start();
+
+        const configuredPost = await configured.resolve('postRepository').create({ title: '[GFX] RTX 4070 $549' });
+        const plainPost = await plain.resolve('postRepository').create({ title: '[GFX] RTX 4070 $549' });
+        const validate = container => KeywordValidation.create.validate(
+            { keyword: 'rtx', categories: ['GFX'] },
+            { context: { categoryParser: container.resolve('categoryParser') } }
+        ).value.categories;
+
+        expect(configuredPost.category).toBe('gpu');
+        expect(plainPost.category).toBe('gfx');
+        expect(validate(configured)).toEqual(['gpu']);
+        expect(validate(plain)).toEqual(['gfx']);
+    });
+
+    test('retailer domains belong to the container that loaded them', async () => {
+        const file = path.join(dir, 'retailers.json');
+        fs.writeFileSync(file, JSON.stringify({ shopper: ['shopper.example'] }));
+        const configured = await start({ RETAILER_DOMAINS_PATH: file });
+        const plain = await start();
+
+        const post = { title: '[SSD] 2TB NVMe $99', links: ['https://shopper.example/ssd', 'https://www.amazon.com/dp/B0TEST'] };
+        const configuredPost = await configured.resolve('postRepository').create(post);
+        const plainPost = await plain.resolve('postRepository').create(post);
+
+        expect(configuredPost.retailers).toEqual(['shopper', 'amazon']);
+        expect(plainPost.retailers).toEqual([null, 'amazon']);
+    });
+});
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const { createTestApp, loginAs } = require('./helpers');
+
+describe('/api/posts', () => {
+    let container;
+    let app;
+    let auth;
+    let posts;
+
+    beforeEach(async () => {
+        ({ container, app } = await createTestApp());
+        ({ auth } = await loginAs(container, 'owner@example.com'));
+
+        const postRepository = container.resolve('postRepository');
+        posts = {
+            gpu: await postRepository.create({
+                title: '[GPU] RTX 4070 Super $549',
+                description: 'Lowest price yet',
+                links: ['https://www.amazon.com/dp/B0CS19NQ2Y?tag=deals-20']
+            }),
+            ssd: await postRepository.create({
+                title: '[SSD] Samsung 990 Pro 2TB $149',
+                description: 'Heatsink version',
+                links: ['https://www.newegg.com/p/N82E16820147861', 'https://www.samsung.com/us/memory-storage/990-pro']
+            }),
+            monitor: await postRepository.create({
+                title: '[Monitor] LG 27GP850-B $299',
+                description: 'In store only'
+            })
+        };
+    });
+
+    afterEach(async () => {
+        await container.dispose();
+    });
+
+    const list = query => request(app).get('/api/posts').query(query).set(auth);
+    const titles = response => response.body.items.map(item => item.title).sort();
+
+    test('searches titles and descriptions, highlighting the match in the preview', async () => {
+        const response = await list({ search: 'heatsink' });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ total: 1, page: 1, pages: 1 });
+        expect(response.body.items[0]).toMatchObject({
+            id: posts.ssd.id,
+            linkCount: 2,
+            hasLinks: true,
+            highlighted: true,
+            previewText: expect.stringContaining('<mark>Heatsink</mark>')
+        });
+    });
+
+    test('quick search returns the matching posts', async () => {
+        const response = await request(app).get('/api/posts/search').query({ q: 'rtx 4070' }).set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.total).toBe(1);
+        expect(response.body.items[0].id).toBe(posts.gpu.id);
+    });
+
+    test('quick search without text is rejected with 400', async () => {
+        const response = await request(app).get('/api/posts/search').set(auth);
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toEqual([expect.objectContaining({ field: 'q' })]);
+    });
+
+    test.each([
+        ['posts with links', { hasLinks: true }, ['[GPU] RTX 4070 Super $549', '[SSD] Samsung 990 Pro 2TB $149']],
+        ['posts without links', { hasLinks: false }, ['[Monitor] LG 27GP850-B $299']],
+        ['a retailer', { retailer: 'amazon' }, ['[GPU] RTX 4070 Super $549']],
+        ['a domain, ignoring www.', { domain: 'www.newegg.com' }, ['[SSD] Samsung 990 Pro 2TB $149']],
+        ['a retailer nobody links to', { retailer: 'costco' }, []]
+    ])('filters by %s', async (description, query, expected) => {
+        const response = await list(query);
+
+        expect(response.status).toBe(200);
+        expect(titles(response)).toEqual(expected);
+        expect(response.body.total).toBe(expected.length);
+    });
+
+    test('lists posts sharing a link with another post', async () => {
+        const repost = await container.resolve('postRepository').create({
+            title: 'Samsung 990 Pro 2TB again',
+            links: ['https://newegg.com/p/N82E16820147861?utm_source=reddit']
+        });
+
+        const response = await list({ sharesLinkWith: posts.ssd.id });
+
+        expect(response.body.items.map(item => item.id)).toEqual([repost.id]);
+    });
+
+    test('reports statistics over every post', async () => {
+        const response = await request(app).get('/api/posts/stats').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+            totalPosts: 3,
+            postsWithLinks: 2,
+            postsWithoutLinks: 1,
+            averageDescriptionLength: 15,
+            topRetailers: [
+                { retailer: 'amazon', count: 1 },
+                { retailer: 'newegg', count: 1 },
+                { retailer: 'samsung', count: 1 }
+            ]
+        });
+    });
+
+    test('counts posts per category', async () => {
+        const response = await request(app).get('/api/posts/categories').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.items).toEqual([
+            { category: 'gpu', count: 1 },
+            { category: 'monitor', count: 1 },
+            { category: 'ssd', count: 1 }
+        ]);
+    });
+});
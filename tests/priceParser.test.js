@@ -0,0 +1,16 @@
+const { parsePrice } = require('../src/utils/priceParser');
+const titles = require('./fixtures/dealTitles.json');
+
+describe('parsePrice', () => {
+    // Real-world title shapes with the price details each one should yield
+    test.each(titles)('$title', ({ title, ...expected }) => {
+        expect(parsePrice(title)).toEqual(expected);
+    });
+
+    test('handles titles that are missing or empty', () => {
+        const empty = { price: null, originalPrice: null, discountAmount: null, discountPercent: null, currency: null };
+
+        expect(parsePrice('')).toEqual(empty);
+        expect(parsePrice(null)).toEqual(empty);
+    });
+});
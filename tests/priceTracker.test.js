@@ -0,0 +1,132 @@
+const request = require('supertest');
+const { createTestApp, loginAs } = require('./helpers');
+
+// Product page every sighting links to
+const LINK = 'https://www.newegg.com/p/N82E16814126675';
+
+// Reddit creation time of the first sighting, in seconds
+const POSTED = 1700000000;
+const DAY = 24 * 60 * 60;
+
+describe('PriceTracker', () => {
+    let container;
+    let app;
+    let auth;
+    let day;
+
+    beforeEach(async () => {
+        ({ container, app } = await createTestApp());
+        ({ auth } = await loginAs(container, 'owner@example.com'));
+        day = 0;
+    });
+
+    afterEach(async () => {
+        await container.dispose();
+    });
+
+    /**
+     * Store and track a post of the product, a day after the previous one unless told otherwise
+     * @param {number} price - Price in the title, in dollars
+     * @param {Object} data - Other post data
+     * @returns {Promise<import('../src/models/Post').Post>} Tracked post
+     */
+    const sight = async (price, data = {}) => {
+        const post = await container.resolve('postRepository').create({
+            title: `[GPU] RTX 4070 $${price}`,
+            links: [LINK],
+            createdUtc: POSTED + day++ * DAY,
+            ...data
+        });
+        return container.resolve('priceTracker').track(post);
+    };
+
+    const flags = post => ({ allTimeLow: post.allTimeLow, priceDropPercent: post.priceDropPercent });
+
+    test('never flags a product\'s first sighting', async () => {
+        const post = await sight(549);
+
+        expect(post.productId).not.toBeNull();
+        expect(flags(post)).toEqual({ allTimeLow: false, priceDropPercent: null });
+    });
+
+    test.each([
+        ['below every earlier price and well below the last', [549, 599, 479], { allTimeLow: true, priceDropPercent: 20.03 }],
+        ['below every earlier price, but only a little below the last', [549, 529], { allTimeLow: true, priceDropPercent: null }],
+        ['well below the last price but not the lowest', [499, 599, 529], { allTimeLow: false, priceDropPercent: 11.69 }],
+        ['exactly the drop threshold below the last', [500, 450], { allTimeLow: true, priceDropPercent: 10 }],
+        ['equal to the lowest', [499, 549, 499], { allTimeLow: false, priceDropPercent: null }],
+        ['above the last price', [499, 549], { allTimeLow: false, priceDropPercent: null }]
+    ])('flags a price %s', async (description, prices, expected) => {
+        let post;
+        for (const price of prices) {
+            post = await sight(price);
+        }
+
+        expect(flags(post)).toEqual(expected);
+    });
+
+    test('only compares prices in the product\'s currency', async () => {
+        const usd = await sight(549);
+
+        const cad = await sight(449, { title: '[GPU] RTX 4070 C$449' });
+
+        expect(cad.currency).toBe('CAD');
+        expect(cad.productId).toBe(usd.productId);
+        expect(flags(cad)).toEqual({ allTimeLow: false, priceDropPercent: null });
+        expect(flags(await sight(499))).toEqual({ allTimeLow: true, priceDropPercent: null });
+    });
+
+    test('files a repost under its original\'s product without a sighting of its own', async () => {
+        const original = await sight(549);
+        await sight(599);
+
+        const repost = await sight(479, { duplicateOf: original.id });
+
+        expect(repost.productId).toBe(original.productId);
+        expect(flags(repost)).toEqual({ allTimeLow: false, priceDropPercent: null });
+        const product = await container.resolve('productRepository').findById(original.productId);
+        expect(product).toMatchObject({ sightings: 2, lowestPrice: 549, lastPrice: 599 });
+    });
+
+    test('lists flagged posts through the post filters', async () => {
+        await sight(599);
+        const drop = await sight(529);
+        const low = await sight(519);
+
+        const allTimeLow = await request(app).get('/api/posts?allTimeLow=true').set(auth);
+        const priceDrop = await request(app).get('/api/posts?priceDrop=true').set(auth);
+
+        expect(allTimeLow.body.items.map(post => post.id).sort()).toEqual([drop.id, low.id].sort());
+        expect(priceDrop.body.items.map(post => post.id)).toEqual([drop.id]);
+    });
+
+    describe('price history', () => {
+        test('is ordered by when each price was posted, not when it was stored', async () => {
+            const newest = await sight(499, { createdUtc: POSTED + 3 * DAY });
+            const oldest = await sight(599, { createdUtc: POSTED });
+            const middle = await sight(549, { createdUtc: POSTED + DAY });
+
+            const response = await request(app).get(`/api/products/${newest.productId}/history`).set(auth);
+
+            expect(response.status).toBe(200);
+            expect(response.body.points).toEqual([
+                { time: '2023-11-14T22:13:20.000Z', price: 599, postId: oldest.id },
+                { time: '2023-11-15T22:13:20.000Z', price: 549, postId: middle.id },
+                { time: '2023-11-17T22:13:20.000Z', price: 499, postId: newest.id }
+            ]);
+            expect(response.body.summary).toEqual({ count: 3, low: 499, high: 599, first: 599, last: 499, changePercent: -16.69 });
+        });
+
+        test('keeps each currency in its own series, the most seen first', async () => {
+            const usd = await sight(549);
+            await sight(529);
+            await sight(449, { title: '[GPU] RTX 4070 C$449' });
+
+            const response = await request(app).get(`/api/products/${usd.productId}/history?currency=CAD`).set(auth);
+
+            expect(response.body.currency).toBe('CAD');
+            expect(response.body.points.map(point => point.price)).toEqual([449]);
+            expect(response.body.currencies).toEqual(['USD', 'CAD']);
+        });
+    });
+});
@@ -0,0 +1,201 @@
+const PostRepository = require('../src/repositories/PostRepository');
+const { createTestContainer, createTestLogger, startServer } = require('./helpers');
+
+/**
+ * Listing item as Reddit returns it; higher sequence numbers are newer
+ */
+function item(sequence, title = `[GPU] Deal ${sequence} $${100 + sequence}`) {
+    return {
+        name: `t3_${sequence.toString(36)}`,
+        title,
+        selftext: '',
+        url: `https://www.newegg.com/p/${sequence}`,
+        permalink: `/r/buildapcsales/comments/${sequence.toString(36)}/deal/`,
+        author: 'dealposter',
+        subreddit: 'buildapcsales',
+        created_utc: 1700000000 + sequence
+    };
+}
+
+describe('RedditPoller', () => {
+    let reddit;
+    let listing;
+    let container;
+    let logger;
+    let poller;
+    let subreddit;
+
+    beforeEach(async () => {
+        // Newest first, paged with `after` like /r/{name}/new.json
+        listing = [];
+        reddit = await startServer((req, res) => {
+            const url = new URL(req.url, 'http://localhost');
+            const limit = parseInt(url.searchParams.get('limit'));
+            const after = url.searchParams.get('after');
+            const start = after ? listing.findIndex(entry => entry.name === after) + 1 : 0;
+            const page = listing.slice(start, start + limit);
+            const more = start + limit < listing.length;
+
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({
+                kind: 'Listing',
+                data: {
+                    children: page.map(data => ({ kind: 't3', data })),
+                    after: more ? page[page.length - 1].name : null
+                }
+            }));
+        });
+
+        logger = createTestLogger();
+        container = await createTestContainer({ REDDIT_BASE_URL: reddit.url }, { logger });
+        poller = container.resolve('poller');
+        poller.pageLimit = 2;
+        subreddit = await container.resolve('subredditRepository').create({ name: 'buildapcsales' });
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await container.dispose();
+        await reddit.close();
+    });
+
+    const storedTitles = async () => (await container.resolve('db')('posts').orderBy('id')).map(row => row.title);
+    const checkpoint = () => container.resolve('checkpointRepository').findBySubredditId(subreddit.id);
+
+    test('takes only the newest page of a new subreddit and checkpoints the newest post', async () => {
+        listing = [5, 4, 3, 2, 1].map(sequence => item(sequence));
+
+        const summary = await poller.pollAll();
+
+        expect(summary).toEqual({ subreddits: 1, inserted: 2, failed: [] });
+        expect(await storedTitles()).toEqual(['[GPU] Deal 4 $104', '[GPU] Deal 5 $105']);
+        expect((await checkpoint()).lastFullname).toBe('t3_5');
+        expect(reddit.requests).toHaveLength(1);
+    });
+
+    test('walks back across pages to the checkpoint and ingests oldest first', async () => {
+        listing = [2, 1].map(sequence => item(sequence));
+        await poller.pollAll();
+
+        listing = [7, 6, 5, 4, 3, 2, 1].map(sequence => item(sequence));
+        const events = [];
+        poller.on('post', (post, context) => events.push([post.redditId, context.subreddit]));
+
+        const summary = await poller.pollAll();
+
+        expect(summary.inserted).toBe(5);
+        expect(events).toEqual(['t3_3', 't3_4', 't3_5', 't3_6', 't3_7'].map(name => [name, 'buildapcsales']));
+        expect((await checkpoint()).lastFullname).toBe('t3_7');
+        expect(reddit.requests.slice(1).map(request => new URL(request.url, 'http://localhost').searchParams.get('after')))
+            .toEqual([null, 't3_6', 't3_4']);
+    });
+
+    test('a repeated poll stores nothing new', async () => {
+        listing = [2, 1].map(sequence => item(sequence));
+        await poller.pollAll();
+
+        const summary = await poller.pollAll();
+
+        expect(summary.inserted).toBe(0);
+        expect(await storedTitles()).toHaveLength(2);
+    });
+
+    test('never stores a Reddit post twice, even without a checkpoint', async () => {
+        listing = [2, 1].map(sequence => item(sequence));
+        await poller.pollAll();
+        await container.resolve('db')('subreddit_checkpoints').del();
+
+        const summary = await poller.pollAll();
+
+        expect(summary.inserted).toBe(0);
+        expect(await storedTitles()).toHaveLength(2);
+        expect((await checkpoint()).lastFullname).toBe('t3_2');
+    });
+
+    /**
+     * Make PostRepository.create fail for the post with a given title, wrapped like the repository wraps it
+     */
+    function failCreate(title, code, message) {
+        const create = PostRepository.prototype.create;
+        return jest.spyOn(PostRepository.prototype, 'create').mockImplementation(function(postData) {
+            if (postData.title === title) {
+                const cause = Object.assign(new Error(`${code}: ${message}`), { code });
+                return Promise.reject(new Error(`Failed to create post: ${cause.message}`, { cause }));
+            }
+            return create.call(this, postData);
+        });
+    }
+
+    test('skips a post the database rejects and moves the checkpoint past it', async () => {
+        listing = [2, 1].map(sequence => item(sequence));
+        await poller.pollAll();
+        failCreate('broken', 'SQLITE_CONSTRAINT', 'CHECK constraint failed: posts');
+        listing = [item(4), item(3, 'broken'), ...listing];
+
+        const summary = await poller.pollAll();
+
+        expect(summary).toEqual({ subreddits: 1, inserted: 1, failed: [] });
+        expect(await storedTitles()).toContain('[GPU] Deal 4 $104');
+        expect(await storedTitles()).not.toContain('broken');
+        expect((await checkpoint()).lastFullname).toBe('t3_4');
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Skipped t3_3'), expect.any(Object));
+    });
+
+    test('skips a post that cannot be mapped, even when it is the newest', async () => {
+        listing = [{ ...item(1), title: { text: 'not a string' } }];
+
+        await poller.pollAll();
+
+        expect(await storedTitles()).toHaveLength(0);
+        expect((await checkpoint()).lastFullname).toBe('t3_1');
+    });
+
+    test.each([
+        ['SQLITE_BUSY', 'database is locked'],
+        ['SQLITE_FULL', 'database or disk is full']
+    ])('keeps the checkpoint on %s and stores the post on the next cycle', async (code, message) => {
+        listing = [item(1)];
+        await poller.pollAll();
+        const create = failCreate('[GPU] Deal 3 $103', code, message);
+        listing = [item(4), item(3), item(2), item(1)];
+
+        const summary = await poller.pollAll();
+
+        expect(summary.failed).toEqual(['buildapcsales']);
+        expect(await storedTitles()).toEqual(['[GPU] Deal 1 $101', '[GPU] Deal 2 $102']);
+        expect((await checkpoint()).lastFullname).toBe('t3_2');
+
+        create.mockRestore();
+        expect((await poller.pollAll()).inserted).toBe(2);
+        expect(await storedTitles()).toEqual(['[GPU] Deal 1 $101', '[GPU] Deal 2 $102', '[GPU] Deal 3 $103', '[GPU] Deal 4 $104']);
+        expect((await checkpoint()).lastFullname).toBe('t3_4');
+    });
+
+    test('stores a post whose shortened link fails to expand, with the link as posted', async () => {
+        const dead = await startServer(() => {});
+        await dead.close();
+        const resolver = container.resolve('linkResolver');
+        resolver.enabled = true;
+        resolver.shorteners.add('127.0.0.1');
+        listing = [{ ...item(2), url: `${dead.url}/gpu` }, item(1)];
+
+        const summary = await poller.pollAll();
+
+        expect(summary).toEqual({ subreddits: 1, inserted: 2, failed: [] });
+        expect((await container.resolve('postRepository').findByRedditId('t3_2')).links).toEqual([`${dead.url}/gpu`]);
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining(`Failed to expand ${dead.url}/gpu`), expect.any(Object));
+        expect((await checkpoint()).lastFullname).toBe('t3_2');
+    });
+
+    test('reports a subreddit whose listing cannot be fetched and carries on', async () => {
+        await container.resolve('subredditRepository').create({ name: 'hardwareswap' });
+        listing = [item(1)];
+        const fetchNew = poller.redditClient.fetchNew.bind(poller.redditClient);
+        jest.spyOn(poller.redditClient, 'fetchNew').mockImplementation((name, options) =>
+            (name === 'hardwareswap' ? Promise.reject(new Error('HTTP 503')) : fetchNew(name, options)));
+
+        const summary = await poller.pollAll();
+
+        expect(summary).toEqual({ subreddits: 2, inserted: 1, failed: ['hardwareswap'] });
+    });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createTestApp, loginAs } = require('./helpers');
+
+// Long enough after the posts were stored for the 30-day default to run out, but not the 180-day one
+const LATER = new Date(Date.now() + 40 * 24 * 60 * 60 * 1000);
+
+describe('RetentionService', () => {
+    let exportDir;
+    let container;
+    let app;
+    let retention;
+    let posts;
+
+    /**
+     * Build the app with a retention mode and store two unmatched posts and a matched one
+     * @param {string} mode - archive, export or delete
+     */
+    const setUp = async mode => {
+        ({ container, app } = await createTestApp({ RETENTION_MODE: mode, RETENTION_EXPORT_DIR: exportDir }));
+        retention = container.resolve('retentionService');
+
+        const postRepository = container.resolve('postRepository');
+        const { user } = await loginAs(container, 'owner@example.com');
+        await container.resolve('keywordRepository').create({ userId: user.id, keyword: '4070' });
+        posts = [];
+        for (const title of ['[SSD] Samsung 990 Pro $149', '[RAM] 32GB DDR5-6000 $89', '[GPU] RTX 4070 $549']) {
+            const post = await postRepository.create({ title });
+            await container.resolve('keywordMatcher').matchPost(post);
+            posts.push(post);
+        }
+    };
+
+    beforeEach(async () => {
+        exportDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'retention-'));
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await container.dispose();
+        await fs.promises.rm(exportDir, { recursive: true, force: true });
+    });
+
+    const storedTitles = async () => (await container.resolve('db')('posts').orderBy('id')).map(row => row.title);
+
+    test('runs started over the API are dry unless asked otherwise, and delete nothing', async () => {
+        await setUp('delete');
+        await container.resolve('db')('posts').update({ created_at: '2020-01-01 00:00:00' });
+        const { auth } = await loginAs(container, 'admin@example.com', 'admin');
+
+        const response = await request(app).post('/api/retention/run').set(auth).send({});
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ dryRun: true, expired: { unmatched: 2, matched: 1, starred: 0 }, pruned: 0 });
+        expect(await storedTitles()).toHaveLength(3);
+        expect(retention.lastReport).toBeNull();
+    });
+
+    test('a dry run counts what would be pruned and changes nothing', async () => {
+        await setUp('delete');
+
+        const report = await retention.run({ dryRun: true, now: LATER });
+
+        expect(report).toMatchObject({ dryRun: true, mode: 'delete', expired: { unmatched: 2, matched: 0, starred: 0 }, pruned: 0 });
+        expect(await storedTitles()).toHaveLength(3);
+    });
+
+    test('archive mode moves expired posts into archived_posts', async () => {
+        await setUp('archive');
+
+        const report = await retention.run({ now: LATER });
+
+        expect(report).toMatchObject({ dryRun: false, pruned: 2, archivedTo: 'archived_posts' });
+        expect(await storedTitles()).toEqual(['[GPU] RTX 4070 $549']);
+        const archived = await container.resolve('db')('archived_posts').orderBy('post_id');
+        expect(archived.map(row => [row.post_id, row.title, row.reason])).toEqual([
+            [posts[0].id, '[SSD] Samsung 990 Pro $149', 'unmatched'],
+            [posts[1].id, '[RAM] 32GB DDR5-6000 $89', 'unmatched']
+        ]);
+        expect(JSON.parse(archived[0].data)).toMatchObject({ id: posts[0].id, price: 149, category: 'ssd' });
+    });
+
+    test('export mode writes expired posts to an NDJSON file before deleting them', async () => {
+        await setUp('export');
+
+        const report = await retention.run({ now: LATER });
+
+        expect(report).toMatchObject({ pruned: 2, archivedTo: expect.stringMatching(/^.*posts-\d{8}T\d{6}Z\.ndjson$/) });
+        expect(path.dirname(report.archivedTo)).toBe(exportDir);
+        const lines = (await fs.promises.readFile(report.archivedTo, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+        expect(lines).toEqual([
+            expect.objectContaining({ id: posts[0].id, title: '[SSD] Samsung 990 Pro $149', retention: 'unmatched' }),
+            expect.objectContaining({ id: posts[1].id, title: '[RAM] 32GB DDR5-6000 $89', retention: 'unmatched' })
+        ]);
+        expect(await storedTitles()).toEqual(['[GPU] RTX 4070 $549']);
+    });
+
+    test('delete mode keeps no copy', async () => {
+        await setUp('delete');
+
+        const report = await retention.run({ now: LATER });
+
+        expect(report).toMatchObject({ pruned: 2, archivedTo: null });
+        expect(await container.resolve('archivedPostRepository').count()).toBe(0);
+        expect(await fs.promises.readdir(exportDir)).toEqual([]);
+    });
+
+    test('a run started while another prunes waits for it and shares its report', async () => {
+        await setUp('archive');
+        const prune = jest.spyOn(retention, 'prune');
+
+        const [first, second] = await Promise.all([retention.run({ now: LATER }), retention.run({ now: LATER })]);
+
+        expect(prune).toHaveBeenCalledTimes(1);
+        expect(second).toBe(first);
+        expect(first.pruned).toBe(2);
+
+        const next = await retention.run({ now: LATER });
+        expect(prune).toHaveBeenCalledTimes(2);
+        expect(next.pruned).toBe(0);
+    });
+});
@@ -0,0 +1,113 @@
+const http = require('http');
+const { createTestApp, loginAs } = require('./helpers');
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few milliseconds
+ * @param {number} timeoutMs - Time to give up after
+ * @returns {Promise<void>} Resolves once the condition holds
+ */
+async function until(condition, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for the stream');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+/**
+ * Parse the events in SSE text
+ * @param {string} text - Stream received so far
+ * @returns {Array<{type: string, data: Object}>} Events, without comments
+ */
+const eventsIn = text => text.split('\n\n')
+    .map(block => Object.fromEntries(block.split('\n')
+        .filter(line => /^(event|data): /.test(line))
+        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)])))
+    .filter(fields => fields.event)
+    .map(fields => ({ type: fields.event, data: JSON.parse(fields.data) }));
+
+describe('/api/stream', () => {
+    let container;
+    let server;
+    let user;
+    let auth;
+    let clients;
+
+    beforeEach(async () => {
+        let app;
+        ({ container, app } = await createTestApp({ STREAM_HEARTBEAT_MS: '50' }));
+        ({ user, auth } = await loginAs(container, 'owner@example.com'));
+        server = http.createServer(app);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        clients = [];
+    });
+
+    afterEach(async () => {
+        clients.forEach(client => client.request.destroy());
+        await new Promise(resolve => server.close(resolve));
+        await container.dispose();
+    });
+
+    /**
+     * Connect a stream client
+     * @returns {Promise<{request: http.ClientRequest, response: http.IncomingMessage, text: Function}>} Client
+     */
+    const connect = () => new Promise((resolve, reject) => {
+        const request = http.get(`http://127.0.0.1:${server.address().port}/api/stream`, { headers: auth }, response => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => { text += chunk; });
+            const client = { request, response, text: () => text };
+            clients.push(client);
+            resolve(client);
+        });
+        request.on('error', reject);
+    });
+
+    test('sends a post event for each ingested post and a match event for each keyword match', async () => {
+        const { eventStream, poller, keywordMatcher } = container.cradle;
+        const keyword = await container.resolve('keywordRepository').create({ userId: user.id, keyword: '4070' });
+        const post = await container.resolve('postRepository').create({ title: '[GPU] RTX 4070 $549' });
+        const client = await connect();
+        expect(client.response.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+        await until(() => eventStream.clients.size === 1);
+
+        poller.emit('post', post, { subreddit: 'buildapcsales' });
+        await keywordMatcher.matchPost(post, { subreddit: 'buildapcsales' });
+        await until(() => eventsIn(client.text()).length === 2);
+
+        expect(eventsIn(client.text())).toEqual([
+            { type: 'post', data: expect.objectContaining({ subreddit: 'buildapcsales', post: expect.objectContaining({ id: post.id }) }) },
+            {
+                type: 'match',
+                data: expect.objectContaining({
+                    subreddit: 'buildapcsales',
+                    post: expect.objectContaining({ id: post.id }),
+                    keyword: expect.objectContaining({ id: keyword.id })
+                })
+            }
+        ]);
+    });
+
+    test('sends heartbeats while a client is connected', async () => {
+        const client = await connect();
+
+        await until(() => client.text().includes(': heartbeat\n\n'));
+    });
+
+    test('removes the client and stops the heartbeat when it disconnects', async () => {
+        const { eventStream } = container.cradle;
+        const client = await connect();
+        await until(() => eventStream.clients.size === 1);
+        expect(eventStream.heartbeat).not.toBeNull();
+
+        client.request.destroy();
+        await until(() => eventStream.clients.size === 0);
+
+        expect(eventStream.heartbeat).toBeNull();
+        expect(() => eventStream.publish('post', { post: null, subreddit: null })).not.toThrow();
+    });
+});
@@ -0,0 +1,65 @@
+const request = require('supertest');
+const { createTestApp, loginAs } = require('./helpers');
+
+describe('/api/subreddits', () => {
+    let container;
+    let app;
+    let auth;
+
+    beforeEach(async () => {
+        ({ container, app } = await createTestApp());
+        ({ auth } = await loginAs(container, 'owner@example.com'));
+    });
+
+    afterEach(async () => {
+        await container.dispose();
+    });
+
+    const create = name => request(app).post('/api/subreddits').set(auth).send({ name });
+
+    test.each([
+        'buildapcsales',
+        'BuildAPCSales',
+        'r/BuildAPCSales',
+        '/r/buildapcsales/',
+        'https://www.reddit.com/r/BuildAPCSales/',
+        'old.reddit.com/r/buildapcsales/new?sort=new'
+    ])('stores %s as buildapcsales', async name => {
+        const response = await create(name);
+
+        expect(response.status).toBe(201);
+        expect(response.body.name).toBe('buildapcsales');
+    });
+
+    test('finds a subreddit by any form of its name', async () => {
+        const created = await create('buildapcsales');
+
+        const response = await request(app).get(`/api/subreddits/by-name/${encodeURIComponent('R/BuildAPCSales')}`).set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.id).toBe(created.body.id);
+    });
+
+    test.each([
+        ['too short', 'ab'],
+        ['too long', 'a'.repeat(22)],
+        ['with a hyphen', 'build-apc-sales'],
+        ['a Reddit URL without a subreddit', 'https://www.reddit.com/user/someone']
+    ])('rejects a name %s with 400', async (description, name) => {
+        const response = await create(name);
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toEqual([
+            expect.objectContaining({ field: 'name', message: 'Subreddit name must be 3-21 letters, digits or underscores' })
+        ]);
+    });
+
+    test('answers a subreddit the user already watches with 409, whatever form the name takes', async () => {
+        const first = await create('buildapcsales');
+
+        const response = await create('r/BuildAPCSales');
+
+        expect(response.status).toBe(409);
+        expect(response.body.existing).toMatchObject({ id: first.body.id, name: 'buildapcsales' });
+    });
+});
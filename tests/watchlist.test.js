@@ -0,0 +1,163 @@
+const request = require('supertest');
+const KeywordService = require('../src/services/KeywordService');
+const { ConflictError } = require('../src/utils/errors');
+const { createTestApp, loginAs } = require('./helpers');
+
+describe('/api/watchlist', () => {
+    let container;
+    let app;
+    let user;
+    let auth;
+
+    beforeEach(async () => {
+        ({ container, app } = await createTestApp());
+        ({ user, auth } = await loginAs(container, 'owner@example.com'));
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await container.dispose();
+    });
+
+    const importList = (bundle, query = {}) => request(app).post('/api/watchlist/import').query(query).set(auth)
+        .send({ version: 1, ...bundle });
+
+    /**
+     * The user's watchlist as it is stored
+     * @returns {Promise<{subreddits: string[], keywords: Object[]}>} Subreddit names and keywords
+     */
+    const stored = async () => {
+        const { subreddits, keywords } = await container.resolve('watchlistService').export(user.id);
+        return { subreddits, keywords };
+    };
+
+    const auditRows = async () => container.resolve('db')('audit_log').count('id as count').first().then(row => row.count);
+
+    const BUNDLE = {
+        subreddits: ['buildapcsales', 'hardwareswap'],
+        keywords: [
+            { keyword: '4070', categories: ['gpu'], subreddits: ['buildapcsales'] },
+            { keyword: 'nvme', categories: [], subreddits: [] },
+            { keyword: 'ultrawide', categories: ['monitor'], subreddits: [] }
+        ]
+    };
+
+    test('imports subreddits and keywords and reports what it did', async () => {
+        const response = await importList(BUNDLE);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ mode: 'merge', dryRun: false, summary: { created: 5, updated: 0, deleted: 0, unchanged: 0 } });
+        expect(await stored()).toEqual({ subreddits: ['buildapcsales', 'hardwareswap'], keywords: BUNDLE.keywords });
+    });
+
+    test('rolls the whole import back when one item fails, naming that item', async () => {
+        await importList({ subreddits: ['pcmasterrace'], keywords: [{ keyword: 'b550', categories: [], subreddits: [] }] });
+        const before = await stored();
+        const auditBefore = await auditRows();
+        const create = KeywordService.prototype.create;
+        jest.spyOn(KeywordService.prototype, 'create').mockImplementation(function (data) {
+            return data.keyword === 'nvme' ? Promise.reject(new ConflictError('Keyword "nvme" already exists')) : create.call(this, data);
+        });
+
+        const response = await importList(BUNDLE, { mode: 'replace' });
+
+        expect(response.status).toBe(409);
+        expect(response.body).toEqual({
+            error: 'Watchlist import failed',
+            details: [{ field: 'keywords.1', item: 'nvme', message: 'Keyword "nvme" already exists' }]
+        });
+        expect(await stored()).toEqual(before);
+        expect(await auditRows()).toBe(auditBefore);
+    });
+
+    test('rolls back on unexpected errors too', async () => {
+        const create = KeywordService.prototype.create;
+        jest.spyOn(KeywordService.prototype, 'create').mockImplementation(function (data) {
+            return data.keyword === 'ultrawide' ? Promise.reject(new Error('SQLITE_FULL: database or disk is full')) : create.call(this, data);
+        });
+
+        const response = await importList(BUNDLE);
+
+        expect(response.status).toBe(500);
+        expect(await stored()).toEqual({ subreddits: [], keywords: [] });
+    });
+
+    test('a dry run reports the plan and writes nothing', async () => {
+        await importList({ subreddits: ['buildapcsales'], keywords: [{ keyword: '4070', categories: [], subreddits: [] }] });
+        const before = await stored();
+        const auditBefore = await auditRows();
+        const rescan = jest.spyOn(container.resolve('keywordMatcher'), 'rescanKeyword');
+
+        const response = await importList(BUNDLE, { mode: 'replace', dryRun: true });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({
+            dryRun: true,
+            summary: { created: 3, updated: 1, deleted: 0, unchanged: 1 },
+            keywords: [
+                { keyword: '4070', action: 'update', changes: { categories: { from: [], to: ['gpu'] }, subreddits: { from: [], to: ['buildapcsales'] } } },
+                { keyword: 'nvme', action: 'create' },
+                { keyword: 'ultrawide', action: 'create' }
+            ]
+        });
+        expect(await stored()).toEqual(before);
+        expect(await auditRows()).toBe(auditBefore);
+        expect(rescan).not.toHaveBeenCalled();
+    });
+
+    test('replace mode removes keywords and subreddits the file doesn\'t list; merge mode keeps them', async () => {
+        await importList({
+            subreddits: ['pcmasterrace', 'buildapcsales'],
+            keywords: [{ keyword: 'b550', categories: [], subreddits: ['pcmasterrace'] }, { keyword: '4070', categories: [], subreddits: [] }]
+        });
+
+        const merged = await importList({ subreddits: [], keywords: [{ keyword: 'nvme', categories: [], subreddits: [] }] });
+        expect((await stored()).keywords.map(keyword => keyword.keyword).sort()).toEqual(['4070', 'b550', 'nvme']);
+
+        const replaced = await importList({ subreddits: ['buildapcsales'], keywords: [{ keyword: '4070', categories: [], subreddits: [] }] }, { mode: 'replace' });
+
+        expect(merged.body.summary).toEqual({ created: 1, updated: 0, deleted: 0, unchanged: 0 });
+        expect(replaced.body.summary).toEqual({ created: 0, updated: 0, deleted: 3, unchanged: 2 });
+        expect(replaced.body.keywords).toEqual(expect.arrayContaining([
+            { keyword: 'b550', action: 'delete' },
+            { keyword: 'nvme', action: 'delete' }
+        ]));
+        expect(await stored()).toEqual({ subreddits: ['buildapcsales'], keywords: [{ keyword: '4070', categories: [], subreddits: [] }] });
+    });
+
+    test('rescans imported keywords only once the import has committed', async () => {
+        const keywordRepository = container.resolve('keywordRepository');
+        const seen = [];
+        jest.spyOn(container.resolve('keywordMatcher'), 'rescanKeyword').mockImplementation(async keyword => {
+            // Read outside the import's transaction: only committed rows are visible
+            seen.push([keyword.keyword, Boolean(await keywordRepository.findById(keyword.id, user.id))]);
+        });
+
+        await importList(BUNDLE);
+
+        expect(seen.sort()).toEqual([['4070', true], ['nvme', true], ['ultrawide', true]]);
+    });
+
+    test('doesn\'t rescan anything from an import that was rolled back', async () => {
+        const rescan = jest.spyOn(container.resolve('keywordMatcher'), 'rescanKeyword');
+        const create = KeywordService.prototype.create;
+        jest.spyOn(KeywordService.prototype, 'create').mockImplementation(function (data) {
+            return data.keyword === 'ultrawide' ? Promise.reject(new ConflictError('Keyword "ultrawide" already exists')) : create.call(this, data);
+        });
+
+        await importList(BUNDLE);
+
+        expect(rescan).not.toHaveBeenCalled();
+    });
+
+    test('reports every invalid entry by position before writing anything', async () => {
+        const response = await importList({
+            subreddits: ['ok_name', 'no'],
+            keywords: [{ keyword: '(4070', categories: [], subreddits: [] }, { keyword: '4070', subreddits: ['unwatched'] }]
+        });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details.map(detail => detail.field)).toEqual(['subreddits.1', 'keywords.0.keyword']);
+        expect(await stored()).toEqual({ subreddits: [], keywords: [] });
+    });
+});
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const WebhookNotifier = require('../src/services/WebhookNotifier');
+const { ValidationError } = require('../src/utils/errors');
+const { createTestContainer, startServer } = require('./helpers');
+
+const SECRET = 'a-very-secret-webhook-key';
+
+/**
+ * Wait until a condition holds, checking every few milliseconds
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!await condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('WebhookNotifier', () => {
+    let receiver;
+    let responses;
+    let container;
+    let notifier;
+    let webhook;
+    let event;
+
+    /**
+     * Container, webhook and match event against the local receiver
+     */
+    async function setUp(env = {}) {
+        container = await createTestContainer({ WEBHOOK_ALLOW_PRIVATE_TARGETS: 'true', ...env });
+        notifier = container.resolve('webhookNotifier');
+
+        const user = await container.resolve('userRepository').create({ email: 'owner@example.com', passwordHash: 'x' });
+        webhook = await container.resolve('webhookRepository').create({
+            name: 'Receiver',
+            url: `${receiver.url}/hook`,
+            secret: SECRET,
+            userId: user.id
+        });
+        event = {
+            post: await container.resolve('postRepository').create({ title: '[GPU] RTX 4070 $549', links: ['https://www.newegg.com/p/1'] }),
+            keyword: await container.resolve('keywordRepository').create({ keyword: '4070', userId: user.id }),
+            matches: [{ field: 'title', position: 10, linkIndex: null, matchedText: '4070' }],
+            context: { subreddit: 'buildapcsales' }
+        };
+    }
+
+    const deliveries = async () => (await container.resolve('deliveryRepository').findAll({ limit: 100 })).deliveries.reverse();
+
+    beforeEach(async () => {
+        // Status codes the receiver answers with, in order; 200 once they run out
+        responses = [];
+        receiver = await startServer((req, res) => {
+            res.statusCode = responses.length > 0 ? responses.shift() : 200;
+            res.end('ok');
+        });
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        notifier.stop();
+        await container.dispose();
+        await receiver.close();
+    });
+
+    test('posts a signed JSON payload the receiver can verify', async () => {
+        await setUp();
+
+        expect(await notifier.notify(event)).toEqual([true]);
+
+        const [request] = receiver.requests;
+        const timestamp = request.headers['x-dealmonitor-timestamp'];
+        const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+        expect(request.headers['x-dealmonitor-signature']).toBe(`sha256=${expected}`);
+        expect(request.headers['x-dealmonitor-event']).toBe('keyword.match');
+        expect(JSON.parse(request.body)).toMatchObject({
+            event: 'keyword.match',
+            keyword: { keyword: '4070' },
+            post: { title: '[GPU] RTX 4070 $549' },
+            matches: event.matches,
+            subreddit: 'buildapcsales'
+        });
+        expect(await deliveries()).toEqual([expect.objectContaining({ attempt: 1, status: 'success', responseCode: 200 })]);
+    });
+
+    test('sends no signature without a secret', async () => {
+        await setUp();
+        await container.resolve('webhookRepository').update(webhook.id, { secret: null });
+
+        await notifier.notify(event);
+
+        expect(receiver.requests[0].headers).not.toHaveProperty('x-dealmonitor-signature');
+    });
+
+    test('persists a failed attempt and retries it with the same body and delivery ID', async () => {
+        await setUp();
+        responses = [503];
+
+        expect(await notifier.notify(event)).toEqual([false]);
+        const [first] = await deliveries();
+        expect(first).toMatchObject({ attempt: 1, status: 'retrying', responseCode: 503 });
+        expect(first.nextAttemptAt).toBeInstanceOf(Date);
+
+        // Nothing is due before the backoff has passed
+        expect(await notifier.flushRetries(new Date())).toEqual({ sent: 0, failed: 0 });
+
+        expect(await notifier.flushRetries(new Date(Date.now() + 60000))).toEqual({ sent: 1, failed: 0 });
+        const [retried, second] = await deliveries();
+        expect(second).toMatchObject({ attempt: 2, status: 'success', deliveryId: first.deliveryId });
+        expect(retried.nextAttemptAt).toBeNull();
+        expect(receiver.requests.map(request => request.body)).toEqual([receiver.requests[0].body, receiver.requests[0].body]);
+        expect(new Set(receiver.requests.map(request => request.headers['x-dealmonitor-delivery'])).size).toBe(1);
+
+        // The retry is only made once
+        expect(await notifier.flushRetries(new Date(Date.now() + 60000))).toEqual({ sent: 0, failed: 0 });
+    });
+
+    test('a notifier started after a restart makes pending retries, including claimed ones', async () => {
+        await setUp({ WEBHOOK_RETRY_BASE_MS: '1' });
+        responses = [500];
+        await notifier.notify(event);
+        const [pending] = await deliveries();
+
+        // The previous process claimed the retry and stopped before making it
+        await container.resolve('deliveryRepository').claimRetry(pending.id);
+        const restarted = new WebhookNotifier({
+            webhookRepository: container.resolve('webhookRepository'),
+            deliveryRepository: container.resolve('deliveryRepository'),
+            ...container.resolve('config').webhooks,
+            allowPrivateTargets: true
+        });
+
+        restarted.start();
+        try {
+            await waitFor(async () => (await deliveries()).some(delivery => delivery.status === 'success'));
+        } finally {
+            restarted.stop();
+        }
+        expect(receiver.requests).toHaveLength(2);
+    });
+
+    test('gives up after the last attempt', async () => {
+        await setUp({ WEBHOOK_MAX_ATTEMPTS: '2' });
+        responses = [500, 500];
+
+        await notifier.notify(event);
+        expect(await notifier.flushRetries(new Date(Date.now() + 60000))).toEqual({ sent: 0, failed: 1 });
+
+        expect((await deliveries()).map(delivery => delivery.status)).toEqual(['retrying', 'failed']);
+        expect(await notifier.flushRetries(new Date(Date.now() + 60000))).toEqual({ sent: 0, failed: 0 });
+    });
+
+    test('does not retry client errors', async () => {
+        await setUp();
+        responses = [400];
+
+        await notifier.notify(event);
+
+        expect(await deliveries()).toEqual([expect.objectContaining({ status: 'failed', responseCode: 400, nextAttemptAt: null })]);
+    });
+
+    test('drops the retry when the webhook was disabled in the meantime', async () => {
+        await setUp();
+        responses = [503];
+        await notifier.notify(event);
+        await container.resolve('webhookRepository').update(webhook.id, { enabled: false });
+
+        expect(await notifier.flushRetries(new Date(Date.now() + 60000))).toEqual({ sent: 0, failed: 1 });
+        expect(await deliveries()).toEqual([expect.objectContaining({ status: 'failed', nextAttemptAt: null })]);
+        expect(receiver.requests).toHaveLength(1);
+    });
+
+    describe('without WEBHOOK_ALLOW_PRIVATE_TARGETS', () => {
+        test('refuses to send to a private address, without retrying', async () => {
+            await setUp({ WEBHOOK_ALLOW_PRIVATE_TARGETS: 'false' });
+
+            expect(await notifier.notify(event)).toEqual([false]);
+
+            expect(receiver.requests).toHaveLength(0);
+            expect(await deliveries()).toEqual([
+                expect.objectContaining({ status: 'failed', error: 'Refused private address 127.0.0.1', nextAttemptAt: null })
+            ]);
+        });
+
+        test.each([
+            'http://127.0.0.1:8080/hook',
+            'http://localhost/hook',
+            'http://169.254.169.254/latest/meta-data',
+            'http://10.1.2.3/hook',
+            'http://[::1]/hook',
+            'http://[::ffff:192.168.1.1]/hook',
+            'http://2130706433/hook'
+        ])('rejects %s when a webhook is saved', async url => {
+            await setUp({ WEBHOOK_ALLOW_PRIVATE_TARGETS: 'false' });
+
+            await expect(notifier.checkUrl(url)).rejects.toBeInstanceOf(ValidationError);
+        });
+
+        test('accepts public addresses', async () => {
+            await setUp({ WEBHOOK_ALLOW_PRIVATE_TARGETS: 'false' });
+
+            await expect(notifier.checkUrl('https://93.184.215.14/hook')).resolves.toBeUndefined();
+        });
+
+        test('connects to the address it checked, not one a second lookup returns', async () => {
+            await setUp({ WEBHOOK_ALLOW_PRIVATE_TARGETS: 'false', WEBHOOK_TIMEOUT_MS: '200' });
+            // The check sees a public address; a second lookup would lead to the local receiver
+            jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '203.0.113.10', family: 4 }]);
+            const rebound = jest.spyOn(dns, 'lookup').mockImplementation((host, options, callback) => (options.all
+                ? callback(null, [{ address: '127.0.0.1', family: 4 }])
+                : callback(null, '127.0.0.1', 4)));
+
+            const url = `http://hooks.example:${new URL(receiver.url).port}/hook`;
+            const result = await notifier.send({ url, secret: null }, '{}', crypto.randomUUID());
+
+            expect(result).toMatchObject({ ok: false, blocked: false });
+            expect(rebound).not.toHaveBeenCalled();
+            expect(receiver.requests).toHaveLength(0);
+        });
+    });
+});